@@ -0,0 +1,299 @@
+/**
+ * Arc Importer - Import spaces, pinned tabs and favorites from Arc's StorableSidebar.json
+ *
+ * Purpose: Recreates an Arc sidebar as BarCat spaces without rebuilding everything by hand
+ * Key Functions: Sidebar file parsing, color mapping, read-only preview with conflict report, import
+ * Architecture: Static utility object; parse → preview → apply, only apply writes anything
+ *
+ * Critical Notes:
+ * - Arc stores containers/spaces/items as flat arrays alternating "id", {object}; items link via parentID/childrenIds
+ * - Space folders are created through LocalStorage.getOrCreateSpaceFolder so they get a durable identity
+ * - Existing spaces with the same name are merged into, never duplicated; existing URLs are skipped
+ * - Favorites (Arc's top apps) go through LocalStorage.addFavoriteBookmark
+ * - Arc colors are mapped by hue to the nearest Chrome tab group color and remembered on the space identity
+ */
+
+import { LocalStorage } from './localstorage.js';
+import { BookmarkUtils } from './bookmark-utils.js';
+import { Logger } from './logger.js';
+
+// Hue ranges (degrees) for Chrome tab group colors, checked in order
+const HUE_TO_GROUP_COLOR = [
+    { max: 15, color: 'red' },
+    { max: 70, color: 'yellow' },
+    { max: 165, color: 'green' },
+    { max: 200, color: 'cyan' },
+    { max: 255, color: 'blue' },
+    { max: 300, color: 'purple' },
+    { max: 345, color: 'pink' },
+    { max: 360, color: 'red' }
+];
+
+const ArcImporter = {
+    // Parse the raw file contents into { spaces: [{ name, color, pinned }], favorites: [{ title, url }] }.
+    // Pinned nodes are { title, url } for tabs and { title, children } for folders.
+    parseSidebar: function (rawText) {
+        let data;
+        try {
+            data = JSON.parse(rawText);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        const containers = data?.sidebar?.containers;
+        if (!Array.isArray(containers)) {
+            throw new Error('Not an Arc StorableSidebar.json file (missing sidebar.containers)');
+        }
+
+        const container = containers.find(c => Array.isArray(c?.spaces) && Array.isArray(c?.items));
+        if (!container) {
+            throw new Error('No spaces found in the Arc sidebar file');
+        }
+
+        const items = new Map();
+        this._objectsOf(container.items).forEach(item => items.set(item.id, item));
+
+        const skipped = [];
+        const toNode = (itemId, depth = 0) => {
+            const item = items.get(itemId);
+            if (!item || depth > 32) return null;
+
+            const tab = item.data?.tab;
+            if (tab) {
+                const url = tab.savedURL;
+                if (!BookmarkUtils.isImportableUrl(url)) {
+                    skipped.push(`Unsupported URL "${url || '(empty)'}" in "${item.title || tab.savedTitle || 'Untitled'}"`);
+                    return null;
+                }
+                return { title: item.title || tab.savedTitle || url, url };
+            }
+
+            if (item.data?.list || Array.isArray(item.childrenIds)) {
+                const children = (item.childrenIds || []).map(id => toNode(id, depth + 1)).filter(Boolean);
+                return { title: item.title || 'Untitled Folder', children };
+            }
+
+            skipped.push(`Unsupported item "${item.title || item.id}"`);
+            return null;
+        };
+
+        const spaces = this._objectsOf(container.spaces).map(space => {
+            const pinnedContainerId = this._containerIdFor(space.containerIDs, 'pinned');
+            const pinnedContainer = pinnedContainerId ? items.get(pinnedContainerId) : null;
+            const pinned = (pinnedContainer?.childrenIds || []).map(id => toNode(id)).filter(Boolean);
+
+            return {
+                name: (space.title || '').trim() || 'Untitled Space',
+                color: this.mapColor(space.customInfo),
+                pinned
+            };
+        });
+
+        const favoriteContainerIds = (container.topAppsContainerIDs || []).filter(id => typeof id === 'string');
+        const favorites = [];
+        favoriteContainerIds.forEach(containerId => {
+            const favoriteContainer = items.get(containerId);
+            (favoriteContainer?.childrenIds || []).forEach(id => {
+                const node = toNode(id);
+                if (node?.url && !favorites.some(f => f.url === node.url)) {
+                    favorites.push(node);
+                }
+            });
+        });
+
+        return { spaces, favorites, skipped };
+    },
+
+    // Find the nearest Chrome tab group color for the first RGB color in a space's theme
+    mapColor: function (customInfo) {
+        const rgb = this._findRgb(customInfo?.windowTheme ?? customInfo);
+        if (!rgb) return null;
+
+        const r = rgb.red, g = rgb.green, b = rgb.blue;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const delta = max - min;
+        const lightness = (max + min) / 2;
+        const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+        if (saturation < 0.15) return 'grey';
+
+        let hue;
+        if (max === r) hue = ((g - b) / delta) % 6;
+        else if (max === g) hue = (b - r) / delta + 2;
+        else hue = (r - g) / delta + 4;
+        hue = (hue * 60 + 360) % 360;
+
+        return HUE_TO_GROUP_COLOR.find(range => hue < range.max).color;
+    },
+
+    // Compare the parsed sidebar with the BarCat tree without writing anything
+    buildPreview: async function (model) {
+        const liveSpaces = await LocalStorage.getAllSpaces();
+        // Look up only: a cancelled preview must not leave a BarCat or _Favorites folder behind.
+        // Without a BarCat folder there are no existing spaces or favorites to conflict with.
+        const barCatFolder = await BookmarkUtils.findBarCatFolder();
+        const barCatChildren = barCatFolder ? await chrome.bookmarks.getChildren(barCatFolder.id) : [];
+        const spaceFolders = barCatChildren.filter(f => !f.url && f.title !== '_Favorites');
+        const favoritesFolder = barCatChildren.find(f => !f.url && f.title === '_Favorites');
+
+        const conflicts = [...model.skipped];
+        const seenNames = new Set();
+        const spaces = [];
+
+        for (const space of model.spaces) {
+            if (seenNames.has(space.name)) {
+                conflicts.push(`Space "${space.name}" appears more than once in the file; its pinned tabs will be merged`);
+            }
+            seenNames.add(space.name);
+
+            const target = this._findTargetSpace(space.name, liveSpaces, spaceFolders);
+            let existingUrls = new Set();
+            if (target) {
+                const folder = await LocalStorage.getSpaceFolder(target);
+                if (folder) {
+                    existingUrls = await this._collectUrls(folder.id);
+                }
+                conflicts.push(`Space "${space.name}" already exists; new pinned tabs will be merged into it`);
+            }
+
+            const counts = BookmarkUtils.countBookmarkNodes(space.pinned);
+            const duplicateCount = this._flattenUrls(space.pinned).filter(url => existingUrls.has(url)).length;
+            if (duplicateCount > 0) {
+                conflicts.push(`${duplicateCount} pinned tab(s) in "${space.name}" already exist and will be skipped`);
+            }
+
+            spaces.push({
+                name: space.name,
+                color: space.color,
+                tabs: counts.tabs,
+                folders: counts.folders,
+                exists: Boolean(target),
+                duplicates: duplicateCount
+            });
+        }
+
+        const existingFavorites = favoritesFolder
+            ? (await chrome.bookmarks.getChildren(favoritesFolder.id)).filter(b => b.url)
+            : [];
+        const existingFavoriteUrls = new Set(existingFavorites.map(b => b.url));
+        const duplicateFavorites = model.favorites.filter(f => existingFavoriteUrls.has(f.url));
+        if (duplicateFavorites.length > 0) {
+            conflicts.push(`${duplicateFavorites.length} favorite(s) already exist and will be skipped`);
+        }
+
+        return {
+            spaces,
+            favorites: { total: model.favorites.length, duplicates: duplicateFavorites.length },
+            conflicts
+        };
+    },
+
+    // Write the parsed sidebar into the BarCat bookmark tree
+    applyImport: async function (model) {
+        const summary = { spacesCreated: 0, spacesMerged: 0, tabsCreated: 0, foldersCreated: 0, favoritesAdded: 0, skipped: 0 };
+
+        const liveSpaces = await LocalStorage.getAllSpaces();
+        const barCatFolder = await LocalStorage.getOrCreateBarCatFolder();
+        const spaceFolders = (await chrome.bookmarks.getChildren(barCatFolder.id))
+            .filter(f => !f.url && f.title !== '_Favorites');
+
+        for (const space of model.spaces) {
+            try {
+                let target = this._findTargetSpace(space.name, liveSpaces, spaceFolders);
+                const isNew = !target;
+                if (isNew) {
+                    target = { name: space.name };
+                }
+
+                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(target);
+                if (isNew) {
+                    spaceFolders.push(spaceFolder);
+                    summary.spacesCreated++;
+                    if (space.color) {
+                        await LocalStorage.updateSpaceIdentity(target.uuid, { color: space.color });
+                    }
+                } else {
+                    summary.spacesMerged++;
+                }
+
+                const imported = await BookmarkUtils.importBookmarkNodes(space.pinned, spaceFolder.id);
+                summary.tabsCreated += imported.tabsCreated;
+                summary.foldersCreated += imported.foldersCreated;
+                summary.skipped += imported.skipped.length;
+            } catch (error) {
+                Logger.error('[ArcImporter] Error importing space:', space.name, error);
+                summary.skipped++;
+            }
+        }
+
+        const existingFavorites = await LocalStorage.getFavoriteBookmarks();
+        const existingFavoriteUrls = new Set(existingFavorites.map(b => b.url));
+        for (const favorite of model.favorites) {
+            if (existingFavoriteUrls.has(favorite.url)) {
+                summary.skipped++;
+                continue;
+            }
+            const bookmark = await LocalStorage.addFavoriteBookmark(favorite.url, favorite.title);
+            if (bookmark) {
+                summary.favoritesAdded++;
+            } else {
+                summary.skipped++;
+            }
+        }
+
+        Logger.log('[ArcImporter] Import finished:', summary);
+        return summary;
+    },
+
+    // Arc spaces are matched to BarCat spaces by name, the only thing both sides share
+    _findTargetSpace: function (name, liveSpaces, spaceFolders) {
+        const liveSpace = liveSpaces.find(s => s.name === name && s.bookmarkFolderId);
+        if (liveSpace) return liveSpace;
+
+        const folder = spaceFolders.find(f => f.title === name);
+        return folder ? { name, bookmarkFolderId: folder.id } : null;
+    },
+
+    _collectUrls: async function (folderId) {
+        const [root] = await chrome.bookmarks.getSubTree(folderId);
+        const urls = new Set();
+        const walk = (node) => {
+            if (node.url) urls.add(node.url);
+            (node.children || []).forEach(walk);
+        };
+        walk(root);
+        return urls;
+    },
+
+    _flattenUrls: function (nodes) {
+        return nodes.flatMap(node => node.url ? [node.url] : this._flattenUrls(node.children));
+    },
+
+    // Arc's flat arrays alternate string ids with the objects they describe
+    _objectsOf: function (list) {
+        return (list || []).filter(entry => entry && typeof entry === 'object' && entry.id);
+    },
+
+    // containerIDs alternate a label ("pinned"/"unpinned") with the container id
+    _containerIdFor: function (containerIDs, label) {
+        if (!Array.isArray(containerIDs)) return null;
+        const index = containerIDs.indexOf(label);
+        return index !== -1 && typeof containerIDs[index + 1] === 'string' ? containerIDs[index + 1] : null;
+    },
+
+    // Depth-first search for the first { red, green, blue } object in Arc's theme data
+    _findRgb: function (value, depth = 0) {
+        if (!value || typeof value !== 'object' || depth > 12) return null;
+        if (typeof value.red === 'number' && typeof value.green === 'number' && typeof value.blue === 'number') {
+            const scale = Math.max(value.red, value.green, value.blue) > 1 ? 255 : 1;
+            return { red: value.red / scale, green: value.green / scale, blue: value.blue / scale };
+        }
+        for (const child of Object.values(value)) {
+            const found = this._findRgb(child, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+};
+
+export { ArcImporter };
@@ -2,19 +2,29 @@
  * Background Service Worker (Manifest V3) - Core extension orchestrator
  * 
  * Purpose: Manages extension lifecycle, message passing, and system integrations
- * Key Functions: Spotlight injection/fallback, auto-archive system, tab activity tracking, Chrome API access
+ * Key Functions: Spotlight injection/fallback, auto-archive system, memory saver, tab activity tracking,
+ *                hover card thumbnails, Chrome API access, hosting the space store
  * Architecture: Service worker that handles all Chrome API calls and coordinates between content scripts
  * 
  * Critical Notes:
  * - Only context with full Chrome API access (tabs, storage, search, etc.)
  * - Handles spotlight injection with automatic popup fallback for restricted URLs
- * - Manages tab activity tracking for auto-archive functionality
+ * - Manages tab activity tracking for auto-archive and memory saver functionality
  * - All content script Chrome API requests must route through here via message passing
+ * - Runtime messages are typed (message-router.js); backgroundRouter answers every background type
+ *   and rejects unknown ones
+ * - SpaceStore (space-store.js) owns the space/tab model; sidebars subscribe to it over a Port
  */
 
 import { Utils } from './utils.js';
+import { LocalStorage } from './localstorage.js';
+import { SpaceStore } from './space-store.js';
+import { MessageRouter, MessageType, MessageContext } from './message-router.js';
 import { SearchEngine } from './spotlight/shared/search-engine.js';
+import { SPOTLIGHT_SUGGESTIONS_PORT } from './spotlight/shared/search-types.js';
 import { BackgroundDataProvider } from './spotlight/shared/data-providers/background-data-provider.js';
+import { MemorySaver } from './memory-saver.js';
+import { ThumbnailCache } from './thumbnail-cache.js';
 import { Logger } from './logger.js';
 
 // Enum for spotlight tab modes
@@ -26,9 +36,18 @@ const SpotlightTabMode = {
 // Create a single SearchEngine instance with BackgroundDataProvider
 const backgroundSearchEngine = new SearchEngine(new BackgroundDataProvider());
 
+// Spotlight UIs stream their suggestions over a port rather than one message per query
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name === SPOTLIGHT_SUGGESTIONS_PORT) backgroundSearchEngine.handleSuggestionPort(port);
+});
+
 const AUTO_ARCHIVE_ALARM_NAME = 'autoArchiveTabsAlarm';
+const MEMORY_SAVER_ALARM_NAME = 'memorySaverAlarm';
 const TAB_ACTIVITY_STORAGE_KEY = 'tabLastActivity'; // Key to store timestamps
 
+// Spaces are kept up to date here even when no sidebar is open
+SpaceStore.init();
+
 // Configure Chrome side panel behavior
 chrome.sidePanel.setPanelBehavior({
     openPanelOnActionClick: true
@@ -64,22 +83,9 @@ if (chrome.contextMenus) {
     });
 }
 
-// Listen for messages from the content script (sidebar)
-chrome.runtime.onMessage.addListener(async function (request, sender, sendResponse) {
-    // Forward the pin toggle command to the sidebar
-    if (request.command === "toggleSpacePin") {
-        chrome.runtime.sendMessage({ command: "toggleSpacePin", tabId: request.tabId });
-    } else if (request.command === "toggleSpotlight") {
-        await injectSpotlightScript(SpotlightTabMode.CURRENT_TAB);
-    } else if (request.command === "toggleSpotlightNewTab") {
-        await injectSpotlightScript(SpotlightTabMode.NEW_TAB);
-    }
-});
-
 chrome.commands.onCommand.addListener(async function (command) {
     if (command === "quickPinToggle") {
-        // Send a message to the sidebar
-        chrome.runtime.sendMessage({ command: "quickPinToggle" });
+        await SpaceStore.togglePin();
     } else if (command === "NextTabInSpace") {
         Utils.findActiveSpaceAndTab().then(async ({ space, tab }) => {
             if (space) {
@@ -93,9 +99,6 @@ chrome.commands.onCommand.addListener(async function (command) {
                 await Utils.movToPrevTabInSpace(tab.id, space);
             }
         });
-        Logger.log("sending");
-        // Send a message to the sidebar
-        chrome.runtime.sendMessage({ command: "PrevTabInSpace" });
     } else if (command === "toggleSpotlight") {
         await injectSpotlightScript(SpotlightTabMode.CURRENT_TAB);
     } else if (command === "toggleSpotlightNewTab") {
@@ -113,11 +116,9 @@ const spotlightOpenTabs = new Set();
 // Close spotlight in tracked tabs only
 async function closeSpotlightInTrackedTabs() {
     try {
+        // Notifications: tabs that no longer exist or lost their script are simply skipped
         const closePromises = Array.from(spotlightOpenTabs).map(tabId =>
-            chrome.tabs.sendMessage(tabId, { action: 'closeSpotlight' }).catch(() => {
-                // Remove from tracking if tab no longer exists or script not loaded
-                spotlightOpenTabs.delete(tabId);
-            })
+            MessageRouter.sendToTab(tabId, MessageType.CLOSE_SPOTLIGHT)
         );
         await Promise.all(closePromises);
         // Clear the set after closing
@@ -207,28 +208,22 @@ async function injectSpotlightScript(spotlightTabMode) {
             }
             // PRIMARY: Try to send activation message to dormant content script
             // This is 20-40x faster than script injection (50-100ms vs 1-2s)
-            try {
-                const response = await chrome.tabs.sendMessage(tab.id, {
-                    action: 'activateSpotlight',
-                    mode: spotlightTabMode,
-                    tabUrl: tab.url,
-                    tabId: tab.id
-                });
+            const response = await MessageRouter.sendToTab(tab.id, MessageType.ACTIVATE_SPOTLIGHT, {
+                mode: spotlightTabMode,
+                tabUrl: tab.url,
+                tabId: tab.id
+            });
 
-                if (response && response.success) {
-                    // Success! Spotlight activated instantly via messaging
-                    chrome.runtime.sendMessage({
-                        action: 'spotlightOpened',
-                        mode: spotlightTabMode
-                    });
-                    return; // Exit early - no need for fallbacks
-                }
-            } catch (messageError) {
-                Logger.log("Content script messaging failed, using new tab fallback:", messageError);
-                // If messaging fails, fall back to opening spotlight in a new tab
-                await fallbackToChromeTabs(spotlightTabMode);
-                return;
+            if (response.success) {
+                // Success! Spotlight activated instantly via messaging
+                MessageRouter.send(MessageType.SPOTLIGHT_OPENED, { mode: spotlightTabMode });
+                return; // Exit early - no need for fallbacks
             }
+
+            Logger.log("Content script messaging failed, using new tab fallback:", response.error);
+            // If messaging fails, fall back to opening spotlight in a new tab
+            await fallbackToChromeTabs(spotlightTabMode);
+            return;
         }
     } catch (error) {
         Logger.log("All spotlight activation methods failed, using Chrome tab fallback:", error);
@@ -274,74 +269,7 @@ async function copyCurrentTabUrlWithFallback() {
             Logger.error("[URLCopy] No active tab found");
             return;
         }
-
-        Logger.log(`[URLCopy] Copying URL via script injection: ${tab.url}`);
-
-        // PRIMARY: Script injection approach (universal, no permission popups)
-        try {
-            await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: (url) => {
-                    // This function runs in webpage context but avoids permission issues
-                    // by being injected from extension context
-                    navigator.clipboard.writeText(url).then(() => {
-                        Logger.log(`[URLCopy] Script injection succeeded: ${url}`);
-                    }).catch(err => {
-                        Logger.error("[URLCopy] Script injection clipboard failed:", err);
-                        // Fallback to older method if clipboard API fails
-                        const textarea = document.createElement('textarea');
-                        textarea.value = url;
-                        document.body.appendChild(textarea);
-                        textarea.select();
-                        document.execCommand('copy');
-                        document.body.removeChild(textarea);
-                        Logger.log(`[URLCopy] Fallback copy succeeded: ${url}`);
-                    });
-                },
-                args: [tab.url]
-            });
-
-            Logger.log(`[URLCopy] Script injection completed for: ${tab.url}`);
-
-            // Notify sidebar of successful URL copy
-            try {
-                chrome.runtime.sendMessage({ action: "urlCopySuccess" });
-                Logger.log("[URLCopy] Success message sent to sidebar");
-            } catch (notifyError) {
-                Logger.log("[URLCopy] Could not notify sidebar:", notifyError);
-            }
-
-            return;
-
-        } catch (injectionError) {
-            Logger.log("[URLCopy] Script injection failed, trying sidebar fallback:", injectionError);
-        }
-
-        // FALLBACK: Sidebar approach (works when sidebar is focused)
-        try {
-            const sidebarResponse = await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    reject(new Error("Sidebar timeout"));
-                }, 1000);
-
-                chrome.runtime.sendMessage({
-                    command: "copyCurrentUrl",
-                    url: tab.url
-                }, (response) => {
-                    clearTimeout(timeout);
-                    if (chrome.runtime.lastError) {
-                        reject(chrome.runtime.lastError);
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
-
-            Logger.log(`[URLCopy] Sidebar fallback succeeded: ${tab.url}`);
-        } catch (sidebarError) {
-            Logger.error("[URLCopy] Both script injection and sidebar failed:", sidebarError);
-        }
-
+        await Utils.copyTabUrl(tab);
     } catch (error) {
         Logger.error("[URLCopy] Failed to copy URL:", error);
     }
@@ -375,6 +303,20 @@ async function removeTabLastActivity(tabId) {
 }
 
 
+// --- Helper: Thumbnail for the sidebar's hover cards (see thumbnail-cache.js) ---
+const THUMBNAIL_CAPTURE_DELAY_MS = 800; // Let the page paint after it is shown or finishes loading
+const pendingThumbnailCaptures = new Map(); // windowId -> timeoutId
+
+function scheduleThumbnailCapture(windowId) {
+    clearTimeout(pendingThumbnailCaptures.get(windowId));
+    pendingThumbnailCaptures.set(windowId, setTimeout(async () => {
+        pendingThumbnailCaptures.delete(windowId);
+        const [tab] = await chrome.tabs.query({ active: true, windowId });
+        if (tab) await ThumbnailCache.captureTab(tab);
+    }, THUMBNAIL_CAPTURE_DELAY_MS));
+}
+
+
 // --- Alarm Creation ---
 async function setupAutoArchiveAlarm() {
     try {
@@ -396,10 +338,27 @@ async function setupAutoArchiveAlarm() {
     }
 }
 
+async function setupMemorySaverAlarm() {
+    try {
+        const settings = await Utils.getSettings();
+        if (MemorySaver.isEnabled(settings)) {
+            await chrome.alarms.create(MEMORY_SAVER_ALARM_NAME, {
+                periodInMinutes: MemorySaver.getCheckPeriodMinutes(settings)
+            });
+        } else {
+            await chrome.alarms.clear(MEMORY_SAVER_ALARM_NAME);
+        }
+    } catch (error) {
+        Logger.error("[MemorySaver] Error setting up memory saver alarm:", error);
+    }
+}
+
 // --- Alarm Listener ---
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === AUTO_ARCHIVE_ALARM_NAME) {
         await runAutoArchiveCheck();
+    } else if (alarm.name === MEMORY_SAVER_ALARM_NAME) {
+        await MemorySaver.runCheck();
     }
 });
 
@@ -418,8 +377,7 @@ async function runAutoArchiveCheck() {
         const tabActivity = activityResult[TAB_ACTIVITY_STORAGE_KEY] || {};
 
         // --- Fetch spaces data to check against bookmarks ---
-        const spacesResult = await chrome.storage.local.get('spaces');
-        const spaces = spacesResult.spaces || [];
+        const spaces = await LocalStorage.getAllSpaces();
         const bookmarkedUrls = new Set();
         spaces.forEach(space => {
             if (space.spaceBookmarks) {
@@ -497,6 +455,7 @@ async function runAutoArchiveCheck() {
 // Run setup when the extension is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
     setupAutoArchiveAlarm();
+    setupMemorySaverAlarm();
     // Initialize activity for all existing tabs? Maybe too much overhead.
     // Better to let the alarm handle it over time.
 });
@@ -504,6 +463,7 @@ chrome.runtime.onInstalled.addListener(() => {
 // Run setup when Chrome starts
 chrome.runtime.onStartup.addListener(() => {
     setupAutoArchiveAlarm();
+    setupMemorySaverAlarm();
 });
 
 // Listen for changes in storage (e.g., settings updated from options page)
@@ -515,6 +475,12 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
         setupAutoArchiveAlarm(); // Re-create or clear the alarm based on new settings
     }
 
+    const memorySaverChanged = ['memorySaverEnabled', 'memorySaverInactiveSpaceMinutes', 'memorySaverIdleMinutes']
+        .some(key => key in changes);
+    if ((areaName === 'sync' || areaName === 'local') && memorySaverChanged) {
+        setupMemorySaverAlarm();
+    }
+
     // Clean up activity data if a tab is removed
     if (areaName === 'local' && TAB_ACTIVITY_STORAGE_KEY in changes) {
         // This might be less reliable than using tab removal events
@@ -525,6 +491,8 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     await updateTabLastActivity(activeInfo.tabId);
 
+    scheduleThumbnailCapture(activeInfo.windowId);
+
     // Close any open spotlights when switching tabs
     await closeSpotlightInTrackedTabs();
 });
@@ -537,6 +505,10 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
             await updateTabLastActivity(tabId);
         }
     }
+
+    if (changeInfo.status === 'complete' && tab.active) {
+        scheduleThumbnailCapture(tab.windowId);
+    }
 });
 
 // Clean up timestamp when a tab is closed
@@ -552,269 +524,206 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     }
 });
 
-// Optional: Listen for messages from options page to immediately update alarm
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-
-    if (message.action === 'updateAutoArchiveSettings') {
-        Logger.log("Received message to update auto-archive settings.");
-        setupAutoArchiveAlarm();
-        sendResponse({ success: true });
-        return false; // Synchronous response
-    } else if (message.action === 'openNewTab') {
-        chrome.tabs.create({ url: message.url });
-        sendResponse({ success: true });
-        return false; // Synchronous response
-    } else if (message.action === 'navigateToDefaultNewTab') {
-        // Handle navigation to default new tab when custom new tab is disabled
-        (async () => {
-            try {
-                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-                if (tab && tab.url && tab.url.includes('newtab.html')) {
-                    // Navigate to Chrome's default new tab page
-                    // Try the standard URL first, then fallback to local NTP
-                    try {
-                        await chrome.tabs.update(tab.id, { url: 'chrome://new-tab-page/' });
-                    } catch (e) {
-                        // Fallback for some browsers or configurations
-                        await chrome.tabs.update(tab.id, { url: 'chrome-search://local-ntp/local-ntp.html' });
-                    }
-                }
-                sendResponse({ success: true });
-            } catch (error) {
-                Logger.error('[Background] Error navigating to default new tab:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'switchToTab') {
-        // Handle tab switching for spotlight search results
-        (async () => {
-            try {
-                await chrome.tabs.update(message.tabId, { active: true });
-                await chrome.windows.update(message.windowId, { focused: true });
-                sendResponse({ success: true });
-            } catch (error) {
-                Logger.error('[Background] Error switching to tab:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'searchTabs') {
-        // Handle async operation properly
-        (async () => {
-            try {
-                const tabs = await chrome.tabs.query({});
-                const query = message.query?.toLowerCase() || '';
-                const filteredTabs = tabs.filter(tab => {
-                    if (!tab.title || !tab.url) return false;
-                    if (!query) return true;
-                    return tab.title.toLowerCase().includes(query) ||
-                        tab.url.toLowerCase().includes(query);
-                });
-                sendResponse({ success: true, tabs: filteredTabs });
-            } catch (error) {
-                Logger.error('[Background] Error searching tabs:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getRecentTabs') {
-        (async () => {
-            try {
-                const tabs = await chrome.tabs.query({});
-                const storage = await chrome.storage.local.get([TAB_ACTIVITY_STORAGE_KEY]);
-                const activityData = storage[TAB_ACTIVITY_STORAGE_KEY] || {};
-
-                const tabsWithActivity = tabs
-                    .filter(tab => tab.url && tab.title)
-                    .map(tab => ({
-                        ...tab,
-                        lastActivity: activityData[tab.id] || 0
-                    }))
-                    .sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0))
-                    .slice(0, message.limit || 5);
-
-                sendResponse({ success: true, tabs: tabsWithActivity });
-            } catch (error) {
-                Logger.error('[Background] Error getting recent tabs:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'searchBookmarks') {
-        (async () => {
-            try {
-                const bookmarks = await chrome.bookmarks.search(message.query);
-                const filteredBookmarks = bookmarks.filter(bookmark => bookmark.url);
-                sendResponse({ success: true, bookmarks: filteredBookmarks });
-            } catch (error) {
-                Logger.error('[Background] Error searching bookmarks:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'searchHistory') {
-        (async () => {
-            try {
-                const historyItems = await chrome.history.search({
-                    text: message.query,
-                    maxResults: 10,
-                    startTime: Date.now() - (7 * 24 * 60 * 60 * 1000) // Last 7 days
-                });
-                sendResponse({ success: true, history: historyItems });
-            } catch (error) {
-                Logger.error('[Background] Error searching history:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getTopSites') {
-        (async () => {
-            try {
-                const topSites = await chrome.topSites.get();
-                sendResponse({ success: true, topSites: topSites });
-            } catch (error) {
-                Logger.error('[Background] Error getting top sites:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getAutocomplete') {
-        (async () => {
-            try {
-                const dataProvider = backgroundSearchEngine.dataProvider;
-                const suggestions = await dataProvider.getAutocompleteData(message.query);
-                sendResponse({ success: true, suggestions: suggestions });
-            } catch (error) {
-                Logger.error('[Background] Error getting autocomplete suggestions:', error);
-                sendResponse({ success: false, error: error.message, suggestions: [] });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getPinnedTabs') {
-        Logger.log('[Background] Received getPinnedTabs message:', message);
-        (async () => {
-            try {
-                const dataProvider = backgroundSearchEngine.dataProvider;
-                Logger.log('[Background] Getting pinned tabs from data provider...');
-                const pinnedTabs = await dataProvider.getPinnedTabsData(message.query);
-                Logger.log('[Background] Sending pinned tabs response:', pinnedTabs.length, 'tabs');
-                sendResponse({ success: true, pinnedTabs: pinnedTabs });
-            } catch (error) {
-                Logger.error('[Background] Error getting pinned tabs:', error);
-                sendResponse({ success: false, error: error.message, pinnedTabs: [] });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getActiveSpaceColor') {
-        (async () => {
-            try {
-                const spacesResult = await chrome.storage.local.get('spaces');
-                const spaces = spacesResult.spaces || [];
-
-                // Get the current active tab to determine which space it belongs to
-                const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-                if (!activeTab || !activeTab.groupId || activeTab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
-                    sendResponse({ success: true, color: 'purple' });
-                    return;
-                }
+// Requests from the sidebar, options page, spotlight overlay and new tab page
+const backgroundRouter = new MessageRouter(MessageContext.BACKGROUND, { rejectUnknown: true });
 
-                // Find the space that matches the active tab's group
-                const activeSpace = spaces.find(space => space.id === activeTab.groupId);
+// Pin toggles go through the space store, which hands them to the tab's sidebar when one is open
+backgroundRouter.on(MessageType.TOGGLE_SPACE_PIN, async (message) => {
+    await SpaceStore.togglePin(message.tabId);
+});
 
-                if (activeSpace && activeSpace.color) {
-                    sendResponse({ success: true, color: activeSpace.color });
-                } else {
-                    sendResponse({ success: true, color: 'purple' });
-                }
-            } catch (error) {
-                Logger.error('[Background] Error getting active space color:', error);
-                sendResponse({ success: false, error: error.message, color: 'purple' });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'performSearch') {
-        // Handle search using the user's default search engine via chrome.search API
-        (async () => {
-            try {
-
-                // Determine disposition based on spotlight tab mode
-                const disposition = message.mode === SpotlightTabMode.NEW_TAB ? 'NEW_TAB' : 'CURRENT_TAB';
-
-                // Use chrome.search API to search with the user's default search engine
-                await chrome.search.query({
-                    text: message.query,
-                    disposition: disposition
-                });
+backgroundRouter.on(MessageType.TOGGLE_SPOTLIGHT, async () => {
+    await injectSpotlightScript(SpotlightTabMode.CURRENT_TAB);
+});
 
-                sendResponse({ success: true });
-            } catch (error) {
-                Logger.error('[Background] Error performing search:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'getSpotlightSuggestions') {
-        // Handle spotlight suggestions requests from overlay.js
-        (async () => {
-            try {
-                const query = message.query.trim();
-
-                // Get suggestions using the background search engine with debouncing
-                const results = query
-                    ? await backgroundSearchEngine.getSpotlightSuggestionsUsingCache(query, message.mode)
-                    : await backgroundSearchEngine.getSpotlightSuggestionsImmediate('', message.mode);
-
-                sendResponse({ success: true, results: results });
-            } catch (error) {
-                Logger.error('[Background] Error getting spotlight suggestions:', error);
-                sendResponse({ success: false, error: error.message, results: [] });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'spotlightHandleResult') {
-        // Handle spotlight result actions from overlay.js and newtab.js
-        (async () => {
-            try {
-                // Validate inputs
-                if (!message.result || !message.result.type || !message.mode) {
-                    throw new Error('Invalid spotlight result message');
-                }
+backgroundRouter.on(MessageType.TOGGLE_SPOTLIGHT_NEW_TAB, async () => {
+    await injectSpotlightScript(SpotlightTabMode.NEW_TAB);
+});
 
-                // Use sender's tab ID if available (for new tab page), otherwise use provided tabId
-                const tabId = (sender.tab && sender.tab.id) ? sender.tab.id : message.tabId;
+// Sent by the options page to immediately update the alarm
+backgroundRouter.on(MessageType.UPDATE_AUTO_ARCHIVE_SETTINGS, () => {
+    Logger.log("Received message to update auto-archive settings.");
+    setupAutoArchiveAlarm();
+});
 
-                // Handle the result action (pass tabId for optimization)
-                await backgroundSearchEngine.handleResultAction(message.result, message.mode, tabId);
-                sendResponse({ success: true });
-            } catch (error) {
-                Logger.error('[Background] Error handling spotlight result:', error);
-                sendResponse({ success: false, error: error.message });
-            }
-        })();
-        return true; // Async response
-    } else if (message.action === 'spotlightOpened') {
-        // Track when spotlight opens in a tab
-        if (sender.tab && sender.tab.id) {
-            spotlightOpenTabs.add(sender.tab.id);
-        }
-        return false;
-    } else if (message.action === 'spotlightClosed') {
-        // Track when spotlight closes in a tab
-        if (sender.tab && sender.tab.id) {
-            spotlightOpenTabs.delete(sender.tab.id);
-        }
-        return false;
-    } else if (message.action === 'activatePinnedTab') {
-        // Only forward if this came from overlay mode (content script)
-        // Popup mode can send directly to sidebar, so don't forward to prevent double tabs
-        if (sender.tab) {  // Message came from content script (overlay)
-            chrome.runtime.sendMessage(message);
+backgroundRouter.on(MessageType.OPEN_NEW_TAB, async (message) => {
+    await chrome.tabs.create({ url: message.url });
+});
+
+backgroundRouter.on(MessageType.NAVIGATE_CURRENT_TAB, async (message, sender) => {
+    const tabId = sender.tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (!tabId) {
+        throw new Error('No active tab found');
+    }
+    await chrome.tabs.update(tabId, { url: message.url });
+});
+
+// Handle navigation to default new tab when custom new tab is disabled
+backgroundRouter.on(MessageType.NAVIGATE_TO_DEFAULT_NEW_TAB, async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab && tab.url && tab.url.includes('newtab.html')) {
+        // Navigate to Chrome's default new tab page
+        // Try the standard URL first, then fallback to local NTP
+        try {
+            await chrome.tabs.update(tab.id, { url: 'chrome://new-tab-page/' });
+        } catch (e) {
+            // Fallback for some browsers or configurations
+            await chrome.tabs.update(tab.id, { url: 'chrome-search://local-ntp/local-ntp.html' });
         }
-        sendResponse({ success: true });
-        return false; // Synchronous response
+    }
+});
+
+// Handle tab switching for spotlight search results
+backgroundRouter.on(MessageType.SWITCH_TO_TAB, async (message) => {
+    await chrome.tabs.update(message.tabId, { active: true });
+    if (message.windowId) {
+        await chrome.windows.update(message.windowId, { focused: true });
+    }
+});
+
+backgroundRouter.on(MessageType.SEARCH_TABS, async (message) => {
+    const tabs = await chrome.tabs.query({});
+    const query = message.query?.toLowerCase() || '';
+    const filteredTabs = tabs.filter(tab => {
+        if (!tab.title || !tab.url) return false;
+        if (!query) return true;
+        return tab.title.toLowerCase().includes(query) ||
+            tab.url.toLowerCase().includes(query);
+    });
+    return { tabs: filteredTabs };
+});
+
+backgroundRouter.on(MessageType.GET_RECENT_TABS, async (message) => {
+    const tabs = await chrome.tabs.query({});
+    const storage = await chrome.storage.local.get([TAB_ACTIVITY_STORAGE_KEY]);
+    const activityData = storage[TAB_ACTIVITY_STORAGE_KEY] || {};
+
+    const tabsWithActivity = tabs
+        .filter(tab => tab.url && tab.title)
+        .map(tab => ({
+            ...tab,
+            lastActivity: activityData[tab.id] || 0
+        }))
+        .sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0))
+        .slice(0, message.limit || 5);
+
+    return { tabs: tabsWithActivity };
+});
+
+backgroundRouter.on(MessageType.SEARCH_BOOKMARKS, async (message) => {
+    const bookmarks = await chrome.bookmarks.search(message.query);
+    return { bookmarks: bookmarks.filter(bookmark => bookmark.url) };
+});
+
+backgroundRouter.on(MessageType.SEARCH_HISTORY, async (message) => {
+    const historyItems = await chrome.history.search({
+        text: message.query,
+        maxResults: 10,
+        startTime: Date.now() - (7 * 24 * 60 * 60 * 1000) // Last 7 days
+    });
+    return { history: historyItems };
+});
+
+backgroundRouter.on(MessageType.GET_TOP_SITES, async () => {
+    return { topSites: await chrome.topSites.get() };
+});
+
+backgroundRouter.on(MessageType.GET_AUTOCOMPLETE, async (message) => {
+    const dataProvider = backgroundSearchEngine.dataProvider;
+    return { suggestions: await dataProvider.getAutocompleteData(message.query) };
+});
+
+backgroundRouter.on(MessageType.GET_PINNED_TABS, async (message) => {
+    Logger.log('[Background] Getting pinned tabs from data provider...');
+    const dataProvider = backgroundSearchEngine.dataProvider;
+    const pinnedTabs = await dataProvider.getPinnedTabsData(message.query);
+    Logger.log('[Background] Sending pinned tabs response:', pinnedTabs.length, 'tabs');
+    return { pinnedTabs };
+});
+
+backgroundRouter.on(MessageType.GET_ACTIVE_SPACE_COLOR, async () => {
+    const spaces = await LocalStorage.getAllSpaces();
+
+    // Get the current active tab to determine which space it belongs to
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab || !activeTab.groupId || activeTab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        return { color: 'purple' };
+    }
+
+    // Find the space that matches the active tab's group
+    const activeSpace = spaces.find(space => space.id === activeTab.groupId);
+    return { color: activeSpace?.color || 'purple' };
+});
+
+// Handle search using the user's default search engine via chrome.search API
+backgroundRouter.on(MessageType.PERFORM_SEARCH, async (message) => {
+    // Determine disposition based on spotlight tab mode
+    const disposition = message.mode === SpotlightTabMode.NEW_TAB ? 'NEW_TAB' : 'CURRENT_TAB';
+    await chrome.search.query({
+        text: message.query,
+        disposition: disposition
+    });
+});
+
+// Spotlight suggestions requests from overlay.js and newtab.js
+backgroundRouter.on(MessageType.GET_SPOTLIGHT_SUGGESTIONS, async (message) => {
+    const query = message.query.trim();
+
+    // Get suggestions using the background search engine with debouncing
+    const results = query
+        ? await backgroundSearchEngine.getSpotlightSuggestionsUsingCache(query, message.mode)
+        : await backgroundSearchEngine.getSpotlightSuggestionsImmediate('', message.mode);
+    return { results };
+});
+
+// Spotlight result actions from overlay.js and newtab.js
+backgroundRouter.on(MessageType.SPOTLIGHT_HANDLE_RESULT, async (message, sender) => {
+    if (!message.result.type) {
+        throw new Error('Spotlight result has no type');
     }
 
-    return false; // No async response needed
+    // Use sender's tab ID if available (for new tab page), otherwise use provided tabId
+    const tabId = (sender.tab && sender.tab.id) ? sender.tab.id : message.tabId;
+
+    // Handle the result action (pass tabId for optimization, query for frecency learning)
+    await backgroundSearchEngine.handleResultAction(message.result, message.mode, tabId, message.query || '');
+});
+
+backgroundRouter.on(MessageType.RUN_SPOTLIGHT_COMMAND, async (message) => {
+    await backgroundSearchEngine.dataProvider.runCommand(message.command);
+});
+
+// Secondary actions on a Spotlight result (action menu and shortcuts)
+backgroundRouter.on(MessageType.GET_SPOTLIGHT_RESULT_ACTIONS, async (message) => {
+    const actions = await backgroundSearchEngine.getResultActions(message.result, message.mode);
+    return { actions };
 });
+
+backgroundRouter.on(MessageType.SPOTLIGHT_RESULT_ACTION, async (message, sender) => {
+    const tabId = (sender.tab && sender.tab.id) ? sender.tab.id : message.tabId;
+    await backgroundSearchEngine.handleSecondaryAction(message.result, message.action, message.mode, tabId, message.query || '');
+});
+
+// Track when spotlight opens and closes in a tab
+backgroundRouter.on(MessageType.SPOTLIGHT_OPENED, (message, sender) => {
+    if (sender.tab && sender.tab.id) {
+        spotlightOpenTabs.add(sender.tab.id);
+    }
+});
+
+backgroundRouter.on(MessageType.SPOTLIGHT_CLOSED, (message, sender) => {
+    if (sender.tab && sender.tab.id) {
+        spotlightOpenTabs.delete(sender.tab.id);
+    }
+});
+
+backgroundRouter.on(MessageType.ACTIVATE_PINNED_TAB, (message, sender) => {
+    // Only forward if this came from overlay mode (content script)
+    // Popup mode can send directly to sidebar, so don't forward to prevent double tabs
+    if (sender.tab) {
+        const { action, ...payload } = message;
+        MessageRouter.send(MessageType.ACTIVATE_PINNED_TAB, payload);
+    }
+});
+
+backgroundRouter.listen();
@@ -13,6 +13,7 @@
  * - Does not handle folder creation - defers to LocalStorage for that functionality
  */
 
+import { LocalStorage } from './localstorage.js';
 import { Logger } from './logger.js';
 
 export const BookmarkUtils = {
@@ -418,15 +419,8 @@ export const BookmarkUtils = {
         Logger.log(`[BookmarkUtils] Attempting to update bookmark for tab ${tab.id} in space ${activeSpace.name} to title: ${newTitle}`);
 
         try {
-            // Find the space folder - don't create it, that's LocalStorage's responsibility
-            const arcifyFolder = await this.findBarCatFolder();
-            if (!arcifyFolder) {
-                Logger.error(`[BookmarkUtils] BarCat folder not found for space ${activeSpace.name}.`);
-                return false;
-            }
-
-            const children = await chrome.bookmarks.getChildren(arcifyFolder.id);
-            const spaceFolder = children.find(f => f.title === activeSpace.name && !f.url);
+            // Find the space folder by id - don't create it, that's LocalStorage's responsibility
+            const spaceFolder = await LocalStorage.getSpaceFolder(activeSpace);
 
             if (!spaceFolder) {
                 Logger.error(`[BookmarkUtils] Space folder ${activeSpace.name} not found.`);
@@ -518,5 +512,80 @@ export const BookmarkUtils = {
             Logger.error('[BookmarkUtils] Error getting bookmarks:', error);
             return [];
         }
+    },
+
+    /**
+     * Whether an imported URL may become a pinned tab: web pages and the chrome:// pages BarCat pins.
+     * Anything else (javascript:, data:, file:, ...) would be opened by the sidebar as-is.
+     * @param {*} url - URL read from an import file
+     * @returns {boolean} True if the URL can be imported
+     */
+    isImportableUrl(url) {
+        if (typeof url !== 'string' || !/^(https?|chrome):/i.test(url)) return false;
+        try {
+            new URL(url);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Recursively create pinned tabs ({ title, url }) and folders ({ title, children }) in a bookmark folder,
+     * reusing folders with the same title and skipping URLs already there. Used by the Arc importer and the
+     * workspace backup import.
+     * @param {Array} nodes - Nodes to create, as read from an import file
+     * @param {string} parentId - Bookmark folder to create them in
+     * @param {Object} [result] - Counts to add to, used by the recursion
+     * @returns {Promise<{tabsCreated: number, foldersCreated: number, skipped: string[]}>} What was created and why entries were skipped
+     */
+    async importBookmarkNodes(nodes, parentId, result = { tabsCreated: 0, foldersCreated: 0, skipped: [] }) {
+        const existing = await chrome.bookmarks.getChildren(parentId);
+
+        for (const node of nodes) {
+            if (node && typeof node.url === 'string') {
+                if (!this.isImportableUrl(node.url)) {
+                    result.skipped.push(`Pinned tab with unsupported URL "${node.url}"`);
+                    continue;
+                }
+                if (existing.some(b => b.url === node.url)) {
+                    result.skipped.push(`Pinned tab "${node.url}" already exists`);
+                    continue;
+                }
+                const created = await chrome.bookmarks.create({ parentId, title: node.title || node.url, url: node.url });
+                existing.push(created);
+                result.tabsCreated++;
+            } else if (node && Array.isArray(node.children)) {
+                const title = node.title || 'Untitled Folder';
+                let folder = existing.find(b => !b.url && b.title === title);
+                if (!folder) {
+                    folder = await chrome.bookmarks.create({ parentId, title });
+                    existing.push(folder);
+                    result.foldersCreated++;
+                }
+                await this.importBookmarkNodes(node.children, folder.id, result);
+            } else {
+                result.skipped.push(`Unrecognized pinned entry "${node?.title ?? ''}"`);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Count the pinned tabs and folders in a tree of import nodes (see importBookmarkNodes)
+     * @param {Array} nodes - Nodes as read from an import file
+     * @returns {{tabs: number, folders: number}} Number of tabs and folders, nested ones included
+     */
+    countBookmarkNodes(nodes) {
+        return nodes.reduce((counts, node) => {
+            if (node?.url) {
+                counts.tabs++;
+            } else if (Array.isArray(node?.children)) {
+                const nested = this.countBookmarkNodes(node.children);
+                counts.folders += 1 + nested.folders;
+                counts.tabs += nested.tabs;
+            }
+            return counts;
+        }, { tabs: 0, folders: 0 });
     }
 };
\ No newline at end of file
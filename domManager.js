@@ -16,6 +16,9 @@ import { Utils } from './utils.js';
 import { RESTORE_ICON } from './icons.js';
 import { Logger } from './logger.js';
 import { LocalStorage } from './localstorage.js';
+import { MessageRouter, MessageType } from './message-router.js';
+import { TabSortKey, TAB_SORT_LABELS } from './tab-sorter.js';
+import { ThumbnailCache } from './thumbnail-cache.js';
 
 // DOM Elements
 const spacesList = document.getElementById('spacesList');
@@ -57,7 +60,7 @@ export function setupDOMElements(createNewSpace) {
     document.getElementById('createSpaceBtn').addEventListener('click', createNewSpace);
     newTabBtn.addEventListener('click', () => {
         // Trigger spotlight instead of creating a new tab
-        chrome.runtime.sendMessage({ command: "toggleSpotlightNewTab" });
+        MessageRouter.send(MessageType.TOGGLE_SPOTLIGHT_NEW_TAB);
     });
 
     const createSpaceColorSwatch = document.getElementById('createSpaceColorSwatch');
@@ -184,7 +187,7 @@ export function showTabContextMenu(x, y, tab, isPinned, isBookmarkOnly, tabEleme
         pinInSpaceOption.className = 'context-menu-item';
         pinInSpaceOption.textContent = isPinned ? 'Unpin Tab' : 'Pin Tab';
         pinInSpaceOption.addEventListener('click', () => {
-            chrome.runtime.sendMessage({ command: 'toggleSpacePin', tabId: tab.id });
+            MessageRouter.send(MessageType.TOGGLE_SPACE_PIN, { tabId: tab.id });
             contextMenu.remove();
         });
         contextMenu.appendChild(pinInSpaceOption);
@@ -240,8 +243,8 @@ export function showTabContextMenu(x, y, tab, isPinned, isBookmarkOnly, tabEleme
         });
 
         // Add inactive spaces
-        const activeSpaceNames = new Set(spaces.map(s => s.name));
-        const inactiveSpaceFolders = allBookmarkSpaceFolders.filter(f => !f.url && !activeSpaceNames.has(f.title));
+        const activeSpaceFolderIds = new Set(spaces.map(s => s.bookmarkFolderId));
+        const inactiveSpaceFolders = allBookmarkSpaceFolders.filter(f => !f.url && f.title !== '_Favorites' && !activeSpaceFolderIds.has(f.id));
 
         if (otherActiveSpaces.length > 0 && inactiveSpaceFolders.length > 0) {
             const separator = document.createElement('div');
@@ -255,7 +258,7 @@ export function showTabContextMenu(x, y, tab, isPinned, isBookmarkOnly, tabEleme
             submenuItem.textContent = folder.title;
             submenuItem.addEventListener('click', (e) => {
                 e.stopPropagation();
-                createSpaceFromInactive(folder.title, tab);
+                createSpaceFromInactive(folder, tab);
                 contextMenu.remove();
             });
             submenu.appendChild(submenuItem);
@@ -263,39 +266,7 @@ export function showTabContextMenu(x, y, tab, isPinned, isBookmarkOnly, tabEleme
 
         // Only add the "Move to" menu if there's somewhere to move to
         if (submenu.hasChildNodes()) {
-            moveToSpaceItem.appendChild(submenu);
-            contextMenu.appendChild(moveToSpaceItem);
-
-            // Adjust submenu position when it becomes visible
-            moveToSpaceItem.addEventListener('mouseenter', () => {
-                // Wait for next frame to ensure submenu is rendered
-                requestAnimationFrame(() => {
-                    const submenuRect = submenu.getBoundingClientRect();
-                    const parentRect = moveToSpaceItem.getBoundingClientRect();
-                    const viewportWidth = window.innerWidth;
-                    const viewportHeight = window.innerHeight;
-
-                    // Reset any previous adjustments
-                    submenu.style.left = '';
-                    submenu.style.right = '';
-                    submenu.style.top = '';
-                    submenu.style.bottom = '';
-
-                    // Check if submenu overflows right edge
-                    if (parentRect.right + submenuRect.width > viewportWidth) {
-                        // Position to the left of parent instead
-                        submenu.style.left = 'auto';
-                        submenu.style.right = '100%';
-                    }
-
-                    // Check if submenu overflows bottom edge
-                    if (parentRect.top + submenuRect.height > viewportHeight) {
-                        // Align to bottom instead of top
-                        submenu.style.top = 'auto';
-                        submenu.style.bottom = '0';
-                    }
-                });
-            });
+            attachSubmenu(contextMenu, moveToSpaceItem, submenu);
         }
     }
 
@@ -338,6 +309,188 @@ export function showTabContextMenu(x, y, tab, isPinned, isBookmarkOnly, tabEleme
     document.addEventListener('click', closeContextMenu, { capture: true });
 }
 
+// Appends a menu item with a submenu, flipping the submenu left/up when it would leave the viewport
+function attachSubmenu(contextMenu, menuItem, submenu) {
+    menuItem.appendChild(submenu);
+    contextMenu.appendChild(menuItem);
+
+    // Adjust submenu position when it becomes visible
+    menuItem.addEventListener('mouseenter', () => {
+        // Wait for next frame to ensure submenu is rendered
+        requestAnimationFrame(() => {
+            const submenuRect = submenu.getBoundingClientRect();
+            const parentRect = menuItem.getBoundingClientRect();
+            const viewportWidth = window.innerWidth;
+            const viewportHeight = window.innerHeight;
+
+            // Reset any previous adjustments
+            submenu.style.left = '';
+            submenu.style.right = '';
+            submenu.style.top = '';
+            submenu.style.bottom = '';
+
+            // Check if submenu overflows right edge
+            if (parentRect.right + submenuRect.width > viewportWidth) {
+                // Position to the left of parent instead
+                submenu.style.left = 'auto';
+                submenu.style.right = '100%';
+            }
+
+            // Check if submenu overflows bottom edge
+            if (parentRect.top + submenuRect.height > viewportHeight) {
+                // Align to bottom instead of top
+                submenu.style.top = 'auto';
+                submenu.style.bottom = '0';
+            }
+        });
+    });
+}
+
+function pluralize(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Context menu for a multi-tab selection. items are { tab, title, tabElement, isPinned, isBookmarkOnly } of the
+// selected tabs, folders the { name, element } pinned folders of the active space; every action gets the items
+// it applies to and handles them in one go (see the bulk actions in sidebar.js).
+export function showBulkTabContextMenu(x, y, items, { spaces, activeSpaceId, folders, actions }) {
+    document.getElementById('tab-context-menu')?.remove();
+
+    const contextMenu = document.createElement('div');
+    contextMenu.id = 'tab-context-menu';
+    contextMenu.className = 'context-menu';
+    contextMenu.style.position = 'fixed';
+    contextMenu.style.left = `${x}px`;
+    contextMenu.style.top = `${y}px`;
+
+    const openItems = items.filter(item => !item.isBookmarkOnly);
+    const temporaryItems = openItems.filter(item => !item.isPinned);
+    const pinnedItems = openItems.filter(item => item.isPinned);
+    const bookmarkItems = items.filter(item => item.isBookmarkOnly);
+
+    const addItem = (parent, label, onClick) => {
+        const menuItem = document.createElement('div');
+        menuItem.className = 'context-menu-item';
+        menuItem.textContent = label;
+        menuItem.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            contextMenu.remove(); // Close menu immediately, bulk actions can take a moment
+            try {
+                await onClick();
+            } catch (error) {
+                Logger.error('[ContextMenu] Bulk tab action failed:', label, error);
+            }
+        });
+        parent.appendChild(menuItem);
+    };
+    const addSeparator = () => {
+        const separator = document.createElement('div');
+        separator.className = 'context-menu-separator';
+        contextMenu.appendChild(separator);
+    };
+
+    if (temporaryItems.length > 0) {
+        addItem(contextMenu, `Pin ${pluralize(temporaryItems.length, 'Tab')}`, () => actions.pinTabs(temporaryItems));
+    }
+    if (pinnedItems.length > 0) {
+        addItem(contextMenu, `Unpin ${pluralize(pinnedItems.length, 'Tab')}`, () => actions.unpinTabs(pinnedItems));
+    }
+
+    const otherSpaces = spaces.filter(s => s.id !== activeSpaceId);
+    if (openItems.length > 0 && otherSpaces.length > 0) {
+        const moveToSpaceItem = document.createElement('div');
+        moveToSpaceItem.className = 'context-menu-item with-submenu';
+        moveToSpaceItem.textContent = 'Move to Space';
+        const submenu = document.createElement('div');
+        submenu.className = 'context-menu submenu';
+        otherSpaces.forEach(space => {
+            addItem(submenu, space.name, () => actions.moveToSpace(openItems, space.id));
+        });
+        attachSubmenu(contextMenu, moveToSpaceItem, submenu);
+    }
+
+    if (folders.length > 0) {
+        const moveToFolderItem = document.createElement('div');
+        moveToFolderItem.className = 'context-menu-item with-submenu';
+        moveToFolderItem.textContent = 'Move to Folder';
+        const submenu = document.createElement('div');
+        submenu.className = 'context-menu submenu';
+        folders.forEach(folder => {
+            addItem(submenu, folder.name, () => actions.moveToFolder(items, folder.element));
+        });
+        attachSubmenu(contextMenu, moveToFolderItem, submenu);
+    }
+
+    addSeparator();
+    addItem(contextMenu, 'Copy URLs', () => actions.copyUrls(items, 'list'));
+    addItem(contextMenu, 'Copy as Markdown', () => actions.copyUrls(items, 'markdown'));
+    addSeparator();
+
+    if (openItems.length > 0) {
+        addItem(contextMenu, `Archive ${pluralize(openItems.length, 'Tab')}`, () => actions.archiveTabs(openItems));
+        addItem(contextMenu, `Close ${pluralize(openItems.length, 'Tab')}`, () => actions.closeTabs(openItems));
+    }
+    if (bookmarkItems.length > 0) {
+        addItem(contextMenu, `Remove ${pluralize(bookmarkItems.length, 'Bookmark')}`, () => actions.removeBookmarks(bookmarkItems));
+    }
+
+    document.body.appendChild(contextMenu);
+    Utils.adjustMenuPosition(contextMenu, x, y);
+
+    const closeContextMenu = (e) => {
+        if (!contextMenu.contains(e.target)) {
+            contextMenu.remove();
+            document.removeEventListener('click', closeContextMenu, { capture: true });
+        }
+    };
+    document.addEventListener('click', closeContextMenu, { capture: true });
+}
+
+// Menu of the temporary section's "Sort" button: one-shot sorts plus the "group by domain" view toggle
+export function showSortTabsMenu(x, y, { groupByDomain, onSort, onToggleGroupByDomain }) {
+    document.getElementById('tab-context-menu')?.remove();
+
+    const contextMenu = document.createElement('div');
+    contextMenu.id = 'tab-context-menu';
+    contextMenu.className = 'context-menu';
+    contextMenu.style.position = 'fixed';
+    contextMenu.style.left = `${x}px`;
+    contextMenu.style.top = `${y}px`;
+
+    const addItem = (label, onClick) => {
+        const menuItem = document.createElement('div');
+        menuItem.className = 'context-menu-item';
+        menuItem.textContent = label;
+        menuItem.addEventListener('click', (e) => {
+            e.stopPropagation();
+            contextMenu.remove();
+            onClick();
+        });
+        contextMenu.appendChild(menuItem);
+    };
+
+    Object.values(TabSortKey).forEach(sortKey => {
+        addItem(`Sort by ${TAB_SORT_LABELS[sortKey]}`, () => onSort(sortKey));
+    });
+
+    const separator = document.createElement('div');
+    separator.className = 'context-menu-separator';
+    contextMenu.appendChild(separator);
+
+    addItem(groupByDomain ? '✓ Group by Domain' : 'Group by Domain', () => onToggleGroupByDomain(!groupByDomain));
+
+    document.body.appendChild(contextMenu);
+    Utils.adjustMenuPosition(contextMenu, x, y);
+
+    const closeContextMenu = (e) => {
+        if (!contextMenu.contains(e.target)) {
+            contextMenu.remove();
+            document.removeEventListener('click', closeContextMenu, { capture: true });
+        }
+    };
+    document.addEventListener('click', closeContextMenu, { capture: true });
+}
+
 export async function showArchivedTabsPopup(activeSpaceId) {
     const spaceElement = document.querySelector(`[data-space-id="${activeSpaceId}"]`);
     const popup = spaceElement.querySelector('.archived-tabs-popup');
@@ -430,7 +583,13 @@ export async function showArchivedTabsPopup(activeSpaceId) {
         allArchived.forEach(archivedTab => {
             const item = document.createElement('div');
             item.className = 'tab archived-item';
-            item.title = `${archivedTab.name}\n${archivedTab.url}\nArchived: ${new Date(archivedTab.archivedAt).toLocaleString()}`;
+            // Archived tabs reuse the thumbnail captured while they were open
+            attachHoverCard(item, async () => ({
+                title: archivedTab.name,
+                url: archivedTab.url,
+                archivedAt: archivedTab.archivedAt,
+                thumbnail: await ThumbnailCache.get(archivedTab.url)
+            }));
 
             const favicon = document.createElement('img');
             favicon.src = Utils.getFaviconUrl(archivedTab.url);
@@ -467,9 +626,10 @@ export async function showArchivedTabsPopup(activeSpaceId) {
 }
 
 // Toast notification for URL copy success
-export function showUrlCopyToast() {
+export function showUrlCopyToast(message = 'Copied current URL') {
     const toast = document.getElementById('urlCopyToast');
     if (!toast) return;
+    toast.textContent = message;
 
     // Clear any existing timeout
     if (toast.hideTimeout) {
@@ -486,106 +646,217 @@ export function showUrlCopyToast() {
     }, 2000);
 }
 
-export function setupQuickPinListener(moveTabToSpace, moveTabToPinned, moveTabToTemp, currentActiveSpaceId, setActiveSpaceFunc, activatePinnedTabByURL) {
-    chrome.runtime.onMessage.addListener(function (request, sender, sendResponse) {
-        if (request.command === "quickPinToggle" || request.command === "toggleSpacePin") {
-            Logger.log(`[QuickPin] Received command: ${request.command}`, { request });
-            chrome.storage.local.get('spaces', function (result) {
-                const spaces = result.spaces || [];
-                Logger.log("[QuickPin] Loaded spaces from storage:", spaces);
-
-                const getTabAndToggle = (tabToToggle) => {
-                    if (!tabToToggle) {
-                        Logger.error("[QuickPin] No tab found to toggle.");
-                        return;
-                    }
-                    Logger.log("[QuickPin] Toggling pin state for tab:", tabToToggle);
-
-                    const spaceWithTempTab = spaces.find(space =>
-                        space.temporaryTabs.includes(tabToToggle.id)
-                    );
-
-                    if (spaceWithTempTab) {
-                        Logger.log(`[QuickPin] Tab ${tabToToggle.id} is a temporary tab in space "${spaceWithTempTab.name}". Pinning it.`);
-                        moveTabToSpace(tabToToggle.id, spaceWithTempTab.id, true);
-                        moveTabToPinned(spaceWithTempTab, tabToToggle);
-                    } else {
-                        const spaceWithBookmark = spaces.find(space =>
-                            space.spaceBookmarks.includes(tabToToggle.id)
-                        );
-
-                        if (spaceWithBookmark) {
-                            Logger.log(`[QuickPin] Tab ${tabToToggle.id} is a bookmarked tab in space "${spaceWithBookmark.name}". Unpinning it.`);
-                            moveTabToSpace(tabToToggle.id, spaceWithBookmark.id, false);
-                            moveTabToTemp(spaceWithBookmark, tabToToggle);
-                        } else {
-                            Logger.warn(`[QuickPin] Tab ${tabToToggle.id} not found in any space as temporary or bookmarked.`);
-                        }
-                    }
-                };
-
-                if (request.command === "quickPinToggle") {
-                    Logger.log("[QuickPin] Handling quickPinToggle for active tab.");
-                    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-                        getTabAndToggle(tabs[0]);
-                    });
-                } else if (request.command === "toggleSpacePin" && request.tabId) {
-                    Logger.log(`[QuickPin] Handling toggleSpacePin for tabId: ${request.tabId}`);
-                    chrome.tabs.get(request.tabId, function (tab) {
-                        getTabAndToggle(tab);
-                    });
-                }
-            });
-        } else if (request.command === "copyCurrentUrl") {
-            // SIDEBAR FALLBACK: Handle URL copy when sidebar is focused
-            Logger.log(`[URLCopy] Sidebar fallback - copying URL: ${request.url}`);
-
-            // Use clipboard API to copy the URL
-            if (navigator.clipboard && request.url) {
-                navigator.clipboard.writeText(request.url).then(() => {
-                    Logger.log(`[URLCopy] Sidebar fallback succeeded: ${request.url}`);
-                    showUrlCopyToast(); // Show success toast
-                    sendResponse({ success: true });
-                }).catch(err => {
-                    Logger.error("[URLCopy] Sidebar fallback failed:", err);
-                    sendResponse({ success: false, error: err.message });
-                });
-            } else {
-                Logger.error("[URLCopy] Sidebar fallback failed: navigator.clipboard not available or no URL");
-                sendResponse({ success: false, error: "Clipboard API not available" });
-            }
-            return true; // Indicate async response
-        } else if (request.action === "urlCopySuccess") {
-            // Show toast when URL copy succeeds via script injection
-            Logger.log("[URLCopy] Received success message from background script");
-            showUrlCopyToast();
-            sendResponse({ success: true });
-            return false; // Synchronous response
-        } else if (request.action === "spotlightOpened") {
-            Logger.log("[Spotlight] Spotlight opened with mode:", request.mode);
-            // Highlight new tab button if spotlight is in new-tab mode
-            const newTabBtn = document.getElementById('newTabBtn');
-            if (request.mode === 'new-tab' && newTabBtn) {
-                newTabBtn.classList.add('spotlight-active');
-            }
-        } else if (request.action === "spotlightClosed") {
-            Logger.log("[Spotlight] Spotlight closed");
-            // Remove highlighting from new tab button
-            const newTabBtn = document.getElementById('newTabBtn');
-            if (newTabBtn) {
-                newTabBtn.classList.remove('spotlight-active');
-            }
-        } else if (request.action === "activatePinnedTab") {
-            Logger.log("[Spotlight] Activating pinned tab:", request);
+// Banner above the New Tab button offering to switch to an already open copy of a page. Only one is shown at a
+// time; it goes away on either button or after a few seconds, which counts as keeping both tabs.
+export function showDuplicateTabPrompt({ message, onSwitch, onKeep }) {
+    const container = document.getElementById('urlCopyToast')?.parentElement;
+    if (!container) return;
+    container.querySelector('.duplicate-tab-prompt')?.dismiss();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'duplicate-tab-prompt';
+
+    const text = document.createElement('span');
+    text.className = 'duplicate-tab-prompt-message';
+    text.textContent = message;
+
+    const switchButton = document.createElement('button');
+    switchButton.textContent = 'Switch';
+    const keepButton = document.createElement('button');
+    keepButton.textContent = 'Keep Both';
+
+    let hideTimeout = null;
+    prompt.dismiss = () => {
+        clearTimeout(hideTimeout);
+        prompt.remove();
+    };
+    switchButton.addEventListener('click', () => {
+        prompt.dismiss();
+        onSwitch();
+    });
+    keepButton.addEventListener('click', () => {
+        prompt.dismiss();
+        onKeep?.();
+    });
 
-            // Switch to the space if needed
-            if (request.spaceId && currentActiveSpaceId !== request.spaceId) {
-                Logger.log("[Spotlight] Switching to space:", request.spaceId, request.spaceName);
-                setActiveSpaceFunc(request.spaceId);
-            }
+    prompt.append(text, switchButton, keepButton);
+    container.appendChild(prompt);
+    hideTimeout = setTimeout(prompt.dismiss, 8000);
+}
+
+// --- Hover cards ---
+const HOVER_CARD_DELAY_MS = 500;
+let hoverCardThumbnailUrl = null; // Object URL of the shown thumbnail, revoked when the card hides
+
+function formatTimeAgo(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} hr ago`;
+    const days = Math.round(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+// details: { title, url, spaceName, lastActiveAt, archivedAt, isBookmarkOnly, discarded, audible, muted, thumbnail }
+// where thumbnail is a ThumbnailCache record. The card sits below the row, or above it near the bottom edge.
+export function showTabHoverCard(anchor, details) {
+    hideTabHoverCard();
+
+    const card = document.createElement('div');
+    card.className = 'tab-hover-card';
+
+    if (details.thumbnail?.blob) {
+        hoverCardThumbnailUrl = URL.createObjectURL(details.thumbnail.blob);
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'tab-hover-card-thumbnail';
+        thumbnail.src = hoverCardThumbnailUrl;
+        thumbnail.alt = '';
+        card.appendChild(thumbnail);
+    }
+
+    const title = document.createElement('div');
+    title.className = 'tab-hover-card-title';
+    title.textContent = details.title || details.url;
+    const url = document.createElement('div');
+    url.className = 'tab-hover-card-url';
+    url.textContent = details.url;
+    card.append(title, url);
+
+    const meta = [];
+    if (details.spaceName) meta.push(details.spaceName);
+    if (details.archivedAt) meta.push(`Archived ${formatTimeAgo(details.archivedAt)}`);
+    else if (details.isBookmarkOnly) meta.push('Not open');
+    else if (details.lastActiveAt) meta.push(`Active ${formatTimeAgo(details.lastActiveAt)}`);
+    if (details.discarded) meta.push('Sleeping');
+    if (details.audible) meta.push(details.muted ? 'Muted' : 'Playing audio');
+    else if (details.muted) meta.push('Muted');
+    if (meta.length > 0) {
+        const metaLine = document.createElement('div');
+        metaLine.className = 'tab-hover-card-meta';
+        metaLine.textContent = meta.join(' · ');
+        card.appendChild(metaLine);
+    }
 
-            // Use the utility function to handle pinned tab activation
-            activatePinnedTabByURL(request.bookmarkUrl, request.spaceId, request.spaceName);
+    document.body.appendChild(card);
+    const rect = anchor.getBoundingClientRect();
+    const cardHeight = card.offsetHeight;
+    const top = rect.bottom + 4 + cardHeight > window.innerHeight
+        ? Math.max(4, rect.top - 4 - cardHeight)
+        : rect.bottom + 4;
+    card.style.top = `${top}px`;
+}
+
+export function hideTabHoverCard() {
+    document.querySelectorAll('.tab-hover-card').forEach(card => card.remove());
+    if (hoverCardThumbnailUrl) {
+        URL.revokeObjectURL(hoverCardThumbnailUrl);
+        hoverCardThumbnailUrl = null;
+    }
+}
+
+// Show a hover card after the pointer rests on element; getDetails resolves with showTabHoverCard's details
+export function attachHoverCard(element, getDetails) {
+    let timer = null;
+    let hovered = false;
+    const hide = () => {
+        hovered = false;
+        clearTimeout(timer);
+        hideTabHoverCard();
+    };
+    element.addEventListener('mouseenter', () => {
+        hovered = true;
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const details = await getDetails();
+            if (hovered && details && element.isConnected) showTabHoverCard(element, details);
+        }, HOVER_CARD_DELAY_MS);
+    });
+    element.addEventListener('mouseleave', hide);
+    element.addEventListener('mousedown', hide);
+    element.addEventListener('dragstart', hide);
+}
+
+// Pin a temporary tab or unpin a pinned one. The background space store asks the sidebar of the tab's
+// window to do this (quick pin shortcut, context menu) because the sidebar owns the DOM for its spaces.
+export function toggleTabPin(tab, spaces, moveTabToSpace, moveTabToPinned, moveTabToTemp) {
+    if (!tab) {
+        Logger.error("[QuickPin] No tab found to toggle.");
+        return;
+    }
+    Logger.log("[QuickPin] Toggling pin state for tab:", tab);
+
+    const spaceWithTempTab = spaces.find(space =>
+        space.temporaryTabs.includes(tab.id)
+    );
+
+    if (spaceWithTempTab) {
+        Logger.log(`[QuickPin] Tab ${tab.id} is a temporary tab in space "${spaceWithTempTab.name}". Pinning it.`);
+        moveTabToSpace(tab.id, spaceWithTempTab.id, true);
+        moveTabToPinned(spaceWithTempTab, tab);
+    } else {
+        const spaceWithBookmark = spaces.find(space =>
+            space.spaceBookmarks.includes(tab.id)
+        );
+
+        if (spaceWithBookmark) {
+            Logger.log(`[QuickPin] Tab ${tab.id} is a bookmarked tab in space "${spaceWithBookmark.name}". Unpinning it.`);
+            moveTabToSpace(tab.id, spaceWithBookmark.id, false);
+            moveTabToTemp(spaceWithBookmark, tab);
+        } else {
+            Logger.warn(`[QuickPin] Tab ${tab.id} not found in any space as temporary or bookmarked.`);
+        }
+    }
+}
+
+// Registers the sidebar's handlers for background and spotlight messages on the sidebar's router;
+// getActiveSpaceId reads the sidebar's active space when a message arrives, not when this is set up
+export function setupQuickPinListener(router, getActiveSpaceId, setActiveSpaceFunc, activatePinnedTabByURL) {
+    // SIDEBAR FALLBACK: Handle URL copy when sidebar is focused
+    router.on(MessageType.COPY_CURRENT_URL, async (message) => {
+        Logger.log(`[URLCopy] Sidebar fallback - copying URL: ${message.url}`);
+        if (!navigator.clipboard) {
+            throw new Error("Clipboard API not available");
+        }
+        await navigator.clipboard.writeText(message.url);
+        Logger.log(`[URLCopy] Sidebar fallback succeeded: ${message.url}`);
+        showUrlCopyToast(); // Show success toast
+    });
+
+    // Show toast when URL copy succeeds via script injection
+    router.on(MessageType.URL_COPY_SUCCESS, () => {
+        Logger.log("[URLCopy] Received success message from background script");
+        showUrlCopyToast();
+    });
+
+    router.on(MessageType.SPOTLIGHT_OPENED, (message) => {
+        Logger.log("[Spotlight] Spotlight opened with mode:", message.mode);
+        // Highlight new tab button if spotlight is in new-tab mode
+        const newTabBtn = document.getElementById('newTabBtn');
+        if (message.mode === 'new-tab' && newTabBtn) {
+            newTabBtn.classList.add('spotlight-active');
         }
     });
+
+    router.on(MessageType.SPOTLIGHT_CLOSED, () => {
+        Logger.log("[Spotlight] Spotlight closed");
+        // Remove highlighting from new tab button
+        const newTabBtn = document.getElementById('newTabBtn');
+        if (newTabBtn) {
+            newTabBtn.classList.remove('spotlight-active');
+        }
+    });
+
+    router.on(MessageType.ACTIVATE_PINNED_TAB, (message) => {
+        Logger.log("[Spotlight] Activating pinned tab:", message);
+
+        // Switch to the space if needed, without activating its last tab: the pinned tab is activated below
+        if (message.spaceId && getActiveSpaceId() !== message.spaceId) {
+            Logger.log("[Spotlight] Switching to space:", message.spaceId, message.spaceName);
+            setActiveSpaceFunc(message.spaceId, false);
+        }
+
+        // Use the utility function to handle pinned tab activation
+        activatePinnedTabByURL(message.bookmarkUrl, message.spaceId, message.spaceName);
+    });
 }
@@ -38,6 +38,12 @@ class InstallationOnboarding {
         }
         document.getElementById('spotlightToggle').addEventListener('click', () => this.toggleSpotlight());
 
+        // Arc importer lives on the options page
+        const arcImportBtn = document.getElementById('arcImportBtn');
+        if (arcImportBtn) {
+            arcImportBtn.addEventListener('click', () => this.openArcImport());
+        }
+
         // Progress dots
         document.querySelectorAll('.progress-dot').forEach((dot, index) => {
             dot.addEventListener('click', () => this.goToStep(index + 1));
@@ -158,6 +164,10 @@ class InstallationOnboarding {
         this.saveSettings();
     }
 
+    openArcImport() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('options.html#arc-import') });
+    }
+
     loadSettings() {
         // Load settings from chrome.storage if available
         if (chrome.storage && chrome.storage.sync) {
@@ -10,10 +10,19 @@
  * - Provides bookmark-based storage as alternative to chrome.storage
  * - Used for space bookmark functionality (separate from main space data in chrome.storage)
  * - Handles bookmark folder creation and organization automatically
+ * - Space folders are resolved by id through persisted space identities (uuid ↔ folder id ↔ group id),
+ *   never by title, so renames and duplicate names don't split a space's pinned tabs
+ * - Live space state is stored per window ("spaces:<windowId>") and written only by the background space
+ *   store (space-store.js); readers that don't care about windows use getAllSpaces()
  */
 
 import { Logger } from './logger.js';
 
+const SPACE_IDENTITIES_KEY = 'spaceIdentities';
+const SPACE_IDENTITIES_SESSION_KEY = 'spaceIdentitiesSession'; // chrome.storage.session: set once group ids are checked
+const WINDOW_SPACES_KEY_PREFIX = 'spaces:';
+const LEGACY_SPACES_KEY = 'spaces';
+
 const LocalStorage = {
     getOrCreateBarCatFolder: async function () {
         let [folder] = await chrome.bookmarks.search({ title: 'BarCat' });
@@ -120,20 +129,230 @@ const LocalStorage = {
         }
     },
 
-    getOrCreateSpaceFolder: async function (spaceName) {
-        const arcifyFolder = await this.getOrCreateBarCatFolder();
-        const children = await chrome.bookmarks.getChildren(arcifyFolder.id);
-        let spaceFolder = children.find((f) => f.title === spaceName);
+    // Spaces shown in one window's sidebar, in switcher order
+    getWindowSpaces: async function (windowId) {
+        const key = WINDOW_SPACES_KEY_PREFIX + windowId;
+        const result = await chrome.storage.local.get(key);
+        return result[key] || [];
+    },
+
+    saveWindowSpaces: async function (windowId, spaces) {
+        await chrome.storage.local.set({ [WINDOW_SPACES_KEY_PREFIX + windowId]: spaces });
+    },
+
+    removeWindowSpaces: async function (windowId) {
+        await chrome.storage.local.remove(WINDOW_SPACES_KEY_PREFIX + windowId);
+    },
+
+    // Spaces of every window, each tagged with its windowId. Group and tab ids are unique across
+    // windows, so lookups by either work on the combined list.
+    getAllSpaces: async function () {
+        const all = await chrome.storage.local.get(null);
+        return Object.keys(all)
+            .filter(key => key.startsWith(WINDOW_SPACES_KEY_PREFIX))
+            .flatMap(key => {
+                const windowId = Number(key.slice(WINDOW_SPACES_KEY_PREFIX.length));
+                return (all[key] || []).map(space => ({ ...space, windowId }));
+            });
+    },
+
+    // Window ids don't survive a restart; drop state for windows that are gone and the
+    // pre-multi-window "spaces" key
+    pruneWindowSpaces: async function (liveWindowIds) {
+        const all = await chrome.storage.local.get(null);
+        const live = new Set(liveWindowIds.map(String));
+        const staleKeys = Object.keys(all).filter(key =>
+            key === LEGACY_SPACES_KEY ||
+            (key.startsWith(WINDOW_SPACES_KEY_PREFIX) && !live.has(key.slice(WINDOW_SPACES_KEY_PREFIX.length)))
+        );
+        if (staleKeys.length > 0) {
+            Logger.log('[LocalStorage] Removing space state of closed windows:', staleKeys);
+            await chrome.storage.local.remove(staleKeys);
+        }
+    },
+
+    // Space identities map uuid -> { uuid, folderId, groupId }. The uuid and bookmark folder id are
+    // durable; the group id is rebound whenever Chrome hands the space a new tab group.
+    getSpaceIdentities: async function () {
+        const result = await chrome.storage.local.get(SPACE_IDENTITIES_KEY);
+        return result[SPACE_IDENTITIES_KEY] || {};
+    },
+
+    saveSpaceIdentities: async function (identities) {
+        await chrome.storage.local.set({ [SPACE_IDENTITIES_KEY]: identities });
+    },
+
+    // Bind a space folder to a tab group, reusing the identity already recorded for the uuid or folder
+    bindSpaceIdentity: async function (folderId, groupId, uuid = null) {
+        const identities = await this.getSpaceIdentities();
+        let identity = (uuid && identities[uuid]) || Object.values(identities).find(i => i.folderId === folderId);
+        if (identity && identity.folderId === folderId && identity.groupId === (groupId ?? null)) {
+            return identity; // Already bound, avoid a redundant storage write
+        }
+        if (!identity) {
+            identity = { uuid: uuid || this.generateUUID() };
+        }
+        identity.folderId = folderId;
+        identity.groupId = groupId ?? null;
+        identities[identity.uuid] = identity;
+        await this.saveSpaceIdentities(identities);
+        return identity;
+    },
+
+    // Merge extra fields (e.g. the preferred color for an inactive space) into an identity
+    updateSpaceIdentity: async function (uuid, changes) {
+        const identities = await this.getSpaceIdentities();
+        if (!identities[uuid]) return null;
+        identities[uuid] = { ...identities[uuid], ...changes, uuid };
+        await this.saveSpaceIdentities(identities);
+        return identities[uuid];
+    },
+
+    // Identities whose tab group is open in any window
+    getOpenSpaceIdentities: async function () {
+        const groups = await chrome.tabGroups.query({});
+        const liveGroupIds = new Set(groups.map(g => g.id));
+        const identities = await this.getSpaceIdentities();
+        return Object.values(identities).filter(i => liveGroupIds.has(i.groupId));
+    },
+
+    getSpaceIdentityByFolderId: async function (folderId) {
+        const identities = await this.getSpaceIdentities();
+        return Object.values(identities).find(i => i.folderId === folderId) || null;
+    },
+
+    removeSpaceIdentity: async function (uuid) {
+        const identities = await this.getSpaceIdentities();
+        if (identities[uuid]) {
+            delete identities[uuid];
+            await this.saveSpaceIdentities(identities);
+        }
+    },
+
+    // Resolve the bookmark folder of a space by id (space.bookmarkFolderId, then its identity)
+    getSpaceFolder: async function (space) {
+        if (!space) return null;
+        let folderId = space.bookmarkFolderId;
+        if (!folderId && space.uuid) {
+            const identities = await this.getSpaceIdentities();
+            folderId = identities[space.uuid]?.folderId;
+        }
+        if (!folderId) return null;
+        try {
+            const [folder] = await chrome.bookmarks.get(folderId);
+            return folder && !folder.url ? folder : null;
+        } catch (error) {
+            // Folder was removed outside of BarCat
+            Logger.warn('[LocalStorage] Space folder not found:', folderId, space.name);
+            return null;
+        }
+    },
+
+    // Get the space's folder, creating and binding a new one if it has none yet.
+    // Records the resolved uuid and bookmarkFolderId on the space object.
+    getOrCreateSpaceFolder: async function (space) {
+        let spaceFolder = await this.getSpaceFolder(space);
 
         if (!spaceFolder) {
+            const barCatFolder = await this.getOrCreateBarCatFolder();
             spaceFolder = await chrome.bookmarks.create({
-                parentId: arcifyFolder.id,
-                title: spaceName
+                parentId: barCatFolder.id,
+                title: space.name
             });
         }
+        const identity = await this.bindSpaceIdentity(spaceFolder.id, space.id, space.uuid);
+        space.uuid = identity.uuid;
+        space.bookmarkFolderId = spaceFolder.id;
         return spaceFolder;
     },
 
+    // Group ids only hold within one browser session: after a restart Chrome hands the same ids to other
+    // groups. The first resolve of a session (chrome.storage.session starts empty) keeps a stored group id
+    // only if the live group with that id still carries the space folder's title, and forgets the rest so
+    // the title pass rebinds them. Later resolves in the session trust the ids, so renaming a group keeps its folder.
+    _forgetStaleGroupIds: async function (identities, liveGroups, foldersById) {
+        const { [SPACE_IDENTITIES_SESSION_KEY]: checked } = await chrome.storage.session.get(SPACE_IDENTITIES_SESSION_KEY);
+        if (checked) return;
+        const liveGroupsById = new Map(liveGroups.map(g => [g.id, g]));
+        for (const identity of Object.values(identities)) {
+            if (identity.groupId == null) continue;
+            const group = liveGroupsById.get(identity.groupId);
+            if (!group || group.title !== foldersById.get(identity.folderId)?.title) {
+                identity.groupId = null;
+            }
+        }
+        await chrome.storage.session.set({ [SPACE_IDENTITIES_SESSION_KEY]: true });
+    },
+
+    // Match tab groups to their space folders. Returns a Map of groupId -> { uuid, folder }.
+    // Order of precedence: identity already bound to the group id, identity whose group is gone
+    // (Chrome reassigns ids after a restart) with a matching folder title, legacy unbound folder
+    // with a matching title, and finally a newly created folder.
+    // liveGroups are the groups of all windows: an identity bound to a group that is open in another
+    // window is never taken over by a same-titled group in this one.
+    resolveSpaceIdentities: async function (groups, liveGroups = groups) {
+        const barCatFolder = await this.getOrCreateBarCatFolder();
+        const children = await chrome.bookmarks.getChildren(barCatFolder.id);
+        const folders = children.filter(f => !f.url && f.title !== '_Favorites');
+        const foldersById = new Map(folders.map(f => [f.id, f]));
+
+        const identities = await this.getSpaceIdentities();
+        for (const uuid of Object.keys(identities)) {
+            if (!foldersById.has(identities[uuid].folderId)) {
+                Logger.log('[LocalStorage] Dropping identity for removed space folder:', identities[uuid]);
+                delete identities[uuid];
+            }
+        }
+        await this._forgetStaleGroupIds(identities, liveGroups, foldersById);
+
+        const liveGroupIds = new Set(liveGroups.map(g => g.id));
+        const identifiedFolderIds = new Set(Object.values(identities).map(i => i.folderId));
+        const claimedFolderIds = new Set();
+        const bindings = new Map();
+
+        const claim = (group, identity) => {
+            identity.groupId = group.id;
+            identities[identity.uuid] = identity;
+            claimedFolderIds.add(identity.folderId);
+            bindings.set(group.id, { uuid: identity.uuid, folder: foldersById.get(identity.folderId) });
+        };
+        const unbound = () => groups.filter(g => !bindings.has(g.id));
+
+        for (const group of groups) {
+            const identity = Object.values(identities).find(i => i.groupId === group.id && !claimedFolderIds.has(i.folderId));
+            if (identity) claim(group, identity);
+        }
+
+        for (const group of unbound()) {
+            const identity = Object.values(identities).find(i =>
+                !liveGroupIds.has(i.groupId) &&
+                !claimedFolderIds.has(i.folderId) &&
+                foldersById.get(i.folderId).title === group.title
+            );
+            if (identity) claim(group, identity);
+        }
+
+        for (const group of unbound()) {
+            const folder = folders.find(f => f.title === group.title && !identifiedFolderIds.has(f.id) && !claimedFolderIds.has(f.id));
+            if (folder) {
+                claim(group, { uuid: this.generateUUID(), folderId: folder.id });
+            }
+        }
+
+        for (const group of unbound()) {
+            Logger.log('[LocalStorage] Creating space folder for group:', group.title);
+            const folder = await chrome.bookmarks.create({
+                parentId: barCatFolder.id,
+                title: group.title
+            });
+            foldersById.set(folder.id, folder);
+            claim(group, { uuid: this.generateUUID(), folderId: folder.id });
+        }
+
+        await this.saveSpaceIdentities(identities);
+        return bindings;
+    },
+
     // --- Recursive Helper Function to Merge Contents ---
     _mergeFolderContentsRecursive: async function (sourceFolderId, targetFolderId) {
         Logger.log(`Recursively merging contents from ${sourceFolderId} into ${targetFolderId}`);
@@ -187,6 +406,10 @@ const LocalStorage = {
             const children = await chrome.bookmarks.getChildren(arcifyFolder.id);
             const folders = children.filter(item => !item.url); // Keep only folders
 
+            // Folders bound to a space identity are distinct spaces even when they share a name
+            const identities = await this.getSpaceIdentities();
+            const boundFolderIds = new Set(Object.values(identities).map(i => i.folderId));
+
             const folderGroups = new Map();
             folders.forEach(folder => {
                 const name = folder.title;
@@ -198,13 +421,16 @@ const LocalStorage = {
 
             for (const [name, group] of folderGroups.entries()) {
                 if (group.length > 1) {
-                    Logger.log(`Found ${group.length} folders named "${name}". Merging...`);
                     // Sort by dateAdded (oldest first) or just pick the first one
                     group.sort((a, b) => a.dateAdded - b.dateAdded); // Optional: Keep the oldest
-                    const targetFolder = group[0]; // Keep the first/oldest one
+                    const targetFolder = group.find(f => boundFolderIds.has(f.id)) || group[0];
+                    const sourceFolders = group.filter(f => f !== targetFolder && !boundFolderIds.has(f.id));
+                    if (sourceFolders.length === 0) {
+                        continue;
+                    }
+                    Logger.log(`Found ${group.length} folders named "${name}". Merging ${sourceFolders.length} unbound duplicate(s)...`);
 
-                    for (let i = 1; i < group.length; i++) {
-                        const sourceFolder = group[i];
+                    for (const sourceFolder of sourceFolders) {
                         Logger.log(`Merging duplicate folder ID ${sourceFolder.id} ("${sourceFolder.title}") into target ${targetFolder.id}`);
                         try {
                             // Call the recursive helper to merge contents
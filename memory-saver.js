@@ -0,0 +1,118 @@
+/**
+ * MemorySaver - Puts tabs to sleep (chrome.tabs.discard) in spaces that are out of sight
+ *
+ * Purpose: Frees the memory held by tabs in inactive spaces, and by tabs left idle in the active one
+ * Key Functions: Picking the tabs to discard in every window, unsaved form check for pinned tabs, the periodic check
+ * Architecture: Static helpers run by background.js from its chrome.alarms listener (memorySaverAlarm)
+ *
+ * Critical Notes:
+ * - A window's active space is the tab group of its active tab; ungrouped tabs count as part of the active space
+ * - Tabs in other spaces sleep after memorySaverInactiveSpaceMinutes, tabs in the active space after the
+ *   longer memorySaverIdleMinutes, both measured from tabLastActivity (falling back to Chrome's lastAccessed)
+ * - Never discarded: active, audible, already discarded and non auto-discardable tabs, and pinned tabs (favorites
+ *   and space-pinned) with text typed into a form, since a discarded tab reloads without it
+ * - Discarded tabs keep their id, group and position, so spaces and the sidebar only see a "discarded" update
+ * - Chrome reloads a discarded tab itself once it is activated; reloading it again here would load it twice
+ */
+
+import { Utils } from './utils.js';
+import { LocalStorage } from './localstorage.js';
+import { Logger } from './logger.js';
+
+const MemorySaver = {
+    // Minutes between checks: alarms fire at most once a minute, and checking at half the shortest delay keeps
+    // tabs from staying awake much longer than configured
+    getCheckPeriodMinutes: function (settings) {
+        return Math.max(1, Math.min(settings.memorySaverInactiveSpaceMinutes, settings.memorySaverIdleMinutes) / 2);
+    },
+
+    isEnabled: function (settings) {
+        return Boolean(settings.memorySaverEnabled) &&
+            settings.memorySaverInactiveSpaceMinutes > 0 &&
+            settings.memorySaverIdleMinutes > 0;
+    },
+
+    // tabs: every tab across windows; lastActivity: { [tabId]: timestamp }; pinnedTabIds: space-pinned tab ids.
+    // Returns { tab, mayHaveForm } for the tabs whose delay has passed.
+    getDiscardCandidates: function (tabs, { lastActivity = {}, pinnedTabIds = new Set(), settings, now = Date.now() }) {
+        const activeGroupByWindow = new Map(tabs.filter(tab => tab.active).map(tab => [tab.windowId, tab.groupId]));
+        const inactiveSpaceMillis = settings.memorySaverInactiveSpaceMinutes * 60 * 1000;
+        const idleMillis = settings.memorySaverIdleMinutes * 60 * 1000;
+
+        const candidates = [];
+        for (const tab of tabs) {
+            if (tab.active || tab.audible || tab.discarded || tab.autoDiscardable === false) continue;
+            // Chrome won't discard a tab that hasn't loaded anything yet
+            if (!tab.url && !tab.pendingUrl) continue;
+
+            const isInActiveSpace = tab.groupId < 0 || tab.groupId === activeGroupByWindow.get(tab.windowId);
+            const delay = isInActiveSpace ? idleMillis : inactiveSpaceMillis;
+            const lastActive = lastActivity[tab.id] || tab.lastAccessed || 0;
+            if (now - lastActive < delay) continue;
+
+            candidates.push({ tab, mayHaveForm: tab.pinned || pinnedTabIds.has(tab.id) });
+        }
+        return candidates;
+    },
+
+    // True when a field on the page holds something other than what the page loaded with. Pages that can't be
+    // scripted (chrome://, the web store) count as having input, so they are left awake.
+    hasUnsavedFormInput: async function (tabId) {
+        try {
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => {
+                    const edited = Array.from(document.querySelectorAll('input, textarea, select')).some(field => {
+                        if (field.disabled) return false;
+                        if (field.tagName === 'SELECT') {
+                            return Array.from(field.options).some(option => option.selected !== option.defaultSelected);
+                        }
+                        if (field.type === 'checkbox' || field.type === 'radio') {
+                            return field.checked !== field.defaultChecked;
+                        }
+                        if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(field.type)) return false;
+                        return field.value !== field.defaultValue;
+                    });
+                    const editable = Array.from(document.querySelectorAll('[contenteditable=""], [contenteditable="true"]'))
+                        .some(el => el.textContent.trim().length > 0);
+                    return edited || editable;
+                }
+            });
+            return Boolean(injection?.result);
+        } catch (error) {
+            Logger.log('[MemorySaver] Could not check forms, keeping tab awake:', tabId, error?.message);
+            return true;
+        }
+    },
+
+    // Discard every tab whose delay has passed; resolves with the number of tabs put to sleep
+    runCheck: async function () {
+        const settings = await Utils.getSettings();
+        if (!this.isEnabled(settings)) return 0;
+
+        const [tabs, lastActivity, spaces] = await Promise.all([
+            chrome.tabs.query({}),
+            Utils.getTabLastActivity(),
+            LocalStorage.getAllSpaces()
+        ]);
+        const pinnedTabIds = new Set(spaces.flatMap(space => space.spaceBookmarks || []));
+
+        let discarded = 0;
+        for (const { tab, mayHaveForm } of this.getDiscardCandidates(tabs, { lastActivity, pinnedTabIds, settings })) {
+            if (mayHaveForm && await this.hasUnsavedFormInput(tab.id)) continue;
+            try {
+                await chrome.tabs.discard(tab.id);
+                discarded++;
+            } catch (error) {
+                // The tab closed, became active or was refused by Chrome since the query
+                Logger.log('[MemorySaver] Could not discard tab:', tab.id, error?.message);
+            }
+        }
+        if (discarded > 0) {
+            Logger.log(`[MemorySaver] Put ${discarded} tabs to sleep`);
+        }
+        return discarded;
+    }
+};
+
+export { MemorySaver };
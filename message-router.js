@@ -0,0 +1,291 @@
+/**
+ * Message Router - Typed runtime messages between background, sidebar and spotlight
+ *
+ * Purpose: One place that names every message, checks its payload and shapes its response
+ * Key Functions: Message type registry with payload schemas, per-context routers, send with timeouts
+ * Architecture: MESSAGE_SCHEMAS describes each type; a MessageRouter instance dispatches the types its
+ *               context handles, MessageRouter.send()/sendToTab() build, validate and time out requests
+ *
+ * Critical Notes:
+ * - Wire format is { action: <type>, ...payload }; responses are { success: true, ...data } or the error
+ *   envelope { success: false, error: <message>, code: <MessageErrorCode> }
+ * - Every extension page receives every runtime message, so a router only answers the types whose schema
+ *   targets its context and that it has a handler for; the background router also rejects unknown types
+ * - Payload fields are '<type>' or '<type>?' (optional); fields not in the schema are rejected
+ * - Notifications (notify: true) get no response; send() resolves them as soon as they are posted
+ * - send() never throws: timeouts, missing receivers and invalid payloads come back as error envelopes
+ */
+
+import { Logger } from './logger.js';
+
+const MessageContext = {
+    BACKGROUND: 'background',
+    SIDEBAR: 'sidebar',
+    SPOTLIGHT: 'spotlight'
+};
+
+const MessageErrorCode = {
+    UNKNOWN_MESSAGE: 'unknown-message',
+    INVALID_MESSAGE: 'invalid-message',
+    HANDLER_ERROR: 'handler-error',
+    NO_RECEIVER: 'no-receiver',
+    TIMEOUT: 'timeout'
+};
+
+const MessageType = {
+    // Background
+    TOGGLE_SPACE_PIN: 'toggleSpacePin',
+    TOGGLE_SPOTLIGHT: 'toggleSpotlight',
+    TOGGLE_SPOTLIGHT_NEW_TAB: 'toggleSpotlightNewTab',
+    UPDATE_AUTO_ARCHIVE_SETTINGS: 'updateAutoArchiveSettings',
+    OPEN_NEW_TAB: 'openNewTab',
+    NAVIGATE_CURRENT_TAB: 'navigateCurrentTab',
+    NAVIGATE_TO_DEFAULT_NEW_TAB: 'navigateToDefaultNewTab',
+    SWITCH_TO_TAB: 'switchToTab',
+    SEARCH_TABS: 'searchTabs',
+    GET_RECENT_TABS: 'getRecentTabs',
+    SEARCH_BOOKMARKS: 'searchBookmarks',
+    SEARCH_HISTORY: 'searchHistory',
+    GET_TOP_SITES: 'getTopSites',
+    GET_AUTOCOMPLETE: 'getAutocomplete',
+    GET_PINNED_TABS: 'getPinnedTabs',
+    GET_ACTIVE_SPACE_COLOR: 'getActiveSpaceColor',
+    PERFORM_SEARCH: 'performSearch',
+    GET_SPOTLIGHT_SUGGESTIONS: 'getSpotlightSuggestions',
+    SPOTLIGHT_HANDLE_RESULT: 'spotlightHandleResult',
+    RUN_SPOTLIGHT_COMMAND: 'runSpotlightCommand',
+    GET_SPOTLIGHT_RESULT_ACTIONS: 'getSpotlightResultActions',
+    SPOTLIGHT_RESULT_ACTION: 'spotlightResultAction',
+    // Background and sidebar
+    SPOTLIGHT_OPENED: 'spotlightOpened',
+    SPOTLIGHT_CLOSED: 'spotlightClosed',
+    ACTIVATE_PINNED_TAB: 'activatePinnedTab',
+    // Sidebar
+    COPY_CURRENT_URL: 'copyCurrentUrl',
+    URL_COPY_SUCCESS: 'urlCopySuccess',
+    SPACES_IMPORTED: 'spacesImported',
+    // Spotlight (content script and new tab page)
+    ACTIVATE_SPOTLIGHT: 'activateSpotlight',
+    CLOSE_SPOTLIGHT: 'closeSpotlight'
+};
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const { BACKGROUND, SIDEBAR, SPOTLIGHT } = MessageContext;
+
+// targets: contexts that handle the type; fields: payload schema; timeout: ms before send() gives up
+const MESSAGE_SCHEMAS = {
+    [MessageType.TOGGLE_SPACE_PIN]: { targets: [BACKGROUND], fields: { tabId: 'number' } },
+    [MessageType.TOGGLE_SPOTLIGHT]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.TOGGLE_SPOTLIGHT_NEW_TAB]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.UPDATE_AUTO_ARCHIVE_SETTINGS]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.OPEN_NEW_TAB]: { targets: [BACKGROUND], fields: { url: 'string' } },
+    [MessageType.NAVIGATE_CURRENT_TAB]: { targets: [BACKGROUND], fields: { url: 'string' } },
+    [MessageType.NAVIGATE_TO_DEFAULT_NEW_TAB]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.SWITCH_TO_TAB]: { targets: [BACKGROUND], fields: { tabId: 'number', windowId: 'number?' } },
+    [MessageType.SEARCH_TABS]: { targets: [BACKGROUND], fields: { query: 'string?' } },
+    [MessageType.GET_RECENT_TABS]: { targets: [BACKGROUND], fields: { limit: 'number?' } },
+    [MessageType.SEARCH_BOOKMARKS]: { targets: [BACKGROUND], fields: { query: 'string' } },
+    [MessageType.SEARCH_HISTORY]: { targets: [BACKGROUND], fields: { query: 'string' } },
+    [MessageType.GET_TOP_SITES]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.GET_AUTOCOMPLETE]: { targets: [BACKGROUND], fields: { query: 'string' } },
+    [MessageType.GET_PINNED_TABS]: { targets: [BACKGROUND], fields: { query: 'string?' } },
+    [MessageType.GET_ACTIVE_SPACE_COLOR]: { targets: [BACKGROUND], fields: {} },
+    [MessageType.PERFORM_SEARCH]: { targets: [BACKGROUND], fields: { query: 'string', mode: 'string?' } },
+    [MessageType.GET_SPOTLIGHT_SUGGESTIONS]: { targets: [BACKGROUND], fields: { query: 'string', mode: 'string' } },
+    [MessageType.SPOTLIGHT_HANDLE_RESULT]: {
+        targets: [BACKGROUND],
+        fields: { result: 'object', mode: 'string', tabId: 'number?', query: 'string?' },
+        timeout: 10000
+    },
+    [MessageType.RUN_SPOTLIGHT_COMMAND]: { targets: [BACKGROUND], fields: { command: 'object' } },
+    [MessageType.GET_SPOTLIGHT_RESULT_ACTIONS]: { targets: [BACKGROUND], fields: { result: 'object', mode: 'string' } },
+    [MessageType.SPOTLIGHT_RESULT_ACTION]: {
+        targets: [BACKGROUND],
+        fields: { result: 'object', action: 'object', mode: 'string', tabId: 'number?', query: 'string?' },
+        timeout: 10000
+    },
+    [MessageType.SPOTLIGHT_OPENED]: { targets: [BACKGROUND, SIDEBAR], fields: { mode: 'string?' }, notify: true },
+    [MessageType.SPOTLIGHT_CLOSED]: { targets: [BACKGROUND, SIDEBAR], fields: {}, notify: true },
+    [MessageType.ACTIVATE_PINNED_TAB]: {
+        targets: [BACKGROUND, SIDEBAR],
+        fields: { spaceId: 'number', spaceName: 'string?', bookmarkUrl: 'string', mode: 'string?' }
+    },
+    [MessageType.COPY_CURRENT_URL]: { targets: [SIDEBAR], fields: { url: 'string' }, timeout: 1000 },
+    [MessageType.URL_COPY_SUCCESS]: { targets: [SIDEBAR], fields: {}, notify: true },
+    [MessageType.SPACES_IMPORTED]: { targets: [SIDEBAR], fields: {}, notify: true },
+    [MessageType.ACTIVATE_SPOTLIGHT]: {
+        targets: [SPOTLIGHT],
+        fields: { mode: 'string', tabUrl: 'string?', tabId: 'number?' },
+        timeout: 2000
+    },
+    [MessageType.CLOSE_SPOTLIGHT]: { targets: [SPOTLIGHT], fields: {}, notify: true }
+};
+
+function errorEnvelope(code, error) {
+    return { success: false, error, code };
+}
+
+function matchesFieldType(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'any':
+            return true;
+        default:
+            return typeof value === type;
+    }
+}
+
+class MessageRouter {
+    constructor(context, { rejectUnknown = false } = {}) {
+        this.context = context;
+        this.rejectUnknown = rejectUnknown;
+        this.handlers = new Map();
+    }
+
+    // handler(message, sender) returns the response data (or nothing) and may be async; throwing sends an error envelope
+    on(type, handler) {
+        const schema = MESSAGE_SCHEMAS[type];
+        if (!schema) {
+            throw new Error(`Unknown message type "${type}"`);
+        }
+        if (!schema.targets.includes(this.context)) {
+            throw new Error(`Message type "${type}" is not handled in the ${this.context} context`);
+        }
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    // Start dispatching runtime messages; returns a function that stops listening
+    listen() {
+        const listener = (message, sender, sendResponse) => this._dispatch(message, sender, sendResponse);
+        chrome.runtime.onMessage.addListener(listener);
+        return () => chrome.runtime.onMessage.removeListener(listener);
+    }
+
+    _dispatch(message, sender, sendResponse) {
+        const type = message?.action;
+        const schema = MESSAGE_SCHEMAS[type];
+        if (!schema) {
+            if (this.rejectUnknown) {
+                Logger.warn(`[MessageRouter] Rejected unknown message in ${this.context}:`, message);
+                sendResponse(errorEnvelope(MessageErrorCode.UNKNOWN_MESSAGE, `Unknown message type "${type}"`));
+            }
+            return false;
+        }
+
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            return false; // Another context (or another page of this one) handles it
+        }
+
+        const problem = MessageRouter.validate(type, message);
+        if (problem) {
+            Logger.warn(`[MessageRouter] Rejected invalid ${type} message in ${this.context}: ${problem}`, message);
+            if (!schema.notify) {
+                sendResponse(errorEnvelope(MessageErrorCode.INVALID_MESSAGE, problem));
+            }
+            return false;
+        }
+
+        Promise.resolve()
+            .then(() => handler(message, sender))
+            .then(data => {
+                if (!schema.notify) {
+                    sendResponse({ success: true, ...(data || {}) });
+                }
+            })
+            .catch(error => {
+                Logger.error(`[MessageRouter] Error handling ${type} in ${this.context}:`, error);
+                if (!schema.notify) {
+                    sendResponse(errorEnvelope(MessageErrorCode.HANDLER_ERROR, error?.message || String(error)));
+                }
+            });
+        return !schema.notify; // Keep the channel open for the async response
+    }
+
+    // Returns a description of what is wrong with the payload, or null when it matches the schema
+    static validate(type, payload) {
+        const schema = MESSAGE_SCHEMAS[type];
+        if (!schema) {
+            return `Unknown message type "${type}"`;
+        }
+        if (!payload || typeof payload !== 'object') {
+            return 'Payload must be an object';
+        }
+
+        for (const [field, spec] of Object.entries(schema.fields)) {
+            const optional = spec.endsWith('?');
+            const fieldType = optional ? spec.slice(0, -1) : spec;
+            const value = payload[field];
+            if (value === undefined || value === null) {
+                if (!optional) return `Missing field "${field}"`;
+                continue;
+            }
+            if (!matchesFieldType(value, fieldType)) {
+                return `Field "${field}" must be ${fieldType === 'array' || fieldType === 'object' ? 'an' : 'a'} ${fieldType}`;
+            }
+        }
+
+        const unexpected = Object.keys(payload).filter(field => field !== 'action' && !(field in schema.fields));
+        if (unexpected.length > 0) {
+            return `Unexpected field(s): ${unexpected.join(', ')}`;
+        }
+        return null;
+    }
+
+    // Send to every extension page (background, sidebar, new tab page)
+    static send(type, payload = {}, options = {}) {
+        return this._request(type, payload, options, message => chrome.runtime.sendMessage(message));
+    }
+
+    // Send to the content scripts of one tab
+    static sendToTab(tabId, type, payload = {}, options = {}) {
+        return this._request(type, payload, options, message => chrome.tabs.sendMessage(tabId, message));
+    }
+
+    static async _request(type, payload, { timeout } = {}, post) {
+        const schema = MESSAGE_SCHEMAS[type];
+        const problem = this.validate(type, payload);
+        if (problem) {
+            Logger.error(`[MessageRouter] Not sending invalid ${type} message: ${problem}`, payload);
+            return errorEnvelope(schema ? MessageErrorCode.INVALID_MESSAGE : MessageErrorCode.UNKNOWN_MESSAGE, problem);
+        }
+
+        const message = { ...payload, action: type };
+        if (schema.notify) {
+            // Nobody listening (e.g. sidebar closed) is normal for notifications
+            Promise.resolve().then(() => post(message)).catch(() => { });
+            return { success: true };
+        }
+
+        const timeoutMs = timeout ?? schema.timeout ?? DEFAULT_TIMEOUT_MS;
+        let timer = null;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => {
+                resolve(errorEnvelope(MessageErrorCode.TIMEOUT, `${type} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+        });
+
+        try {
+            const response = await Promise.race([
+                Promise.resolve().then(() => post(message)).then(result => result ?? errorEnvelope(MessageErrorCode.NO_RECEIVER, `No handler responded to ${type}`)),
+                timedOut
+            ]);
+            if (response.success === false) {
+                Logger.warn(`[MessageRouter] ${type} failed (${response.code}):`, response.error);
+            }
+            return response;
+        } catch (error) {
+            Logger.warn(`[MessageRouter] ${type} could not be delivered:`, error);
+            return errorEnvelope(MessageErrorCode.NO_RECEIVER, error?.message || String(error));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export { MessageRouter, MessageType, MessageContext, MessageErrorCode, MESSAGE_SCHEMAS };
@@ -10,10 +10,22 @@
  * - Auto-archive timing affects background script alarm configuration
  * - Changes trigger background script updates via message passing
  * - Provides real-time feedback for setting changes
+ * - Hosts the Arc importer (reachable via options.html#arc-import from onboarding)
+ * - Hosts the routing rules editor; rules are saved on every change and checked by the background space store
+ * - Hosts the Spotlight search keyword editor; like routing rules, entries are saved on every change
+ * - Picks Spotlight's search suggestion source; the custom suggest URL field only shows for the "custom" source
+ * - Resets Spotlight's learned (frecency) ranking
+ * - Hosts workspace backup export/restore; the file is only written after the merge/replace choice
  */
 
 import { Utils } from './utils.js';
 import { LocalStorage } from './localstorage.js';
+import { ArcImporter } from './arc-importer.js';
+import { WorkspaceBackup } from './workspace-backup.js';
+import { RoutingRules } from './routing-rules.js';
+import { SearchKeywords } from './search-keywords.js';
+import { SpotlightFrecency } from './spotlight/shared/frecency.js';
+import { MessageRouter, MessageType } from './message-router.js';
 import { Logger } from './logger.js';
 
 // Default color values (must be 6-digit hex for color picker compatibility)
@@ -39,6 +51,16 @@ function updateAutoArchiveIdleMinutesVisibility(forceEnabled) {
   input.disabled = !isEnabled;
 }
 
+function updateMemorySaverMinutesVisibility(forceEnabled) {
+  const container = document.getElementById('memorySaverMinutesContainer');
+  const checkbox = document.getElementById('memorySaverEnabled');
+  if (!container || !checkbox) return;
+
+  const isEnabled = forceEnabled !== undefined ? Boolean(forceEnabled) : Boolean(checkbox.checked);
+  container.style.display = isEnabled ? '' : 'none';
+  container.querySelectorAll('input').forEach(input => { input.disabled = !isEnabled; });
+}
+
 // Function to apply color overrides to CSS variables
 function applyColorOverrides(colorOverrides) {
   if (!colorOverrides) return;
@@ -54,16 +76,30 @@ function applyColorOverrides(colorOverrides) {
   });
 }
 
+// Function to show or hide the custom suggest URL field
+function updateAutocompleteCustomUrlVisibility() {
+  const container = document.getElementById('autocompleteCustomUrlContainer');
+  const select = document.getElementById('autocompleteSource');
+  if (!container || !select) return;
+
+  container.style.display = select.value === 'custom' ? '' : 'none';
+}
+
 // Function to save options to chrome.storage
 async function saveOptions() {
   const defaultSpaceNameSelect = document.getElementById('defaultSpaceName');
   const defaultSpaceName = defaultSpaceNameSelect.value;
   const autoArchiveEnabledCheckbox = document.getElementById('autoArchiveEnabled');
   const autoArchiveIdleMinutesInput = document.getElementById('autoArchiveIdleMinutes');
+  const memorySaverEnabledCheckbox = document.getElementById('memorySaverEnabled');
+  const memorySaverInactiveSpaceMinutesInput = document.getElementById('memorySaverInactiveSpaceMinutes');
+  const memorySaverIdleMinutesInput = document.getElementById('memorySaverIdleMinutes');
   const invertTabOrderCheckbox = document.getElementById('invertTabOrder');
   const enableSpotlightCheckbox = document.getElementById('enableSpotlight');
   const showAllOpenTabsInCollapsedFoldersCheckbox = document.getElementById('showAllOpenTabsInCollapsedFolders');
   const debugLoggingEnabledCheckbox = document.getElementById('debugLoggingEnabled');
+  const autocompleteSourceSelect = document.getElementById('autocompleteSource');
+  const autocompleteCustomUrlInput = document.getElementById('autocompleteCustomUrl');
 
   // Get color overrides
   const colorOverrides = {};
@@ -79,11 +115,16 @@ async function saveOptions() {
     defaultSpaceName: defaultSpaceName || 'Home', // Default to 'Home' if empty
     autoArchiveEnabled: autoArchiveEnabledCheckbox.checked,
     autoArchiveIdleMinutes: parseInt(autoArchiveIdleMinutesInput.value, 10) || 360,
+    memorySaverEnabled: memorySaverEnabledCheckbox.checked,
+    memorySaverInactiveSpaceMinutes: parseInt(memorySaverInactiveSpaceMinutesInput.value, 10) || 30,
+    memorySaverIdleMinutes: parseInt(memorySaverIdleMinutesInput.value, 10) || 120,
     invertTabOrder: invertTabOrderCheckbox.checked,
     enableSpotlight: enableSpotlightCheckbox.checked,
     showAllOpenTabsInCollapsedFolders: showAllOpenTabsInCollapsedFoldersCheckbox ? showAllOpenTabsInCollapsedFoldersCheckbox.checked : false,
     colorOverrides: Object.keys(colorOverrides).length > 0 ? colorOverrides : null,
-    debugLoggingEnabled: debugLoggingEnabledCheckbox ? debugLoggingEnabledCheckbox.checked : false
+    debugLoggingEnabled: debugLoggingEnabledCheckbox ? debugLoggingEnabledCheckbox.checked : false,
+    autocompleteSource: autocompleteSourceSelect ? autocompleteSourceSelect.value : 'google',
+    autocompleteCustomUrl: autocompleteCustomUrlInput ? autocompleteCustomUrlInput.value.trim() : ''
   };
 
   try {
@@ -94,7 +135,7 @@ async function saveOptions() {
     applyColorOverrides(settings.colorOverrides);
 
     // Notify background script to update the alarm immediately
-    await chrome.runtime.sendMessage({ action: 'updateAutoArchiveSettings' });
+    await MessageRouter.send(MessageType.UPDATE_AUTO_ARCHIVE_SETTINGS);
 
     // Show toast notification
     showToast();
@@ -104,10 +145,15 @@ async function saveOptions() {
 }
 
 // Function to show toast notification
-function showToast() {
+function showToast(message = 'Settings saved') {
   const toast = document.getElementById('saveToast');
   if (!toast) return;
 
+  const toastMessage = toast.querySelector('.toast-message');
+  if (toastMessage) {
+    toastMessage.textContent = message;
+  }
+
   // Add show class to trigger animation
   toast.classList.add('show');
 
@@ -122,10 +168,15 @@ async function restoreOptions() {
   const settings = await Utils.getSettings();
   const autoArchiveEnabledCheckbox = document.getElementById('autoArchiveEnabled');
   const autoArchiveIdleMinutesInput = document.getElementById('autoArchiveIdleMinutes');
+  const memorySaverEnabledCheckbox = document.getElementById('memorySaverEnabled');
+  const memorySaverInactiveSpaceMinutesInput = document.getElementById('memorySaverInactiveSpaceMinutes');
+  const memorySaverIdleMinutesInput = document.getElementById('memorySaverIdleMinutes');
   const invertTabOrderCheckbox = document.getElementById('invertTabOrder');
   const enableSpotlightCheckbox = document.getElementById('enableSpotlight');
   const showAllOpenTabsInCollapsedFoldersCheckbox = document.getElementById('showAllOpenTabsInCollapsedFolders');
   const debugLoggingEnabledCheckbox = document.getElementById('debugLoggingEnabled');
+  const autocompleteSourceSelect = document.getElementById('autocompleteSource');
+  const autocompleteCustomUrlInput = document.getElementById('autocompleteCustomUrl');
 
   // Populate spaces dropdown
   await populateSpacesDropdown(settings.defaultSpaceName);
@@ -133,6 +184,10 @@ async function restoreOptions() {
   autoArchiveEnabledCheckbox.checked = settings.autoArchiveEnabled;
   autoArchiveIdleMinutesInput.value = settings.autoArchiveIdleMinutes;
   updateAutoArchiveIdleMinutesVisibility(settings.autoArchiveEnabled);
+  memorySaverEnabledCheckbox.checked = settings.memorySaverEnabled;
+  memorySaverInactiveSpaceMinutesInput.value = settings.memorySaverInactiveSpaceMinutes;
+  memorySaverIdleMinutesInput.value = settings.memorySaverIdleMinutes;
+  updateMemorySaverMinutesVisibility(settings.memorySaverEnabled);
   invertTabOrderCheckbox.checked = settings.invertTabOrder !== undefined ? settings.invertTabOrder : true; // Default true
   enableSpotlightCheckbox.checked = settings.enableSpotlight !== undefined ? settings.enableSpotlight : true; // Default true
   if (showAllOpenTabsInCollapsedFoldersCheckbox) {
@@ -141,6 +196,13 @@ async function restoreOptions() {
   if (debugLoggingEnabledCheckbox) {
     debugLoggingEnabledCheckbox.checked = settings.debugLoggingEnabled !== undefined ? settings.debugLoggingEnabled : false; // Default false
   }
+  if (autocompleteSourceSelect) {
+    autocompleteSourceSelect.value = settings.autocompleteSource || 'google';
+  }
+  if (autocompleteCustomUrlInput) {
+    autocompleteCustomUrlInput.value = settings.autocompleteCustomUrl || '';
+  }
+  updateAutocompleteCustomUrlVisibility();
 
   // Restore color overrides
   const colorOverrides = settings.colorOverrides || {};
@@ -208,7 +270,7 @@ function setupAdvancedOptions() {
   }
 
   // Setup color reset buttons
-  const resetButtons = document.querySelectorAll('.color-reset-btn');
+  const resetButtons = document.querySelectorAll('.color-reset-btn[data-color]');
   resetButtons.forEach(button => {
     button.addEventListener('click', () => {
       const colorName = button.dataset.color;
@@ -248,6 +310,14 @@ function setupAutoSave() {
     });
   }
 
+  const memorySaverEnabledCheckbox = document.getElementById('memorySaverEnabled');
+  if (memorySaverEnabledCheckbox) {
+    memorySaverEnabledCheckbox.addEventListener('change', () => {
+      updateMemorySaverMinutesVisibility(memorySaverEnabledCheckbox.checked);
+      saveOptions();
+    });
+  }
+
   const invertTabOrderCheckbox = document.getElementById('invertTabOrder');
   if (invertTabOrderCheckbox) {
     invertTabOrderCheckbox.addEventListener('change', saveOptions);
@@ -268,12 +338,29 @@ function setupAutoSave() {
     debugLoggingEnabledCheckbox.addEventListener('change', saveOptions);
   }
 
-  // Auto-save for number input (with debounce)
+  const autocompleteSourceSelect = document.getElementById('autocompleteSource');
+  if (autocompleteSourceSelect) {
+    autocompleteSourceSelect.addEventListener('change', () => {
+      updateAutocompleteCustomUrlVisibility();
+      saveOptions();
+    });
+  }
+
+  // Auto-save for text and number inputs (with debounce)
+  const autocompleteCustomUrlInput = document.getElementById('autocompleteCustomUrl');
+  if (autocompleteCustomUrlInput) {
+    autocompleteCustomUrlInput.addEventListener('input', debouncedSave);
+  }
+
   const autoArchiveIdleMinutesInput = document.getElementById('autoArchiveIdleMinutes');
   if (autoArchiveIdleMinutesInput) {
     autoArchiveIdleMinutesInput.addEventListener('input', debouncedSave);
   }
 
+  ['memorySaverInactiveSpaceMinutes', 'memorySaverIdleMinutes'].forEach(id => {
+    document.getElementById(id)?.addEventListener('input', debouncedSave);
+  });
+
   // Auto-save for color pickers (with debounce)
   const colorNames = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan'];
   colorNames.forEach(colorName => {
@@ -284,8 +371,627 @@ function setupAutoSave() {
   });
 }
 
+// Helper to create an element with optional class and text
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+// Render the Arc import preview and conflict report; nothing is written until Import is clicked
+function renderArcImportPreview(model, preview) {
+  const container = document.getElementById('arcImportPreview');
+  container.innerHTML = '';
+  container.style.display = 'block';
+
+  const totalTabs = preview.spaces.reduce((sum, space) => sum + space.tabs, 0);
+  container.appendChild(createElement('div', 'options-label',
+    `${preview.spaces.length} space(s), ${totalTabs} pinned tab(s), ${preview.favorites.total} favorite(s)`));
+
+  const spaceList = createElement('ul', 'import-preview-list');
+  preview.spaces.forEach(space => {
+    const item = createElement('li');
+    const dot = createElement('span', 'import-preview-color');
+    if (space.color) {
+      dot.style.backgroundColor = `var(--chrome-${space.color}-color)`;
+    }
+    item.appendChild(dot);
+    const details = `${space.tabs} tab(s), ${space.folders} folder(s)${space.exists ? ' — merge into existing space' : ''}`;
+    item.appendChild(document.createTextNode(`${space.name}: ${details}`));
+    spaceList.appendChild(item);
+  });
+  container.appendChild(spaceList);
+
+  if (preview.conflicts.length > 0) {
+    container.appendChild(createElement('div', 'options-label import-preview-conflicts', 'Conflicts'));
+    const conflictList = createElement('ul', 'import-preview-list import-preview-conflicts');
+    preview.conflicts.forEach(conflict => conflictList.appendChild(createElement('li', null, conflict)));
+    container.appendChild(conflictList);
+  }
+
+  const actions = createElement('div', 'import-preview-actions');
+  const importButton = createElement('button', 'options-button', 'Import');
+  importButton.type = 'button';
+  const cancelButton = createElement('button', 'color-reset-btn', 'Cancel');
+  cancelButton.type = 'button';
+  actions.appendChild(importButton);
+  actions.appendChild(cancelButton);
+  container.appendChild(actions);
+
+  cancelButton.addEventListener('click', resetArcImport);
+  importButton.addEventListener('click', async () => {
+    importButton.disabled = true;
+    cancelButton.disabled = true;
+    importButton.textContent = 'Importing...';
+    try {
+      const summary = await ArcImporter.applyImport(model);
+      resetArcImport();
+      await populateSpacesDropdown(document.getElementById('defaultSpaceName').value);
+
+      // Let open sidebars pick up the new spaces; no receiver is fine
+      MessageRouter.send(MessageType.SPACES_IMPORTED);
+
+      showToast(`Imported ${summary.spacesCreated + summary.spacesMerged} space(s), ${summary.tabsCreated} tab(s), ${summary.favoritesAdded} favorite(s)`);
+    } catch (error) {
+      Logger.error('Error importing Arc sidebar:', error);
+      importButton.disabled = false;
+      cancelButton.disabled = false;
+      importButton.textContent = 'Import';
+      showArcImportError(`Import failed: ${error.message}`);
+    }
+  });
+}
+
+function showArcImportError(message) {
+  const container = document.getElementById('arcImportPreview');
+  container.innerHTML = '';
+  container.style.display = 'block';
+  container.appendChild(createElement('div', 'import-preview-conflicts', message));
+}
+
+function resetArcImport() {
+  const fileInput = document.getElementById('arcImportFile');
+  const container = document.getElementById('arcImportPreview');
+  if (fileInput) fileInput.value = '';
+  if (container) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+  }
+}
+
+// Function to setup the Arc importer
+function setupArcImport() {
+  const fileInput = document.getElementById('arcImportFile');
+  if (!fileInput) return;
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    try {
+      const model = ArcImporter.parseSidebar(await file.text());
+      const preview = await ArcImporter.buildPreview(model);
+      renderArcImportPreview(model, preview);
+    } catch (error) {
+      Logger.error('Error reading Arc sidebar file:', error);
+      showArcImportError(error.message);
+    }
+  });
+
+  // Onboarding links here directly
+  if (window.location.hash === '#arc-import') {
+    document.getElementById('arc-import').scrollIntoView({ block: 'center' });
+  }
+}
+
+// Download the current workspace as a JSON file
+async function exportWorkspace() {
+  const button = document.getElementById('exportWorkspaceBtn');
+  button.disabled = true;
+  try {
+    const doc = await WorkspaceBackup.exportWorkspace();
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `barcat-workspace-${doc.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    showToast(`Exported ${doc.spaces.length} space(s)`);
+  } catch (error) {
+    Logger.error('Error exporting workspace:', error);
+    showToast('Export failed');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Show what a backup contains and let the user choose merge or replace before anything is written
+function renderWorkspaceImportPreview(doc) {
+  const container = document.getElementById('workspaceImportPreview');
+  container.innerHTML = '';
+  container.style.display = 'block';
+
+  const summary = WorkspaceBackup.summarize(doc);
+  const exportedAt = summary.exportedAt ? ` from ${new Date(summary.exportedAt).toLocaleString()}` : '';
+  container.appendChild(createElement('div', 'options-label', `Backup${exportedAt}`));
+
+  const contents = createElement('ul', 'import-preview-list');
+  [
+    `${summary.spaces} space(s) with ${summary.tabs} pinned tab(s) and ${summary.folders} folder(s)`,
+    `${summary.favorites} favorite(s)`,
+    `${summary.archivedTabs} archived tab(s)`,
+    `${summary.routingRules} routing rule(s)`,
+    `${summary.settings} setting(s)`
+  ].forEach(line => contents.appendChild(createElement('li', null, line)));
+  container.appendChild(contents);
+
+  const modeSelect = createElement('select', 'options-input');
+  modeSelect.id = 'workspaceImportMode';
+  [
+    ['merge', 'Merge into the current workspace'],
+    ['replace', 'Replace the current workspace']
+  ].forEach(([value, label]) => {
+    const option = createElement('option', null, label);
+    option.value = value;
+    modeSelect.appendChild(option);
+  });
+  container.appendChild(modeSelect);
+
+  const actions = createElement('div', 'import-preview-actions');
+  const importButton = createElement('button', 'options-button', 'Restore');
+  importButton.type = 'button';
+  const cancelButton = createElement('button', 'color-reset-btn', 'Cancel');
+  cancelButton.type = 'button';
+  actions.appendChild(importButton);
+  actions.appendChild(cancelButton);
+  container.appendChild(actions);
+
+  cancelButton.addEventListener('click', resetWorkspaceImport);
+  importButton.addEventListener('click', async () => {
+    const mode = modeSelect.value;
+    if (mode === 'replace' && !confirm('Replace removes spaces, pinned tabs and favorites that are not in the backup. Continue?')) {
+      return;
+    }
+
+    importButton.disabled = true;
+    cancelButton.disabled = true;
+    importButton.textContent = 'Restoring...';
+    try {
+      const result = await WorkspaceBackup.importWorkspace(doc, { mode });
+      await restoreOptions();
+      routingRules = await RoutingRules.getRules();
+      renderRoutingRules();
+      MessageRouter.send(MessageType.SPACES_IMPORTED);
+      renderWorkspaceImportReport(result);
+      showToast(`Restored ${result.spacesCreated + result.spacesMerged} space(s), ${result.tabsCreated} tab(s)`);
+    } catch (error) {
+      Logger.error('Error restoring workspace:', error);
+      showWorkspaceImportError(`Restore failed: ${error.message}`);
+    }
+  });
+}
+
+// After a restore, list everything that was not applied
+function renderWorkspaceImportReport(result) {
+  const fileInput = document.getElementById('workspaceImportFile');
+  const container = document.getElementById('workspaceImportPreview');
+  if (fileInput) fileInput.value = '';
+  container.innerHTML = '';
+
+  container.appendChild(createElement('div', 'options-label',
+    `${result.spacesCreated} space(s) created, ${result.spacesMerged} merged, ${result.tabsCreated} tab(s), ` +
+    `${result.foldersCreated} folder(s), ${result.favoritesAdded} favorite(s), ${result.archivedTabsRestored} archived tab(s), ` +
+    `${result.routingRulesAdded} routing rule(s), ${result.settingsApplied} setting(s)`));
+
+  if (result.skipped.length > 0) {
+    container.appendChild(createElement('div', 'options-label import-preview-conflicts', `Skipped (${result.skipped.length})`));
+    const skippedList = createElement('ul', 'import-preview-list import-preview-conflicts');
+    result.skipped.forEach(reason => skippedList.appendChild(createElement('li', null, reason)));
+    container.appendChild(skippedList);
+  }
+
+  const actions = createElement('div', 'import-preview-actions');
+  const closeButton = createElement('button', 'color-reset-btn', 'Close');
+  closeButton.type = 'button';
+  closeButton.addEventListener('click', resetWorkspaceImport);
+  actions.appendChild(closeButton);
+  container.appendChild(actions);
+}
+
+function showWorkspaceImportError(message) {
+  const container = document.getElementById('workspaceImportPreview');
+  container.innerHTML = '';
+  container.style.display = 'block';
+  container.appendChild(createElement('div', 'import-preview-conflicts', message));
+}
+
+function resetWorkspaceImport() {
+  const fileInput = document.getElementById('workspaceImportFile');
+  const container = document.getElementById('workspaceImportPreview');
+  if (fileInput) fileInput.value = '';
+  if (container) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+  }
+}
+
+// Function to setup workspace export and restore
+function setupWorkspaceBackup() {
+  const exportButton = document.getElementById('exportWorkspaceBtn');
+  const fileInput = document.getElementById('workspaceImportFile');
+  if (!exportButton || !fileInput) return;
+
+  exportButton.addEventListener('click', exportWorkspace);
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    try {
+      renderWorkspaceImportPreview(WorkspaceBackup.parse(await file.text()));
+    } catch (error) {
+      Logger.error('Error reading workspace backup:', error);
+      showWorkspaceImportError(error.message);
+    }
+  });
+}
+
+const ROUTING_RULE_TYPE_LABELS = {
+  domain: 'Domain',
+  glob: 'URL pattern',
+  regex: 'Regex',
+  opener: 'Opened from space'
+};
+
+const ROUTING_RULE_PLACEHOLDERS = {
+  domain: 'atlassian.net',
+  glob: 'github.com/my-org/*',
+  regex: '^https://(mail|calendar)\\.google\\.com/'
+};
+
+let routingRules = [];
+let routingSpaces = []; // [{ uuid, name }] from the BarCat folders
+
+// Space folders with their identity uuid (null for folders that were never opened as a space)
+async function loadRoutingSpaces() {
+  const barCatFolder = await LocalStorage.getOrCreateBarCatFolder();
+  const children = await chrome.bookmarks.getChildren(barCatFolder.id);
+  const identities = await LocalStorage.getSpaceIdentities();
+  return children
+    .filter(f => !f.url && f.title !== '_Favorites')
+    .map(folder => ({
+      uuid: Object.values(identities).find(i => i.folderId === folder.id)?.uuid || null,
+      name: folder.title
+    }));
+}
+
+// Space <select> whose values are uuids, falling back to names for spaces without one
+function createSpaceSelect(selectedUuid, selectedName, placeholder) {
+  const select = createElement('select', 'options-input');
+  select.appendChild(createElement('option', null, placeholder)).value = '';
+  routingSpaces.forEach(space => {
+    const option = createElement('option', null, space.name);
+    option.value = space.uuid || `name:${space.name}`;
+    select.appendChild(option);
+  });
+
+  const selected = routingSpaces.find(s => selectedUuid && s.uuid === selectedUuid)
+    || routingSpaces.find(s => selectedName && s.name === selectedName);
+  if (selected) {
+    select.value = selected.uuid || `name:${selected.name}`;
+  } else if (selectedName) {
+    // Space was deleted; keep the rule visible instead of silently retargeting it
+    const missing = createElement('option', null, `${selectedName} (missing)`);
+    missing.value = selectedUuid || `name:${selectedName}`;
+    select.appendChild(missing);
+    select.value = missing.value;
+  }
+  return select;
+}
+
+function spaceFromSelectValue(value) {
+  if (!value) return { uuid: null, name: '' };
+  if (value.startsWith('name:')) return { uuid: null, name: value.slice(5) };
+  return { uuid: value, name: routingSpaces.find(s => s.uuid === value)?.name || '' };
+}
+
+async function saveRoutingRules() {
+  try {
+    await RoutingRules.saveRules(routingRules);
+    showToast('Routing rules saved');
+  } catch (error) {
+    Logger.error('Error saving routing rules:', error);
+  }
+  updateRoutingTestResult();
+}
+
+function renderRoutingRules() {
+  const list = document.getElementById('routingRulesList');
+  list.innerHTML = '';
+
+  if (routingRules.length === 0) {
+    list.appendChild(createElement('small', 'options-description', 'No rules yet.'));
+  }
+
+  routingRules.forEach((rule, index) => {
+    const row = createElement('div', 'routing-rule');
+    if (rule.enabled === false) row.classList.add('disabled');
+
+    const enabled = createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled !== false;
+    enabled.title = 'Enabled';
+    enabled.addEventListener('change', () => {
+      rule.enabled = enabled.checked;
+      row.classList.toggle('disabled', !enabled.checked);
+      saveRoutingRules();
+    });
+
+    const typeSelect = createElement('select', 'options-input');
+    RoutingRules.RULE_TYPES.forEach(type => {
+      const option = createElement('option', null, ROUTING_RULE_TYPE_LABELS[type]);
+      option.value = type;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = rule.type;
+    typeSelect.addEventListener('change', () => {
+      rule.type = typeSelect.value;
+      rule.pattern = '';
+      saveRoutingRules();
+      renderRoutingRules();
+    });
+
+    let patternInput;
+    if (rule.type === 'opener') {
+      const openerSpace = routingSpaces.find(s => s.uuid === rule.pattern);
+      patternInput = createSpaceSelect(rule.pattern, openerSpace?.name, 'From space...');
+      // Opener rules compare uuids, so spaces without one cannot be chosen
+      Array.from(patternInput.options).forEach(option => {
+        if (option.value.startsWith('name:')) option.disabled = true;
+      });
+      patternInput.addEventListener('change', () => {
+        rule.pattern = patternInput.value;
+        updateError();
+        saveRoutingRules();
+      });
+    } else {
+      patternInput = createElement('input', 'options-input');
+      patternInput.type = 'text';
+      patternInput.value = rule.pattern || '';
+      patternInput.placeholder = ROUTING_RULE_PLACEHOLDERS[rule.type] || '';
+      patternInput.addEventListener('input', () => {
+        rule.pattern = patternInput.value.trim();
+        updateError();
+        clearTimeout(patternInput.saveTimeout);
+        patternInput.saveTimeout = setTimeout(saveRoutingRules, 500);
+      });
+    }
+
+    const targetSelect = createSpaceSelect(rule.spaceUuid, rule.spaceName, 'To space...');
+    targetSelect.addEventListener('change', () => {
+      const target = spaceFromSelectValue(targetSelect.value);
+      rule.spaceUuid = target.uuid;
+      rule.spaceName = target.name;
+      updateError();
+      saveRoutingRules();
+    });
+
+    const pinLabel = createElement('label', 'routing-rule-pin');
+    const pinCheckbox = createElement('input');
+    pinCheckbox.type = 'checkbox';
+    pinCheckbox.checked = Boolean(rule.pin);
+    pinCheckbox.addEventListener('change', () => {
+      rule.pin = pinCheckbox.checked;
+      saveRoutingRules();
+    });
+    pinLabel.appendChild(pinCheckbox);
+    pinLabel.appendChild(document.createTextNode('Pin'));
+
+    const moveRule = (offset) => {
+      const [moved] = routingRules.splice(index, 1);
+      routingRules.splice(index + offset, 0, moved);
+      saveRoutingRules();
+      renderRoutingRules();
+    };
+    const upButton = createElement('button', 'color-reset-btn', '↑');
+    upButton.type = 'button';
+    upButton.title = 'Move up';
+    upButton.disabled = index === 0;
+    upButton.addEventListener('click', () => moveRule(-1));
+    const downButton = createElement('button', 'color-reset-btn', '↓');
+    downButton.type = 'button';
+    downButton.title = 'Move down';
+    downButton.disabled = index === routingRules.length - 1;
+    downButton.addEventListener('click', () => moveRule(1));
+    const deleteButton = createElement('button', 'color-reset-btn', 'Delete');
+    deleteButton.type = 'button';
+    deleteButton.addEventListener('click', () => {
+      routingRules.splice(index, 1);
+      saveRoutingRules();
+      renderRoutingRules();
+    });
+
+    const error = createElement('small', 'routing-rule-error');
+    const updateError = () => {
+      error.textContent = RoutingRules.validateRule(rule) || '';
+    };
+    updateError();
+
+    [enabled, typeSelect, patternInput, targetSelect, pinLabel, upButton, downButton, deleteButton, error]
+      .forEach(element => row.appendChild(element));
+    list.appendChild(row);
+  });
+}
+
+// Show which rule (if any) the sample URL would hit
+function updateRoutingTestResult() {
+  const urlInput = document.getElementById('routingTestUrl');
+  const openerSelect = document.getElementById('routingTestOpener');
+  const result = document.getElementById('routingTestResult');
+  if (!urlInput || !result) return;
+
+  const url = urlInput.value.trim();
+  if (!url) {
+    result.textContent = '';
+    return;
+  }
+  if (!RoutingRules.isRoutableUrl(url)) {
+    result.textContent = 'Only http(s) and file URLs are routed.';
+    return;
+  }
+
+  const rule = RoutingRules.findMatchingRule(routingRules, url, { openerSpaceUuid: openerSelect.value || null });
+  if (!rule) {
+    result.textContent = 'No rule matches; the tab stays in the current space.';
+    return;
+  }
+  const position = routingRules.indexOf(rule) + 1;
+  const target = RoutingRules.findTargetSpace(rule, routingSpaces);
+  result.textContent = `Rule ${position} (${ROUTING_RULE_TYPE_LABELS[rule.type]}) sends it to ` +
+    `"${target?.name || rule.spaceName || 'missing space'}"${rule.pin ? ' as a pinned tab' : ''}.`;
+}
+
+// Function to setup the routing rules editor
+async function setupRoutingRules() {
+  const list = document.getElementById('routingRulesList');
+  if (!list) return;
+
+  try {
+    [routingRules, routingSpaces] = await Promise.all([RoutingRules.getRules(), loadRoutingSpaces()]);
+  } catch (error) {
+    Logger.error('Error loading routing rules:', error);
+  }
+
+  const openerSelect = document.getElementById('routingTestOpener');
+  routingSpaces.filter(space => space.uuid).forEach(space => {
+    const option = createElement('option', null, `Opened from ${space.name}`);
+    option.value = space.uuid;
+    openerSelect.appendChild(option);
+  });
+
+  document.getElementById('addRoutingRuleBtn').addEventListener('click', () => {
+    routingRules.push(RoutingRules.createRule());
+    saveRoutingRules();
+    renderRoutingRules();
+  });
+  document.getElementById('routingTestUrl').addEventListener('input', updateRoutingTestResult);
+  openerSelect.addEventListener('change', updateRoutingTestResult);
+
+  renderRoutingRules();
+}
+
+let searchKeywords = [];
+
+async function saveSearchKeywords() {
+  try {
+    await SearchKeywords.saveKeywords(searchKeywords);
+    showToast('Search keywords saved');
+  } catch (error) {
+    Logger.error('Error saving search keywords:', error);
+  }
+}
+
+function renderSearchKeywords() {
+  const list = document.getElementById('searchKeywordsList');
+  list.innerHTML = '';
+
+  if (searchKeywords.length === 0) {
+    list.appendChild(createElement('small', 'options-description', 'No keywords yet.'));
+  }
+
+  const errors = [];
+  const updateErrors = () => {
+    errors.forEach(({ entry, element }) => {
+      element.textContent = SearchKeywords.validateKeyword(entry, searchKeywords) || '';
+    });
+  };
+
+  searchKeywords.forEach((entry, index) => {
+    const row = createElement('div', 'search-keyword');
+
+    const createField = (field, placeholder) => {
+      const input = createElement('input', 'options-input');
+      input.type = 'text';
+      input.value = entry[field] || '';
+      input.placeholder = placeholder;
+      input.addEventListener('input', () => {
+        entry[field] = input.value.trim();
+        // Keywords must be unique, so another row's error can change too
+        updateErrors();
+        clearTimeout(input.saveTimeout);
+        input.saveTimeout = setTimeout(saveSearchKeywords, 500);
+      });
+      return input;
+    };
+
+    const keywordInput = createField('keyword', 'gh');
+    const nameInput = createField('name', 'GitHub');
+    const urlInput = createField('url', 'https://github.com/search?q=%s');
+
+    const deleteButton = createElement('button', 'color-reset-btn', 'Delete');
+    deleteButton.type = 'button';
+    deleteButton.addEventListener('click', () => {
+      searchKeywords.splice(index, 1);
+      saveSearchKeywords();
+      renderSearchKeywords();
+    });
+
+    const error = createElement('small', 'routing-rule-error');
+    errors.push({ entry, element: error });
+
+    [keywordInput, nameInput, urlInput, deleteButton, error].forEach(element => row.appendChild(element));
+    list.appendChild(row);
+  });
+  updateErrors();
+}
+
+// Function to setup the Spotlight search keyword editor
+async function setupSearchKeywords() {
+  const list = document.getElementById('searchKeywordsList');
+  if (!list) return;
+
+  try {
+    searchKeywords = await SearchKeywords.getKeywords();
+  } catch (error) {
+    Logger.error('Error loading search keywords:', error);
+  }
+
+  document.getElementById('addSearchKeywordBtn').addEventListener('click', () => {
+    searchKeywords.push(SearchKeywords.createKeyword());
+    renderSearchKeywords();
+    list.querySelector('.search-keyword:last-child input')?.focus();
+  });
+
+  renderSearchKeywords();
+}
+
+// Function to setup the button that forgets Spotlight's learned ranking
+function setupSpotlightRanking() {
+  const button = document.getElementById('clearSpotlightRankingBtn');
+  if (!button) return;
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await SpotlightFrecency.clear();
+      showToast('Spotlight ranking reset');
+    } catch (error) {
+      Logger.error('Error clearing Spotlight ranking data:', error);
+      showToast('Reset failed');
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   restoreOptions();
   setupAdvancedOptions();
   setupAutoSave();
+  setupArcImport();
+  setupWorkspaceBackup();
+  setupRoutingRules();
+  setupSearchKeywords();
+  setupSpotlightRanking();
 });
\ No newline at end of file
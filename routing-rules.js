@@ -0,0 +1,157 @@
+/**
+ * Routing Rules - Send new tabs to a specific space automatically (Arc's "Air Traffic Control")
+ *
+ * Purpose: Lets users decide up front which space links from a site (or from another space) open in
+ * Key Functions: Rule storage, validation, matching a URL/opener against the ordered rule list
+ * Architecture: Static utility object; the background space store evaluates rules, options.html edits them
+ *
+ * Critical Notes:
+ * - Rules are ordered and the first enabled match wins
+ * - Target spaces are stored by uuid (with the name as a fallback) so renaming a space keeps its rules
+ * - Rule types: 'domain' (host or any subdomain), 'glob' (* and ?; matched against the host when the
+ *   pattern has no "/", otherwise against the URL with or without its scheme), 'regex' (case-insensitive, tested against the full URL) and 'opener' (tab opened from a tab in a space)
+ * - Only http(s) and file URLs are routed; chrome:// pages such as the new tab page never are
+ */
+
+import { LocalStorage } from './localstorage.js';
+import { Logger } from './logger.js';
+
+const ROUTING_RULES_KEY = 'routingRules';
+
+const RULE_TYPES = ['domain', 'glob', 'regex', 'opener'];
+
+const RoutingRules = {
+    RULE_TYPES,
+
+    getRules: async function () {
+        const result = await chrome.storage.local.get(ROUTING_RULES_KEY);
+        return Array.isArray(result[ROUTING_RULES_KEY]) ? result[ROUTING_RULES_KEY] : [];
+    },
+
+    saveRules: async function (rules) {
+        await chrome.storage.local.set({ [ROUTING_RULES_KEY]: rules });
+    },
+
+    createRule: function (overrides = {}) {
+        return {
+            id: LocalStorage.generateUUID(),
+            enabled: true,
+            type: 'domain',
+            pattern: '',
+            spaceUuid: null,
+            spaceName: '',
+            pin: false,
+            ...overrides
+        };
+    },
+
+    // Returns a human readable problem with the rule, or null when it can be saved
+    validateRule: function (rule) {
+        if (!RULE_TYPES.includes(rule.type)) {
+            return `Unknown rule type "${rule.type}"`;
+        }
+        // Imported rules can hold anything; check types before any string method runs on them
+        if (typeof rule.pattern !== 'string') {
+            return 'Pattern must be text';
+        }
+        if (typeof rule.spaceName !== 'string') {
+            return 'Target space name must be text';
+        }
+        if (rule.spaceUuid !== null && typeof rule.spaceUuid !== 'string') {
+            return 'Target space id must be text';
+        }
+        if (!rule.spaceUuid && !rule.spaceName) {
+            return 'Choose a target space';
+        }
+        const pattern = rule.pattern.trim();
+        if (!pattern) {
+            return rule.type === 'opener' ? 'Choose the space tabs are opened from' : 'Pattern is empty';
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                return error.message;
+            }
+        }
+        if (rule.type === 'domain' && /[\/\s]/.test(pattern)) {
+            return 'Domain must not contain "/" or spaces';
+        }
+        return null;
+    },
+
+    // Whether a URL should be routed at all
+    isRoutableUrl: function (url) {
+        return typeof url === 'string' && /^(https?|file):/i.test(url);
+    },
+
+    // context = { openerSpaceUuid } of the tab that opened this one, if known
+    matches: function (rule, url, context = {}) {
+        const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+        if (!pattern) return false;
+
+        if (rule.type === 'opener') {
+            return Boolean(context.openerSpaceUuid) && context.openerSpaceUuid === pattern;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        switch (rule.type) {
+            case 'domain': {
+                const domain = pattern.toLowerCase().replace(/^\*\./, '').replace(/^\./, '');
+                const host = parsed.hostname.toLowerCase();
+                return host === domain || host.endsWith(`.${domain}`);
+            }
+            case 'glob': {
+                const regex = this._globToRegExp(pattern);
+                if (!pattern.includes('/')) {
+                    return regex.test(parsed.hostname);
+                }
+                const withoutScheme = url.replace(/^[a-z]+:\/\//i, '');
+                return regex.test(url) || regex.test(withoutScheme);
+            }
+            case 'regex':
+                try {
+                    return new RegExp(pattern, 'i').test(url);
+                } catch (error) {
+                    Logger.warn('[RoutingRules] Invalid regex rule skipped:', pattern);
+                    return false;
+                }
+            default:
+                return false;
+        }
+    },
+
+    // First enabled rule that matches, or null
+    findMatchingRule: function (rules, url, context = {}) {
+        if (!this.isRoutableUrl(url)) return null;
+        return rules.find(rule => rule.enabled !== false && this.matches(rule, url, context)) || null;
+    },
+
+    // Resolve a rule's target against a list of spaces (uuid first, then name)
+    findTargetSpace: function (rule, spaces) {
+        return spaces.find(s => rule.spaceUuid && s.uuid === rule.spaceUuid)
+            || spaces.find(s => rule.spaceName && s.name === rule.spaceName)
+            || null;
+    },
+
+    // '*' matches anything, '?' one character; the whole URL must match
+    _globToRegExp: function (glob) {
+        const source = glob
+            .split('')
+            .map(char => {
+                if (char === '*') return '.*';
+                if (char === '?') return '.';
+                return char.replace(/[.+^${}()|[\]\\\/]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`, 'i');
+    }
+};
+
+export { RoutingRules };
@@ -0,0 +1,122 @@
+/**
+ * Search Keywords - Site search shortcuts for Spotlight ("gh react hooks", "!w tokyo")
+ *
+ * Purpose: Sends a query straight to a site's own search instead of the default search engine
+ * Key Functions: Keyword storage, validation, parsing a Spotlight query, building the search URL
+ * Architecture: Static utility object; options.html edits the list, Spotlight (overlay and new tab page) reads it
+ *
+ * Critical Notes:
+ * - A keyword triggers as the first word of the query ("gh react hooks") or as a bang anywhere in it
+ *   ("!w tokyo", "tokyo !w"); Tab on a keyword scopes Spotlight to that site like the Chrome omnibox
+ * - URL templates use Chrome's "%s" placeholder, replaced by the URL-encoded search terms
+ * - Until the user saves their own list, the defaults below are used
+ */
+
+import { LocalStorage } from './localstorage.js';
+
+const SEARCH_KEYWORDS_KEY = 'searchKeywords';
+const BANG_PREFIX = '!';
+const QUERY_PLACEHOLDER = '%s';
+
+const DEFAULT_SEARCH_KEYWORDS = [
+    { keyword: 'gh', name: 'GitHub', url: 'https://github.com/search?q=%s' },
+    { keyword: 'mdn', name: 'MDN', url: 'https://developer.mozilla.org/en-US/search?q=%s' },
+    { keyword: 'w', name: 'Wikipedia', url: 'https://en.wikipedia.org/wiki/Special:Search?search=%s' },
+    { keyword: 'yt', name: 'YouTube', url: 'https://www.youtube.com/results?search_query=%s' }
+];
+
+const SearchKeywords = {
+    BANG_PREFIX,
+
+    getKeywords: async function () {
+        const result = await chrome.storage.local.get(SEARCH_KEYWORDS_KEY);
+        const stored = result[SEARCH_KEYWORDS_KEY];
+        if (!Array.isArray(stored)) {
+            return DEFAULT_SEARCH_KEYWORDS.map(entry => this.createKeyword(entry));
+        }
+        return stored;
+    },
+
+    saveKeywords: async function (keywords) {
+        await chrome.storage.local.set({ [SEARCH_KEYWORDS_KEY]: keywords });
+    },
+
+    createKeyword: function (overrides = {}) {
+        return {
+            id: LocalStorage.generateUUID(),
+            keyword: '',
+            name: '',
+            url: '',
+            ...overrides
+        };
+    },
+
+    // Returns a human readable problem with the entry, or null when it can be saved
+    validateKeyword: function (entry, keywords = []) {
+        const keyword = (entry.keyword || '').trim();
+        if (!keyword) {
+            return 'Keyword is empty';
+        }
+        if (/\s/.test(keyword) || keyword.startsWith(BANG_PREFIX)) {
+            return `Keyword must not contain spaces or start with "${BANG_PREFIX}"`;
+        }
+        if (keywords.some(other => other !== entry && other.keyword?.toLowerCase() === keyword.toLowerCase())) {
+            return `"${keyword}" is already used`;
+        }
+        if (!(entry.name || '').trim()) {
+            return 'Name is empty';
+        }
+        const url = (entry.url || '').trim();
+        if (!url.includes(QUERY_PLACEHOLDER)) {
+            return `URL must contain ${QUERY_PLACEHOLDER} where the search terms go`;
+        }
+        try {
+            const parsed = new URL(url.replaceAll(QUERY_PLACEHOLDER, 'test'));
+            if (!/^https?:$/.test(parsed.protocol)) {
+                return 'URL must start with http:// or https://';
+            }
+        } catch (error) {
+            return 'URL is not valid';
+        }
+        return null;
+    },
+
+    // Entry whose keyword (or bang) is exactly the given text, for Tab-to-scope
+    findKeyword: function (text, keywords) {
+        const word = text.trim().toLowerCase().replace(/^!/, '');
+        if (!word) return null;
+        return keywords.find(entry => this._isUsable(entry) && entry.keyword.toLowerCase() === word) || null;
+    },
+
+    // { entry, terms } when the query addresses a keyword and has search terms, otherwise null
+    parseQuery: function (query, keywords) {
+        const words = query.trim().split(/\s+/);
+        if (words.length < 2) return null;
+
+        const leading = keywords.find(entry => this._isUsable(entry) &&
+            entry.keyword.toLowerCase() === words[0].toLowerCase());
+        if (leading) {
+            return { entry: leading, terms: words.slice(1).join(' ') };
+        }
+
+        for (let i = 0; i < words.length; i++) {
+            if (!words[i].startsWith(BANG_PREFIX)) continue;
+            const entry = this.findKeyword(words[i], keywords);
+            if (entry) {
+                return { entry, terms: words.filter((_, index) => index !== i).join(' ') };
+            }
+        }
+        return null;
+    },
+
+    buildSearchUrl: function (entry, terms) {
+        return entry.url.trim().replaceAll(QUERY_PLACEHOLDER, encodeURIComponent(terms.trim()));
+    },
+
+    // Half-edited entries from the options page are skipped rather than matched
+    _isUsable: function (entry) {
+        return Boolean(entry?.keyword && entry.url?.includes(QUERY_PLACEHOLDER));
+    }
+};
+
+export { SearchKeywords };
@@ -3,12 +3,19 @@
  * 
  * Purpose: Implements Arc-like vertical tab organization with spaces (Chrome tab groups)
  * Key Functions: Space creation/management, tab organization, drag-and-drop, archived tabs, spotlight integration
- * Architecture: Side panel UI that syncs with Chrome's native tab groups API
+ * Architecture: Side panel UI that subscribes to the background space store (space-store.js) for its window
  * 
  * Critical Notes:
  * - Primary user interface for tab and space management
+ * - Spaces come from the store's snapshot; saveSpaces() commits edits back, the store places new tabs
+ *   (active space, routing rules) and tells the sidebar, which only renders them
+ * - While opening pinned bookmarks or creating spaces the sidebar marks itself busy so the store leaves those tabs alone
  * - Real-time sync with Chrome tab groups and active tab changes
  * - Handles drag-and-drop for tab/space reorganization
+ * - Tabs can be multi-selected (Cmd/Ctrl-click, Shift-click); drags and the bulk context menu then apply to the
+ *   whole selection and reconcile Chrome's tab order once
+ * - Temporary tabs can be sorted once (domain, title, last active, opener) or viewed grouped by domain; the
+ *   grouping is a view only, its cluster headers sit between the tab elements of the temporary container
  * - Integrates with spotlight system for search functionality
  * - Manages archived tabs and auto-archive settings
  */
@@ -17,8 +24,13 @@ import { ChromeHelper } from './chromeHelper.js';
 import { FOLDER_CLOSED_ICON, FOLDER_CLOSED_DOTS_ICON, FOLDER_OPEN_ICON } from './icons.js';
 import { LocalStorage } from './localstorage.js';
 import { Utils } from './utils.js';
-import { setupDOMElements, showSpaceNameInput, activateTabInDOM, activateSpaceInDOM, showTabContextMenu, showArchivedTabsPopup, setupQuickPinListener } from './domManager.js';
+import { setupDOMElements, showSpaceNameInput, activateTabInDOM, activateSpaceInDOM, showTabContextMenu, showBulkTabContextMenu, showSortTabsMenu, showArchivedTabsPopup, setupQuickPinListener, toggleTabPin, showUrlCopyToast, showDuplicateTabPrompt, attachHoverCard } from './domManager.js';
 import { BookmarkUtils } from './bookmark-utils.js';
+import { SPACE_STORE_PORT, SpaceStoreIntent, SpaceStoreEvent } from './space-store.js';
+import { MessageRouter, MessageType, MessageContext } from './message-router.js';
+import { CommandId } from './spotlight/shared/commands.js';
+import { TabSorter } from './tab-sorter.js';
+import { ThumbnailCache } from './thumbnail-cache.js';
 import { Logger } from './logger.js';
 
 // Constants
@@ -43,13 +55,23 @@ let isCreatingSpace = false;
 let isOpeningBookmark = false;
 let isDraggingTab = false;
 let currentWindow = null;
-let defaultSpaceName = 'Home';
 let showAllOpenTabsInCollapsedFolders = false; // default Arc behavior is false (active-only)
+let groupTemporaryTabsByDomain = false;
+// Domain clusters the user collapsed in the "group by domain" view. Map<spaceId, Set<domain>>
+const collapsedDomainClusters = new Map();
 let activeChromeTabId = null;
 // Arc-like behavior: track which tabs have been active in each collapsed folder.
 // These tabs stay visible until user manually opens/closes the folder.
 // WeakMap<HTMLElement (folder), Set<number (tabId)>>
 const collapsedFolderShownTabs = new WeakMap();
+// Typed runtime messages addressed to the sidebar (see message-router.js)
+const sidebarRouter = new MessageRouter(MessageContext.SIDEBAR);
+
+// Port to the background space store; reconnected when the service worker restarts
+let spaceStorePort = null;
+let spaceStoreVersion = 0; // Latest store version this sidebar has applied; sent with each commit
+let resolveSpaceStoreSnapshot = null;
+const SPACE_STORE_RECONNECT_DELAY_MS = 100;
 
 // Helper function to update bookmark for a tab
 async function updateBookmarkForTab(tab, bookmarkTitle) {
@@ -112,9 +134,7 @@ async function replaceBookmarkUrlWithCurrentUrl(tab, tabElement) {
     if (!resolvedBookmarkId && pinnedUrl) {
         const activeSpace = spaces.find(s => s.id === activeSpaceId);
         if (activeSpace) {
-            const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-            const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-            const spaceFolder = spaceFolders.find(f => f.title === activeSpace.name);
+            const spaceFolder = await LocalStorage.getSpaceFolder(activeSpace);
             if (spaceFolder) {
                 const result = await BookmarkUtils.findBookmarkInFolderRecursive(spaceFolder.id, { url: pinnedUrl });
                 resolvedBookmarkId = result?.bookmark?.id || null;
@@ -558,9 +578,8 @@ async function activatePinnedTabByURL(bookmarkUrl, targetSpaceId, spaceName) {
             const existingBookmarkElement = document.querySelector(`[data-url="${bookmarkUrl}"].bookmark-only`);
 
             // Find the bookmark to get the correct title
-            const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-            const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-            const spaceFolder = spaceFolders.find(f => f.title === spaceName);
+            const targetSpace = spaces.find(s => s.id === targetSpaceId);
+            const spaceFolder = await LocalStorage.getSpaceFolder(targetSpace);
 
             let bookmarkTitle = null;
             if (spaceFolder) {
@@ -593,16 +612,16 @@ async function activatePinnedTabByURL(bookmarkUrl, targetSpaceId, spaceName) {
             };
 
             // Use shared bookmark opening logic
-            isOpeningBookmark = true;
+            setOpeningBookmark(true);
             try {
                 await BookmarkUtils.openBookmarkAsTab(bookmarkData, targetSpaceId, existingBookmarkElement, context, /*isPinned=*/true);
             } finally {
-                isOpeningBookmark = false;
+                setOpeningBookmark(false);
             }
         }
     } catch (error) {
         Logger.error("[PinnedTabActivator] Error activating pinned tab:", error);
-        isOpeningBookmark = false;
+        setOpeningBookmark(false);
     }
 }
 
@@ -632,25 +651,60 @@ document.addEventListener('DOMContentLoaded', async () => {
             showAllOpenTabsInCollapsedFolders = Boolean(changes.showAllOpenTabsInCollapsedFolders.newValue);
             syncCollapsedFoldersInActiveSpace();
         }
+
+        if (areaName === 'sync' && changes.groupTemporaryTabsByDomain) {
+            groupTemporaryTabsByDomain = Boolean(changes.groupTemporaryTabsByDomain.newValue);
+            if (groupTemporaryTabsByDomain) {
+                document.querySelectorAll('[data-tab-type="temporary"]').forEach(renderDomainClusters);
+            } else {
+                // Reconcile puts the temporary tabs back in Chrome order; the observer then drops the headers
+                spaces.forEach(space => reconcileSpaceTabOrdering(space.id, { source: 'arcify' }));
+            }
+        }
     });
 
+    // Spaces imported from the options page show up without reopening the sidebar
+    sidebarRouter.on(MessageType.SPACES_IMPORTED, () => {
+        Logger.log('Spaces imported, refreshing space switcher and active space...');
+        updateSpaceSwitcher();
+        refreshActiveSpaceUI();
+        restoreFavoritesFromBookmarks().then(() => updatePinnedFavicons());
+    });
+    sidebarRouter.listen();
+
     initSidebar();
     await restoreFavoritesFromBookmarks(); // Restore favorites from bookmarks on startup
     updatePinnedFavicons(); // Initial load of pinned favicons
 
-    // Add Chrome tab event listeners
-    chrome.tabs.onCreated.addListener(handleTabCreated);
+    // Add Chrome tab event listeners (new tabs are placed by the space store, see handleSpaceStoreMessage)
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         handleTabUpdate(tabId, changeInfo, tab);
         if (tab.pinned) updatePinnedFavicons(); // Update favicons when a tab is pinned/unpinned
+        if (changeInfo.discarded !== undefined) {
+            // Memory saver (see memory-saver.js) put the tab to sleep, or it woke up
+            document.querySelector(`.tab[data-tab-id="${tabId}"]`)?.classList.toggle('sleeping', changeInfo.discarded);
+        }
+        if (changeInfo.url) {
+            scheduleDuplicateBadgeRefresh();
+            offerSwitchToDuplicate(tab);
+        }
+    });
+    chrome.tabs.onRemoved.addListener((tabId) => {
+        handleTabRemove(tabId);
+        forgetPromptedDuplicates(tabId);
+        scheduleDuplicateBadgeRefresh();
     });
-    chrome.tabs.onRemoved.addListener(handleTabRemove);
     chrome.tabs.onMoved.addListener(handleTabMove);
     chrome.tabs.onActivated.addListener(handleTabActivated);
     chrome.tabGroups.onRemoved.addListener(handleTabGroupRemoved);
 
     // Setup Quick Pin listener
-    setupQuickPinListener(moveTabToSpace, moveTabToPinned, moveTabToTemp, activeSpaceId, setActiveSpace, activatePinnedTabByURL);
+    setupQuickPinListener(sidebarRouter, () => activeSpaceId, setActiveSpace, activatePinnedTabByURL);
+
+    // Escape drops a multi-tab selection
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') clearTabSelection();
+    });
 
     // Tab navigation listener
     // Add event listener for placeholder close button
@@ -709,10 +763,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function initSidebar() {
     Logger.log('Initializing sidebar...');
     let settings = await Utils.getSettings();
-    if (settings.defaultSpaceName) {
-        defaultSpaceName = settings.defaultSpaceName;
-    }
     showAllOpenTabsInCollapsedFolders = Boolean(settings.showAllOpenTabsInCollapsedFolders);
+    groupTemporaryTabsByDomain = Boolean(settings.groupTemporaryTabsByDomain);
     try {
         currentWindow = await chrome.windows.getCurrent({ populate: false });
         // Seed current active tab for Arc-like collapsed folder behavior
@@ -723,152 +775,191 @@ async function initSidebar() {
             // ignore
         }
 
-        let tabGroups = await chrome.tabGroups.query({});
-        let allTabs = await chrome.tabs.query({ currentWindow: true });
-        Logger.log("tabGroups", tabGroups);
-        Logger.log("allTabs", allTabs);
-
-        // Check for duplicates
-        await LocalStorage.mergeDuplicateSpaceFolders();
-
-        // Create bookmarks folder for spaces if it doesn't exist
-        const spacesFolder = await LocalStorage.getOrCreateBarCatFolder();
-        Logger.log("spacesFolder", spacesFolder);
-        const subFolders = await chrome.bookmarks.getChildren(spacesFolder.id);
-        Logger.log("subFolders", subFolders);
-        if (tabGroups.length === 0) {
-            let currentTabs = allTabs.filter(tab => tab.id && !tab.pinned) ?? [];
-
-            if (currentTabs.length == 0) {
-                await chrome.tabs.create({ active: true });
-                allTabs = await chrome.tabs.query({});
-                currentTabs = allTabs.filter(tab => tab.id && !tab.pinned) ?? [];
-            }
+        // The store builds this window's spaces (grouping loose tabs into the default space) if it hasn't yet
+        const snapshot = await connectSpaceStore();
+        spaces = snapshot.spaces;
+        Logger.log("spaces from store", spaces);
+        spaces.forEach(space => createSpaceElement(space));
 
-            // Create default tab group and move all tabs to it
-            Logger.log('currentTabs', currentTabs);
-            const groupId = await chrome.tabs.group({ tabIds: currentTabs.map(tab => tab.id) });
-            const groupColor = await Utils.getTabGroupColor(defaultSpaceName);
-            await chrome.tabGroups.update(groupId, { title: defaultSpaceName, color: groupColor });
-
-            // Create default space with UUID
-            const defaultSpace = {
-                id: groupId,
-                uuid: Utils.generateUUID(),
-                name: defaultSpaceName,
-                color: groupColor,
-                spaceBookmarks: [],
-                temporaryTabs: currentTabs.map(tab => tab.id),
-            };
+        // Re-apply colors to all spaces after they're created
+        reapplySpaceColors();
 
-            // Create bookmark folder for space bookmarks using UUID
-            const bookmarkFolder = subFolders.find(f => !f.url && f.title == defaultSpaceName);
-            if (!bookmarkFolder) {
-                await chrome.bookmarks.create({
-                    parentId: spacesFolder.id,
-                    title: defaultSpaceName
-                });
-            }
+        let activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const activeTab = activeTabs[0];
+        const fallbackSpaceId = spaces.some(s => s.id === snapshot.activeSpaceId) ? snapshot.activeSpaceId : spaces[0]?.id;
+        if (activeTab?.pinned) {
+            await setActiveSpace(fallbackSpaceId, false);
+            updatePinnedFavicons();
+        } else if (activeTab && spaces.some(s => s.id === activeTab.groupId)) {
+            await setActiveSpace(activeTab.groupId, false);
+        } else if (fallbackSpaceId) {
+            await setActiveSpace(fallbackSpaceId);
+        }
 
-            spaces = [defaultSpace];
-            saveSpaces();
-            createSpaceElement(defaultSpace);
-            await setActiveSpace(defaultSpace.id);
-        } else {
-            // Find tabs that aren't in any group
-            const ungroupedTabs = allTabs.filter(tab => tab.groupId === -1 && !tab.pinned);
-            let defaultGroupId = null;
-
-            // If there are ungrouped tabs, check for existing Default group or create new one
-            if (ungroupedTabs.length > 0) {
-                Logger.log("found ungrouped tabs", ungroupedTabs);
-                const defaultGroup = tabGroups.find(group => group.title === defaultSpaceName);
-                if (defaultGroup) {
-                    Logger.log("found existing default group", defaultGroup);
-                    if (defaultGroup.windowId === currentWindow.id) {
-                        // Move ungrouped tabs to existing Default group
-                        await chrome.tabs.group({ tabIds: ungroupedTabs.map(tab => tab.id), groupId: defaultGroup.id });
-                    } else {
-                        // Create new Default group
-                        defaultGroupId = await chrome.tabs.group({ tabIds: ungroupedTabs.map(tab => tab.id) });
-                        await chrome.tabGroups.update(defaultGroupId, { title: defaultSpaceName + currentWindow.id, color: 'grey' });
-                    }
-                } else {
-                    // Create new Default group
-                    defaultGroupId = await chrome.tabs.group({ tabIds: ungroupedTabs.map(tab => tab.id) });
-                    await chrome.tabGroups.update(defaultGroupId, { title: defaultSpaceName, color: 'grey' });
-                }
-            }
+        // Initialize previousSpaceId to the default space (first space)
+        if (spaces.length > 0) {
+            previousSpaceId = spaces[0].id;
+            Logger.log('Initialized previousSpaceId to default space:', previousSpaceId);
+        }
+    } catch (error) {
+        Logger.error('Error initializing sidebar:', error);
+    }
 
-            tabGroups = await chrome.tabGroups.query({});
+    setupDOMElements(createNewSpace);
+}
 
-            // Load existing tab groups as spaces
-            spaces = await Promise.all(tabGroups.map(async group => {
-                const tabs = await chrome.tabs.query({ groupId: group.id });
-                Logger.log("processing group", group);
+// Connect to the space store and resolve with its first snapshot for this window.
+// After a reconnect the sidebar hands back its own spaces so edits made while disconnected aren't lost.
+function connectSpaceStore(spacesToAdopt = null) {
+    return new Promise(resolve => {
+        resolveSpaceStoreSnapshot = resolve;
+        spaceStorePort = chrome.runtime.connect({ name: SPACE_STORE_PORT });
+        spaceStorePort.onMessage.addListener(handleSpaceStoreMessage);
+        spaceStorePort.onDisconnect.addListener(() => {
+            Logger.log('[SpaceStore] Port disconnected, reconnecting...');
+            spaceStorePort = null;
+            setTimeout(async () => {
+                const snapshot = await connectSpaceStore(spaces);
+                await applySpaceStoreSnapshot(snapshot);
+            }, SPACE_STORE_RECONNECT_DELAY_MS);
+        });
+        postToSpaceStore({ type: SpaceStoreIntent.HELLO, windowId: currentWindow.id, spaces: spacesToAdopt });
+    });
+}
 
-                const mainFolder = await chrome.bookmarks.getSubTree(spacesFolder.id);
-                const bookmarkFolder = mainFolder[0].children?.find(f => f.title == group.title);
-                Logger.log("looking for existing folder", group.title, mainFolder, bookmarkFolder);
-                let spaceBookmarks = [];
-                if (!bookmarkFolder) {
-                    Logger.log("creating new folder", group.title)
-                    await chrome.bookmarks.create({
-                        parentId: spacesFolder.id,
-                        title: group.title
-                    });
-                } else {
-                    Logger.log("found folder", group.title)
-                    // Loop over bookmarks in the folder and add them to spaceBookmarks if there's an open tab
+function postToSpaceStore(message) {
+    if (!spaceStorePort) {
+        Logger.warn('[SpaceStore] Not connected, dropping intent:', message.type);
+        return;
+    }
+    try {
+        spaceStorePort.postMessage(message);
+    } catch (error) {
+        Logger.warn('[SpaceStore] Error posting intent:', error);
+    }
+}
 
-                    spaceBookmarks = await BookmarkUtils.matchTabsWithBookmarks(bookmarkFolder, group.id, Utils.setTabNameOverride.bind(Utils));
-                    // Remove null values from spaceBookmarks
-                    spaceBookmarks = spaceBookmarks.filter(id => id !== null);
+// Show tabs the store placed while the port was down
+async function applySpaceStoreSnapshot(snapshot) {
+    for (const storeSpace of snapshot.spaces) {
+        const space = spaces.find(s => s.id === storeSpace.id);
+        if (!space) continue;
+        const known = new Set([...space.spaceBookmarks, ...space.temporaryTabs]);
+        for (const tabId of storeSpace.spaceBookmarks.filter(id => !known.has(id))) {
+            await moveTabToSpace(tabId, space.id, true);
+        }
+        for (const tabId of storeSpace.temporaryTabs.filter(id => !known.has(id))) {
+            await moveTabToSpace(tabId, space.id, false);
+        }
+    }
+}
 
-                    Logger.log("space bookmarks in", group.title, spaceBookmarks);
+async function handleSpaceStoreMessage(message) {
+    // Snapshots and model events carry the store's version; the commit at the end of each handler includes the change
+    if (Number.isInteger(message.version)) {
+        spaceStoreVersion = message.version;
+    }
+    try {
+        switch (message.type) {
+            case SpaceStoreEvent.SNAPSHOT:
+                if (resolveSpaceStoreSnapshot) {
+                    const resolve = resolveSpaceStoreSnapshot;
+                    resolveSpaceStoreSnapshot = null;
+                    resolve(message);
                 }
-                const space = {
-                    id: group.id,
-                    uuid: Utils.generateUUID(),
-                    name: group.title,
-                    color: group.color,
-                    spaceBookmarks: spaceBookmarks,
-                    temporaryTabs: tabs.filter(tab => !spaceBookmarks.includes(tab.id)).map(tab => tab.id)
-                };
-
-                return space;
-            }));
-            spaces.forEach(space => createSpaceElement(space));
-            Logger.log("initial save", spaces);
-            saveSpaces();
-
-            // Re-apply colors to all spaces after they're created
-            reapplySpaceColors();
-
-            let activeTabs = await chrome.tabs.query({ active: true, currentWindow: true });
-            if (activeTabs.length > 0) {
-                const activeTab = activeTabs[0];
-                if (activeTab.pinned) {
-                    await setActiveSpace(spaces[0].id, false);
-                    updatePinnedFavicons();
-                } else {
-                    await setActiveSpace(activeTab.groupId, false);
+                break;
+            case SpaceStoreEvent.TAB_ASSIGNED: {
+                // The store already grouped the tab; mirror it in this sidebar's model and DOM
+                const space = spaces.find(s => s.id === message.spaceId);
+                if (!space) break;
+                await moveTabToSpace(message.tabId, space.id, message.pinned, message.openerTabId);
+                if (message.pinned) {
+                    await moveTabToPinned(space, await chrome.tabs.get(message.tabId));
                 }
-            } else {
-                await setActiveSpace(defaultGroupId ?? spaces[0].id);
+                saveSpaces();
+                break;
             }
-
-            // Initialize previousSpaceId to the default space (first space)
-            if (spaces.length > 0) {
-                previousSpaceId = spaces[0].id;
-                Logger.log('Initialized previousSpaceId to default space:', previousSpaceId);
+            case SpaceStoreEvent.SPACE_CREATED: {
+                // A routing rule opened an inactive space with this tab
+                spaces.forEach(s => {
+                    s.temporaryTabs = s.temporaryTabs.filter(id => id !== message.tabId);
+                    s.spaceBookmarks = s.spaceBookmarks.filter(id => id !== message.tabId);
+                });
+                document.querySelector(`[data-tab-id="${message.tabId}"]`)?.remove();
+                spaces.push(message.space);
+                saveSpaces();
+                createSpaceElement(message.space);
+                await setActiveSpace(message.space.id);
+                updateSpaceSwitcher();
+                break;
             }
+            case SpaceStoreEvent.TOGGLE_PIN: {
+                const tab = await chrome.tabs.get(message.tabId);
+                toggleTabPin(tab, spaces, moveTabToSpace, moveTabToPinned, moveTabToTemp);
+                break;
+            }
+            case SpaceStoreEvent.SPACE_MOVED:
+                spaces = spaces.filter(s => s.id !== message.spaceId);
+                document.querySelector(`[data-space-id="${message.spaceId}"]`)?.remove();
+                if (activeSpaceId === message.spaceId && spaces.length > 0) {
+                    await setActiveSpace(spaces[0].id, false);
+                }
+                saveSpaces();
+                await updateSpaceSwitcher();
+                break;
+            case SpaceStoreEvent.SPACE_UPDATED: {
+                // Renamed or recolored from Chrome's tab group UI
+                const space = spaces.find(s => s.id === message.spaceId);
+                if (!space) break;
+                space.name = message.name;
+                space.color = message.color;
+                const nameInput = document.querySelector(`[data-space-id="${space.id}"] .space-name`);
+                if (nameInput && document.activeElement !== nameInput) {
+                    nameInput.value = message.name;
+                }
+                saveSpaces();
+                await updateSpaceSwitcher();
+                break;
+            }
+            case SpaceStoreEvent.SPACE_REMOVED:
+                // handleTabGroupRemoved picks the tab to show; only the model and DOM are updated here
+                spaces = spaces.filter(s => s.id !== message.spaceId);
+                document.querySelector(`[data-space-id="${message.spaceId}"]`)?.remove();
+                saveSpaces();
+                await updateSpaceSwitcher();
+                break;
+            case SpaceStoreEvent.TAB_DETACHED:
+                // Gone from this window as if closed: a pinned tab falls back to its bookmark
+                await handleTabRemove(message.tabId);
+                spaces.forEach(s => {
+                    s.temporaryTabs = s.temporaryTabs.filter(id => id !== message.tabId);
+                    s.spaceBookmarks = s.spaceBookmarks.filter(id => id !== message.tabId);
+                });
+                saveSpaces();
+                break;
+            case SpaceStoreEvent.WINDOWS_CHANGED:
+                await updateSpaceSwitcher();
+                break;
+            case SpaceStoreEvent.RUN_COMMAND:
+                await runSpotlightCommand(message.command);
+                break;
+            default:
+                Logger.warn('[SpaceStore] Unknown event:', message);
         }
     } catch (error) {
-        Logger.error('Error initializing sidebar:', error);
+        Logger.error('[SpaceStore] Error handling event:', message.type, error);
     }
+}
 
-    setupDOMElements(createNewSpace);
+// The store leaves new tabs in this window alone while the sidebar places them itself
+function setOpeningBookmark(value) {
+    isOpeningBookmark = value;
+    postToSpaceStore({ type: SpaceStoreIntent.BUSY, busy: isOpeningBookmark || isCreatingSpace });
+}
+
+function setCreatingSpace(value) {
+    isCreatingSpace = value;
+    postToSpaceStore({ type: SpaceStoreIntent.BUSY, busy: isOpeningBookmark || isCreatingSpace });
 }
 
 function createSpaceElement(space) {
@@ -911,6 +1002,9 @@ function createSpaceElement(space) {
 
         // Update tab group color
         await chrome.tabGroups.update(space.id, { color: newColor });
+        if (space.uuid) {
+            await LocalStorage.updateSpaceIdentity(space.uuid, { color: newColor });
+        }
 
         // Update space background color
         sidebarContainer.style.setProperty('--space-bg-color', `var(--chrome-${newColor}-color, rgba(255, 255, 255, 0.1))`);
@@ -946,21 +1040,7 @@ function createSpaceElement(space) {
     const nameInput = spaceElement.querySelector('.space-name');
     nameInput.value = space.name;
     nameInput.addEventListener('change', async () => {
-        // Update bookmark folder name
-        const oldName = space.name;
-        const oldFolder = await LocalStorage.getOrCreateSpaceFolder(oldName);
-        await chrome.bookmarks.update(oldFolder.id, { title: nameInput.value });
-
-        const tabGroups = await chrome.tabGroups.query({});
-        const tabGroupForSpace = tabGroups.find(group => group.id === space.id);
-        Logger.log("updating tabGroupForSpace", tabGroupForSpace);
-        if (tabGroupForSpace) {
-            await chrome.tabGroups.update(tabGroupForSpace.id, { title: nameInput.value, color: 'grey' });
-        }
-
-        space.name = nameInput.value;
-        saveSpaces();
-        await updateSpaceSwitcher();
+        await renameSpace(space, nameInput.value);
     });
 
     // Set up chevron toggle for pinned section
@@ -1016,21 +1096,44 @@ function createSpaceElement(space) {
     const cleanBtn = spaceElement.querySelector('.clean-tabs-btn');
     cleanBtn.addEventListener('click', () => cleanTemporaryTabs(space.id));
 
+    // Set up sort button and the "group by domain" view of the temporary section
+    const sortBtn = spaceElement.querySelector('.sort-tabs-btn');
+    sortBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const rect = sortBtn.getBoundingClientRect();
+        showSortTabsMenu(rect.left, rect.bottom, {
+            groupByDomain: groupTemporaryTabsByDomain,
+            onSort: (sortKey) => sortTemporaryTabs(space.id, sortKey),
+            onToggleGroupByDomain: (enabled) => Utils.setGroupTemporaryTabsByDomain(enabled)
+        });
+    });
+    observeDomainClusters(tempContainer);
+
     // Set up options menu
     const newFolderBtn = spaceElement.querySelector('.new-folder-btn');
     const deleteSpaceBtn = spaceElement.querySelector('.delete-space-btn');
+    const moveWindowBtn = spaceElement.querySelector('.move-window-btn');
+    const closeDuplicatesBtn = spaceElement.querySelector('.close-duplicates-btn');
+    const closeAllDuplicatesBtn = spaceElement.querySelector('.close-all-duplicates-btn');
     const settingsBtn = spaceElement.querySelector('.settings-btn');
 
     newFolderBtn.addEventListener('click', () => {
         createNewFolder(spaceContainer);
     });
 
+    closeDuplicatesBtn.addEventListener('click', () => closeDuplicateTabs({ groupId: space.id }));
+    closeAllDuplicatesBtn.addEventListener('click', () => closeDuplicateTabs({}));
+
     deleteSpaceBtn.addEventListener('click', () => {
         if (confirm('Delete this space and close all its tabs?')) {
             deleteSpace(space.id);
         }
     });
 
+    moveWindowBtn.addEventListener('click', () => {
+        moveSpaceToNewWindow(space.id);
+    });
+
     settingsBtn.addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
@@ -1206,6 +1309,10 @@ async function updateSpaceSwitcher() {
             Logger.log("clicked for active", space);
             await setActiveSpace(space.id);
         });
+        button.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            showSpaceSwitcherContextMenu(e, 'Move to New Window', () => moveSpaceToNewWindow(space.id));
+        });
 
         // --- Drag Event Listeners for Buttons ---
         button.addEventListener('dragstart', (e) => {
@@ -1235,26 +1342,99 @@ async function updateSpaceSwitcher() {
     // Inactive space from bookmarks
     const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
     const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
+    const openIdentities = await LocalStorage.getOpenSpaceIdentities();
     spaceFolders.forEach(spaceFolder => {
         // Skip _Favorites folder - it's not a space
         if (spaceFolder.title === '_Favorites') {
             return;
         }
-        if (spaces.find(space => space.name == spaceFolder.title)) {
+        if (spaceFolder.url || spaces.find(space => space.bookmarkFolderId === spaceFolder.id)) {
             return;
-        } else {
-            const button = document.createElement('button');
-            button.textContent = spaceFolder.title;
+        }
+
+        const button = document.createElement('button');
+        button.textContent = spaceFolder.title;
+
+        // Open in another window: a space can only have one tab group, so just focus that window
+        const otherWindowIdentity = openIdentities.find(i => i.folderId === spaceFolder.id);
+        if (otherWindowIdentity) {
+            button.classList.add('other-window');
+            button.title = 'Open in another window';
             button.addEventListener('click', async () => {
-                const newTab = await ChromeHelper.createNewTab();
-                await createSpaceFromInactive(spaceFolder.title, newTab);
+                try {
+                    const group = await chrome.tabGroups.get(otherWindowIdentity.groupId);
+                    await chrome.windows.update(group.windowId, { focused: true });
+                } catch (error) {
+                    Logger.warn('Space window no longer exists:', error);
+                    await updateSpaceSwitcher();
+                }
             });
             spaceSwitcher.appendChild(button);
+            return;
         }
+
+        button.addEventListener('click', async () => {
+            const newTab = await ChromeHelper.createNewTab();
+            await createSpaceFromInactive(spaceFolder, newTab);
+        });
+        button.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            showSpaceSwitcherContextMenu(e, 'Open in New Window', () => openSpaceInNewWindow(spaceFolder));
+        });
+        spaceSwitcher.appendChild(button);
     });
+}
 
-    // const spaceFolder = spaceFolders.find(f => f.title === space.name);
+// Folder ids of spaces that are open as a tab group in another window
+async function getOtherWindowSpaceFolderIds() {
+    const openIdentities = await LocalStorage.getOpenSpaceIdentities();
+    const ownFolderIds = new Set(spaces.map(s => s.bookmarkFolderId));
+    return new Set(openIdentities.map(i => i.folderId).filter(id => !ownFolderIds.has(id)));
+}
+
+function showSpaceSwitcherContextMenu(e, label, action) {
+    document.querySelectorAll('.space-switcher-context-menu').forEach(menu => menu.remove());
+
+    const contextMenu = document.createElement('div');
+    contextMenu.classList.add('context-menu', 'space-switcher-context-menu');
+    contextMenu.style.position = 'fixed';
+    contextMenu.style.left = `${e.clientX}px`;
+    contextMenu.style.top = `${e.clientY}px`;
+
+    const option = document.createElement('div');
+    option.classList.add('context-menu-item');
+    option.textContent = label;
+    option.addEventListener('click', async () => {
+        contextMenu.remove();
+        await action();
+    });
+    contextMenu.appendChild(option);
+    document.body.appendChild(contextMenu);
 
+    // Close context menu when clicking outside
+    const closeContextMenu = (event) => {
+        if (!contextMenu.contains(event.target)) {
+            contextMenu.remove();
+            document.removeEventListener('click', closeContextMenu);
+        }
+    };
+    document.addEventListener('click', closeContextMenu);
+}
+
+// Move a space's tab group into a new window; that window's sidebar picks it up as its own space
+// The store creates the window and moves the group; the sidebar drops the space on SPACE_MOVED
+function moveSpaceToNewWindow(spaceId) {
+    if (!spaces.some(s => s.id === spaceId)) return;
+    if (spaces.length === 1) {
+        alert('This is the only space in this window.');
+        return;
+    }
+    postToSpaceStore({ type: SpaceStoreIntent.MOVE_SPACE_TO_NEW_WINDOW, spaceId });
+}
+
+// Open an inactive space as the first space of a new window
+function openSpaceInNewWindow(spaceFolder) {
+    postToSpaceStore({ type: SpaceStoreIntent.OPEN_SPACE_IN_NEW_WINDOW, folderId: spaceFolder.id });
 }
 
 function getDragAfterElementSwitcher(container, x) {
@@ -1397,9 +1577,102 @@ function handleEmptyContainerDrop(container, draggingElement, placeholder) {
     return true;
 }
 
+// --- Multi-select ---
+// Selected tabs carry the `selected` class; the anchor is where a Shift-click range starts.
+let tabSelectionAnchor = null;
+
+function isMultiSelectModifier(event) {
+    return /mac/i.test(navigator.platform) ? event.metaKey : event.ctrlKey;
+}
+
+// Tabs of the active space in visual order (pinned section, then temporary), skipping tabs hidden in collapsed folders
+function getSelectableTabElements() {
+    const spaceElement = getSpaceElementById(activeSpaceId);
+    if (!spaceElement) return [];
+    return Array.from(spaceElement.querySelectorAll(
+        '[data-tab-type="pinned"] .tab:not(.tab-placeholder), [data-tab-type="temporary"] .tab:not(.tab-placeholder)'
+    )).filter(el => el.offsetParent !== null);
+}
+
+function getSelectedTabElements() {
+    return Array.from(document.querySelectorAll('.tab.selected'));
+}
+
+function clearTabSelection() {
+    document.querySelectorAll('.tab.selected').forEach(el => el.classList.remove('selected'));
+    tabSelectionAnchor = null;
+}
+
+function toggleTabSelection(tabElement) {
+    // Like Chrome's tab strip, starting a selection keeps the active tab in it
+    if (getSelectedTabElements().length === 0) {
+        const activeTabElement = getSpaceElementById(activeSpaceId)?.querySelector('.tab.active');
+        if (activeTabElement && activeTabElement !== tabElement) activeTabElement.classList.add('selected');
+    }
+    tabElement.classList.toggle('selected');
+    tabSelectionAnchor = tabElement;
+}
+
+function selectTabRange(tabElement) {
+    const tabElements = getSelectableTabElements();
+    const anchor = tabSelectionAnchor?.isConnected
+        ? tabSelectionAnchor
+        : (getSpaceElementById(activeSpaceId)?.querySelector('.tab.active') || tabElement);
+    const from = tabElements.indexOf(anchor);
+    const to = tabElements.indexOf(tabElement);
+    if (from === -1 || to === -1) {
+        toggleTabSelection(tabElement);
+        return;
+    }
+    document.querySelectorAll('.tab.selected').forEach(el => el.classList.remove('selected'));
+    tabElements.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(el => el.classList.add('selected'));
+    tabSelectionAnchor = anchor;
+}
+
+// { tab, title, tabElement, isPinned, isBookmarkOnly } for each selected tab; open tabs are read live from Chrome
+// and skipped if they are gone, bookmark-only tabs get a synthetic tab object like in handleBookmarkOperations
+async function getSelectedTabItems() {
+    const items = [];
+    for (const tabElement of getSelectedTabElements()) {
+        const isBookmarkOnly = tabElement.classList.contains('bookmark-only');
+        const isPinned = Boolean(tabElement.closest('[data-tab-type="pinned"]'));
+        const title = tabElement.querySelector('.tab-title-display')?.textContent || tabElement.dataset.url;
+        let tab;
+        if (isBookmarkOnly) {
+            tab = { id: null, url: tabElement.dataset.url, title };
+        } else {
+            try {
+                tab = await chrome.tabs.get(parseInt(tabElement.dataset.tabId));
+            } catch (e) {
+                continue;
+            }
+        }
+        items.push({ tab, title, tabElement, isPinned, isBookmarkOnly });
+    }
+    return items;
+}
+
+// The dragged tab plus, when it is part of the selection, the rest of the selection in visual order.
+// Bookmark-only tabs cannot become temporary tabs, so they stay behind when dropping there.
+function getDraggedTabGroup(draggingElement, container) {
+    if (!draggingElement.classList.contains('selected')) return [draggingElement];
+    const toPinned = container.dataset.tabType === 'pinned';
+    return getSelectedTabElements().filter(el =>
+        el === draggingElement || (el.classList.contains('dragging-along') && (toPinned || el.dataset.tabId))
+    );
+}
+
 // Helper function to set up drag event listeners for tab elements
 function setupTabDragHandlers(tabElement) {
     tabElement.addEventListener('dragstart', () => {
+        // Dragging a selected tab takes the rest of the selection along; dragging any other tab drops the selection
+        if (tabElement.classList.contains('selected')) {
+            getSelectedTabElements()
+                .filter(el => el !== tabElement)
+                .forEach(el => el.classList.add('dragging-along'));
+        } else {
+            clearTabSelection();
+        }
         tabElement.classList.add('dragging');
         // Track the source folder (if any) so we can resync collapsed-folder projections after drop.
         dragSourceFolderElement = tabElement.closest('.folder');
@@ -1407,6 +1680,7 @@ function setupTabDragHandlers(tabElement) {
 
     tabElement.addEventListener('dragend', () => {
         tabElement.classList.remove('dragging');
+        document.querySelectorAll('.dragging-along').forEach(el => el.classList.remove('dragging-along'));
         dragSourceFolderElement = null;
     });
 }
@@ -1462,6 +1736,7 @@ function clearFolderOpenTimer() {
 
 async function setActiveSpace(spaceId, updateTab = true) {
     Logger.log('Setting active space:', spaceId);
+    clearTabSelection();
 
     // Track the previous space before updating
     if (activeSpaceId && activeSpaceId !== spaceId) {
@@ -1471,11 +1746,13 @@ async function setActiveSpace(spaceId, updateTab = true) {
 
     // Update global state
     activeSpaceId = spaceId;
+    postToSpaceStore({ type: SpaceStoreIntent.SET_ACTIVE_SPACE, spaceId });
 
     // Centralize logic in our new helper function
     await activateSpaceInDOM(spaceId, spaces, updateSpaceSwitcher);
 
-    let tabGroups = await chrome.tabGroups.query({});
+    // Only this window's groups; other windows show their own spaces
+    let tabGroups = await chrome.tabGroups.query({ windowId: currentWindow.id });
     let tabGroupsToClose = tabGroups.filter(group => group.id !== spaceId);
 
     // Use a proper async loop instead of forEach
@@ -1490,7 +1767,7 @@ async function setActiveSpace(spaceId, updateTab = true) {
 
     const tabGroupForSpace = tabGroups.find(group => group.id === spaceId);
     if (!tabGroupForSpace) {
-        isCreatingSpace = true;
+        setCreatingSpace(true);
         const space = spaces.find(s => s.id === spaceId);
         const newTab = await ChromeHelper.createNewTab();
         const groupId = await ChromeHelper.createNewTabGroup(newTab, space.name, space.color);
@@ -1502,8 +1779,11 @@ async function setActiveSpace(spaceId, updateTab = true) {
             }
             return s;
         });
+        if (space.bookmarkFolderId) {
+            await LocalStorage.bindSpaceIdentity(space.bookmarkFolderId, groupId, space.uuid);
+        }
         saveSpaces();
-        isCreatingSpace = false;
+        setCreatingSpace(false);
     } else {
         // Uncollpase space's tab group
         await chrome.tabGroups.update(spaceId, { collapsed: false })
@@ -1523,26 +1803,55 @@ async function setActiveSpace(spaceId, updateTab = true) {
     }
 }
 
-async function createSpaceFromInactive(spaceName, tabToMove) {
+async function renameSpace(space, name) {
+    // Update bookmark folder name (folder is bound by id, so the rename keeps its pinned tabs)
+    const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
+    await chrome.bookmarks.update(spaceFolder.id, { title: name });
+
+    const tabGroups = await chrome.tabGroups.query({});
+    const tabGroupForSpace = tabGroups.find(group => group.id === space.id);
+    Logger.log("updating tabGroupForSpace", tabGroupForSpace);
+    if (tabGroupForSpace) {
+        await chrome.tabGroups.update(tabGroupForSpace.id, { title: name, color: 'grey' });
+    }
+
+    space.name = name;
+    const nameInput = document.querySelector(`[data-space-id="${space.id}"] .space-name`);
+    if (nameInput && nameInput.value !== name) {
+        nameInput.value = name;
+    }
+    saveSpaces();
+    await updateSpaceSwitcher();
+}
+
+async function createSpaceFromInactive(inactiveFolder, tabToMove) {
+    const spaceName = inactiveFolder.title;
     Logger.log(`Creating inactive space "${spaceName}" with tab:`, tabToMove);
-    isCreatingSpace = true;
+    setCreatingSpace(true);
     try {
-        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-        const spaceFolder = spaceFolders.find(f => f.title === spaceName);
+        let spaceFolder = null;
+        try {
+            [spaceFolder] = await chrome.bookmarks.get(inactiveFolder.id);
+        } catch (error) {
+            // Handled below
+        }
 
         if (!spaceFolder) {
             Logger.error(`Bookmark folder for inactive space "${spaceName}" not found.`);
             return;
         }
 
-        const groupColor = await Utils.getTabGroupColor(spaceName);
+        // Prefer the color remembered for this space (e.g. from an import) over a random one
+        const storedIdentity = await LocalStorage.getSpaceIdentityByFolderId(spaceFolder.id);
+        const groupColor = storedIdentity?.color || await Utils.getTabGroupColor(spaceName);
         const groupId = await ChromeHelper.createNewTabGroup(tabToMove, spaceName, groupColor);
         const spaceBookmarks = await BookmarkUtils.matchTabsWithBookmarks(spaceFolder, groupId, Utils.setTabNameOverride.bind(Utils));
+        const identity = await LocalStorage.bindSpaceIdentity(spaceFolder.id, groupId);
 
         const space = {
             id: groupId,
-            uuid: Utils.generateUUID(),
+            uuid: identity.uuid,
+            bookmarkFolderId: spaceFolder.id,
             name: spaceName,
             color: groupColor,
             spaceBookmarks: spaceBookmarks,
@@ -1573,23 +1882,23 @@ async function createSpaceFromInactive(spaceName, tabToMove) {
     } catch (error) {
         Logger.error(`Error creating space from inactive bookmark:`, error);
     } finally {
-        isCreatingSpace = false;
+        setCreatingSpace(false);
     }
 }
 
+// The space store persists them under this window's key
 function saveSpaces() {
-    Logger.log('Saving spaces to storage...', spaces);
-    chrome.storage.local.set({ spaces }, () => {
-        Logger.log('Spaces saved successfully');
-    });
+    Logger.log('Committing spaces to the space store...', spaces);
+    postToSpaceStore({ type: SpaceStoreIntent.COMMIT, spaces, version: spaceStoreVersion });
 }
 
-async function moveTabToPinned(space, tab) {
+// Pass { reconcile: false } when moving several tabs; the caller then reconciles the space once
+async function moveTabToPinned(space, tab, { reconcile = true } = {}) {
     space.temporaryTabs = space.temporaryTabs.filter(id => id !== tab.id);
     if (!space.spaceBookmarks.includes(tab.id)) {
         space.spaceBookmarks.push(tab.id);
     }
-    const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space.name);
+    const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
     const bookmarks = await chrome.bookmarks.getChildren(spaceFolder.id);
     const existingBookmark = BookmarkUtils.findBookmarkByUrl(bookmarks, tab.url);
     let bookmarkIdToStore = existingBookmark?.id || null;
@@ -1619,13 +1928,13 @@ async function moveTabToPinned(space, tab) {
     updatePinnedSectionPlaceholders();
 
     // Enforce Chrome group ordering ([space bookmarks][temp]) after membership change.
-    await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: tab.id });
+    if (reconcile) {
+        await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: tab.id });
+    }
 }
 
-async function moveTabToTemp(space, tab) {
-    const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-    const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-    const spaceFolder = spaceFolders.find(f => f.title === space.name);
+async function moveTabToTemp(space, tab, { reconcile = true } = {}) {
+    const spaceFolder = await LocalStorage.getSpaceFolder(space);
 
     if (spaceFolder) {
         await BookmarkUtils.removeBookmarkByUrl(spaceFolder.id, tab.url);
@@ -1650,7 +1959,9 @@ async function moveTabToTemp(space, tab) {
     }
 
     // Enforce Chrome group ordering ([space bookmarks][temp]) after membership change.
-    await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: tab.id });
+    if (reconcile) {
+        await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: tab.id });
+    }
 }
 
 // Helper function to manage folder placeholder state
@@ -1814,9 +2125,11 @@ async function convertFavoriteToTab(draggingElement, targetIsPinned) {
 }
 
 // Handle bookmark operations during drop events
-async function handleBookmarkOperations(event, draggingElement, container, targetFolder) {
+// event is null when not called from a drop (bulk "Move to Folder"); opts ({ reconcile }) are passed on to
+// moveTabToPinned/moveTabToTemp
+async function handleBookmarkOperations(event, draggingElement, container, targetFolder, opts = {}) {
     // Validate required elements exist
-    if (!draggingElement || !container || !event) {
+    if (!draggingElement || !container) {
         Logger.warn('Missing required elements for bookmark operations');
         return;
     }
@@ -1890,7 +2203,7 @@ async function handleBookmarkOperations(event, draggingElement, container, targe
             const targetFolderElement = targetFolder ? targetFolder.closest('.folder') : null;
 
             // Add to bookmarks if URL doesn't exist
-            const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space.name);
+            const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
             if (spaceFolder) {
                 let parentId = spaceFolder.id;
                 if (targetFolderElement) {
@@ -1940,7 +2253,7 @@ async function handleBookmarkOperations(event, draggingElement, container, targe
                     // Keep folder placeholder state accurate (DOM was already positioned by drop handler).
                     updateFolderPlaceholder(targetFolderElement);
                 } else {
-                    await moveTabToPinned(space, tab);
+                    await moveTabToPinned(space, tab, opts);
                 }
             }
 
@@ -1971,7 +2284,7 @@ async function handleBookmarkOperations(event, draggingElement, container, targe
 
             if (space && tab) {
                 // Remove tab from bookmarks if it exists
-                moveTabToTemp(space, tab);
+                await moveTabToTemp(space, tab, opts);
 
                 // Update all folder placeholders after removing bookmark
                 updatePinnedSectionPlaceholders();
@@ -2329,7 +2642,11 @@ async function setupDragAndDrop(pinnedContainer, tempContainer) {
 
             const draggingElement = document.querySelector('.dragging');
             if (draggingElement) {
-                const droppedTabId = draggingElement.dataset.tabId ? parseInt(draggingElement.dataset.tabId) : null;
+                // Multi-selection: the other selected tabs land next to the dragged one, in their visual order
+                const draggedGroup = getDraggedTabGroup(draggingElement, container);
+                const isGroupDrop = draggedGroup.length > 1;
+                const sourceFolderElements = new Set(draggedGroup.map(el => el.closest('.folder')).filter(Boolean));
+                const droppedTabId = draggedGroup.map(el => el.dataset.tabId).filter(Boolean).map(id => parseInt(id))[0] ?? null;
                 // If dropping on a folder header / collapsed folder area, treat it as dropping into that folder.
                 let targetFolder = e.target.closest('.folder-content');
                 let targetFolderElement = targetFolder ? targetFolder.closest('.folder') : null;
@@ -2374,14 +2691,30 @@ async function setupDragAndDrop(pinnedContainer, tempContainer) {
                     targetContainer.appendChild(draggingElement);
                 }
 
-                // Handle bookmark operations after DOM positioning is complete
-                await handleBookmarkOperations(e, draggingElement, container, targetFolder);
+                if (isGroupDrop) {
+                    const draggedIndex = draggedGroup.indexOf(draggingElement);
+                    draggedGroup.slice(0, draggedIndex).forEach(el => draggingElement.before(el));
+                    let previous = draggingElement;
+                    draggedGroup.slice(draggedIndex + 1).forEach(el => {
+                        previous.after(el);
+                        previous = el;
+                    });
+                }
+
+                // Handle bookmark operations after DOM positioning is complete; a group reconciles once below
+                for (const element of draggedGroup) {
+                    await handleBookmarkOperations(e, element, container, targetFolder, { reconcile: !isGroupDrop });
+                }
 
-                // Resync collapsed-folder projections/icons after move (source + destination)
+                // Resync collapsed-folder projections/icons after move (sources + destination)
                 if (dragSourceFolderElement) {
-                    syncCollapsedFolderTabs(dragSourceFolderElement);
+                    sourceFolderElements.add(dragSourceFolderElement);
                 }
-                if (targetFolderElement && targetFolderElement !== dragSourceFolderElement) {
+                sourceFolderElements.forEach(folderElement => {
+                    syncCollapsedFolderTabs(folderElement);
+                    updateFolderPlaceholder(folderElement);
+                });
+                if (targetFolderElement && !sourceFolderElements.has(targetFolderElement)) {
                     syncCollapsedFolderTabs(targetFolderElement);
                 }
 
@@ -2495,8 +2828,8 @@ async function createNewFolder(spaceElement) {
 
     // Set up folder name input
     folderNameInput.addEventListener('change', async () => {
-        const spaceName = spaceElement.querySelector('.space-name').value;
-        const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(spaceName);
+        const space = spaces.find(s => s.id === parseInt(spaceElement.dataset.spaceId));
+        const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
         const existingFolders = await chrome.bookmarks.getChildren(spaceFolder.id);
         const folder = existingFolders.find(f => f.title === folderNameInput.value);
         if (!folder) {
@@ -2527,8 +2860,8 @@ async function createNewFolder(spaceElement) {
         if (save) {
             const newName = folderNameInput.value.trim();
             if (newName) {
-                const spaceName = spaceElement.querySelector('.space-name').value;
-                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(spaceName);
+                const space = spaces.find(s => s.id === parseInt(spaceElement.dataset.spaceId));
+                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
                 const existingFolders = await chrome.bookmarks.getChildren(spaceFolder.id);
                 const folder = existingFolders.find(f => f.title === newName);
                 if (!folder) {
@@ -2584,9 +2917,7 @@ async function loadTabs(space, pinnedContainer, tempContainer) {
         const pinnedTabs = await chrome.tabs.query({ pinned: true });
         const pinnedUrls = new Set(pinnedTabs.map(tab => tab.url));
 
-        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-        const spaceFolder = spaceFolders.find(f => f.title == space.name);
+        const spaceFolder = await LocalStorage.getSpaceFolder(space);
 
         if (spaceFolder) {
             // Recursive function to process bookmarks and folders
@@ -2821,11 +3152,8 @@ async function closeTab(tabElement, tab, isPinned = false, isBookmarkOnly = fals
 
     if (isBookmarkOnly) {
         // Remove from bookmarks
-        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
         const activeSpace = spaces.find(s => s.id === activeSpaceId);
-
-        const spaceFolder = spaceFolders.find(f => f.title === activeSpace.name);
+        const spaceFolder = await LocalStorage.getSpaceFolder(activeSpace);
         Logger.log("spaceFolder", spaceFolder);
         if (spaceFolder) {
             await BookmarkUtils.removeBookmarkByUrl(spaceFolder.id, tab.url, {
@@ -2856,30 +3184,11 @@ async function closeTab(tabElement, tab, isPinned = false, isBookmarkOnly = fals
     const isCurrentlyTemporary = activeSpace?.temporaryTabs.includes(tab.id);
     Logger.log("isCurrentlyPinned", isCurrentlyPinned, "isCurrentlyTemporary", isCurrentlyTemporary, "isPinned", isPinned);
     if (isCurrentlyPinned || (isPinned && !isCurrentlyTemporary)) {
-        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-
-        const spaceFolder = spaceFolders.find(f => f.title === activeSpace.name);
+        const spaceFolder = await LocalStorage.getSpaceFolder(activeSpace);
         Logger.log("spaceFolder", spaceFolder);
         if (spaceFolder) {
             Logger.log("tab", tab);
-
-            // For actual tabs, check overrides
-            const overrides = await Utils.getTabNameOverrides();
-            const override = overrides[tab.id];
-            const displayTitle = override ? override.name : tab.title;
-
-            const bookmarkTab = {
-                id: null,
-                title: displayTitle,
-                url: tab.url,
-                favIconUrl: tab.favIconUrl,
-                spaceName: tab.spaceName
-            };
-            const parentFolder = tabElement.closest('.folder');
-            const inactiveTabElement = await createTabElement(bookmarkTab, true, true);
-            tabElement.replaceWith(inactiveTabElement);
-            if (parentFolder) syncCollapsedFolderTabs(parentFolder);
+            await replaceWithBookmarkOnlyElement(tabElement, tab);
 
             chrome.tabs.remove(tab.id);
 
@@ -2924,6 +3233,9 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
         if (tab.active) {
             tabElement.classList.add('active');
         }
+        if (tab.discarded) {
+            tabElement.classList.add('sleeping');
+        }
     }
 
     // Get references to template elements
@@ -3003,6 +3315,15 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
         });
     }
 
+    // Open tabs get a badge when the same page is open in another tab, in any space or window
+    if (!isBookmarkOnly) {
+        const duplicateBadge = document.createElement('span');
+        duplicateBadge.className = 'tab-duplicate-badge';
+        duplicateBadge.hidden = true;
+        tabDetails.insertAdjacentElement('afterend', duplicateBadge);
+        scheduleDuplicateBadgeRefresh();
+    }
+
     // Set up action button
     actionButton.classList.remove('tab-close');
     actionButton.classList.add(isBookmarkOnly ? 'tab-remove' : 'tab-close');
@@ -3016,6 +3337,32 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
         closeTab(tabElement, tab, isCurrentlyPinned, isBookmarkOnly);
     });
 
+    // Hover card with the full title, URL, space, last activity and the thumbnail from when the page was last visible
+    attachHoverCard(tabElement, async () => {
+        if (isDraggingTab) return null;
+        const url = tabElement.dataset.url || tab.url;
+        // Rows change between open and bookmark-only in place, so read the row rather than the creation flags
+        const isBookmarkRow = tabElement.classList.contains('bookmark-only');
+        const tabId = isBookmarkRow ? null : Number(tabElement.dataset.tabId);
+        const [liveTab, lastActivity, thumbnail] = await Promise.all([
+            tabId ? chrome.tabs.get(tabId).catch(() => null) : null,
+            Utils.getTabLastActivity(),
+            ThumbnailCache.get(url)
+        ]);
+        const spaceId = parseInt(tabElement.closest('.space')?.dataset.spaceId);
+        return {
+            title: titleDisplay.textContent || liveTab?.title || tab.title,
+            url: liveTab?.url || url,
+            spaceName: spaces.find(s => s.id === spaceId)?.name,
+            lastActiveAt: tabId ? (lastActivity[tabId] || liveTab?.lastAccessed) : null,
+            isBookmarkOnly: isBookmarkRow,
+            discarded: liveTab?.discarded,
+            audible: liveTab?.audible,
+            muted: liveTab?.mutedInfo?.muted,
+            thumbnail
+        };
+    });
+
     // --- Function to update display based on overrides ---
     const updateDisplay = async () => {
         // For bookmark-only elements, just display the stored title
@@ -3152,6 +3499,18 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
             // Don't activate tab when clicking close button
             if (event.target === actionButton) return;
 
+            // Cmd/Ctrl-click and Shift-click only change the selection
+            if (isMultiSelectModifier(event)) {
+                event.preventDefault();
+                toggleTabSelection(tabElement);
+                return;
+            }
+            if (event.shiftKey) {
+                event.preventDefault();
+                selectTabRange(tabElement);
+                return;
+            }
+
             // Remove active class from all tabs and favicons
             document.querySelectorAll('.tab.active').forEach(t => t.classList.remove('active'));
             document.querySelectorAll('.pinned-favicon.active').forEach(t => t.classList.remove('active'));
@@ -3165,13 +3524,13 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
 
             if (isBookmarkOnly || !chromeTab) {
                 Logger.log('Opening bookmark:', tab);
-                isOpeningBookmark = true; // Set flag
+                setOpeningBookmark(true); // Set flag
                 try {
                     // Get URL from dataset if tab object doesn't have it (archived tab case)
                     const tabUrl = tab.url || tabElement.dataset.url;
                     if (!tabUrl) {
                         Logger.error("Cannot open bookmark: No URL found for archived tab.");
-                        isOpeningBookmark = false;
+                        setOpeningBookmark(false);
                         return;
                     }
 
@@ -3205,7 +3564,7 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
                         // Replace the element with the active tab element
                         const updatedTabElement = await createTabElement(existingTab, isPinned, false);
                         tabElement.replaceWith(updatedTabElement);
-                        isOpeningBookmark = false;
+                        setOpeningBookmark(false);
                         return;
                     }
 
@@ -3265,7 +3624,7 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
                             }
                             const updatedTabElement = await createTabElement(restoredTab, isPinned, false);
                             tabElement.replaceWith(updatedTabElement);
-                            isOpeningBookmark = false;
+                            setOpeningBookmark(false);
                             return;
                         }
                     }
@@ -3274,7 +3633,7 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
                     const space = spaces.find(s => s.id === targetSpaceId);
                     if (!space) {
                         Logger.error("Cannot open bookmark: Active space not found.");
-                        isOpeningBookmark = false;
+                        setOpeningBookmark(false);
                         return;
                     }
 
@@ -3314,7 +3673,7 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
                 } catch (error) {
                     Logger.error("Error opening bookmark:", error);
                 } finally {
-                    isOpeningBookmark = false; // Reset flag
+                    setOpeningBookmark(false); // Reset flag
                 }
             } else {
                 // It's a regular tab, just activate it
@@ -3330,14 +3689,29 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
         }
     });
 
+    // A plain click ends a multi-selection. This runs on click rather than mousedown so that
+    // pressing on a selected tab can still start dragging the whole selection.
+    tabElement.addEventListener('click', (event) => {
+        if (!isMultiSelectModifier(event) && !event.shiftKey) {
+            clearTabSelection();
+        }
+    });
+
     // Set up drag handlers for all tabs (regular and bookmark-only)
     setupTabDragHandlers(tabElement);
 
     // --- Context Menu ---
     tabElement.addEventListener('contextmenu', async (e) => {
         e.preventDefault();
+        if (tabElement.classList.contains('selected') && getSelectedTabElements().length > 1) {
+            await showSelectedTabsContextMenu(e.pageX, e.pageY);
+            return;
+        }
+        clearTabSelection();
         const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const allBookmarkSpaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
+        const otherWindowFolderIds = await getOtherWindowSpaceFolderIds();
+        const allBookmarkSpaceFolders = (await chrome.bookmarks.getChildren(arcifyFolder.id))
+            .filter(f => !otherWindowFolderIds.has(f.id));
         showTabContextMenu(
             e.pageX,
             e.pageY,
@@ -3358,6 +3732,192 @@ async function createTabElement(tab, isPinned = false, isBookmarkOnly = false) {
     return tabElement;
 }
 
+// A closed space-pinned tab stays in the sidebar as its (bookmark-only) bookmark
+async function replaceWithBookmarkOnlyElement(tabElement, tab) {
+    // For actual tabs, check overrides
+    const overrides = await Utils.getTabNameOverrides();
+    const override = overrides[tab.id];
+    const displayTitle = override ? override.name : tab.title;
+
+    const bookmarkTab = {
+        id: null,
+        title: displayTitle,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        spaceName: tab.spaceName
+    };
+    const parentFolder = tabElement.closest('.folder');
+    const inactiveTabElement = await createTabElement(bookmarkTab, true, true);
+    tabElement.replaceWith(inactiveTabElement);
+    if (parentFolder) syncCollapsedFolderTabs(parentFolder);
+}
+
+// --- Bulk actions on the multi-selection ---
+// Each takes the items of showBulkTabContextMenu, applies the change to all of them at once and reconciles
+// Chrome's order for the space a single time.
+
+async function showSelectedTabsContextMenu(x, y) {
+    const items = await getSelectedTabItems();
+    if (items.length === 0) return;
+
+    const pinnedContainer = getPinnedContainer(getSpaceElementById(activeSpaceId));
+    const folders = Array.from(pinnedContainer?.querySelectorAll('.folder') ?? [])
+        .map(element => ({ name: element.querySelector('.folder-name')?.value || element.querySelector('.folder-title')?.textContent, element }))
+        .filter(folder => folder.name);
+
+    showBulkTabContextMenu(x, y, items, {
+        spaces,
+        activeSpaceId,
+        folders,
+        actions: {
+            pinTabs: pinSelectedTabs,
+            unpinTabs: unpinSelectedTabs,
+            moveToSpace: moveSelectedTabsToSpace,
+            moveToFolder: moveSelectedTabsToFolder,
+            copyUrls: copySelectedTabUrls,
+            archiveTabs: archiveSelectedTabs,
+            closeTabs: closeSelectedTabs,
+            removeBookmarks: removeSelectedBookmarks
+        }
+    });
+}
+
+// Chrome removes a group once its last tab leaves, which would delete the space; open a new tab in it first
+async function keepActiveSpaceGroupOpen(leavingTabIds) {
+    const groupTabs = await chrome.tabs.query({ groupId: activeSpaceId });
+    if (groupTabs.length > 0 && groupTabs.every(t => leavingTabIds.includes(t.id))) {
+        await new Promise(resolve => createNewTab(resolve));
+    }
+}
+
+function updateActiveSpaceChevron() {
+    const spaceElement = getSpaceElementById(activeSpaceId);
+    if (spaceElement) {
+        updateChevronState(spaceElement, getPinnedContainer(spaceElement));
+    }
+}
+
+async function pinSelectedTabs(items) {
+    const space = spaces.find(s => s.id === activeSpaceId);
+    if (!space || items.length === 0) return;
+    for (const { tab } of items) {
+        await moveTabToSpace(tab.id, space.id, true);
+        await moveTabToPinned(space, tab, { reconcile: false });
+    }
+    clearTabSelection();
+    await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: items[0].tab.id });
+}
+
+async function unpinSelectedTabs(items) {
+    const space = spaces.find(s => s.id === activeSpaceId);
+    if (!space || items.length === 0) return;
+    for (const { tab } of items) {
+        await moveTabToSpace(tab.id, space.id, false);
+        await moveTabToTemp(space, tab, { reconcile: false });
+    }
+    updatePinnedSectionPlaceholders();
+    clearTabSelection();
+    await reconcileSpaceTabOrdering(space.id, { source: 'arcify', movedTabId: items[0].tab.id });
+}
+
+async function moveSelectedTabsToSpace(items, spaceId) {
+    const tabIds = items.map(item => item.tab.id);
+    if (tabIds.length === 0) return;
+    await keepActiveSpaceGroupOpen(tabIds);
+    for (const tabId of tabIds) {
+        await moveTabToSpace(tabId, spaceId, false);
+    }
+    updatePinnedSectionPlaceholders();
+    clearTabSelection();
+    await reconcileSpaceTabOrdering(spaceId, { source: 'arcify', movedTabId: tabIds[0] });
+    // Like the single-tab menu: switch to the space without activating its last tab, then show the moved tabs
+    await setActiveSpace(spaceId, false);
+    await chrome.tabs.update(tabIds[0], { active: true });
+}
+
+// Same path as dropping the tabs onto the folder: bookmark them into it, then sync the pinned order once
+async function moveSelectedTabsToFolder(items, folderElement) {
+    const pinnedContainer = getPinnedContainer(getSpaceElementById(activeSpaceId));
+    const folderContent = folderElement.querySelector('.folder-content');
+    if (!pinnedContainer || !folderContent || items.length === 0) return;
+
+    const sourceFolderElements = new Set(items.map(item => item.tabElement.closest('.folder')).filter(Boolean));
+    openFolder(folderElement);
+    folderContent.querySelector('.tab-placeholder')?.classList.add('hidden');
+    for (const item of items) {
+        folderContent.appendChild(item.tabElement);
+        await handleBookmarkOperations(null, item.tabElement, pinnedContainer, folderContent, { reconcile: false });
+    }
+    sourceFolderElements.forEach(sourceFolder => {
+        syncCollapsedFolderTabs(sourceFolder);
+        updateFolderPlaceholder(sourceFolder);
+    });
+    updateFolderPlaceholder(folderElement);
+    updateActiveSpaceChevron();
+    clearTabSelection();
+
+    const firstTabId = items.find(item => item.tab.id)?.tab.id;
+    if (firstTabId) {
+        await handleBarCatOrderChangeAfterDropByTabId(firstTabId, pinnedContainer);
+    }
+}
+
+// format is 'list' (one URL per line) or 'markdown' (a bullet list of links)
+async function copySelectedTabUrls(items, format) {
+    const escapeMarkdown = (text) => text.replace(/([\[\]])/g, '\\$1');
+    const lines = items
+        .filter(item => item.tab.url)
+        .map(({ tab, title }) => format === 'markdown' ? `- [${escapeMarkdown(title)}](${tab.url})` : tab.url);
+    await navigator.clipboard.writeText(lines.join('\n'));
+    showUrlCopyToast(`Copied ${lines.length} URL${lines.length === 1 ? '' : 's'}`);
+}
+
+async function archiveSelectedTabs(items) {
+    const tabIds = items.map(item => item.tab.id);
+    if (tabIds.length === 0) return;
+    await keepActiveSpaceGroupOpen(tabIds);
+    clearTabSelection();
+    await Utils.archiveTabs(tabIds, activeSpaceId);
+}
+
+async function closeSelectedTabs(items) {
+    const tabIds = items.map(item => item.tab.id);
+    if (tabIds.length === 0) return;
+    await keepActiveSpaceGroupOpen(tabIds);
+
+    // Space-pinned tabs turn into their bookmarks, like closeTab does one at a time
+    const activeSpace = spaces.find(s => s.id === activeSpaceId);
+    const spaceFolder = activeSpace ? await LocalStorage.getSpaceFolder(activeSpace) : null;
+    if (spaceFolder) {
+        for (const { tab, tabElement } of items) {
+            if (activeSpace.spaceBookmarks.includes(tab.id)) {
+                await replaceWithBookmarkOnlyElement(tabElement, tab);
+            }
+        }
+    }
+    clearTabSelection();
+    await chrome.tabs.remove(tabIds);
+    updateActiveSpaceChevron();
+}
+
+async function removeSelectedBookmarks(items) {
+    const activeSpace = spaces.find(s => s.id === activeSpaceId);
+    const spaceFolder = activeSpace ? await LocalStorage.getSpaceFolder(activeSpace) : null;
+    if (!spaceFolder) return;
+    const folderElements = new Set(items.map(item => item.tabElement.closest('.folder')).filter(Boolean));
+    for (const { tab, tabElement } of items) {
+        await BookmarkUtils.removeBookmarkByUrl(spaceFolder.id, tab.url, {
+            removeTabElement: true,
+            tabElement: tabElement,
+            logRemoval: true
+        });
+    }
+    folderElements.forEach(folderElement => syncCollapsedFolderTabs(folderElement));
+    clearTabSelection();
+    updatePinnedSectionPlaceholders();
+    updateActiveSpaceChevron();
+}
+
 function createNewTab(callback = () => { }) {
     Logger.log('Creating new tab...');
     chrome.tabs.create({ active: true }, async (tab) => {
@@ -3379,7 +3939,7 @@ function createNewTab(callback = () => { }) {
 
 async function createNewSpace() {
     Logger.log('Creating new space... Button clicked');
-    isCreatingSpace = true;
+    setCreatingSpace(true);
     try {
         const spaceNameInput = document.getElementById('newSpaceName');
         const spaceColorSelect = document.getElementById('spaceColor');
@@ -3399,30 +3959,9 @@ async function createNewSpace() {
             }, 3000);
             return;
         }
-        const newTab = await ChromeHelper.createNewTab();
-        const groupId = await ChromeHelper.createNewTabGroup(newTab, spaceName, spaceColor);
-
-        const space = {
-            id: groupId,
-            uuid: Utils.generateUUID(),
-            name: spaceName,
-            color: spaceColor,
-            spaceBookmarks: [],
-            temporaryTabs: [newTab.id]
-        };
+        await createSpace(spaceName, spaceColor);
 
-        // Create bookmark folder for new space
-        await LocalStorage.getOrCreateSpaceFolder(space.name);
-
-        spaces.push(space);
-        Logger.log('New space created:', { spaceId: space.id, spaceName: space.name, spaceColor: space.color });
-
-        createSpaceElement(space);
-        await updateSpaceSwitcher();
-        await setActiveSpace(space.id);
-        saveSpaces();
-
-        isCreatingSpace = false;
+        setCreatingSpace(false);
         // Reset the space creation UI and show space switcher
         const addSpaceBtn = document.getElementById('addSpaceBtn');
         const inputContainer = document.getElementById('addSpaceInputContainer');
@@ -3436,6 +3975,266 @@ async function createNewSpace() {
     }
 }
 
+// Callers set the creating-space flag so the store leaves the new tab to us
+async function createSpace(spaceName, spaceColor) {
+    const newTab = await ChromeHelper.createNewTab();
+    const groupId = await ChromeHelper.createNewTabGroup(newTab, spaceName, spaceColor);
+
+    const space = {
+        id: groupId,
+        uuid: Utils.generateUUID(),
+        name: spaceName,
+        color: spaceColor,
+        spaceBookmarks: [],
+        temporaryTabs: [newTab.id]
+    };
+
+    // Create bookmark folder for new space and bind it to the space's identity
+    await LocalStorage.getOrCreateSpaceFolder(space);
+
+    spaces.push(space);
+    Logger.log('New space created:', { spaceId: space.id, spaceName: space.name, spaceColor: space.color });
+
+    createSpaceElement(space);
+    await updateSpaceSwitcher();
+    await setActiveSpace(space.id);
+    saveSpaces();
+    return space;
+}
+
+// Spotlight space commands for this window, forwarded by the space store so the model and DOM change together
+async function runSpotlightCommand(command) {
+    const space = spaces.find(s => s.id === command.spaceId);
+
+    switch (command.id) {
+        case CommandId.SWITCH_SPACE:
+            // With focusTabId the picked tab is already active; keep it instead of the space's last tab
+            if (space) await setActiveSpace(space.id, !command.focusTabId);
+            break;
+        case CommandId.MOVE_TAB_TO_SPACE:
+            if (!space) break;
+            await moveTabToSpace(command.tabId, space.id);
+            await setActiveSpace(space.id, false);
+            break;
+        case CommandId.CREATE_SPACE:
+            if (!command.name || spaces.some(s => s.name.toLowerCase() === command.name.toLowerCase())) {
+                Logger.warn('[Spotlight] Space name missing or already taken:', command.name);
+                break;
+            }
+            setCreatingSpace(true);
+            try {
+                await createSpace(command.name, await Utils.getTabGroupColor(command.name));
+            } finally {
+                setCreatingSpace(false);
+            }
+            break;
+        case CommandId.RENAME_SPACE:
+            if (space && command.name) await renameSpace(space, command.name);
+            break;
+        case CommandId.NEW_FOLDER: {
+            if (!space || !command.name) break;
+            const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
+            const existingFolders = await chrome.bookmarks.getChildren(spaceFolder.id);
+            if (!existingFolders.some(f => !f.url && f.title === command.name)) {
+                await chrome.bookmarks.create({ parentId: spaceFolder.id, title: command.name });
+            }
+            if (space.id === activeSpaceId) {
+                await refreshActiveSpaceUI();
+            }
+            break;
+        }
+        case CommandId.CLEAR_TEMPORARY_TABS:
+            cleanTemporaryTabs(command.spaceId);
+            break;
+        case CommandId.SORT_TEMPORARY_TABS:
+            if (space) await sortTemporaryTabs(space.id, command.sortKey);
+            break;
+        default:
+            Logger.warn('[Spotlight] Unknown command:', command);
+    }
+}
+
+// One-shot sort of a space's temporary tabs (see tab-sorter.js); reconcile then moves them in Chrome and the sidebar
+async function sortTemporaryTabs(spaceId, sortKey) {
+    const space = spaces.find(s => s.id === spaceId);
+    if (!space) return;
+    const tabs = (await chrome.tabs.query({ groupId: spaceId }))
+        .filter(t => space.temporaryTabs.includes(t.id))
+        .sort((a, b) => a.index - b.index);
+    if (tabs.length < 2) return;
+
+    const [lastActivity, invertTabOrder] = await Promise.all([Utils.getTabLastActivity(), Utils.getInvertTabOrder()]);
+    const sortedIds = TabSorter.sortTemporaryTabIds(tabs, sortKey, { lastActivity, invertTabOrder });
+    // Temporary tabs that are not in the group right now keep their place after the sorted ones
+    space.temporaryTabs = uniqPreserveOrder([...sortedIds, ...space.temporaryTabs]);
+    Logger.log('[SortTabs] Sorted temporary tabs', { spaceId, sortKey, order: sortedIds });
+    await reconcileSpaceTabOrdering(spaceId, { source: 'arcify' });
+}
+
+// "Group by domain" view. Cluster headers go between the temporary tab elements, which stay direct children of
+// the container so drag and drop, reconcile and the tab handlers keep working on a flat list. Only domains with
+// more than one tab get a header; collapsing one hides its tabs except the active one.
+function renderDomainClusters(tempContainer) {
+    tempContainer.querySelectorAll(':scope > .domain-cluster-header').forEach(header => header.remove());
+    const tabElements = Array.from(tempContainer.querySelectorAll(':scope > .tab'));
+    tabElements.forEach(el => el.classList.remove('domain-cluster-hidden'));
+    if (!groupTemporaryTabsByDomain) return;
+
+    const spaceId = parseInt(tempContainer.closest('.space')?.dataset.spaceId);
+    if (!collapsedDomainClusters.has(spaceId)) collapsedDomainClusters.set(spaceId, new Set());
+    const collapsed = collapsedDomainClusters.get(spaceId);
+
+    const clusters = TabSorter.clusterByDomain(tabElements, el => el.dataset.url);
+    // Only move tab elements when the order changes: moving a focused element would end a rename in progress
+    const isClustered = clusters.flatMap(cluster => cluster.items).every((el, i) => el === tabElements[i]);
+    for (const { domain, items } of clusters) {
+        if (!isClustered) {
+            items.forEach(el => tempContainer.appendChild(el));
+        }
+        if (items.length > 1) {
+            const isCollapsed = collapsed.has(domain);
+            const header = document.createElement('div');
+            header.className = 'domain-cluster-header';
+            header.classList.toggle('collapsed', isCollapsed);
+            header.title = isCollapsed ? 'Expand' : 'Collapse';
+
+            const favicon = document.createElement('img');
+            favicon.className = 'domain-cluster-favicon';
+            favicon.src = Utils.getFaviconUrl(items[0].dataset.url);
+            const name = document.createElement('span');
+            name.className = 'domain-cluster-name';
+            name.textContent = domain || 'Other';
+            const count = document.createElement('span');
+            count.className = 'domain-cluster-count';
+            count.textContent = items.length;
+            const toggle = document.createElement('span');
+            toggle.className = 'domain-cluster-toggle';
+            header.append(favicon, name, count, toggle);
+
+            header.addEventListener('click', () => {
+                if (collapsed.has(domain)) {
+                    collapsed.delete(domain);
+                } else {
+                    collapsed.add(domain);
+                }
+                renderDomainClusters(tempContainer);
+            });
+            tempContainer.insertBefore(header, items[0]);
+
+            if (isCollapsed) {
+                items.filter(el => !el.classList.contains('active')).forEach(el => el.classList.add('domain-cluster-hidden'));
+            }
+        }
+    }
+}
+
+// Re-cluster when temporary tabs are added, removed or reordered, or navigate to another domain
+function observeDomainClusters(tempContainer) {
+    let scheduled = false;
+    const activeChanged = (record) =>
+        (record.oldValue || '').split(/\s+/).includes('active') !== record.target.classList.contains('active');
+    const observer = new MutationObserver(records => {
+        if (!groupTemporaryTabsByDomain && !tempContainer.querySelector(':scope > .domain-cluster-header')) return;
+        const relevant = records.some(record =>
+            (record.type === 'childList' && record.target === tempContainer) ||
+            (record.type === 'attributes' && (record.attributeName === 'data-url' || activeChanged(record)))
+        );
+        if (!relevant || scheduled) return;
+        scheduled = true;
+        requestAnimationFrame(() => {
+            scheduled = false;
+            renderDomainClusters(tempContainer);
+            observer.takeRecords(); // Our own re-render is not a change to react to
+        });
+    });
+    observer.observe(tempContainer, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeOldValue: true,
+        attributeFilter: ['data-url', 'class']
+    });
+}
+
+// --- Duplicate tabs ---
+// Pages count as the same by Utils.getDuplicateUrlKey (hash and utm_* params ignored), across every space and window.
+let duplicateBadgeRefreshTimeout = null;
+const promptedDuplicates = new Set(); // `${tabId}:${urlKey}` already offered, so reloads don't ask again
+
+function scheduleDuplicateBadgeRefresh() {
+    if (duplicateBadgeRefreshTimeout) clearTimeout(duplicateBadgeRefreshTimeout);
+    duplicateBadgeRefreshTimeout = setTimeout(() => {
+        duplicateBadgeRefreshTimeout = null;
+        refreshDuplicateBadges();
+    }, 150);
+}
+
+async function refreshDuplicateBadges() {
+    const [duplicates, allSpaces] = await Promise.all([Utils.findDuplicateTabs(), LocalStorage.getAllSpaces()]);
+    const spaceNames = new Map(allSpaces.map(space => [space.id, space.name]));
+    const copiesByTabId = new Map();
+    duplicates.forEach(copies => copies.forEach(tab => copiesByTabId.set(tab.id, copies)));
+
+    document.querySelectorAll('.tab[data-tab-id]').forEach(tabElement => {
+        const badge = tabElement.querySelector('.tab-duplicate-badge');
+        if (!badge) return;
+        const tabId = Number(tabElement.dataset.tabId);
+        const copies = copiesByTabId.get(tabId);
+        badge.hidden = !copies;
+        if (!copies) return;
+
+        const places = new Set(copies
+            .filter(copy => copy.id !== tabId)
+            .map(copy => spaceNames.get(copy.groupId) || (copy.pinned ? 'Favorites' : 'a tab outside your spaces')));
+        badge.textContent = `${copies.length}×`;
+        badge.title = `Also open in ${[...places].join(', ')}`;
+    });
+}
+
+// When the active tab of this window lands on a page that is already open, offer to go to the open copy instead
+async function offerSwitchToDuplicate(tab) {
+    if (isOpeningBookmark || !tab.active || tab.pinned || tab.windowId !== currentWindow?.id) return;
+    const key = Utils.getDuplicateUrlKey(tab.url);
+    if (!key) return;
+    const promptKey = `${tab.id}:${key}`;
+    if (promptedDuplicates.has(promptKey)) return;
+    promptedDuplicates.add(promptKey);
+
+    const [existing] = (await chrome.tabs.query({}))
+        .filter(other => other.id !== tab.id && Utils.getDuplicateUrlKey(other.url) === key)
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    if (!existing) return;
+
+    const allSpaces = await LocalStorage.getAllSpaces();
+    const spaceName = allSpaces.find(space => space.id === existing.groupId)?.name;
+    showDuplicateTabPrompt({
+        message: spaceName ? `Already open in ${spaceName}` : 'Already open in another tab',
+        onSwitch: async () => {
+            try {
+                await chrome.tabs.update(existing.id, { active: true });
+                await chrome.windows.update(existing.windowId, { focused: true });
+                // Closing the last tab of a space would make Chrome remove its group
+                const groupTabs = tab.groupId > 0 ? await chrome.tabs.query({ groupId: tab.groupId }) : [];
+                if (tab.groupId > 0 && groupTabs.length <= 1) return;
+                await chrome.tabs.remove(tab.id);
+            } catch (error) {
+                Logger.warn('[Duplicates] Failed to switch to the open copy:', error);
+            }
+        }
+    });
+}
+
+function forgetPromptedDuplicates(tabId) {
+    for (const promptKey of promptedDuplicates) {
+        if (promptKey.startsWith(`${tabId}:`)) promptedDuplicates.delete(promptKey);
+    }
+}
+
+async function closeDuplicateTabs(query) {
+    const closed = await Utils.closeDuplicateTabs(query);
+    showUrlCopyToast(closed > 0 ? `Closed ${closed} duplicate tab${closed === 1 ? '' : 's'}` : 'No duplicate tabs');
+}
+
 function cleanTemporaryTabs(spaceId) {
     Logger.log('Cleaning temporary tabs for space:', spaceId);
     const space = spaces.find(s => s.id === spaceId);
@@ -3455,36 +4254,6 @@ function cleanTemporaryTabs(spaceId) {
     }
 }
 
-function handleTabCreated(tab) {
-    if (isCreatingSpace || isOpeningBookmark) {
-        Logger.log('Skipping tab creation handler - space is being created');
-        return;
-    }
-    chrome.windows.getCurrent({ populate: false }, async (currentWindow) => {
-        if (tab.windowId !== currentWindow.id) {
-            Logger.log('New tab is in a different window, ignoring...');
-            return;
-        }
-
-        Logger.log('Tab created:', tab);
-        // Always ensure we have the current activeSpaceId
-        chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-            try {
-                // Get the current active tab's group ID
-                // const currentGroupId = await chrome.tabs.group({ tabIds: tab.id });
-                const space = spaces.find(s => s.id === activeSpaceId);
-
-                if (space) {
-                    await moveTabToSpace(tab.id, space.id, false /* pinned? */, tab.openerTabId);
-                }
-            } catch (error) {
-                Logger.error('Error handling new tab:', error);
-            }
-        });
-    });
-}
-
-
 function handleTabUpdate(tabId, changeInfo, tab) {
     if (isOpeningBookmark) {
         return;
@@ -3526,9 +4295,7 @@ function handleTabUpdate(tabId, changeInfo, tab) {
 
                     // If tab was in a space and was bookmarked, remove it from bookmarks
                     if (spaceWithTab && spaceWithTab.spaceBookmarks.includes(tabId)) {
-                        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-                        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-                        const spaceFolder = spaceFolders.find(f => f.title === spaceWithTab.name);
+                        const spaceFolder = await LocalStorage.getSpaceFolder(spaceWithTab);
 
                         if (spaceFolder) {
                             await BookmarkUtils.removeBookmarkByUrl(spaceFolder.id, tab.url);
@@ -3645,9 +4412,7 @@ async function handleTabRemove(tabId) {
         // For pinned tabs, convert to bookmark-only element using existing bookmark data
         try {
             // Find the bookmark in Chrome bookmarks for this space
-            const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-            const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-            const spaceFolder = spaceFolders.find(f => f.title === activeSpace.name);
+            const spaceFolder = await LocalStorage.getSpaceFolder(activeSpace);
 
             if (spaceFolder) {
                 // Try to get tab URL from Chrome API first, then fall back to DOM extraction
@@ -3940,11 +4705,12 @@ async function deleteSpace(spaceId) {
             await setActiveSpace(spaces[0].id);
         }
 
-        // Delete bookmark folder for this space
-        const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-        const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-        const spaceFolder = spaceFolders.find(f => f.title === space.name);
-        await chrome.bookmarks.removeTree(spaceFolder.id);
+        // Delete bookmark folder for this space and forget its identity
+        const spaceFolder = await LocalStorage.getSpaceFolder(space);
+        if (spaceFolder) {
+            await chrome.bookmarks.removeTree(spaceFolder.id);
+        }
+        await LocalStorage.removeSpaceIdentity(space.uuid);
 
         // Save changes
         saveSpaces();
@@ -4214,14 +4980,15 @@ function setupFolderContextMenu(folderElement, space, item = null) {
         deleteOption.textContent = 'Delete Folder';
         deleteOption.addEventListener('click', async () => {
             if (confirm('Are you sure you want to delete this folder and all its contents?')) {
-                const arcifyFolder = await LocalStorage.getOrCreateBarCatFolder();
-                const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-                const spaceFolder = spaceFolders.find(f => f.title === space.name);
+                const spaceFolder = await LocalStorage.getSpaceFolder(space);
                 if (spaceFolder) {
-                    const folders = await chrome.bookmarks.getChildren(spaceFolder.id);
-                    // For existing folders, use item.title; for new folders, use the folder name
-                    const folderTitle = item ? item.title : folderElement.querySelector('.folder-title').textContent;
-                    const folder = folders.find(f => f.title === folderTitle);
+                    // For existing folders, use the bookmark node; for new folders, look up the folder name
+                    let folder = item;
+                    if (!folder) {
+                        const folders = await chrome.bookmarks.getChildren(spaceFolder.id);
+                        const folderTitle = folderElement.querySelector('.folder-title').textContent;
+                        folder = folders.find(f => !f.url && f.title === folderTitle);
+                    }
                     if (folder) {
                         await chrome.bookmarks.removeTree(folder.id);
                         folderElement.remove();
@@ -0,0 +1,852 @@
+/**
+ * Space Store - Authoritative space and tab model, owned by the background service worker
+ *
+ * Purpose: Keeps spaces correct whether or not a side panel is open in a window
+ * Key Functions: Building a window's spaces from its tab groups, new tab assignment and routing,
+ *                tab/group bookkeeping, pin toggling, Spotlight space commands, sidebar subscriptions
+ * Architecture: Static object initialised once from background.js; sidebars connect over a runtime Port,
+ *               render the snapshots they receive and send intents back
+ *
+ * Critical Notes:
+ * - The store is the only writer of "spaces:<windowId>"; a sidebar commits its edits with a 'commit' intent
+ * - Changes the store makes to a window's spaces that the sidebar cannot see on its own (tab assigned or
+ *   detached, space created, renamed or recolored, removed or moved) bump the window's version and reach the
+ *   sidebar as an event carrying it; a commit based on an older version is dropped, since the sidebar commits
+ *   again once it has applied the event (its own edit is still in its model)
+ * - Tab closes, activations and tabs changing group are not versioned: the sidebar's own tab listeners commit
+ *   closes and activations, and group changes mostly come from its own moves, whose commit carries them
+ * - Each connected sidebar gets a snapshot on 'hello' and events for changes the store makes on its own
+ *   (tab assigned, space created, pin toggle or Spotlight command requested)
+ * - While a sidebar reports it is busy (opening a pinned bookmark, creating a space) new tabs in its window
+ *   are left to the sidebar
+ * - The worker can be suspended at any time: window state is reloaded from storage and reconciled with the
+ *   live tab groups before use, and all work on one window is serialized
+ * - Window and group ids restart with the browser, so persisted window state is discarded on startup
+ */
+
+import { LocalStorage } from './localstorage.js';
+import { Utils } from './utils.js';
+import { BookmarkUtils } from './bookmark-utils.js';
+import { RoutingRules } from './routing-rules.js';
+import { CommandId } from './spotlight/shared/commands.js';
+import { TabSorter } from './tab-sorter.js';
+import { Logger } from './logger.js';
+
+const SPACE_STORE_PORT = 'space-store';
+const ACTIVE_SPACE_IDS_KEY = 'activeSpaceIds'; // chrome.storage.session: windowId -> active space (group) id
+
+// Port message types, sidebar -> store
+const SpaceStoreIntent = {
+    HELLO: 'hello',                 // { windowId, spaces? } -> snapshot; spaces are adopted after a reconnect
+    COMMIT: 'commit',               // { spaces, version } the sidebar's edited model and the store version it is based on
+    SET_ACTIVE_SPACE: 'setActiveSpace', // { spaceId }
+    BUSY: 'busy',                   // { busy } sidebar is creating tabs it will place itself
+    MOVE_SPACE_TO_NEW_WINDOW: 'moveSpaceToNewWindow', // { spaceId }
+    OPEN_SPACE_IN_NEW_WINDOW: 'openSpaceInNewWindow'  // { folderId }
+};
+
+// Port message types, store -> sidebar
+const SpaceStoreEvent = {
+    SNAPSHOT: 'snapshot',           // { spaces, activeSpaceId, version }; model events below also carry version
+    TAB_ASSIGNED: 'tabAssigned',    // { tabId, spaceId, pinned, openerTabId }
+    SPACE_CREATED: 'spaceCreated',  // { space, tabId, pinned }
+    TOGGLE_PIN: 'togglePin',        // { tabId } sidebar toggles so it can update its DOM
+    SPACE_MOVED: 'spaceMoved',      // { spaceId } the space left this window
+    SPACE_UPDATED: 'spaceUpdated',  // { spaceId, name, color } the group was renamed or recolored in Chrome
+    SPACE_REMOVED: 'spaceRemoved',  // { spaceId } the group was closed
+    TAB_DETACHED: 'tabDetached',    // { tabId } the tab was dragged to another window
+    RUN_COMMAND: 'runCommand',      // { command } a Spotlight space command for the sidebar to carry out
+    WINDOWS_CHANGED: 'windowsChanged' // a space opened or moved in another window
+};
+
+const SpaceStore = {
+    _windows: new Map(),        // windowId -> { spaces, activeSpaceId, version }
+    _ports: new Map(),          // windowId -> Port of the sidebar open in that window
+    _busyWindows: new Set(),
+    _queues: new Map(),         // windowId -> Promise chain serializing work on that window
+    _creatingWindows: 0,        // Windows the store is creating; their placeholder tabs are not assigned
+    _awaitingRouting: new Set(), // Tabs created blank; routing rules run on their first navigation
+    _placedTabs: new Set(),     // Tabs the store created and placed itself; their onCreated is ignored
+
+    init: function () {
+        chrome.runtime.onConnect.addListener(port => {
+            if (port.name === SPACE_STORE_PORT) this._onConnect(port);
+        });
+
+        // Keys of windows closed while the worker was not running
+        chrome.windows.getAll().then(windows => LocalStorage.pruneWindowSpaces(windows.map(w => w.id)));
+
+        chrome.runtime.onStartup.addListener(() => {
+            // A new browser session reuses window ids; nothing persisted for the old ones is valid
+            LocalStorage.pruneWindowSpaces([]);
+            chrome.storage.session.remove(ACTIVE_SPACE_IDS_KEY);
+        });
+
+        chrome.tabs.onCreated.addListener(tab => {
+            this._enqueue(tab.windowId, () => this._handleTabCreated(tab));
+        });
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (changeInfo.url && this._awaitingRouting.has(tabId)) {
+                this._awaitingRouting.delete(tabId);
+                this._enqueue(tab.windowId, () => this._routeTab(tab, changeInfo.url));
+            } else if (changeInfo.groupId !== undefined) {
+                this._enqueue(tab.windowId, () => this._handleTabGroupChanged(tab));
+            }
+        });
+        chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+            this._awaitingRouting.delete(tabId);
+            if (removeInfo.isWindowClosing) return;
+            this._enqueue(removeInfo.windowId, () => this._removeTabs(removeInfo.windowId, [tabId]));
+        });
+        chrome.tabs.onDetached.addListener((tabId, detachInfo) => {
+            this._enqueue(detachInfo.oldWindowId, () => this._handleTabDetached(detachInfo.oldWindowId, tabId));
+        });
+        chrome.tabs.onAttached.addListener(async (tabId, attachInfo) => {
+            const tab = await chrome.tabs.get(tabId).catch(() => null);
+            if (tab) this._enqueue(attachInfo.newWindowId, () => this._handleTabGroupChanged(tab));
+        });
+        chrome.tabs.onActivated.addListener(activeInfo => {
+            this._enqueue(activeInfo.windowId, () => this._handleTabActivated(activeInfo));
+        });
+        chrome.tabGroups.onUpdated.addListener(group => {
+            this._enqueue(group.windowId, () => this._handleGroupUpdated(group));
+        });
+        chrome.tabGroups.onRemoved.addListener(group => {
+            this._enqueue(group.windowId, () => this._handleGroupRemoved(group));
+        });
+        chrome.windows.onRemoved.addListener(windowId => {
+            this._windows.delete(windowId);
+            this._busyWindows.delete(windowId);
+            this._queues.delete(windowId);
+            LocalStorage.removeWindowSpaces(windowId);
+        });
+    },
+
+    // Spaces of a window, loading and reconciling them first if needed
+    getWindowState: async function (windowId) {
+        return this._enqueue(windowId, () => this._ensureWindow(windowId));
+    },
+
+    // Quick pin: the sidebar of the tab's window toggles if it is open (it owns the DOM), otherwise the store does
+    togglePin: async function (tabId = null) {
+        let tab = null;
+        if (tabId) {
+            tab = await chrome.tabs.get(tabId).catch(() => null);
+        } else {
+            [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        }
+        if (!tab) {
+            Logger.warn('[SpaceStore] No tab to toggle pin for:', tabId);
+            return;
+        }
+
+        const port = this._ports.get(tab.windowId);
+        if (port) {
+            port.postMessage({ type: SpaceStoreEvent.TOGGLE_PIN, tabId: tab.id });
+            return;
+        }
+        await this._enqueue(tab.windowId, async () => {
+            const state = await this._ensureWindow(tab.windowId);
+            const space = this._findSpaceWithTab(state, tab.id);
+            if (!space) {
+                Logger.warn('[SpaceStore] Tab is not in any space:', tab.id);
+                return;
+            }
+            if (space.spaceBookmarks.includes(tab.id)) {
+                await this._unpinTab(space, tab);
+            } else {
+                await this._pinTab(space, tab, tab.url);
+            }
+            await this._persist(tab.windowId);
+        });
+    },
+
+    // Spotlight space commands (see spotlight/shared/commands.js): like togglePin, an open sidebar runs them
+    runCommand: async function (command) {
+        const port = this._ports.get(command.windowId);
+        if (port) {
+            port.postMessage({ type: SpaceStoreEvent.RUN_COMMAND, command });
+            return;
+        }
+        await this._enqueue(command.windowId, () => this._runCommand(command));
+    },
+
+    // --- Sidebar subscriptions ---
+
+    _onConnect: function (port) {
+        let windowId = null;
+
+        port.onMessage.addListener(message => {
+            if (message.type === SpaceStoreIntent.HELLO) {
+                windowId = message.windowId;
+                this._ports.set(windowId, port);
+                this._enqueue(windowId, async () => {
+                    if (Array.isArray(message.spaces)) {
+                        // Reconnect after the worker was suspended: the sidebar's view is the freshest
+                        await this._commit(windowId, message.spaces);
+                    }
+                    const state = await this._ensureWindow(windowId);
+                    port.postMessage({ type: SpaceStoreEvent.SNAPSHOT, spaces: state.spaces, activeSpaceId: state.activeSpaceId, version: state.version });
+                });
+                return;
+            }
+            if (windowId === null) {
+                Logger.warn('[SpaceStore] Intent before hello ignored:', message);
+                return;
+            }
+
+            switch (message.type) {
+                case SpaceStoreIntent.COMMIT:
+                    this._enqueue(windowId, () => this._commit(windowId, message.spaces, message.version));
+                    break;
+                case SpaceStoreIntent.SET_ACTIVE_SPACE:
+                    this._enqueue(windowId, () => this._setActiveSpace(windowId, message.spaceId));
+                    break;
+                case SpaceStoreIntent.BUSY:
+                    if (message.busy) {
+                        this._busyWindows.add(windowId);
+                    } else {
+                        this._busyWindows.delete(windowId);
+                    }
+                    break;
+                case SpaceStoreIntent.MOVE_SPACE_TO_NEW_WINDOW:
+                    this._enqueue(windowId, () => this._moveSpaceToNewWindow(windowId, message.spaceId));
+                    break;
+                case SpaceStoreIntent.OPEN_SPACE_IN_NEW_WINDOW:
+                    this._enqueue(windowId, () => this._openSpaceInNewWindow(message.folderId));
+                    break;
+                default:
+                    Logger.warn('[SpaceStore] Unknown intent:', message);
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            if (windowId !== null && this._ports.get(windowId) === port) {
+                this._ports.delete(windowId);
+                this._busyWindows.delete(windowId);
+            }
+        });
+    },
+
+    _notify: function (windowId, message) {
+        const port = this._ports.get(windowId);
+        if (!port) return;
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            Logger.warn('[SpaceStore] Sidebar port closed:', error);
+            this._ports.delete(windowId);
+        }
+    },
+
+    // A change the store made to the window's model: bump its version so older sidebar commits are dropped
+    _notifyModelChange: function (windowId, message) {
+        const state = this._windows.get(windowId);
+        if (state) state.version++;
+        this._notify(windowId, { ...message, version: state?.version ?? 0 });
+    },
+
+    _notifyOtherWindows: function (windowId) {
+        for (const otherWindowId of this._ports.keys()) {
+            if (otherWindowId !== windowId) {
+                this._notify(otherWindowId, { type: SpaceStoreEvent.WINDOWS_CHANGED });
+            }
+        }
+    },
+
+    // --- Window state ---
+
+    // A sidebar creating tabs itself, or a window the store is still creating
+    _isBusy: function (windowId) {
+        return this._busyWindows.has(windowId) || (this._creatingWindows > 0 && !this._windows.has(windowId));
+    },
+
+    // New window whose state is set up by the caller instead of being built from its tabs
+    _createWindow: async function (setup) {
+        this._creatingWindows++;
+        try {
+            const newWindow = await chrome.windows.create({ focused: true });
+            const state = { spaces: [], activeSpaceId: null, version: 0 };
+            await setup(newWindow, state);
+            this._windows.set(newWindow.id, state);
+            await this._persist(newWindow.id);
+            return newWindow;
+        } finally {
+            this._creatingWindows--;
+        }
+    },
+
+    _enqueue: function (windowId, task) {
+        const previous = this._queues.get(windowId) || Promise.resolve();
+        const next = previous.then(task).catch(error => {
+            Logger.error('[SpaceStore] Error in window task:', windowId, error);
+        });
+        this._queues.set(windowId, next);
+        return next;
+    },
+
+    _ensureWindow: async function (windowId) {
+        let state = this._windows.get(windowId);
+        if (state) return state;
+
+        const storedSpaces = await LocalStorage.getWindowSpaces(windowId);
+        const { [ACTIVE_SPACE_IDS_KEY]: activeSpaceIds = {} } = await chrome.storage.session.get(ACTIVE_SPACE_IDS_KEY);
+        state = { spaces: storedSpaces, activeSpaceId: activeSpaceIds[windowId] ?? null, version: 0 };
+        this._windows.set(windowId, state);
+
+        if (storedSpaces.length === 0) {
+            await this._buildWindow(windowId, state);
+        } else {
+            await this._reconcileWindow(windowId, state);
+        }
+        return state;
+    },
+
+    // First load of a window: group loose tabs into the default space and bind every group to its folder
+    _buildWindow: async function (windowId, state) {
+        const settings = await Utils.getSettings();
+        const defaultSpaceName = settings.defaultSpaceName || 'Home';
+
+        await LocalStorage.mergeDuplicateSpaceFolders();
+
+        let tabGroups = await chrome.tabGroups.query({ windowId });
+        const windowTabs = await chrome.tabs.query({ windowId });
+        const ungroupedTabs = windowTabs.filter(tab => tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE && !tab.pinned);
+
+        if (ungroupedTabs.length > 0 || tabGroups.length === 0) {
+            const defaultGroup = tabGroups.find(group => group.title === defaultSpaceName);
+            let tabIds = ungroupedTabs.map(tab => tab.id);
+            if (tabIds.length === 0) {
+                const newTab = await chrome.tabs.create({ windowId, active: true });
+                tabIds = [newTab.id];
+            }
+
+            if (defaultGroup) {
+                await chrome.tabs.group({ tabIds, groupId: defaultGroup.id });
+            } else {
+                const spaceName = await this._defaultSpaceNameForWindow(windowId, defaultSpaceName);
+                const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+                const groupColor = tabGroups.length === 0 ? await Utils.getTabGroupColor(spaceName) : 'grey';
+                await chrome.tabGroups.update(groupId, { title: spaceName, color: groupColor });
+                state.activeSpaceId = groupId;
+            }
+            tabGroups = await chrome.tabGroups.query({ windowId });
+        }
+
+        const bindings = await LocalStorage.resolveSpaceIdentities(tabGroups, await chrome.tabGroups.query({}));
+        state.spaces = [];
+        for (const group of tabGroups) {
+            state.spaces.push(await this._spaceFromGroup(group, bindings.get(group.id)));
+        }
+
+        const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+        const activeGroupSpace = state.spaces.find(s => s.id === activeTab?.groupId);
+        if (activeGroupSpace) {
+            state.activeSpaceId = activeGroupSpace.id;
+        } else if (!state.spaces.some(s => s.id === state.activeSpaceId)) {
+            state.activeSpaceId = state.spaces[0]?.id ?? null;
+        }
+
+        Logger.log('[SpaceStore] Built spaces for window', windowId, state.spaces);
+        await this._persist(windowId);
+    },
+
+    // Stored state after the worker woke up: drop what Chrome no longer has, add what it gained
+    _reconcileWindow: async function (windowId, state) {
+        const tabGroups = await chrome.tabGroups.query({ windowId });
+        const groupIds = new Set(tabGroups.map(g => g.id));
+        const windowTabs = await chrome.tabs.query({ windowId });
+        const tabGroupById = new Map(windowTabs.map(tab => [tab.id, tab.groupId]));
+
+        state.spaces = state.spaces.filter(space => groupIds.has(space.id));
+        for (const space of state.spaces) {
+            space.spaceBookmarks = space.spaceBookmarks.filter(id => tabGroupById.get(id) === space.id);
+            space.temporaryTabs = space.temporaryTabs.filter(id => tabGroupById.get(id) === space.id);
+        }
+
+        const missingGroups = tabGroups.filter(group => !state.spaces.some(s => s.id === group.id));
+        if (missingGroups.length > 0) {
+            const bindings = await LocalStorage.resolveSpaceIdentities(missingGroups, await chrome.tabGroups.query({}));
+            for (const group of missingGroups) {
+                state.spaces.push(await this._spaceFromGroup(group, bindings.get(group.id)));
+            }
+        }
+
+        for (const tab of windowTabs) {
+            const space = state.spaces.find(s => s.id === tab.groupId);
+            if (space && !space.spaceBookmarks.includes(tab.id) && !space.temporaryTabs.includes(tab.id)) {
+                space.temporaryTabs.push(tab.id);
+            }
+        }
+
+        if (!state.spaces.some(s => s.id === state.activeSpaceId)) {
+            state.activeSpaceId = state.spaces[0]?.id ?? null;
+        }
+        await this._persist(windowId);
+    },
+
+    _spaceFromGroup: async function (group, binding) {
+        const tabs = await chrome.tabs.query({ groupId: group.id });
+        const spaceBookmarks = (await BookmarkUtils.matchTabsWithBookmarks(binding.folder, group.id, Utils.setTabNameOverride.bind(Utils)))
+            .filter(id => id !== null);
+        return {
+            id: group.id,
+            uuid: binding.uuid,
+            bookmarkFolderId: binding.folder.id,
+            name: group.title,
+            color: group.color,
+            spaceBookmarks,
+            temporaryTabs: tabs.filter(tab => !spaceBookmarks.includes(tab.id)).map(tab => tab.id)
+        };
+    },
+
+    // The default space can only be open in one window; other windows get "Home 2", "Home 3", ...
+    _defaultSpaceNameForWindow: async function (windowId, defaultSpaceName) {
+        const groups = await chrome.tabGroups.query({});
+        const takenNames = new Set(groups.filter(g => g.windowId !== windowId).map(g => g.title));
+        let name = defaultSpaceName;
+        for (let n = 2; takenNames.has(name); n++) {
+            name = `${defaultSpaceName} ${n}`;
+        }
+        return name;
+    },
+
+    _persist: async function (windowId) {
+        const state = this._windows.get(windowId);
+        if (!state) return;
+        await LocalStorage.saveWindowSpaces(windowId, state.spaces);
+
+        const { [ACTIVE_SPACE_IDS_KEY]: activeSpaceIds = {} } = await chrome.storage.session.get(ACTIVE_SPACE_IDS_KEY);
+        if (activeSpaceIds[windowId] !== state.activeSpaceId) {
+            activeSpaceIds[windowId] = state.activeSpaceId;
+            await chrome.storage.session.set({ [ACTIVE_SPACE_IDS_KEY]: activeSpaceIds });
+        }
+    },
+
+    // baseVersion is the store version the sidebar's model includes; omitted when adopting a sidebar's model
+    // after the worker restarted (the store has nothing newer then)
+    _commit: async function (windowId, spaces, baseVersion = null) {
+        if (!Array.isArray(spaces)) return;
+        const state = this._windows.get(windowId) || { spaces: [], activeSpaceId: null, version: 0 };
+        if (baseVersion !== null && baseVersion < state.version) {
+            Logger.log('[SpaceStore] Dropping commit based on an older snapshot:', { windowId, baseVersion, version: state.version });
+            return;
+        }
+        state.spaces = spaces;
+        this._windows.set(windowId, state);
+        await this._persist(windowId);
+    },
+
+    _setActiveSpace: async function (windowId, spaceId) {
+        const state = await this._ensureWindow(windowId);
+        state.activeSpaceId = spaceId;
+        await this._persist(windowId);
+    },
+
+    _findSpaceWithTab: function (state, tabId) {
+        return state.spaces.find(space => space.spaceBookmarks.includes(tabId) || space.temporaryTabs.includes(tabId)) || null;
+    },
+
+    _placeTab: function (state, tabId, space, pinned = false) {
+        state.spaces.forEach(s => {
+            s.spaceBookmarks = s.spaceBookmarks.filter(id => id !== tabId);
+            s.temporaryTabs = s.temporaryTabs.filter(id => id !== tabId);
+        });
+        (pinned ? space.spaceBookmarks : space.temporaryTabs).push(tabId);
+        space.lastTab = tabId;
+    },
+
+    // --- Chrome events ---
+
+    _handleTabCreated: async function (tab) {
+        if (this._placedTabs.delete(tab.id) || this._isBusy(tab.windowId) || tab.pinned) {
+            return;
+        }
+        const state = await this._ensureWindow(tab.windowId);
+
+        const url = tab.pendingUrl || tab.url;
+        if (!RoutingRules.isRoutableUrl(url)) {
+            this._awaitingRouting.add(tab.id);
+        } else if (await this._routeTab(tab, url, { fromCreate: true })) {
+            return;
+        }
+
+        // Chrome puts links opened from a grouped tab into the same group; keep those where they are
+        const current = await chrome.tabs.get(tab.id).catch(() => null);
+        if (!current) return;
+        let space = state.spaces.find(s => s.id === current.groupId);
+        if (!space) {
+            space = state.spaces.find(s => s.id === state.activeSpaceId) || state.spaces[0];
+            if (!space) return;
+            await chrome.tabs.group({ tabIds: tab.id, groupId: space.id });
+        }
+
+        this._placeTab(state, tab.id, space);
+        await this._persist(tab.windowId);
+        this._notifyModelChange(tab.windowId, { type: SpaceStoreEvent.TAB_ASSIGNED, tabId: tab.id, spaceId: space.id, pinned: false, openerTabId: tab.openerTabId ?? null });
+    },
+
+    // Apply the first matching routing rule; returns true when a rule placed the tab
+    _routeTab: async function (tab, url, { fromCreate = false } = {}) {
+        if (this._isBusy(tab.windowId) || !RoutingRules.isRoutableUrl(url)) {
+            return false;
+        }
+        const rules = await RoutingRules.getRules();
+        if (rules.length === 0) return false;
+
+        const state = await this._ensureWindow(tab.windowId);
+        const openerSpace = tab.openerTabId ? this._findSpaceWithTab(state, tab.openerTabId) : null;
+        const rule = RoutingRules.findMatchingRule(rules, url, { openerSpaceUuid: openerSpace?.uuid });
+        if (!rule) return false;
+
+        let targetSpace = RoutingRules.findTargetSpace(rule, state.spaces);
+        if (!targetSpace) {
+            targetSpace = await this._openSpaceForRule(rule, tab);
+            if (!targetSpace) {
+                Logger.warn('[SpaceStore] Target space for rule not found:', rule);
+                return false;
+            }
+            state.spaces.push(targetSpace);
+            state.activeSpaceId = targetSpace.id;
+            if (rule.pin) {
+                await this._pinTab(targetSpace, tab, url);
+            }
+            await this._persist(tab.windowId);
+            this._notifyModelChange(tab.windowId, { type: SpaceStoreEvent.SPACE_CREATED, space: targetSpace, tabId: tab.id, pinned: Boolean(rule.pin) });
+            Logger.log('[SpaceStore] Tab', tab.id, 'opened space', targetSpace.name, 'by rule', rule);
+            return true;
+        }
+
+        const currentSpace = this._findSpaceWithTab(state, tab.id);
+        if (!fromCreate && currentSpace?.id === targetSpace.id && !rule.pin) {
+            return true;
+        }
+        await chrome.tabs.group({ tabIds: tab.id, groupId: targetSpace.id });
+        this._placeTab(state, tab.id, targetSpace);
+        if (rule.pin) {
+            await this._pinTab(targetSpace, tab, url);
+        }
+        await this._persist(tab.windowId);
+
+        const openerTabId = openerSpace?.id === targetSpace.id ? tab.openerTabId : null;
+        this._notifyModelChange(tab.windowId, { type: SpaceStoreEvent.TAB_ASSIGNED, tabId: tab.id, spaceId: targetSpace.id, pinned: Boolean(rule.pin), openerTabId });
+        Logger.log('[SpaceStore] Tab', tab.id, 'routed to space', targetSpace.name, 'by rule', rule);
+        return true;
+    },
+
+    // Open an inactive target space in the tab's window with this tab; spaces open in another window are left alone
+    _openSpaceForRule: async function (rule, tab) {
+        let spaceFolder = await LocalStorage.getSpaceFolder({ uuid: rule.spaceUuid, name: rule.spaceName });
+        if (!spaceFolder) {
+            const barCatFolder = await LocalStorage.getOrCreateBarCatFolder();
+            const children = await chrome.bookmarks.getChildren(barCatFolder.id);
+            spaceFolder = children.find(f => !f.url && f.title === rule.spaceName && f.title !== '_Favorites') || null;
+        }
+        if (!spaceFolder) return null;
+
+        const openIdentities = await LocalStorage.getOpenSpaceIdentities();
+        if (openIdentities.some(i => i.folderId === spaceFolder.id)) {
+            return null;
+        }
+
+        const storedIdentity = await LocalStorage.getSpaceIdentityByFolderId(spaceFolder.id);
+        const color = storedIdentity?.color || await Utils.getTabGroupColor(spaceFolder.title);
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+        await chrome.tabGroups.update(groupId, { title: spaceFolder.title, color });
+        const identity = await LocalStorage.bindSpaceIdentity(spaceFolder.id, groupId);
+        const spaceBookmarks = await BookmarkUtils.matchTabsWithBookmarks(spaceFolder, groupId, Utils.setTabNameOverride.bind(Utils));
+
+        return {
+            id: groupId,
+            uuid: identity.uuid,
+            bookmarkFolderId: spaceFolder.id,
+            name: spaceFolder.title,
+            color,
+            spaceBookmarks,
+            temporaryTabs: spaceBookmarks.includes(tab.id) ? [] : [tab.id],
+            lastTab: tab.id
+        };
+    },
+
+    // A tab was moved into (or out of) a group outside of BarCat's own bookkeeping
+    _handleTabGroupChanged: async function (tab) {
+        if (this._isBusy(tab.windowId)) return;
+        const state = await this._ensureWindow(tab.windowId);
+        const space = state.spaces.find(s => s.id === tab.groupId);
+        const currentSpace = this._findSpaceWithTab(state, tab.id);
+        if (currentSpace?.id === space?.id) return;
+
+        if (space) {
+            const wasPinned = currentSpace?.spaceBookmarks.includes(tab.id) ?? false;
+            this._placeTab(state, tab.id, space, wasPinned);
+        } else {
+            this._dropTab(state, tab.id);
+        }
+        await this._persist(tab.windowId);
+    },
+
+    _handleTabActivated: async function ({ tabId, windowId }) {
+        if (this._isBusy(windowId)) return;
+        const state = await this._ensureWindow(windowId);
+        const space = this._findSpaceWithTab(state, tabId);
+        if (!space) return;
+        space.lastTab = tabId;
+        state.activeSpaceId = space.id;
+        await this._persist(windowId);
+    },
+
+    _handleGroupUpdated: async function (group) {
+        const state = this._windows.get(group.windowId);
+        const space = state?.spaces.find(s => s.id === group.id);
+        if (!space || (space.name === group.title && space.color === group.color)) return;
+        space.name = group.title;
+        space.color = group.color;
+        await this._persist(group.windowId);
+        this._notifyModelChange(group.windowId, { type: SpaceStoreEvent.SPACE_UPDATED, spaceId: group.id, name: group.title, color: group.color });
+    },
+
+    _handleGroupRemoved: async function (group) {
+        const state = this._windows.get(group.windowId);
+        if (!state || !state.spaces.some(s => s.id === group.id)) return;
+        state.spaces = state.spaces.filter(s => s.id !== group.id);
+        if (state.activeSpaceId === group.id) {
+            state.activeSpaceId = state.spaces[0]?.id ?? null;
+        }
+        await this._persist(group.windowId);
+        this._notifyModelChange(group.windowId, { type: SpaceStoreEvent.SPACE_REMOVED, spaceId: group.id });
+    },
+
+    _removeTabs: async function (windowId, tabIds) {
+        const state = this._windows.get(windowId);
+        if (!state) return;
+        tabIds.forEach(tabId => this._dropTab(state, tabId));
+        await this._persist(windowId);
+    },
+
+    // The sidebar has no listener for tabs leaving its window, so unlike a close this one is sent to it
+    _handleTabDetached: async function (windowId, tabId) {
+        const state = this._windows.get(windowId);
+        if (!state || !this._findSpaceWithTab(state, tabId)) return;
+        await this._removeTabs(windowId, [tabId]);
+        this._notifyModelChange(windowId, { type: SpaceStoreEvent.TAB_DETACHED, tabId });
+    },
+
+    _dropTab: function (state, tabId) {
+        state.spaces.forEach(space => {
+            space.spaceBookmarks = space.spaceBookmarks.filter(id => id !== tabId);
+            space.temporaryTabs = space.temporaryTabs.filter(id => id !== tabId);
+            if (space.lastTab === tabId) space.lastTab = null;
+        });
+    },
+
+    // --- Windows ---
+
+    _moveSpaceToNewWindow: async function (windowId, spaceId) {
+        const state = await this._ensureWindow(windowId);
+        const space = state.spaces.find(s => s.id === spaceId);
+        if (!space || state.spaces.length === 1) {
+            Logger.warn('[SpaceStore] Space cannot be moved to a new window:', spaceId);
+            return;
+        }
+
+        await this._createWindow(async (newWindow, newState) => {
+            const placeholderTabId = newWindow.tabs?.[0]?.id;
+            const movedGroup = await chrome.tabGroups.move(space.id, { windowId: newWindow.id, index: -1 });
+            if (placeholderTabId) {
+                await chrome.tabs.remove(placeholderTabId);
+            }
+
+            // Group ids are normally kept across windows; rebind in case Chrome handed out a new one
+            if (movedGroup.id !== space.id) {
+                await LocalStorage.bindSpaceIdentity(space.bookmarkFolderId, movedGroup.id, space.uuid);
+            }
+            newState.spaces = [{ ...space, id: movedGroup.id }];
+            newState.activeSpaceId = movedGroup.id;
+        });
+
+        state.spaces = state.spaces.filter(s => s.id !== spaceId);
+        if (state.activeSpaceId === spaceId) {
+            state.activeSpaceId = state.spaces[0].id;
+        }
+        await this._persist(windowId);
+        this._notifyModelChange(windowId, { type: SpaceStoreEvent.SPACE_MOVED, spaceId });
+        this._notifyOtherWindows(windowId);
+    },
+
+    // Open an inactive space as the first space of a new window
+    _openSpaceInNewWindow: async function (folderId) {
+        const [spaceFolder] = await chrome.bookmarks.get(folderId).catch(() => []);
+        if (!spaceFolder) {
+            Logger.warn('[SpaceStore] Space folder not found:', folderId);
+            return;
+        }
+        const storedIdentity = await LocalStorage.getSpaceIdentityByFolderId(spaceFolder.id);
+        const groupColor = storedIdentity?.color || await Utils.getTabGroupColor(spaceFolder.title);
+
+        const newWindow = await this._createWindow(async (newWindow, newState) => {
+            const [newTab] = newWindow.tabs;
+            // Without an explicit windowId the group would be created in the last focused window
+            const groupId = await chrome.tabs.group({ tabIds: [newTab.id], createProperties: { windowId: newWindow.id } });
+            await chrome.tabGroups.update(groupId, { title: spaceFolder.title, color: groupColor });
+            const identity = await LocalStorage.bindSpaceIdentity(spaceFolder.id, groupId);
+
+            newState.spaces = [{
+                id: groupId,
+                uuid: identity.uuid,
+                bookmarkFolderId: spaceFolder.id,
+                name: spaceFolder.title,
+                color: groupColor,
+                spaceBookmarks: [],
+                temporaryTabs: [newTab.id],
+                lastTab: newTab.id
+            }];
+            newState.activeSpaceId = groupId;
+        });
+        this._notifyOtherWindows(newWindow.id);
+    },
+
+    // --- Spotlight commands (same effect as the sidebar's runSpotlightCommand) ---
+
+    _runCommand: async function (command) {
+        const state = await this._ensureWindow(command.windowId);
+        const space = state.spaces.find(s => s.id === command.spaceId);
+
+        switch (command.id) {
+            case CommandId.SWITCH_SPACE:
+                if (!space) return;
+                // focusTabId: a Spotlight result in this space was picked; show it instead of the space's last tab
+                await this._activateSpace(state, space, command.focusTabId || null);
+                break;
+            case CommandId.MOVE_TAB_TO_SPACE:
+                if (!space) return;
+                await chrome.tabs.group({ tabIds: command.tabId, groupId: space.id });
+                this._placeTab(state, command.tabId, space);
+                await this._activateSpace(state, space, command.tabId);
+                break;
+            case CommandId.CREATE_SPACE:
+                await this._createSpace(state, command.windowId, command.name);
+                break;
+            case CommandId.RENAME_SPACE: {
+                if (!space || !command.name) return;
+                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
+                await chrome.bookmarks.update(spaceFolder.id, { title: command.name });
+                await chrome.tabGroups.update(space.id, { title: command.name });
+                space.name = command.name;
+                break;
+            }
+            case CommandId.NEW_FOLDER: {
+                if (!space || !command.name) return;
+                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
+                const existingFolders = await chrome.bookmarks.getChildren(spaceFolder.id);
+                if (!existingFolders.some(f => !f.url && f.title === command.name)) {
+                    await chrome.bookmarks.create({ parentId: spaceFolder.id, title: command.name });
+                }
+                break;
+            }
+            case CommandId.CLEAR_TEMPORARY_TABS:
+                if (!space || space.temporaryTabs.length === 0) return;
+                // Leave a fresh tab behind, as the sidebar does; it is grouped into the active space on creation
+                await chrome.tabs.create({ windowId: command.windowId });
+                await chrome.tabs.remove(space.temporaryTabs);
+                space.temporaryTabs = [];
+                break;
+            case CommandId.SORT_TEMPORARY_TABS: {
+                if (!space) return;
+                const tabs = (await chrome.tabs.query({ groupId: space.id }))
+                    .filter(t => space.temporaryTabs.includes(t.id))
+                    .sort((a, b) => a.index - b.index);
+                if (tabs.length < 2) return;
+                space.temporaryTabs = TabSorter.sortTemporaryTabIds(tabs, command.sortKey, {
+                    lastActivity: await Utils.getTabLastActivity(),
+                    invertTabOrder: await Utils.getInvertTabOrder()
+                });
+                // Temporary tabs follow the space's bookmarks in the group, so they keep the block they occupy
+                await chrome.tabs.move(space.temporaryTabs, { index: tabs[0].index });
+                break;
+            }
+            default:
+                Logger.warn('[SpaceStore] Unknown command:', command);
+                return;
+        }
+        await this._persist(command.windowId);
+        if (command.id === CommandId.CREATE_SPACE || command.id === CommandId.RENAME_SPACE) {
+            // Other windows list this window's spaces in their switchers
+            this._notifyOtherWindows(command.windowId);
+        }
+    },
+
+    // Expand the space, activate one of its tabs and collapse the window's other spaces
+    _activateSpace: async function (state, space, tabId = null) {
+        await chrome.tabGroups.update(space.id, { collapsed: false });
+        if (!tabId) {
+            const tabs = await chrome.tabs.query({ groupId: space.id });
+            tabId = tabs.some(t => t.id === space.lastTab) ? space.lastTab : tabs[tabs.length - 1]?.id;
+        }
+        if (tabId) {
+            await chrome.tabs.update(tabId, { active: true });
+        }
+        for (const other of state.spaces) {
+            if (other.id === space.id) continue;
+            await chrome.tabGroups.update(other.id, { collapsed: true }).catch(error => {
+                Logger.warn('[SpaceStore] Failed to collapse tab group:', other.id, error);
+            });
+        }
+        state.activeSpaceId = space.id;
+    },
+
+    _createSpace: async function (state, windowId, name) {
+        if (!name || state.spaces.some(s => s.name.toLowerCase() === name.toLowerCase())) {
+            Logger.warn('[SpaceStore] Space name missing or already taken:', name);
+            return;
+        }
+        const color = await Utils.getTabGroupColor(name);
+        const tab = await chrome.tabs.create({ windowId, active: true });
+        this._placedTabs.add(tab.id);
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, { title: name, color });
+
+        const space = {
+            id: groupId,
+            uuid: Utils.generateUUID(),
+            name,
+            color,
+            spaceBookmarks: [],
+            temporaryTabs: [tab.id],
+            lastTab: tab.id
+        };
+        // Creates the bookmark folder and binds it to the space's identity
+        await LocalStorage.getOrCreateSpaceFolder(space);
+        state.spaces.push(space);
+        await this._activateSpace(state, space, tab.id);
+    },
+
+    // --- Pinning (same bookkeeping as the sidebar's moveTabToPinned / moveTabToTemp) ---
+
+    _pinTab: async function (space, tab, url) {
+        space.temporaryTabs = space.temporaryTabs.filter(id => id !== tab.id);
+        if (!space.spaceBookmarks.includes(tab.id)) {
+            space.spaceBookmarks.push(tab.id);
+        }
+        const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(space);
+        const bookmarks = await chrome.bookmarks.getChildren(spaceFolder.id);
+        let bookmark = BookmarkUtils.findBookmarkByUrl(bookmarks, url);
+        if (!bookmark) {
+            bookmark = await chrome.bookmarks.create({ parentId: spaceFolder.id, title: tab.title || url, url });
+        }
+        await Utils.setPinnedTabState(tab.id, { pinnedUrl: url, bookmarkId: bookmark?.id || null });
+    },
+
+    _unpinTab: async function (space, tab) {
+        const spaceFolder = await LocalStorage.getSpaceFolder(space);
+        if (spaceFolder) {
+            await BookmarkUtils.removeBookmarkByUrl(spaceFolder.id, tab.url);
+        }
+        space.spaceBookmarks = space.spaceBookmarks.filter(id => id !== tab.id);
+        if (!space.temporaryTabs.includes(tab.id)) {
+            space.temporaryTabs.push(tab.id);
+        }
+        await Utils.removePinnedTabState(tab.id);
+    }
+};
+
+export { SpaceStore, SPACE_STORE_PORT, SpaceStoreIntent, SpaceStoreEvent };
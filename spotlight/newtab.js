@@ -9,7 +9,11 @@
 import { SpotlightUtils } from './shared/ui-utilities.js';
 import { SelectionManager } from './shared/selection-manager.js';
 import { SpotlightMessageClient } from './shared/message-client.js';
-import { SpotlightTabMode } from './shared/search-types.js';
+import { MessageRouter, MessageType } from '../message-router.js';
+import { ResultType, SpotlightTabMode } from './shared/search-types.js';
+import { SpotlightCommands } from './shared/commands.js';
+import { ResultActionId } from './shared/result-actions.js';
+import { SearchKeywords } from '../search-keywords.js';
 import { SharedSpotlightLogic } from './shared/shared-component-logic.js';
 import { Logger } from '../logger.js';
 
@@ -23,12 +27,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (!settings.enableSpotlight) {
         // Request background script to navigate to default new tab
-        try {
-            await chrome.runtime.sendMessage({
-                action: 'navigateToDefaultNewTab'
-            });
-        } catch (error) {
-            Logger.error('[NewTab] Error navigating to default new tab:', error);
+        const response = await MessageRouter.send(MessageType.NAVIGATE_TO_DEFAULT_NEW_TAB);
+        if (!response.success) {
+            Logger.error('[NewTab] Error navigating to default new tab:', response.error);
         }
         return;
     }
@@ -47,7 +48,10 @@ async function initializeSpotlight() {
     let activeSpaceColor = 'purple';
 
     // CSS styles with default accent color
-    const accentColorDefinitions = await SpotlightUtils.getAccentColorCSS(activeSpaceColor);
+    const [accentColorDefinitions, spaceColorDefinitions] = await Promise.all([
+        SpotlightUtils.getAccentColorCSS(activeSpaceColor),
+        SpotlightUtils.getSpaceColorCSS()
+    ]);
     const spotlightCSS = `
         ${accentColorDefinitions}
         
@@ -97,6 +101,52 @@ async function initializeSpotlight() {
             flex-shrink: 0;
         }
 
+        .arcify-spotlight-keyword-chip {
+            flex-shrink: 0;
+            margin-right: 8px;
+            padding: 2px 8px;
+            border-radius: 6px;
+            background: var(--spotlight-accent-color-20);
+            color: var(--spotlight-accent-color);
+            font-size: 14px;
+            line-height: 20px;
+            white-space: nowrap;
+        }
+
+        .arcify-spotlight-keyword-chip[hidden] {
+            display: none;
+        }
+
+        .arcify-spotlight-scope-chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            flex-shrink: 0;
+            margin: 0 8px 0 0;
+            padding: 2px 8px;
+            border: none;
+            border-radius: 6px;
+            background: var(--spotlight-accent-color-20);
+            color: var(--spotlight-accent-color);
+            font: inherit;
+            font-size: 14px;
+            line-height: 20px;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+
+        .arcify-spotlight-scope-chip[hidden] {
+            display: none;
+        }
+
+        .arcify-spotlight-scope-chip-remove {
+            opacity: 0.7;
+        }
+
+        .arcify-spotlight-scope-chip:hover .arcify-spotlight-scope-chip-remove {
+            opacity: 1;
+        }
+
         .arcify-spotlight-input {
             flex: 1;
             background: transparent;
@@ -178,6 +228,12 @@ async function initializeSpotlight() {
             text-overflow: ellipsis;
         }
 
+        .arcify-spotlight-match {
+            background: transparent;
+            color: var(--spotlight-accent-color);
+            font-weight: 600;
+        }
+
         .arcify-spotlight-result-url {
             font-size: 12px;
             color: rgba(255, 255, 255, 0.6);
@@ -191,6 +247,50 @@ async function initializeSpotlight() {
             display: none;
         }
 
+        .arcify-spotlight-result-space {
+            color: rgba(255, 255, 255, 0.8);
+        }
+
+        .arcify-spotlight-result-space::after {
+            content: ' · ';
+            color: rgba(255, 255, 255, 0.6);
+        }
+
+        .arcify-spotlight-space-dot {
+            display: inline-block;
+            width: 8px;
+            height: 8px;
+            margin-right: 6px;
+            border-radius: 50%;
+            vertical-align: middle;
+            background: rgb(204, 204, 204);
+        }
+
+        ${spaceColorDefinitions}
+
+        .arcify-spotlight-result-hints {
+            display: none;
+            margin-top: 2px;
+            font-size: 11px;
+            color: var(--spotlight-accent-color-80);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .arcify-spotlight-result-item.selected .arcify-spotlight-result-hints:not(:empty) {
+            display: block;
+        }
+
+        .arcify-spotlight-action-header {
+            padding: 8px 24px 4px;
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.6);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
         .arcify-spotlight-result-action {
             font-size: 12px;
             color: var(--spotlight-accent-color-80);
@@ -236,6 +336,8 @@ async function initializeSpotlight() {
                     <circle cx="11" cy="11" r="8"></circle>
                     <path d="m21 21-4.35-4.35"></path>
                 </svg>
+                <span class="arcify-spotlight-keyword-chip" hidden></span>
+                <button type="button" class="arcify-spotlight-scope-chip" hidden></button>
                 <input 
                     type="text" 
                     class="arcify-spotlight-input" 
@@ -255,11 +357,20 @@ async function initializeSpotlight() {
     // Get references to key elements
     const input = container.querySelector('.arcify-spotlight-input');
     const resultsContainer = container.querySelector('.arcify-spotlight-results');
+    const scopeChip = container.querySelector('.arcify-spotlight-scope-chip');
+    const keywordChip = container.querySelector('.arcify-spotlight-keyword-chip');
 
     // Initialize spotlight state
     let currentResults = [];
     let instantSuggestion = null;
     let asyncSuggestions = [];
+    let searchKeywords = []; // Search keyword entries, loaded once per open
+    let scopedKeyword = null; // Entry chosen with Tab; queries go to that site only
+    let sourceScope = null; // Scope prefix moved into the filter chip ("t:", "s:work"); queries go to that source only
+
+    SearchKeywords.getKeywords()
+        .then(keywords => { searchKeywords = keywords; })
+        .catch(error => Logger.error('[Spotlight] Error loading search keywords:', error));
 
     // Send get suggestions message to background script
     // Use 'current-tab' mode so navigation happens in the current tab (the new tab page itself)
@@ -270,11 +381,22 @@ async function initializeSpotlight() {
     // Handle result action via message passing
     // Use 'current-tab' mode so navigation happens in the current tab (the new tab page itself)
     async function handleResultActionViaMessage(result, mode) {
-        return await SpotlightMessageClient.handleResult(result, mode);
+        return await SpotlightMessageClient.handleResult(result, mode, input.value);
     }
 
     const selectionManager = new SelectionManager(resultsContainer);
 
+    // Results stream in as each source answers; the first set for a query replaces the old results,
+    // later ones merge in around the selection so it does not jump
+    const suggestionStream = SpotlightMessageClient.createSuggestionStream((results, { first }) => {
+        if ((!input.value.trim() && !sourceScope) || scopedKeyword) return;
+        asyncSuggestions = first
+            ? results
+            : SharedSpotlightLogic.mergeStreamedResults(asyncSuggestions, results, selectionManager.getSelectedResult());
+        if (resultActionHandler.isMenuOpen()) return; // Redrawn when the action menu closes
+        updateDisplay(!first);
+    });
+
     // Load initial results
     // Use 'current-tab' mode since we're on the new tab page itself
     async function loadInitialResults() {
@@ -295,36 +417,37 @@ async function initializeSpotlight() {
     function handleInstantInput() {
         const query = input.value.trim();
 
-        if (!query) {
+        if (sourceScope) {
+            // Filtered to one source: only its results are shown, and an empty query lists them all
+            instantSuggestion = null;
+            updateDisplay();
+            return;
+        } else if (scopedKeyword) {
+            // Scoped to a search keyword: only the site search suggestion is shown
+            asyncSuggestions = [];
+        } else if (!query) {
             instantSuggestion = null;
             loadInitialResults();
             return;
         }
 
-        instantSuggestion = SpotlightUtils.generateInstantSuggestion(query);
+        instantSuggestion = SpotlightUtils.generateInstantSuggestion(query, searchKeywords, scopedKeyword);
         updateDisplay();
     }
 
-    // Handle async search (debounced)
+    // Handle async search (debounced); results arrive through the suggestion stream
     // Use 'current-tab' mode since we're on the new tab page itself
-    async function handleAsyncSearch() {
+    function handleAsyncSearch() {
         const query = input.value.trim();
 
-        if (!query) {
+        if ((!query && !sourceScope) || scopedKeyword) {
+            suggestionStream.cancel();
             asyncSuggestions = [];
             updateDisplay();
             return;
         }
 
-        try {
-            const results = await sendGetSuggestionsMessage(query, 'current-tab');
-            asyncSuggestions = results || [];
-            updateDisplay();
-        } catch (error) {
-            Logger.error('[NewTab Spotlight] Search error:', error);
-            asyncSuggestions = [];
-            updateDisplay();
-        }
+        suggestionStream.query(sourceScope ? `${sourceScope.prefix} ${query}` : query, 'current-tab');
     }
 
     // Combine instant and async suggestions with deduplication
@@ -332,10 +455,9 @@ async function initializeSpotlight() {
         return SharedSpotlightLogic.combineResults(instantSuggestion, asyncSuggestions);
     }
 
-    // Update the display with combined results
-    function updateDisplay() {
+    // Update the display with combined results; preserveSelection is set for streamed updates
+    function updateDisplay(preserveSelection = false) {
         currentResults = combineResults();
-        selectionManager.updateResults(currentResults);
 
         if (currentResults.length === 0) {
             displayEmptyState();
@@ -344,17 +466,45 @@ async function initializeSpotlight() {
 
         // Use 'current-tab' mode since we're on the new tab page itself
         SharedSpotlightLogic.updateResultsDisplay(resultsContainer, [], currentResults, 'current-tab');
+        selectionManager.updateResults(currentResults, preserveSelection);
     }
 
     // Display empty state
     function displayEmptyState() {
-        resultsContainer.innerHTML = '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history</div>';
+        resultsContainer.innerHTML = sourceScope
+            ? `<div class="arcify-spotlight-empty">Nothing found in ${SpotlightUtils.escapeHtml(SharedSpotlightLogic.getScopeLabel(sourceScope))}</div>`
+            : '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history, or &gt; for commands</div>';
         currentResults = [];
         instantSuggestion = null;
         asyncSuggestions = [];
         selectionManager.updateResults([]);
     }
 
+    // Secondary actions: shortcuts on the selected row and the → action menu (registered before every other
+    // keydown handler, since the open menu claims Enter, Escape and Backspace)
+    const resultActionHandler = SharedSpotlightLogic.createResultActionHandler({
+        input,
+        resultsContainer,
+        selectionManager,
+        getMode: () => 'current-tab',
+        loadActions: (result) => SpotlightMessageClient.getResultActions(result, 'current-tab'),
+        onAction: (result, action) => handleSecondaryAction(result, action),
+        onMenuClose: () => updateDisplay(true)
+    });
+    input.addEventListener('keydown', resultActionHandler.handleKeyDown);
+
+    // Scope prefixes become a filter chip (registered first so it can claim the input and Backspace);
+    // a keyword scope and a source scope exclude each other
+    const sourceScopeHandler = SharedSpotlightLogic.createSourceScopeHandler(input, scopeChip, (scope) => {
+        sourceScope = scope;
+        handleInstantInput();
+        handleAsyncSearch();
+    });
+    input.addEventListener('input', (e) => {
+        if (!scopedKeyword) sourceScopeHandler.handleInput(e);
+    });
+    input.addEventListener('keydown', (e) => sourceScopeHandler.handleKeyDown(e));
+
     // Input event handlers
     input.addEventListener('input', SharedSpotlightLogic.createInputHandler(
         handleInstantInput,
@@ -370,13 +520,63 @@ async function initializeSpotlight() {
             return;
         }
 
+        // Commands that still need a name put their keyword in the input instead of running
+        const completion = SpotlightCommands.getCompletion(result);
+        if (completion) {
+            input.value = completion;
+            input.focus();
+            handleInstantInput();
+            handleAsyncSearch();
+            return;
+        }
+
         try {
+            // Instant answers are copied here, where the keypress counts as the clipboard's user gesture
+            if (result.type === ResultType.INSTANT_ANSWER) {
+                await SpotlightUtils.copyText(result.metadata.value);
+                return;
+            }
+
             await handleResultActionViaMessage(result, 'current-tab');
         } catch (error) {
             Logger.error('[NewTab Spotlight] Error in result action:', error);
         }
     }
 
+    // Secondary action on a result: copying happens here (it needs the keypress), everything else in the background
+    async function handleSecondaryAction(result, action) {
+        try {
+            if (action.id === ResultActionId.COPY_URL) {
+                await SpotlightUtils.copyText(result.url);
+                return;
+            }
+
+            if (action.keepOpen) {
+                // The tab or history entry is gone: drop it from the list
+                asyncSuggestions = asyncSuggestions.filter(shown => !SpotlightUtils.areResultsDuplicate(shown, result));
+                updateDisplay();
+            }
+            await SpotlightMessageClient.runResultAction(result, action, 'current-tab', input.value);
+        } catch (error) {
+            Logger.error('[NewTab Spotlight] Error in secondary action:', error);
+        }
+    }
+
+    // Tab-to-scope for search keywords (registered first so it can claim Tab and Backspace)
+    const keywordScopeHandler = SharedSpotlightLogic.createKeywordScopeHandler(
+        input,
+        keywordChip,
+        () => searchKeywords,
+        (entry) => {
+            scopedKeyword = entry;
+            handleInstantInput();
+            handleAsyncSearch();
+        }
+    );
+    input.addEventListener('keydown', (e) => {
+        if (!sourceScope) keywordScopeHandler(e);
+    });
+
     // Keyboard navigation
     input.addEventListener('keydown', SharedSpotlightLogic.createKeyDownHandler(
         selectionManager,
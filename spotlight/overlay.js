@@ -10,13 +10,19 @@
  * - Bundled as single file via Vite for content script compatibility (no ES6 imports)
  * - Only injected on-demand for privacy - no persistent content script presence
  * - Uses modal dialog with backdrop blur for non-intrusive overlay experience
+ * - Renders inside a closed shadow root: page CSS, z-index stacking and scripts cannot reach the dialog, and
+ *   keyboard/input events stop at its boundary (only capture-phase listeners on window still see them)
+ * - Tab cycles within the dialog and focus taken elsewhere returns to the input while it is open
  * - Handles URL prefill, tab ID injection, and optimized navigation for current-tab mode
  */
 
 import { SpotlightUtils } from './shared/ui-utilities.js';
 import { SelectionManager } from './shared/selection-manager.js';
 import { SpotlightMessageClient } from './shared/message-client.js';
-import { SpotlightTabMode } from './shared/search-types.js';
+import { ResultType, SpotlightTabMode } from './shared/search-types.js';
+import { SpotlightCommands } from './shared/commands.js';
+import { ResultActionId } from './shared/result-actions.js';
+import { SearchKeywords } from '../search-keywords.js';
 import { SharedSpotlightLogic } from './shared/shared-component-logic.js';
 import { Logger } from '../logger.js';
 
@@ -39,26 +45,38 @@ import { Logger } from '../logger.js';
 // Dormant mode: Listen for activation message when loaded as content script
 // Only set up listener if NOT already activated by legacy injection method
 if (!window.arcifySpotlightTabMode) {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.action === 'activateSpotlight') {
-            // Set up activation variables exactly like legacy background script injection
-            // These variables are used throughout the spotlight code for context
-            window.arcifySpotlightTabMode = message.mode;
-            window.arcifyCurrentTabUrl = message.tabUrl;
-            window.arcifyCurrentTabId = message.tabId;
-
-            // Instantly activate spotlight (no injection delay!)
-            activateSpotlight(message.mode);
-            sendResponse({ success: true });
-        }
+    SpotlightMessageClient.setupActivationListener((message) => {
+        // Set up activation variables exactly like legacy background script injection
+        // These variables are used throughout the spotlight code for context
+        window.arcifySpotlightTabMode = message.mode;
+        window.arcifyCurrentTabUrl = message.tabUrl;
+        window.arcifyCurrentTabId = message.tabId;
+
+        // Instantly activate spotlight (no injection delay!)
+        activateSpotlight(message.mode);
     });
 }
 
+// { host, dialog } of the injected overlay: its shadow root is closed, so the page (and document lookups) can't find it
+let spotlightRoot = null;
+
+// Events that would otherwise bubble out of the shadow root and tell the page what is being typed
+const ISOLATED_EVENTS = [
+    'keydown', 'keyup', 'keypress', 'beforeinput', 'input',
+    'compositionstart', 'compositionupdate', 'compositionend', 'paste', 'copy', 'cut'
+];
+
+// Accent colors as custom properties on the shadow host instead of the page's :root
+async function getShadowAccentColorCSS(spaceColor) {
+    const css = await SpotlightUtils.getAccentColorCSS(spaceColor);
+    return css.replace(':root', ':host');
+}
+
 // Main spotlight activation function
 async function activateSpotlight(spotlightTabMode = 'current-tab') {
 
     // Handle toggle functionality for existing spotlight
-    const existingDialog = document.getElementById('arcify-spotlight-dialog');
+    const existingDialog = spotlightRoot?.host.isConnected ? spotlightRoot.dialog : null;
     if (existingDialog) {
         if (existingDialog.open) {
             existingDialog.close();
@@ -85,12 +103,15 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
     let activeSpaceColor = 'purple'; // Default fallback
 
     // CSS styles with default accent color (will be updated)
-    const accentColorDefinitions = await SpotlightUtils.getAccentColorCSS(activeSpaceColor);
+    const [accentColorDefinitions, spaceColorDefinitions] = await Promise.all([
+        getShadowAccentColorCSS(activeSpaceColor),
+        SpotlightUtils.getSpaceColorCSS()
+    ]);
     const spotlightCSS = `
         ${accentColorDefinitions}
         
         /* Smooth transitions for color changes */
-        :root {
+        :host {
             transition: --spotlight-accent-color 0.3s ease,
                        --spotlight-accent-color-15 0.3s ease,
                        --spotlight-accent-color-20 0.3s ease,
@@ -143,54 +164,75 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             flex-shrink: 0;
         }
 
-        /* 
-            Specific CSS directives to override styling on specific pages (stackoverflow, chrome docs).
-            Otherwise the spotlight bar has a white background and some other weird UI.
-        */
-        #arcify-spotlight-dialog .arcify-spotlight-input {
-            flex: 1 !important;
-            background: transparent !important;
-            background-color: transparent !important;
-            background-image: none !important;
-            border: none !important;
-            border-style: none !important;
-            border-width: 0 !important;
-            border-color: transparent !important;
-            color: #ffffff !important;
-            font-size: 18px !important;
-            line-height: 24px !important;
-            padding: 8px 0 !important;
-            margin: 0 !important;
-            outline: none !important;
-            outline-style: none !important;
-            outline-width: 0 !important;
-            font-weight: 400 !important;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif !important;
-            box-shadow: none !important;
-            border-radius: 0 !important;
-            appearance: none !important;
-            -webkit-appearance: none !important;
-            -moz-appearance: none !important;
-            text-indent: 0 !important;
-            text-shadow: none !important;
-            vertical-align: baseline !important;
-            text-decoration: none !important;
-            box-sizing: border-box !important;
+        #arcify-spotlight-dialog .arcify-spotlight-keyword-chip {
+            flex-shrink: 0;
+            margin-right: 8px;
+            padding: 2px 8px;
+            border-radius: 6px;
+            background: var(--spotlight-accent-color-20);
+            color: var(--spotlight-accent-color);
+            font-size: 14px;
+            line-height: 20px;
+            white-space: nowrap;
         }
 
-        #arcify-spotlight-dialog .arcify-spotlight-input::placeholder {
-            color: rgba(255, 255, 255, 0.5) !important;
-            opacity: 1 !important;
+        #arcify-spotlight-dialog .arcify-spotlight-keyword-chip[hidden] {
+            display: none;
         }
 
-        #arcify-spotlight-dialog .arcify-spotlight-input:focus {
-            outline: none !important;
-            outline-style: none !important;
-            outline-width: 0 !important;
-            border: none !important;
-            box-shadow: none !important;
-            background: transparent !important;
-            background-color: transparent !important;
+        #arcify-spotlight-dialog .arcify-spotlight-scope-chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            flex-shrink: 0;
+            margin: 0 8px 0 0;
+            padding: 2px 8px;
+            border: none;
+            border-radius: 6px;
+            background: var(--spotlight-accent-color-20);
+            color: var(--spotlight-accent-color);
+            font: inherit;
+            font-size: 14px;
+            line-height: 20px;
+            white-space: nowrap;
+            cursor: pointer;
+        }
+
+        #arcify-spotlight-dialog .arcify-spotlight-scope-chip[hidden] {
+            display: none;
+        }
+
+        #arcify-spotlight-dialog .arcify-spotlight-scope-chip-remove {
+            opacity: 0.7;
+        }
+
+        #arcify-spotlight-dialog .arcify-spotlight-scope-chip:hover .arcify-spotlight-scope-chip-remove {
+            opacity: 1;
+        }
+
+        /* The UA stylesheet still applies inside the shadow root */
+        #arcify-spotlight-dialog .arcify-spotlight-input {
+            flex: 1;
+            min-width: 0;
+            background: transparent;
+            border: none;
+            color: #ffffff;
+            font-size: 18px;
+            line-height: 24px;
+            padding: 8px 0;
+            margin: 0;
+            outline: none;
+            font-weight: 400;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            box-shadow: none;
+            border-radius: 0;
+            appearance: none;
+            box-sizing: border-box;
+        }
+
+        #arcify-spotlight-dialog .arcify-spotlight-input::placeholder {
+            color: rgba(255, 255, 255, 0.5);
+            opacity: 1;
         }
 
         .arcify-spotlight-results {
@@ -258,6 +300,12 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             text-overflow: ellipsis;
         }
 
+        #arcify-spotlight-dialog .arcify-spotlight-match {
+            background: transparent;
+            color: var(--spotlight-accent-color);
+            font-weight: 600;
+        }
+
         .arcify-spotlight-result-url {
             font-size: 12px;
             color: rgba(255, 255, 255, 0.6);
@@ -271,6 +319,50 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             display: none;
         }
 
+        .arcify-spotlight-result-space {
+            color: rgba(255, 255, 255, 0.8);
+        }
+
+        .arcify-spotlight-result-space::after {
+            content: ' · ';
+            color: rgba(255, 255, 255, 0.6);
+        }
+
+        .arcify-spotlight-space-dot {
+            display: inline-block;
+            width: 8px;
+            height: 8px;
+            margin-right: 6px;
+            border-radius: 50%;
+            vertical-align: middle;
+            background: rgb(204, 204, 204);
+        }
+
+        ${spaceColorDefinitions}
+
+        .arcify-spotlight-result-hints {
+            display: none;
+            margin-top: 2px;
+            font-size: 11px;
+            color: var(--spotlight-accent-color-80);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .arcify-spotlight-result-item.selected .arcify-spotlight-result-hints:not(:empty) {
+            display: block;
+        }
+
+        .arcify-spotlight-action-header {
+            padding: 8px 24px 4px;
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.6);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
         .arcify-spotlight-result-action {
             font-size: 12px;
             color: var(--spotlight-accent-color-80);
@@ -317,16 +409,22 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             }
             
             #arcify-spotlight-dialog .arcify-spotlight-input {
-                font-size: 16px !important;
+                font-size: 16px;
             }
         }
     `;
 
+    // Shadow host: a custom element no page selector targets, reset inline so even !important page rules
+    // (display: none, filters, transforms) can't hide or distort it
+    const host = document.createElement('arcify-spotlight');
+    host.style.setProperty('all', 'initial', 'important');
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+
     // Create and inject styles
     const styleSheet = document.createElement('style');
     styleSheet.id = 'arcify-spotlight-styles';
     styleSheet.textContent = spotlightCSS;
-    document.head.appendChild(styleSheet);
+    shadowRoot.appendChild(styleSheet);
 
     // Create spotlight dialog
     const dialog = document.createElement('dialog');
@@ -339,6 +437,8 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
                     <circle cx="11" cy="11" r="8"></circle>
                     <path d="m21 21-4.35-4.35"></path>
                 </svg>
+                <span class="arcify-spotlight-keyword-chip" hidden></span>
+                <button type="button" class="arcify-spotlight-scope-chip" hidden></button>
                 <input 
                     type="text" 
                     class="arcify-spotlight-input" 
@@ -355,16 +455,28 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
         </div>
     `;
 
-    document.body.appendChild(dialog);
+    shadowRoot.appendChild(dialog);
+    // On <html> rather than <body>, which single-page apps sometimes replace
+    document.documentElement.appendChild(host);
+    spotlightRoot = { host, dialog };
 
     // Get references to key elements
     const input = dialog.querySelector('.arcify-spotlight-input');
     const resultsContainer = dialog.querySelector('.arcify-spotlight-results');
+    const scopeChip = dialog.querySelector('.arcify-spotlight-scope-chip');
+    const keywordChip = dialog.querySelector('.arcify-spotlight-keyword-chip');
 
     // Initialize spotlight state
     let currentResults = [];
     let instantSuggestion = null; // The real-time first suggestion
     let asyncSuggestions = []; // Debounced suggestions from background
+    let searchKeywords = []; // Search keyword entries, loaded once per open
+    let scopedKeyword = null; // Entry chosen with Tab; queries go to that site only
+    let sourceScope = null; // Scope prefix moved into the filter chip ("t:", "s:work"); queries go to that source only
+
+    SearchKeywords.getKeywords()
+        .then(keywords => { searchKeywords = keywords; })
+        .catch(error => Logger.error('[Spotlight] Error loading search keywords:', error));
 
     // Send get suggestions message to background script using shared client
     async function sendGetSuggestionsMessage(query, mode) {
@@ -373,12 +485,23 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
 
     // Handle result action via message passing using shared client (with tab ID optimization)
     async function handleResultActionViaMessage(result, mode) {
-        return await SpotlightMessageClient.handleResult(result, mode);
+        return await SpotlightMessageClient.handleResult(result, mode, input.value);
     }
 
 
     const selectionManager = new SelectionManager(resultsContainer);
 
+    // Results stream in as each source answers; the first set for a query replaces the old results,
+    // later ones merge in around the selection so it does not jump
+    const suggestionStream = SpotlightMessageClient.createSuggestionStream((results, { first }) => {
+        if ((!input.value.trim() && !sourceScope) || scopedKeyword) return;
+        asyncSuggestions = first
+            ? results
+            : SharedSpotlightLogic.mergeStreamedResults(asyncSuggestions, results, selectionManager.getSelectedResult());
+        if (resultActionHandler.isMenuOpen()) return; // Redrawn when the action menu closes
+        updateDisplay(!first);
+    });
+
     // Load initial results
     async function loadInitialResults() {
         try {
@@ -413,37 +536,38 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
     function handleInstantInput() {
         const query = input.value.trim();
 
-        if (!query) {
+        if (sourceScope) {
+            // Filtered to one source: only its results are shown, and an empty query lists them all
+            instantSuggestion = null;
+            updateDisplay();
+            return;
+        } else if (scopedKeyword) {
+            // Scoped to a search keyword: only the site search suggestion is shown
+            asyncSuggestions = [];
+        } else if (!query) {
             instantSuggestion = null;
             loadInitialResults();
             return;
         }
 
         // Generate instant suggestion based on current input
-        instantSuggestion = SpotlightUtils.generateInstantSuggestion(query);
+        instantSuggestion = SpotlightUtils.generateInstantSuggestion(query, searchKeywords, scopedKeyword);
         updateDisplay();
     }
 
-    // Handle async search (debounced)
-    async function handleAsyncSearch() {
+    // Handle async search (debounced); results arrive through the suggestion stream
+    function handleAsyncSearch() {
         const query = input.value.trim();
 
-        if (!query) {
+        if ((!query && !sourceScope) || scopedKeyword) {
+            suggestionStream.cancel();
             asyncSuggestions = [];
             updateDisplay();
             return;
         }
 
-        try {
-            const mode = spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab';
-            const results = await sendGetSuggestionsMessage(query, mode);
-            asyncSuggestions = results || [];
-            updateDisplay();
-        } catch (error) {
-            Logger.error('[Spotlight] Search error:', error);
-            asyncSuggestions = [];
-            updateDisplay();
-        }
+        const mode = spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab';
+        suggestionStream.query(sourceScope ? `${sourceScope.prefix} ${query}` : query, mode);
     }
 
 
@@ -452,10 +576,9 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
         return SharedSpotlightLogic.combineResults(instantSuggestion, asyncSuggestions);
     }
 
-    // Update the display with combined results
-    function updateDisplay() {
+    // Update the display with combined results; preserveSelection is set for streamed updates
+    function updateDisplay(preserveSelection = false) {
         currentResults = combineResults();
-        selectionManager.updateResults(currentResults);
 
         if (currentResults.length === 0) {
             displayEmptyState();
@@ -464,13 +587,16 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
 
         const mode = spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab';
         SharedSpotlightLogic.updateResultsDisplay(resultsContainer, [], currentResults, mode);
+        selectionManager.updateResults(currentResults, preserveSelection);
     }
 
 
 
     // Display empty state
     function displayEmptyState() {
-        resultsContainer.innerHTML = '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history</div>';
+        resultsContainer.innerHTML = sourceScope
+            ? `<div class="arcify-spotlight-empty">Nothing found in ${SpotlightUtils.escapeHtml(SharedSpotlightLogic.getScopeLabel(sourceScope))}</div>`
+            : '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history, or &gt; for commands</div>';
         currentResults = [];
         instantSuggestion = null;
         asyncSuggestions = [];
@@ -478,6 +604,31 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
     }
 
 
+    // Secondary actions: shortcuts on the selected row and the → action menu (registered before every other
+    // keydown handler, since the open menu claims Enter, Escape and Backspace)
+    const resultActionHandler = SharedSpotlightLogic.createResultActionHandler({
+        input,
+        resultsContainer,
+        selectionManager,
+        getMode: () => spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab',
+        loadActions: (result) => SpotlightMessageClient.getResultActions(result, spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab'),
+        onAction: (result, action) => handleSecondaryAction(result, action),
+        onMenuClose: () => updateDisplay(true)
+    });
+    input.addEventListener('keydown', resultActionHandler.handleKeyDown);
+
+    // Scope prefixes become a filter chip (registered first so it can claim the input and Backspace);
+    // a keyword scope and a source scope exclude each other
+    const sourceScopeHandler = SharedSpotlightLogic.createSourceScopeHandler(input, scopeChip, (scope) => {
+        sourceScope = scope;
+        handleInstantInput();
+        handleAsyncSearch();
+    });
+    input.addEventListener('input', (e) => {
+        if (!scopedKeyword) sourceScopeHandler.handleInput(e);
+    });
+    input.addEventListener('keydown', (e) => sourceScopeHandler.handleKeyDown(e));
+
     // Input event handlers
     input.addEventListener('input', SharedSpotlightLogic.createInputHandler(
         handleInstantInput,    // instant update (zero latency)
@@ -492,7 +643,24 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             return;
         }
 
+        // Commands that still need a name put their keyword in the input instead of running
+        const completion = SpotlightCommands.getCompletion(result);
+        if (completion) {
+            input.value = completion;
+            input.focus();
+            handleInstantInput();
+            handleAsyncSearch();
+            return;
+        }
+
         try {
+            // Instant answers are copied here, where the keypress counts as the clipboard's user gesture
+            if (result.type === ResultType.INSTANT_ANSWER) {
+                await SpotlightUtils.copyText(result.metadata.value, dialog);
+                closeSpotlight();
+                return;
+            }
+
             const mode = spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab';
 
             // Add immediate visual feedback - close spotlight immediately for faster perceived performance
@@ -505,6 +673,47 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
         }
     }
 
+    // Secondary action on a result: copying happens here (it needs the keypress), everything else in the background
+    async function handleSecondaryAction(result, action) {
+        const mode = spotlightTabMode === SpotlightTabMode.NEW_TAB ? 'new-tab' : 'current-tab';
+
+        try {
+            if (action.id === ResultActionId.COPY_URL) {
+                await SpotlightUtils.copyText(result.url, dialog);
+                closeSpotlight();
+                return;
+            }
+
+            if (action.keepOpen) {
+                // The tab or history entry is gone: drop it from the list and stay open for the next one
+                asyncSuggestions = asyncSuggestions.filter(shown => !SpotlightUtils.areResultsDuplicate(shown, result));
+                updateDisplay();
+                await SpotlightMessageClient.runResultAction(result, action, mode, input.value);
+                return;
+            }
+
+            closeSpotlight();
+            await SpotlightMessageClient.runResultAction(result, action, mode, input.value);
+        } catch (error) {
+            Logger.error('[Spotlight] Error in secondary action:', error);
+        }
+    }
+
+    // Tab-to-scope for search keywords (registered first so it can claim Tab and Backspace)
+    const keywordScopeHandler = SharedSpotlightLogic.createKeywordScopeHandler(
+        input,
+        keywordChip,
+        () => searchKeywords,
+        (entry) => {
+            scopedKeyword = entry;
+            handleInstantInput();
+            handleAsyncSearch();
+        }
+    );
+    input.addEventListener('keydown', (e) => {
+        if (!sourceScope) keywordScopeHandler(e);
+    });
+
     // Keyboard navigation
     input.addEventListener('keydown', SharedSpotlightLogic.createKeyDownHandler(
         selectionManager,                      // SelectionManager for navigation
@@ -523,18 +732,51 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
     // Close spotlight function
     function closeSpotlight() {
         dialog.close();
+        suggestionStream.close();
 
         SpotlightMessageClient.notifyClosed();
 
         setTimeout(() => {
-            if (dialog.parentNode) {
-                dialog.parentNode.removeChild(dialog);
-                styleSheet.parentNode.removeChild(styleSheet);
+            // Reopened by the toggle in the meantime
+            if (dialog.open) return;
+            if (host.isConnected) {
+                host.remove();
                 window.arcifySpotlightInjected = false;
             }
+            if (spotlightRoot?.host === host) {
+                spotlightRoot = null;
+            }
         }, 200);
     }
 
+    // Keep keystrokes to ourselves: the handlers on the input have run by the time events bubble to the dialog
+    ISOLATED_EVENTS.forEach(type => dialog.addEventListener(type, (e) => e.stopPropagation()));
+
+    // Focus trap: Tab cycles through the input, chips and results instead of leaving for the browser UI
+    dialog.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+        const focusable = [...dialog.querySelectorAll('input, button:not([hidden])')];
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = shadowRoot.activeElement;
+        if (e.shiftKey && (active === first || !focusable.includes(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+
+    // ...and focus moved outside the shadow root (e.g. by a page script) comes back to the input.
+    // A null relatedTarget means the window itself lost focus, which is left alone.
+    dialog.addEventListener('focusout', (e) => {
+        if (dialog.open && e.relatedTarget && e.relatedTarget.getRootNode() !== shadowRoot) {
+            input.focus();
+        }
+    });
+
     // Handle backdrop clicks
     dialog.addEventListener('click', (e) => {
         if (e.target === dialog) {
@@ -546,8 +788,7 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
 
     // Listen for global close messages from background script
     SpotlightMessageClient.setupGlobalCloseListener(() => {
-        const existingDialog = document.getElementById('arcify-spotlight-dialog');
-        if (existingDialog && existingDialog.open) {
+        if (dialog.open) {
             closeSpotlight();
         }
     });
@@ -583,17 +824,14 @@ async function activateSpotlight(spotlightTabMode = 'current-tab') {
             const realActiveSpaceColor = await SpotlightMessageClient.getActiveSpaceColor();
             if (realActiveSpaceColor !== activeSpaceColor) {
                 // Update CSS variables for smooth color transition
-                const newColorDefinitions = await SpotlightUtils.getAccentColorCSS(realActiveSpaceColor);
-                const styleElement = document.querySelector('#arcify-spotlight-styles');
-                if (styleElement) {
-                    // Extract just the color definitions and update them
-                    const colorRegex = /:root\s*{([^}]*)}/;
-                    const currentCSS = styleElement.textContent;
-                    const newColorMatch = newColorDefinitions.match(colorRegex);
-                    if (newColorMatch) {
-                        const updatedCSS = currentCSS.replace(colorRegex, newColorMatch[0]);
-                        styleElement.textContent = updatedCSS;
-                    }
+                const newColorDefinitions = await getShadowAccentColorCSS(realActiveSpaceColor);
+                // Extract just the color definitions and update them
+                const colorRegex = /:host\s*{([^}]*)}/;
+                const currentCSS = styleSheet.textContent;
+                const newColorMatch = newColorDefinitions.match(colorRegex);
+                if (newColorMatch) {
+                    const updatedCSS = currentCSS.replace(colorRegex, newColorMatch[0]);
+                    styleSheet.textContent = updatedCSS;
                 }
             }
         } catch (error) {
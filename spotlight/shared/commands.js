@@ -0,0 +1,276 @@
+/**
+ * Spotlight Commands - BarCat actions offered by Spotlight's command mode
+ *
+ * Purpose: Turns a ">" query into a ranked list of extension actions (switch space, pin tab, archive tab, ...)
+ * Key Functions: Command mode detection, building the commands available in a window, fuzzy ranking, name arguments
+ * Architecture: Static helpers over a context supplied by the background data provider, which also runs the chosen command
+ *
+ * Critical Notes:
+ * - The command travels in result.metadata.command as plain data, so it survives the round trip through messaging
+ * - "Create space", "Rename space" and "New folder" take a name typed after their keyword ("> new folder Reading");
+ *   without one, selecting them puts the keyword into the input (metadata.completion) instead of running
+ * - Space commands are run by the space store, which hands them to the window's sidebar when one is open
+ * - "Sort tabs by ..." commands come last in the catalog, so they show up once typed rather than on a bare ">"
+ */
+
+import { SearchResult, ResultType } from './search-types.js';
+import { COMMAND_SCORES } from './scoring-constants.js';
+import { TabSortKey, TAB_SORT_LABELS } from '../../tab-sorter.js';
+
+export const COMMAND_PREFIX = '>';
+
+export const CommandId = {
+    SWITCH_SPACE: 'switch-space',
+    CREATE_SPACE: 'create-space',
+    RENAME_SPACE: 'rename-space',
+    MOVE_TAB_TO_SPACE: 'move-tab-to-space',
+    PIN_TAB: 'pin-tab',
+    UNPIN_TAB: 'unpin-tab',
+    ARCHIVE_TAB: 'archive-tab',
+    NEW_FOLDER: 'new-folder',
+    CLEAR_TEMPORARY_TABS: 'clear-temporary-tabs',
+    SORT_TEMPORARY_TABS: 'sort-temporary-tabs',   // { sortKey } one of TabSortKey
+    CLOSE_DUPLICATE_TABS: 'close-duplicate-tabs', // { scope: 'space' | 'all' }
+    COPY_URL: 'copy-url'
+};
+
+// Commands that take a name, keyed by the words that introduce it
+const NAMED_COMMAND_KEYWORDS = {
+    [CommandId.CREATE_SPACE]: 'create space',
+    [CommandId.RENAME_SPACE]: 'rename space',
+    [CommandId.NEW_FOLDER]: 'new folder'
+};
+
+export class SpotlightCommands {
+    static isCommandQuery(query) {
+        return query.trim().startsWith(COMMAND_PREFIX);
+    }
+
+    // Text after the ">" prefix, case preserved (names are taken from it)
+    static getCommandText(query) {
+        return query.trim().slice(COMMAND_PREFIX.length).trim();
+    }
+
+    // Ranked command results for a ">" query; context is { tab, spaces, activeSpaceId } for the focused window
+    static getCommandResults(query, context) {
+        if (!context?.tab) return [];
+        const text = SpotlightCommands.getCommandText(query);
+
+        const results = [];
+        for (const command of SpotlightCommands.buildCommands(context)) {
+            const keyword = NAMED_COMMAND_KEYWORDS[command.id];
+            const name = keyword ? SpotlightCommands.extractName(text, keyword) : null;
+            if (name) {
+                results.push(SpotlightCommands.toResult({ ...command, name }, COMMAND_SCORES.NAMED));
+                continue;
+            }
+
+            const score = Math.max(...[command.title, ...command.keywords]
+                .map(candidate => SpotlightCommands.matchScore(text, candidate) ?? -1));
+            if (score < 0) continue;
+            results.push(SpotlightCommands.toResult(command, score));
+        }
+
+        // Stable sort keeps catalog order among equal scores
+        return results.sort((a, b) => b.score - a.score).slice(0, 8);
+    }
+
+    // Every command that applies to the window's active tab and spaces
+    static buildCommands({ tab, spaces = [], activeSpaceId = null }) {
+        const target = { tabId: tab.id, windowId: tab.windowId };
+        const activeSpace = spaces.find(s => s.id === activeSpaceId) || null;
+        const tabSpace = spaces.find(s => s.spaceBookmarks.includes(tab.id) || s.temporaryTabs.includes(tab.id)) || null;
+        const commands = [];
+
+        commands.push({
+            id: CommandId.CREATE_SPACE,
+            title: 'Create space',
+            description: 'Opens a new space in this window',
+            keywords: ['new space', 'add space'],
+            ...target
+        });
+
+        if (activeSpace) {
+            commands.push({
+                id: CommandId.RENAME_SPACE,
+                title: 'Rename space',
+                description: activeSpace.name,
+                keywords: [],
+                ...target,
+                spaceId: activeSpace.id
+            });
+        }
+
+        if (tabSpace) {
+            const isPinned = tabSpace.spaceBookmarks.includes(tab.id);
+            commands.push({
+                id: isPinned ? CommandId.UNPIN_TAB : CommandId.PIN_TAB,
+                title: isPinned ? 'Unpin tab' : 'Pin tab',
+                description: tab.title || tab.url,
+                keywords: ['bookmark'],
+                ...target,
+                spaceId: tabSpace.id
+            });
+        }
+
+        commands.push({
+            id: CommandId.ARCHIVE_TAB,
+            title: 'Archive tab',
+            description: tab.title || tab.url,
+            keywords: ['close tab'],
+            ...target,
+            spaceId: tabSpace?.id ?? activeSpace?.id ?? null
+        });
+
+        if (activeSpace) {
+            commands.push({
+                id: CommandId.NEW_FOLDER,
+                title: 'New folder',
+                description: `Pinned folder in ${activeSpace.name}`,
+                keywords: ['create folder', 'add folder'],
+                ...target,
+                spaceId: activeSpace.id
+            });
+
+            const count = activeSpace.temporaryTabs.length;
+            commands.push({
+                id: CommandId.CLEAR_TEMPORARY_TABS,
+                title: 'Clear temporary tabs',
+                description: `${count} ${count === 1 ? 'tab' : 'tabs'} in ${activeSpace.name}`,
+                keywords: ['close tabs', 'clean up'],
+                ...target,
+                spaceId: activeSpace.id
+            });
+        }
+
+        commands.push({
+            id: CommandId.COPY_URL,
+            title: 'Copy URL',
+            description: tab.url,
+            keywords: ['copy link'],
+            ...target
+        });
+
+        if (activeSpace) {
+            commands.push({
+                id: CommandId.CLOSE_DUPLICATE_TABS,
+                title: 'Close duplicates in this space',
+                description: `Keeps the most recently used copy in ${activeSpace.name}`,
+                keywords: ['duplicate tabs', 'dedupe'],
+                ...target,
+                spaceId: activeSpace.id,
+                scope: 'space'
+            });
+        }
+
+        commands.push({
+            id: CommandId.CLOSE_DUPLICATE_TABS,
+            title: 'Close duplicates everywhere',
+            description: 'Keeps the most recently used copy across all spaces and windows',
+            keywords: ['duplicate tabs', 'dedupe'],
+            ...target,
+            scope: 'all'
+        });
+
+        // Per-space commands last, so a bare ">" leads with the general actions
+        for (const space of spaces) {
+            if (space.id === activeSpace?.id) continue;
+            commands.push({
+                id: CommandId.SWITCH_SPACE,
+                title: `Switch to space ${space.name}`,
+                description: 'Space',
+                keywords: ['go to', space.name],
+                ...target,
+                spaceId: space.id
+            });
+        }
+
+        for (const space of spaces) {
+            if (space.id === tabSpace?.id) continue;
+            commands.push({
+                id: CommandId.MOVE_TAB_TO_SPACE,
+                title: `Move tab to ${space.name}`,
+                description: tab.title || tab.url,
+                keywords: ['send tab'],
+                ...target,
+                spaceId: space.id
+            });
+        }
+
+        if (activeSpace) {
+            for (const sortKey of Object.values(TabSortKey)) {
+                commands.push({
+                    id: CommandId.SORT_TEMPORARY_TABS,
+                    title: `Sort tabs by ${TAB_SORT_LABELS[sortKey].toLowerCase()}`,
+                    description: `Temporary tabs in ${activeSpace.name}`,
+                    keywords: ['order tabs', 'arrange tabs'],
+                    ...target,
+                    spaceId: activeSpace.id,
+                    sortKey
+                });
+            }
+        }
+
+        return commands;
+    }
+
+    static toResult(command, score) {
+        const { title, description, keywords, ...runnable } = command;
+        const keyword = NAMED_COMMAND_KEYWORDS[command.id];
+        let displayTitle = title;
+        let completion = null;
+
+        if (keyword && command.name) {
+            displayTitle = command.id === CommandId.RENAME_SPACE
+                ? `Rename space to "${command.name}"`
+                : `${title} "${command.name}"`;
+        } else if (keyword) {
+            completion = `${COMMAND_PREFIX} ${keyword} `;
+        }
+
+        return new SearchResult({
+            type: ResultType.COMMAND,
+            title: displayTitle,
+            url: '',
+            score,
+            metadata: {
+                command: runnable,
+                description: completion ? `${description} · type a name` : description,
+                completion
+            }
+        });
+    }
+
+    // Name typed after a command's keyword, or null
+    static extractName(text, keyword) {
+        if (!text.toLowerCase().startsWith(`${keyword} `)) return null;
+        return text.slice(keyword.length).trim() || null;
+    }
+
+    // Fuzzy match of the typed text against a command title or keyword; null when it does not match
+    static matchScore(text, candidate) {
+        const query = text.toLowerCase();
+        const target = candidate.toLowerCase();
+
+        if (!query) return COMMAND_SCORES.LISTED;
+        if (target.startsWith(query)) return COMMAND_SCORES.TITLE_STARTS_WITH;
+        if (target.split(/\s+/).some(word => word.startsWith(query))) return COMMAND_SCORES.WORD_STARTS_WITH;
+        if (target.includes(query)) return COMMAND_SCORES.CONTAINS;
+
+        let position = -1;
+        let skipped = 0;
+        for (const char of query) {
+            if (char === ' ') continue;
+            const next = target.indexOf(char, position + 1);
+            if (next === -1) return null;
+            if (position !== -1) skipped += next - position - 1;
+            position = next;
+        }
+        return Math.max(COMMAND_SCORES.SUBSEQUENCE - skipped, COMMAND_SCORES.SUBSEQUENCE_MIN);
+    }
+
+    // Input text to put in place of the query when the selected command still needs a name
+    static getCompletion(result) {
+        return result?.type === ResultType.COMMAND ? result.metadata?.completion || null : null;
+    }
+}
@@ -1,15 +1,19 @@
 /**
- * Autocomplete Provider - Google autocomplete suggestions integration
- * 
- * Purpose: Fetches autocomplete suggestions from Google's unofficial suggest API
- * Key Functions: HTTP request to Google suggest API, result parsing, error handling with fallbacks
- * Architecture: Standalone utility class with caching and debouncing
- * 
+ * Autocomplete Provider - Search suggestions from a selectable backend
+ *
+ * Purpose: Fetches autocomplete suggestions from the suggest endpoint chosen in options
+ * Key Functions: Backend selection, HTTP request to the suggest API, result parsing, history-derived fallback
+ * Architecture: Standalone utility class with caching and debouncing; backends are plain objects sharing one interface
+ *
  * Critical Notes:
- * - Uses Google's unofficial suggest API (clients1.google.com/complete/search)
- * - Implements 30-second caching and request deduplication
- * - Graceful fallback to empty results on API failures
- * - Not tied to Chrome APIs - works in any JavaScript context
+ * - Backends: Google, DuckDuckGo, Bing, a user-defined OpenSearch suggest URL ("custom"), or "off"
+ * - A backend is { name, buildRequestUrl(query, settings), parseResponse(data), buildSearchUrl(term) }; every
+ *   built-in one speaks the OpenSearch suggestions format [query, [suggestions], ...]
+ * - The custom URL uses "%s" for the query, so a local stub server (http://localhost:PORT/suggest?q=%s) can back it;
+ *   requests run in the background and are covered by the <all_urls> host permission, so no CORS headers are needed
+ * - "off", a failed request and a timeout all fall back to suggestions derived from the user's own search history
+ * - Suggestions without a search URL (custom, history) are run through the default search engine by SearchEngine
+ * - Implements 30-second caching and request deduplication, keyed by backend so a settings change takes effect at once
  */
 
 import { SearchResult, ResultType } from '../search-types.js';
@@ -18,8 +22,69 @@ import { getAutocompleteScore } from '../scoring-constants.js';
 import { SpotlightUtils } from '../ui-utilities.js';
 import { Logger } from '../../../logger.js';
 
+export const AutocompleteSource = {
+    GOOGLE: 'google',
+    DUCKDUCKGO: 'duckduckgo',
+    BING: 'bing',
+    CUSTOM: 'custom',
+    OFF: 'off'
+};
+
+const QUERY_PLACEHOLDER = '%s';
+const MAX_SUGGESTIONS = 5;
+
+// Query parameters search engines put the search terms in, for reading past searches out of history
+const SEARCH_TERM_PARAMS = ['q', 'query', 'search_query', 'p', 'text', 'wd'];
+const HISTORY_SCAN_LIMIT = 100;
+
+// OpenSearch suggestions: [query, [suggestions], [descriptions], [queryUrls]]
+function parseOpenSearchResponse(data) {
+    if (!Array.isArray(data) || data.length < 2 || !Array.isArray(data[1])) {
+        return null;
+    }
+    return data[1].filter(suggestion => typeof suggestion === 'string');
+}
+
+export const AUTOCOMPLETE_BACKENDS = {
+    [AutocompleteSource.GOOGLE]: {
+        name: 'Google',
+        buildRequestUrl: (query) => `https://clients1.google.com/complete/search?client=firefox&q=${encodeURIComponent(query)}`,
+        parseResponse: parseOpenSearchResponse,
+        buildSearchUrl: (term) => `https://www.google.com/search?q=${encodeURIComponent(term)}`
+    },
+    [AutocompleteSource.DUCKDUCKGO]: {
+        name: 'DuckDuckGo',
+        buildRequestUrl: (query) => `https://duckduckgo.com/ac/?type=list&q=${encodeURIComponent(query)}`,
+        parseResponse: parseOpenSearchResponse,
+        buildSearchUrl: (term) => `https://duckduckgo.com/?q=${encodeURIComponent(term)}`
+    },
+    [AutocompleteSource.BING]: {
+        name: 'Bing',
+        buildRequestUrl: (query) => `https://api.bing.com/osjson.aspx?query=${encodeURIComponent(query)}`,
+        parseResponse: parseOpenSearchResponse,
+        buildSearchUrl: (term) => `https://www.bing.com/search?q=${encodeURIComponent(term)}`
+    },
+    [AutocompleteSource.CUSTOM]: {
+        name: 'Custom',
+        buildRequestUrl: (query, settings) => {
+            const template = (settings.autocompleteCustomUrl || '').trim();
+            if (!template.includes(QUERY_PLACEHOLDER)) {
+                throw new Error(`Custom suggest URL must contain ${QUERY_PLACEHOLDER}`);
+            }
+            return template.replaceAll(QUERY_PLACEHOLDER, encodeURIComponent(query));
+        },
+        parseResponse: parseOpenSearchResponse,
+        buildSearchUrl: () => ''
+    }
+};
+
 export class AutocompleteProvider {
-    constructor() {
+    // getSettings resolves to { autocompleteSource, autocompleteCustomUrl }; searchHistory(query, maxResults)
+    // resolves to chrome.history items. Both are injectable so the provider runs outside the extension.
+    constructor({ getSettings = null, searchHistory = null, backends = AUTOCOMPLETE_BACKENDS } = {}) {
+        this.getSettings = getSettings || (async () => ({ autocompleteSource: AutocompleteSource.GOOGLE }));
+        this.searchHistory = searchHistory || (async () => []);
+        this.backends = backends;
         this.cache = new Map();
         this.pendingRequests = new Map();
         this.CACHE_TTL = 30000; // 30 seconds
@@ -29,13 +94,16 @@ export class AutocompleteProvider {
     // Main method to get autocomplete suggestions
     async getAutocompleteSuggestions(query) {
         const trimmedQuery = query.trim();
-        
+
         if (!trimmedQuery || trimmedQuery.length < 2) {
             return [];
         }
 
+        const settings = await this.getSettings();
+        const source = settings.autocompleteSource || AutocompleteSource.GOOGLE;
+
         // Check cache first
-        const cacheKey = trimmedQuery.toLowerCase();
+        const cacheKey = `${source}:${trimmedQuery.toLowerCase()}`;
         const cached = this.cache.get(cacheKey);
         if (cached && Date.now() - cached.timestamp < this.CACHE_TTL) {
             return cached.results;
@@ -47,12 +115,12 @@ export class AutocompleteProvider {
         }
 
         // Create new request
-        const requestPromise = this.fetchAutocompleteSuggestions(trimmedQuery);
+        const requestPromise = this.fetchAutocompleteSuggestions(trimmedQuery, source, settings);
         this.pendingRequests.set(cacheKey, requestPromise);
 
         try {
             const results = await requestPromise;
-            
+
             // Cache results
             this.cache.set(cacheKey, {
                 results,
@@ -68,73 +136,120 @@ export class AutocompleteProvider {
         }
     }
 
-    // Fetch suggestions from Google's suggest API
-    async fetchAutocompleteSuggestions(query) {
+    // Fetch suggestions from the selected backend, falling back to search history when it is off or fails
+    async fetchAutocompleteSuggestions(query, source = AutocompleteSource.GOOGLE, settings = {}) {
+        const backend = this.backends[source];
+        if (!backend) {
+            if (source !== AutocompleteSource.OFF) {
+                Logger.warn('[AutocompleteProvider] Unknown autocomplete source:', source);
+            }
+            return await this.getHistorySuggestions(query);
+        }
+
         try {
-            // Use Google's unofficial suggest API
-            const url = `https://clients1.google.com/complete/search?client=firefox&q=${encodeURIComponent(query)}`;
-            
+            const url = backend.buildRequestUrl(query, settings);
+
             // Create abort controller for timeout
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT);
 
-            const response = await fetch(url, {
-                method: 'GET',
-                signal: controller.signal,
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (compatible; Arcify)'
-                }
-            });
-
-            clearTimeout(timeoutId);
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'GET',
+                    signal: controller.signal,
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'Mozilla/5.0 (compatible; Arcify)'
+                    }
+                });
+            } finally {
+                clearTimeout(timeoutId);
+            }
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const data = await response.json();
-            
-            // Parse Google's response format: [query, [suggestions], [descriptions], [queryUrls]]
-            if (!Array.isArray(data) || data.length < 2 || !Array.isArray(data[1])) {
-                Logger.warn('[AutocompleteProvider] Unexpected response format:', data);
-                return [];
+            const suggestions = backend.parseResponse(await response.json());
+            if (!suggestions) {
+                throw new Error(`Unexpected response format from ${backend.name}`);
             }
 
-            const suggestions = data[1];
-            
-            // Convert to SearchResult objects
-            const results = suggestions
-                .slice(0, 5) // Limit to 5 suggestions
-                .map((suggestion, index) => {
-                    const isUrl = SpotlightUtils.isURL(suggestion);
-                    
-                    return new SearchResult({
-                        type: ResultType.AUTOCOMPLETE_SUGGESTION,
-                        title: isUrl ? this.extractWebsiteName(suggestion) : suggestion,
-                        url: isUrl ? this.normalizeURL(suggestion) : `https://www.google.com/search?q=${encodeURIComponent(suggestion)}`,
-                        score: getAutocompleteScore(index), // Use centralized scoring function
-                        favicon: null, // Will be handled by getFaviconUrl in ui-utilities
-                        metadata: { 
-                            query: suggestion,
-                            originalQuery: query,
-                            position: index,
-                            isUrl: isUrl
-                        }
-                    });
-                });
-
-            return results;
+            return suggestions
+                .slice(0, MAX_SUGGESTIONS)
+                .map((suggestion, index) => this.createSuggestionResult(suggestion, index, query, backend.buildSearchUrl(suggestion)));
         } catch (error) {
             if (error.name === 'AbortError') {
-                Logger.warn('[AutocompleteProvider] Request timeout');
+                Logger.warn(`[AutocompleteProvider] ${backend.name} request timeout, using history suggestions`);
             } else {
-                Logger.error('[AutocompleteProvider] Fetch error:', error);
+                Logger.warn(`[AutocompleteProvider] ${backend.name} request failed, using history suggestions:`, error);
             }
+            return await this.getHistorySuggestions(query);
+        }
+    }
+
+    // Earlier searches from history that extend the query, most recent first
+    async getHistorySuggestions(query) {
+        try {
+            const historyItems = await this.searchHistory(query, HISTORY_SCAN_LIMIT);
+            const lowerQuery = query.toLowerCase();
+            const seen = new Set();
+            const terms = [];
+
+            const sortedItems = [...historyItems].sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0));
+            for (const item of sortedItems) {
+                const term = this.extractSearchTerm(item.url);
+                if (!term) continue;
+
+                const key = term.toLowerCase();
+                if (key === lowerQuery || !key.includes(lowerQuery) || seen.has(key)) continue;
+                seen.add(key);
+                terms.push(term);
+                if (terms.length === MAX_SUGGESTIONS) break;
+            }
+
+            return terms.map((term, index) => this.createSuggestionResult(term, index, query, '', 'history'));
+        } catch (error) {
+            Logger.error('[AutocompleteProvider] Error building history suggestions:', error);
             return [];
         }
     }
 
+    // Search terms of a search results page URL, or null for any other page
+    extractSearchTerm(url) {
+        try {
+            const params = new URL(url).searchParams;
+            for (const name of SEARCH_TERM_PARAMS) {
+                const value = params.get(name)?.trim();
+                if (value) return value;
+            }
+        } catch {
+            // Not a parseable URL
+        }
+        return null;
+    }
+
+    // An empty searchUrl leaves the search to the browser's default engine
+    createSuggestionResult(suggestion, index, query, searchUrl, source = 'remote') {
+        const isUrl = SpotlightUtils.isURL(suggestion);
+
+        return new SearchResult({
+            type: ResultType.AUTOCOMPLETE_SUGGESTION,
+            title: isUrl ? this.extractWebsiteName(suggestion) : suggestion,
+            url: isUrl ? this.normalizeURL(suggestion) : searchUrl,
+            score: getAutocompleteScore(index), // Use centralized scoring function
+            favicon: null, // Will be handled by getFaviconUrl in ui-utilities
+            metadata: {
+                query: suggestion,
+                originalQuery: query,
+                position: index,
+                isUrl: isUrl,
+                source: source
+            }
+        });
+    }
+
 
     // Normalize URL (similar to SpotlightUtils.normalizeURL)
     normalizeURL(url) {
@@ -157,12 +272,12 @@ export class AutocompleteProvider {
                 const normalizedUrl = this.normalizeURL(url);
                 const urlObj = new URL(normalizedUrl);
                 let hostname = urlObj.hostname;
-                
+
                 // Remove www. prefix for cleaner display
                 if (hostname.startsWith('www.')) {
                     hostname = hostname.substring(4);
                 }
-                
+
                 // Capitalize first letter for better presentation
                 return hostname.charAt(0).toUpperCase() + hostname.slice(1);
             } catch {
@@ -186,4 +301,4 @@ export class AutocompleteProvider {
             cacheEntries: Array.from(this.cache.keys())
         };
     }
-}
\ No newline at end of file
+}
@@ -1,34 +1,47 @@
-// background-data-provider.js - Direct Chrome API implementation for background scripts
+// background-data-provider.js - Direct Chrome API implementation for background scripts, backed by an in-memory search index
 
 import { BaseDataProvider } from './base-data-provider.js';
 import { AutocompleteProvider } from './autocomplete-provider.js';
 import { BookmarkUtils } from '../../../bookmark-utils.js';
+import { LocalStorage } from '../../../localstorage.js';
+import { SpaceStore } from '../../../space-store.js';
+import { Utils } from '../../../utils.js';
+import { CommandId } from '../commands.js';
+import { ResultActionId } from '../result-actions.js';
+import { ResultType } from '../search-types.js';
+import { SpotlightFrecency } from '../frecency.js';
+import { FuzzyMatcher } from '../fuzzy-matcher.js';
+import { SearchIndex } from './search-index.js';
 import { Logger } from '../../../logger.js';
 
 const TAB_ACTIVITY_STORAGE_KEY = 'tabLastActivity';
+const MAX_FUZZY_CANDIDATES = 20;
+const MAX_HISTORY_RESULTS = 10;
+const FRECENCY_VISIT_LIMIT = 100;
 
 export class BackgroundDataProvider extends BaseDataProvider {
     constructor() {
         super();
-        this.autocompleteProvider = new AutocompleteProvider();
+        // Built now, while the worker starts, so its event listeners are registered synchronously
+        this.searchIndex = new SearchIndex();
+        this.autocompleteProvider = new AutocompleteProvider({
+            getSettings: () => Utils.getSettings(),
+            searchHistory: (text, maxResults) => chrome.history.search({ text, maxResults, startTime: 0 })
+        });
         // Mark this as a background provider for reliable detection in minified builds
         this.isBackgroundProvider = true;
     }
     
-    // Only implement the small data fetchers using direct Chrome APIs
-    
+    // Only implement the small data fetchers; tabs, bookmarks and history are answered from the search index
+
     async getOpenTabsData(query = '') {
         try {
-            const tabs = await chrome.tabs.query({});
-            
-            const filteredTabs = tabs.filter(tab => {
+            await this.searchIndex.whenReady();
+            return this.searchIndex.getTabs().filter(tab => {
                 if (!tab.title || !tab.url) return false;
                 if (!query) return true;
-                return tab.title.toLowerCase().includes(query.toLowerCase()) || 
-                       tab.url.toLowerCase().includes(query.toLowerCase());
+                return FuzzyMatcher.matchItem(query, tab.title, tab.url) !== null;
             });
-            
-            return filteredTabs;
         } catch (error) {
             Logger.error('[BackgroundDataProvider] Error querying tabs:', error);
             return [];
@@ -37,11 +50,11 @@ export class BackgroundDataProvider extends BaseDataProvider {
 
     async getRecentTabsData(limit = 5) {
         try {
-            const tabs = await chrome.tabs.query({});
+            await this.searchIndex.whenReady();
             const storage = await chrome.storage.local.get([TAB_ACTIVITY_STORAGE_KEY]);
             const activityData = storage[TAB_ACTIVITY_STORAGE_KEY] || {};
             
-            const recentTabs = tabs
+            const recentTabs = this.searchIndex.getTabs()
                 .filter(tab => tab.url && tab.title)
                 .map(tab => ({
                     ...tab,
@@ -57,31 +70,90 @@ export class BackgroundDataProvider extends BaseDataProvider {
         }
     }
 
+    // BarCat's own folders hold pinned tabs, which getPinnedTabsData covers
     async getBookmarksData(query) {
-        return await BookmarkUtils.getBookmarksData(query);
-    }
-
-    isUnderArcifyFolder(bookmark, arcifyFolderId) {
-        // Simple heuristic: check if the bookmark's parent path includes the Arcify folder
-        // This is a simplified check - for a more robust solution, we'd need to traverse up the parent chain
-        return bookmark.parentId && (bookmark.parentId === arcifyFolderId || 
-               bookmark.parentId.startsWith(arcifyFolderId));
+        try {
+            await this.searchIndex.whenReady();
+            return this.keepBestMatches(this.searchIndex.getBookmarks(), query, MAX_FUZZY_CANDIDATES);
+        } catch (error) {
+            Logger.error('[BackgroundDataProvider] Error getting bookmarks:', error);
+            return [];
+        }
     }
 
     async getHistoryData(query) {
         try {
-            const historyItems = await chrome.history.search({
-                text: query,
-                maxResults: 10,
-                startTime: Date.now() - (7 * 24 * 60 * 60 * 1000) // Last 7 days
-            });
-            return historyItems;
+            await this.searchIndex.whenReady();
+            return this.keepBestMatches(this.searchIndex.getHistoryCandidates(query), query, MAX_HISTORY_RESULTS);
         } catch (error) {
             Logger.error('[BackgroundDataProvider] Error getting history:', error);
             return [];
         }
     }
 
+    async getArchivedTabsData(query = '') {
+        try {
+            const archivedTabs = await Utils.getArchivedTabs();
+            return this.keepBestMatches(archivedTabs.map(tab => ({ ...tab, title: tab.name })), query, MAX_FUZZY_CANDIDATES);
+        } catch (error) {
+            Logger.error('[BackgroundDataProvider] Error getting archived tabs:', error);
+            return [];
+        }
+    }
+
+    async restoreArchivedTab(archivedTab) {
+        await Utils.restoreArchivedTab(archivedTab);
+    }
+
+    async getRecentlyClosedData(query = '') {
+        try {
+            const sessions = await chrome.sessions.getRecentlyClosed({ maxResults: chrome.sessions.MAX_SESSION_RESULTS });
+            // Closed windows are left to the browser's own menu; only single tabs are offered
+            const closedTabs = sessions
+                .filter(session => session.tab?.url)
+                .map(({ tab, lastModified }) => ({
+                    sessionId: tab.sessionId,
+                    title: tab.title,
+                    url: tab.url,
+                    favIconUrl: tab.favIconUrl,
+                    groupId: tab.groupId,
+                    windowId: tab.windowId,
+                    closedAt: lastModified * 1000
+                }));
+            return this.keepBestMatches(closedTabs, query, MAX_FUZZY_CANDIDATES);
+        } catch (error) {
+            Logger.error('[BackgroundDataProvider] Error getting recently closed tabs:', error);
+            return [];
+        }
+    }
+
+    async restoreRecentlyClosedTab({ sessionId, groupId }) {
+        const { tab } = await chrome.sessions.restore(sessionId);
+        if (!tab || groupId == null || groupId === chrome.tabGroups.TAB_GROUP_ID_NONE || tab.groupId === groupId) return;
+
+        // The browser doesn't always restore into the group; put the tab back if its space is still there
+        const { spaces } = await SpaceStore.getWindowState(tab.windowId);
+        if (spaces.some(space => space.id === groupId)) {
+            await SpaceStore.runCommand({ id: CommandId.MOVE_TAB_TO_SPACE, tabId: tab.id, windowId: tab.windowId, spaceId: groupId });
+        }
+    }
+
+    async getSpacesData() {
+        return await LocalStorage.getAllSpaces();
+    }
+
+    // Items matching the query, best match first (ties keep their order, so recent history stays ahead);
+    // an empty query keeps the first items as they are
+    keepBestMatches(items, query, limit) {
+        if (!query) return items.slice(0, limit);
+        return items
+            .map(item => ({ item, match: FuzzyMatcher.matchItem(query, item.title, item.url) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, limit)
+            .map(({ item }) => item);
+    }
+
     async getTopSitesData() {
         try {
             const topSites = await chrome.topSites.get();
@@ -101,66 +173,54 @@ export class BackgroundDataProvider extends BaseDataProvider {
         }
     }
 
+    async getFrecencyData(query) {
+        const [selections] = await Promise.all([
+            SpotlightFrecency.getSelections(),
+            this.searchIndex.whenReady()
+        ]);
+
+        const visits = {};
+        for (const item of this.searchIndex.getHistoryContaining(query).slice(0, FRECENCY_VISIT_LIMIT)) {
+            visits[SpotlightFrecency.urlKey(item.url)] = { visitCount: item.visitCount, lastVisitTime: item.lastVisitTime };
+        }
+        return { selections, visits };
+    }
+
+    async recordSelection(query, result) {
+        await SpotlightFrecency.recordSelection(query, result);
+    }
+
     async getPinnedTabsData(query = '') {
         Logger.log('[BackgroundDataProvider] getPinnedTabsData called with query:', query);
         try {
-            // Get spaces from storage
-            const storage = await chrome.storage.local.get('spaces');
-            const spaces = storage.spaces || [];
-            Logger.log('[BackgroundDataProvider] Found spaces:', spaces.length, spaces.map(s => s.name));
-            
-            // Get current tabs
-            const tabs = await chrome.tabs.query({});
-            Logger.log('[BackgroundDataProvider] Found tabs:', tabs.length);
-            
-            // Get Arcify folder structure using robust method
-            const arcifyFolder = await BookmarkUtils.findArcifyFolder();
-            if (!arcifyFolder) {
-                Logger.log('[BackgroundDataProvider] No Arcify folder found');
-                return [];
-            }
-            Logger.log('[BackgroundDataProvider] Found Arcify folder:', arcifyFolder.id);
-
-            const spaceFolders = await chrome.bookmarks.getChildren(arcifyFolder.id);
-            Logger.log('[BackgroundDataProvider] Found space folders:', spaceFolders.length, spaceFolders.map(f => f.title));
+            const [spaces] = await Promise.all([
+                LocalStorage.getAllSpaces(),
+                this.searchIndex.whenReady()
+            ]);
+            const tabs = this.searchIndex.getTabs();
             const pinnedTabs = [];
 
-            // Process each space folder
-            for (const spaceFolder of spaceFolders) {
-                const space = spaces.find(s => s.name === spaceFolder.title);
-                Logger.log('[BackgroundDataProvider] Processing space folder:', spaceFolder.title, 'found space:', !!space);
+            for (const { folder, bookmarks } of this.searchIndex.getSpaceFolderBookmarks()) {
+                // Spaces are bound to their folders by id, not by title
+                const space = spaces.find(s => s.bookmarkFolderId === folder.id);
                 if (!space) continue;
 
-                // Get all bookmarks in this space folder (recursively)
-                const bookmarks = await BookmarkUtils.getBookmarksFromFolderRecursive(spaceFolder.id);
-                Logger.log('[BackgroundDataProvider] Found bookmarks in', spaceFolder.title, ':', bookmarks.length);
-                
                 for (const bookmark of bookmarks) {
+                    if (query && !FuzzyMatcher.matchItem(query, bookmark.title, bookmark.url)) continue;
+
                     // Check if there's a matching open tab
                     const matchingTab = BookmarkUtils.findTabByUrl(tabs, bookmark.url);
-                    Logger.log('[BackgroundDataProvider] Processing bookmark:', bookmark.title, 'matching tab:', !!matchingTab);
-                    
-                    // Apply query filter
-                    if (query) {
-                        const queryLower = query.toLowerCase();
-                        const titleMatch = bookmark.title.toLowerCase().includes(queryLower);
-                        const urlMatch = bookmark.url.toLowerCase().includes(queryLower);
-                        if (!titleMatch && !urlMatch) {
-                            Logger.log('[BackgroundDataProvider] Bookmark filtered out by query:', bookmark.title);
-                            continue;
-                        }
-                    }
-
-                    const pinnedTab = {
-                        ...bookmark,
+                    pinnedTabs.push({
+                        id: bookmark.id,
+                        parentId: bookmark.parentId,
+                        title: bookmark.title,
+                        url: bookmark.url,
                         spaceId: space.id,
                         spaceName: space.name,
                         spaceColor: space.color,
                         tabId: matchingTab?.id || null,
                         isActive: !!matchingTab
-                    };
-                    Logger.log('[BackgroundDataProvider] Adding pinned tab:', pinnedTab);
-                    pinnedTabs.push(pinnedTab);
+                    });
                 }
             }
 
@@ -172,5 +232,87 @@ export class BackgroundDataProvider extends BaseDataProvider {
         }
     }
 
+    async getCommandContextData() {
+        const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!tab) return null;
+        const { spaces, activeSpaceId } = await SpaceStore.getWindowState(tab.windowId);
+        return { tab, spaces, activeSpaceId };
+    }
 
-}
\ No newline at end of file
+    async runCommand(command) {
+        Logger.log('[BackgroundDataProvider] Running command:', command);
+        switch (command.id) {
+            case CommandId.PIN_TAB:
+            case CommandId.UNPIN_TAB:
+                await SpaceStore.togglePin(command.tabId);
+                break;
+            case CommandId.ARCHIVE_TAB:
+                await Utils.archiveTab(command.tabId, command.spaceId);
+                break;
+            case CommandId.COPY_URL: {
+                const tab = await chrome.tabs.get(command.tabId);
+                await Utils.copyTabUrl(tab);
+                break;
+            }
+            case CommandId.CLOSE_DUPLICATE_TABS:
+                // Sidebars and the store follow the closed tabs like any other tab removal
+                await Utils.closeDuplicateTabs(command.scope === 'space' ? { groupId: command.spaceId } : {});
+                break;
+            default:
+                // Space commands change the window's model, which the store (or its sidebar) owns
+                await SpaceStore.runCommand(command);
+        }
+    }
+
+    async switchToTab(result) {
+        const { tabId, windowId, spaceId } = result.metadata;
+        // Read before activating: the store moves its active space along with the active tab
+        const activeSpaceId = spaceId ? (await SpaceStore.getWindowState(windowId)).activeSpaceId : null;
+
+        await chrome.tabs.update(tabId, { active: true });
+        if (windowId) {
+            await chrome.windows.update(windowId, { focused: true });
+        }
+
+        // Another space: switch to it properly (expand it, collapse the others, update the sidebar)
+        if (spaceId && spaceId !== activeSpaceId) {
+            await SpaceStore.runCommand({ id: CommandId.SWITCH_SPACE, windowId, spaceId, focusTabId: tabId });
+        }
+    }
+
+    async runResultAction(result, action) {
+        Logger.log('[BackgroundDataProvider] Running result action:', action.id, result.url);
+        switch (action.id) {
+            case ResultActionId.CLOSE_TAB:
+                await chrome.tabs.remove(result.metadata.tabId);
+                break;
+            case ResultActionId.REMOVE_FROM_HISTORY:
+                await chrome.history.deleteUrl({ url: result.url });
+                break;
+            case ResultActionId.OPEN_IN_SPACE:
+            case ResultActionId.PIN_IN_ACTIVE_SPACE:
+                await this.openInSpace(result, action.spaceId, action.id === ResultActionId.PIN_IN_ACTIVE_SPACE);
+                break;
+            default:
+                throw new Error(`Unknown result action: ${action.id}`);
+        }
+    }
+
+    // Moves an open tab into a space of the focused window, or opens the result's page there; pin also pins it
+    async openInSpace(result, spaceId, pin = false) {
+        const [focusedTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!focusedTab) throw new Error('No focused window to open the result in');
+        const windowId = focusedTab.windowId;
+
+        const tabId = result.type === ResultType.OPEN_TAB
+            ? result.metadata.tabId
+            : (await chrome.tabs.create({ url: result.url, windowId })).id;
+        await SpaceStore.runCommand({ id: CommandId.MOVE_TAB_TO_SPACE, tabId, windowId, spaceId });
+
+        if (pin) {
+            const { spaces } = await SpaceStore.getWindowState(windowId);
+            const isPinned = spaces.some(space => space.spaceBookmarks.includes(tabId));
+            if (!isPinned) await SpaceStore.togglePin(tabId);
+        }
+    }
+}
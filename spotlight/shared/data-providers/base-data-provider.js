@@ -1,11 +1,23 @@
 // base-data-provider.js - Abstract base class with shared business logic
 
-import { SearchResult, ResultType } from '../search-types.js';
+import { SearchResult, ResultType, SearchScope } from '../search-types.js';
 import { findMatchingDomains } from '../popular-sites.js';
 import { BASE_SCORES, SCORE_BONUSES, getFuzzyMatchScore } from '../scoring-constants.js';
 import { SpotlightUtils } from '../ui-utilities.js';
+import { SpotlightCommands } from '../commands.js';
+import { SpotlightFrecency } from '../frecency.js';
+import { FuzzyMatcher } from '../fuzzy-matcher.js';
+import { SharedSpotlightLogic } from '../shared-component-logic.js';
 import { Logger } from '../../../logger.js';
 
+// Per-source budgets for one query; a source that misses its budget contributes nothing to that query
+const PROVIDER_TIMEOUTS = {
+    LOCAL: 1000,        // Tabs, bookmarks, history and top sites
+    AUTOCOMPLETE: 3500, // The autocomplete provider gives up on its own request after 3s and falls back to history
+    FRECENCY: 300,
+    SPACES: 300         // Without them tab results are shown unlabelled and unboosted
+};
+
 export class BaseDataProvider {
     constructor() {
         this.cache = new Map();
@@ -41,95 +53,121 @@ export class BaseDataProvider {
         throw new Error('getPinnedTabsData must be implemented by subclass'); 
     }
 
-    // FULL IMPLEMENTATIONS (shared business logic)
+    // Archived tabs ({ url, name, spaceId, archivedAt }) matching the query, all of them for an empty query
+    async getArchivedTabsData(query = '') {
+        throw new Error('getArchivedTabsData must be implemented by subclass');
+    }
 
-    // Main method to get spotlight suggestions
-    async getSpotlightSuggestions(query, mode = 'current-tab') {
-        const results = [];
-        const trimmedQuery = query.trim().toLowerCase();
+    async restoreArchivedTab(archivedTab) {
+        throw new Error('restoreArchivedTab must be implemented by subclass');
+    }
 
-        if (!trimmedQuery) {
-            return this.getDefaultResults(mode);
-        }
+    // Recently closed tabs ({ sessionId, title, url, favIconUrl, groupId, windowId, closedAt }), newest first
+    async getRecentlyClosedData(query = '') {
+        throw new Error('getRecentlyClosedData must be implemented by subclass');
+    }
 
-        try {
-            // Get results from different sources with individual error handling
-            let openTabs = [];
-            let pinnedTabs = [];
-            let bookmarks = [];
-            let history = [];
-            let topSites = [];
-            let autocomplete = [];
-
-            // Get tabs (in both modes)
-            try {
-                openTabs = await this.getOpenTabs(trimmedQuery);
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get open tabs:', error);
-                openTabs = [];
-            }
+    // Reopen a recently closed tab ({ sessionId, groupId }) in the space it was closed from
+    async restoreRecentlyClosedTab(closedTab) {
+        throw new Error('restoreRecentlyClosedTab must be implemented by subclass');
+    }
 
-            // Get pinned tabs
-            try {
-                Logger.log('[BaseDataProvider] Getting pinned tab suggestions for query:', trimmedQuery);
-                pinnedTabs = await this.getPinnedTabSuggestions(trimmedQuery);
-                Logger.log('[BaseDataProvider] Got pinned tab suggestions:', pinnedTabs.length);
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get pinned tabs:', error);
-                pinnedTabs = [];
-            }
+    // Spaces of every window: [{ id, name, color, windowId }]
+    async getSpacesData() {
+        throw new Error('getSpacesData must be implemented by subclass');
+    }
 
-            // Get bookmarks (excluding Arcify pinned tabs)
-            try {
-                bookmarks = await this.getBookmarkSuggestions(trimmedQuery);
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get bookmarks:', error);
-                bookmarks = [];
-            }
+    // Focused window's active tab and spaces for command mode: { tab, spaces, activeSpaceId }
+    async getCommandContextData() {
+        throw new Error('getCommandContextData must be implemented by subclass');
+    }
 
-            // Get history
-            try {
-                history = await this.getHistorySuggestions(trimmedQuery);
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get history:', error);
-                history = [];
-            }
+    async runCommand(command) {
+        throw new Error('runCommand must be implemented by subclass');
+    }
 
-            // Get top sites
-            try {
-                topSites = await this.getTopSites();
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get top sites:', error);
-                topSites = [];
-            }
+    // Activate an open tab result's tab, switching its window to the tab's space
+    async switchToTab(result) {
+        throw new Error('switchToTab must be implemented by subclass');
+    }
 
-            // Get autocomplete suggestions
-            try {
-                autocomplete = await this.getAutocompleteSuggestions(trimmedQuery);
-            } catch (error) {
-                Logger.error('[SearchProvider] Failed to get autocomplete:', error);
-                autocomplete = [];
+    // Secondary action other than opening (close tab, remove from history, place in a space)
+    async runResultAction(result, action) {
+        throw new Error('runResultAction must be implemented by subclass');
+    }
+
+    // Learned picks and history visits for frecency ranking: { selections, visits }
+    async getFrecencyData(query) {
+        throw new Error('getFrecencyData must be implemented by subclass');
+    }
+
+    async recordSelection(query, result) {
+        throw new Error('recordSelection must be implemented by subclass');
+    }
+
+    // FULL IMPLEMENTATIONS (shared business logic)
+
+    // Main method to get spotlight suggestions. Sources are queried concurrently, each with its own timeout;
+    // onPartial receives the ranked results so far as sources answer, and an aborted signal stops the work.
+    async getSpotlightSuggestions(query, mode = 'current-tab', { onPartial = null, signal = null } = {}) {
+        // Command mode replaces the normal sources; checked before lowercasing since names keep their case
+        if (SpotlightCommands.isCommandQuery(query)) {
+            return this.getCommandSuggestions(query);
+        }
+
+        // A scope prefix ("t:", "s:work") narrows the query to one source; an empty scoped query lists that source
+        const scoped = SharedSpotlightLogic.parseScopedQuery(query);
+        const trimmedQuery = (scoped ? scoped.terms : query).trim().toLowerCase();
+
+        if (!trimmedQuery && !scoped) {
+            return this.getDefaultResults(mode);
+        }
+
+        try {
+            // Get learned ranking data alongside the sources (ranking falls back to static scores without it)
+            const frecencyPromise = this.withTimeout('frecency data', () => this.getFrecencyData(trimmedQuery), PROVIDER_TIMEOUTS.FRECENCY, null);
+            // ...and the spaces that label tab results and lift the current space's tabs
+            const spacesPromise = this.withTimeout('spaces', () => this.getSpaceContext(), PROVIDER_TIMEOUTS.SPACES, null);
+
+            // Slots keep a fixed source order, so deduplication ties resolve the same way whatever answers first
+            const sources = scoped ? this.getScopedSources(scoped, trimmedQuery) : [
+                ['open tabs', () => this.getOpenTabs(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['pinned tabs', () => this.getPinnedTabSuggestions(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['bookmarks', () => this.getBookmarkSuggestions(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['history', () => this.getHistorySuggestions(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['recently closed', () => this.getRecentlyClosedSuggestions(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['archived tabs', () => this.getArchivedTabSuggestions(trimmedQuery), PROVIDER_TIMEOUTS.LOCAL],
+                ['autocomplete', () => this.getAutocompleteSuggestions(trimmedQuery), PROVIDER_TIMEOUTS.AUTOCOMPLETE],
+                // Top sites that match query (with fuzzy domain matching)
+                ['top sites', async () => this.findMatchingTopSites(await this.getTopSites(), trimmedQuery), PROVIDER_TIMEOUTS.LOCAL]
+            ];
+            const slots = sources.map(() => []);
+            // Fuzzy domain matches from popular sites need no lookup
+            if (!scoped) {
+                slots.push(this.getFuzzyDomainMatches(trimmedQuery));
             }
+            let pending = sources.length;
 
             // Skip URL/search suggestions - these are handled by instant suggestions in the UI
-            // Collect all results first
-            const allResults = [];
-            allResults.push(...openTabs, ...pinnedTabs, ...bookmarks, ...history, ...autocomplete);
-            
-            // Add top sites that match query (with fuzzy domain matching)
-            const matchingTopSites = this.findMatchingTopSites(topSites, trimmedQuery);
-            allResults.push(...matchingTopSites);
-            
-            // Add fuzzy domain matches from popular sites
-            const fuzzyDomainMatches = this.getFuzzyDomainMatches(trimmedQuery);
-            allResults.push(...fuzzyDomainMatches);
-
-            // Apply comprehensive deduplication across all sources
-            const deduplicatedResults = this.deduplicateResults(allResults);
+            const rank = async () => {
+                const [frecency, spaceContext] = await Promise.all([frecencyPromise, spacesPromise]);
+                // Scoring writes result.score, so every pass works on fresh copies
+                const allResults = this.annotateSpaces(slots.flat().map(result => new SearchResult(result)), spaceContext);
+                // Apply comprehensive deduplication across all sources, then score and sort
+                return this.scoreAndSortResults(this.deduplicateResults(allResults), trimmedQuery, frecency, spaceContext?.activeSpaceId);
+            };
+
+            await Promise.all(sources.map(async ([name, fetchSource, timeout], index) => {
+                slots[index] = await this.withTimeout(name, fetchSource, timeout, []);
+                pending--;
+                // Once the last source is in, the final results are returned below instead
+                if (onPartial && pending > 0 && slots[index].length > 0 && !signal?.aborted) {
+                    const partial = await rank();
+                    if (!signal?.aborted) onPartial(partial);
+                }
+            }));
 
-            // Score and sort results
-            const finalResults = this.scoreAndSortResults(deduplicatedResults, trimmedQuery);
-            return finalResults;
+            return signal?.aborted ? [] : await rank();
         } catch (error) {
             Logger.error('[SearchProvider] Search error:', error);
             const fallback = this.generateFallbackResult(trimmedQuery);
@@ -137,34 +175,119 @@ export class BaseDataProvider {
         }
     }
 
+    // The one source a scoped query goes to, in the same [name, fetchSource, timeout] form as the full list
+    getScopedSources(scoped, query) {
+        const timeout = PROVIDER_TIMEOUTS.LOCAL;
+        switch (scoped.scope) {
+            case SearchScope.TABS:
+                return [['open tabs', () => this.getOpenTabs(query), timeout]];
+            case SearchScope.PINNED:
+                return [['pinned tabs', () => this.getPinnedTabSuggestions(query), timeout]];
+            case SearchScope.BOOKMARKS:
+                return [['bookmarks', () => this.getBookmarkSuggestions(query), timeout]];
+            case SearchScope.HISTORY:
+                return [['history', () => this.getHistorySuggestions(query), timeout]];
+            case SearchScope.ARCHIVED:
+                return [['archived tabs', () => this.getArchivedTabSuggestions(query), timeout]];
+            case SearchScope.RECENTLY_CLOSED:
+                return [['recently closed', () => this.getRecentlyClosedSuggestions(query), timeout]];
+            case SearchScope.SPACE:
+                return [['space tabs', () => this.getSpaceTabSuggestions(scoped.spaceName, query), timeout]];
+            default:
+                return [];
+        }
+    }
+
+    // Results of one source, or the fallback when it fails or has not answered within timeout ms
+    async withTimeout(name, fetchSource, timeout, fallback) {
+        let timeoutId = null;
+        const timedOut = new Promise(resolve => {
+            timeoutId = setTimeout(() => {
+                Logger.warn(`[SearchProvider] ${name} timed out after ${timeout}ms`);
+                resolve(fallback);
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([
+                Promise.resolve().then(fetchSource).catch(error => {
+                    Logger.error(`[SearchProvider] Failed to get ${name}:`, error);
+                    return fallback;
+                }),
+                timedOut
+            ]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
     // Get default results when no query
     async getDefaultResults(mode) {
         const results = [];
+        let spaceContext = null;
 
         try {
             // Show all open tabs for both modes when no query
-            const openTabs = await this.getOpenTabs('');
+            const [openTabs, spaces] = await Promise.all([
+                this.getOpenTabs(''),
+                this.withTimeout('spaces', () => this.getSpaceContext(), PROVIDER_TIMEOUTS.SPACES, null)
+            ]);
             results.push(...openTabs);
+            spaceContext = spaces;
         } catch (error) {
             Logger.error('[SearchProvider] Error getting default results:', error);
         }
 
+        // The current space's tabs first; the sort is stable, so both groups keep their order
+        const activeSpaceId = spaceContext?.activeSpaceId;
+        this.annotateSpaces(results, spaceContext)
+            .sort((a, b) => this.isInSpace(b, activeSpaceId) - this.isInSpace(a, activeSpaceId));
+
         // Apply deduplication to default results as well
         return this.deduplicateResults(results);
     }
 
+    // Spaces of every window and the focused window's active space: { spaces, activeSpaceId }
+    async getSpaceContext() {
+        const [spaces, context] = await Promise.all([this.getSpacesData(), this.getCommandContextData()]);
+        return { spaces, activeSpaceId: context?.activeSpaceId ?? null };
+    }
+
+    // Label tabs with the space (tab group) they are or were in; pinned tabs come with their space already
+    annotateSpaces(results, spaceContext) {
+        if (!spaceContext) return results;
+        for (const result of results) {
+            let spaceId = null;
+            if (result.type === ResultType.OPEN_TAB || result.type === ResultType.RECENTLY_CLOSED) {
+                spaceId = result.metadata.groupId;
+            } else if (result.type === ResultType.ARCHIVED) {
+                spaceId = result.metadata.spaceId;
+            }
+            const space = spaceId != null && spaceContext.spaces.find(s => s.id === spaceId);
+            if (!space) continue;
+            result.metadata = { ...result.metadata, spaceId: space.id, spaceName: space.name, spaceColor: space.color };
+        }
+        return results;
+    }
+
+    isInSpace(result, spaceId) {
+        return spaceId != null
+            && (result.type === ResultType.OPEN_TAB || result.type === ResultType.PINNED_TAB)
+            && result.metadata?.spaceId === spaceId;
+    }
+
     // Chrome tabs API integration
     async getOpenTabs(query = '') {
         try {
             const tabsData = await this.getOpenTabsData(query);
             
-            const results = tabsData.map(tab => new SearchResult({
+            const results = tabsData.map(tab => this.applyFuzzyMatch(new SearchResult({
                 type: ResultType.OPEN_TAB,
                 title: tab.title,
                 url: tab.url,
                 favicon: tab.favIconUrl,
-                metadata: { tabId: tab.id, windowId: tab.windowId }
-            }));
+                metadata: { tabId: tab.id, windowId: tab.windowId, groupId: tab.groupId }
+            }), query));
             return results;
         } catch (error) {
             Logger.error('[SearchProvider-Tabs] Error querying tabs:', error);
@@ -182,7 +305,7 @@ export class BaseDataProvider {
                 title: tab.title,
                 url: tab.url,
                 favicon: tab.favIconUrl,
-                metadata: { tabId: tab.id, windowId: tab.windowId }
+                metadata: { tabId: tab.id, windowId: tab.windowId, groupId: tab.groupId }
             }));
             return results;
         } catch (error) {
@@ -212,6 +335,7 @@ export class BaseDataProvider {
                         isActive: pinnedTab.isActive
                     }
                 });
+                this.applyFuzzyMatch(result, query);
                 Logger.log('[BaseDataProvider] Created PINNED_TAB SearchResult:', result);
                 return result;
             });
@@ -227,12 +351,12 @@ export class BaseDataProvider {
         try {
             const bookmarksData = await this.getBookmarksData(query);
             
-            const results = bookmarksData.map(bookmark => new SearchResult({
+            const results = bookmarksData.map(bookmark => this.applyFuzzyMatch(new SearchResult({
                 type: ResultType.BOOKMARK,
                 title: bookmark.title,
                 url: bookmark.url,
                 metadata: { bookmarkId: bookmark.id }
-            }));
+            }), query));
             return results;
         } catch (error) {
             Logger.error('[SearchProvider-Bookmarks] Error getting bookmark suggestions:', error);
@@ -245,12 +369,12 @@ export class BaseDataProvider {
         try {
             const historyData = await this.getHistoryData(query);
             
-            const results = historyData.map(item => new SearchResult({
+            const results = historyData.map(item => this.applyFuzzyMatch(new SearchResult({
                 type: ResultType.HISTORY,
                 title: item.title || item.url,
                 url: item.url,
                 metadata: { visitCount: item.visitCount, lastVisitTime: item.lastVisitTime }
-            }));
+            }), query));
             return results;
         } catch (error) {
             Logger.error('[SearchProvider-History] Error getting history suggestions:', error);
@@ -258,6 +382,80 @@ export class BaseDataProvider {
         }
     }
 
+    async getArchivedTabSuggestions(query) {
+        try {
+            const archivedTabsData = await this.getArchivedTabsData(query);
+
+            const results = archivedTabsData.map(archivedTab => this.applyFuzzyMatch(new SearchResult({
+                type: ResultType.ARCHIVED,
+                title: archivedTab.name || archivedTab.url,
+                url: archivedTab.url,
+                metadata: { spaceId: archivedTab.spaceId, archivedAt: archivedTab.archivedAt }
+            }), query));
+            return results;
+        } catch (error) {
+            Logger.error('[SearchProvider-Archived] Error getting archived tab suggestions:', error);
+            return [];
+        }
+    }
+
+    async getRecentlyClosedSuggestions(query) {
+        try {
+            const closedTabsData = await this.getRecentlyClosedData(query);
+
+            const results = closedTabsData.map(closedTab => this.applyFuzzyMatch(new SearchResult({
+                type: ResultType.RECENTLY_CLOSED,
+                title: closedTab.title || closedTab.url,
+                url: closedTab.url,
+                favicon: closedTab.favIconUrl,
+                metadata: {
+                    sessionId: closedTab.sessionId,
+                    groupId: closedTab.groupId,
+                    windowId: closedTab.windowId,
+                    closedAt: closedTab.closedAt
+                }
+            }), query));
+            return results;
+        } catch (error) {
+            Logger.error('[SearchProvider-Closed] Error getting recently closed suggestions:', error);
+            return [];
+        }
+    }
+
+    // Open and pinned tabs of the spaces whose name starts with spaceName (space ids are tab group ids)
+    async getSpaceTabSuggestions(spaceName, query) {
+        try {
+            const name = spaceName.toLowerCase();
+            const spaces = await this.getSpacesData();
+            const spaceIds = new Set(spaces
+                .filter(space => (space.name || '').toLowerCase().startsWith(name))
+                .map(space => space.id));
+            if (spaceIds.size === 0) return [];
+
+            const [openTabs, pinnedTabs] = await Promise.all([
+                this.getOpenTabs(query),
+                this.getPinnedTabSuggestions(query)
+            ]);
+            return [
+                ...openTabs.filter(result => spaceIds.has(result.metadata.groupId)),
+                ...pinnedTabs.filter(result => spaceIds.has(result.metadata.spaceId))
+            ];
+        } catch (error) {
+            Logger.error('[SearchProvider-Spaces] Error getting space tab suggestions:', error);
+            return [];
+        }
+    }
+
+    // Record how well the result matches and which title characters matched, for ranking and highlighting
+    applyFuzzyMatch(result, query) {
+        const match = query ? FuzzyMatcher.matchItem(query, result.title, result.url) : null;
+        if (match) {
+            result.metadata.matchScore = match.score;
+            result.metadata.titleMatchRanges = match.titleRanges;
+        }
+        return result;
+    }
+
     // Chrome topSites API integration
     async getTopSites() {
         try {
@@ -275,6 +473,17 @@ export class BaseDataProvider {
         }
     }
 
+    // Command mode (">" queries)
+    async getCommandSuggestions(query) {
+        try {
+            const context = await this.getCommandContextData();
+            return SpotlightCommands.getCommandResults(query, context);
+        } catch (error) {
+            Logger.error('[SearchProvider-Commands] Error getting command suggestions:', error);
+            return [];
+        }
+    }
+
     // Autocomplete suggestions integration
     async getAutocompleteSuggestions(query) {
         try {
@@ -319,10 +528,17 @@ export class BaseDataProvider {
         }
     }
 
-    // Score and sort results
-    scoreAndSortResults(results, query) {
+    // Score and sort results; tabs in the active space rank above equally relevant tabs elsewhere
+    scoreAndSortResults(results, query, frecency = null, activeSpaceId = null) {
+        const now = Date.now();
         results.forEach(result => {
             result.score = this.calculateRelevanceScore(result, query);
+            if (frecency) {
+                result.score += SpotlightFrecency.getBoost(result, query, frecency.selections, frecency.visits, now);
+            }
+            if (this.isInSpace(result, activeSpaceId)) {
+                result.score += SCORE_BONUSES.CURRENT_SPACE;
+            }
         });
         
         const sorted = results
@@ -349,6 +565,8 @@ export class BaseDataProvider {
             case ResultType.BOOKMARK: baseScore = BASE_SCORES.BOOKMARK; break;
             case ResultType.HISTORY: baseScore = BASE_SCORES.HISTORY; break;
             case ResultType.TOP_SITE: baseScore = BASE_SCORES.TOP_SITE; break;
+            case ResultType.ARCHIVED: baseScore = BASE_SCORES.ARCHIVED; break;
+            case ResultType.RECENTLY_CLOSED: baseScore = BASE_SCORES.RECENTLY_CLOSED; break;
             case ResultType.AUTOCOMPLETE_SUGGESTION: baseScore = BASE_SCORES.AUTOCOMPLETE_SUGGESTION; break;
         }
 
@@ -362,6 +580,11 @@ export class BaseDataProvider {
 
         if (urlLower.includes(queryLower)) baseScore += SCORE_BONUSES.URL_CONTAINS;
 
+        // Typos and abbreviations ("gdoc" → "Google Docs") miss the substring bonuses above
+        if (!titleLower.includes(queryLower) && !urlLower.includes(queryLower) && result.metadata?.matchScore) {
+            baseScore += SCORE_BONUSES.FUZZY_MATCH * result.metadata.matchScore;
+        }
+
         return Math.max(0, baseScore);
     }
 
@@ -502,6 +725,8 @@ export class BaseDataProvider {
             'pinned-tab': BASE_SCORES.PINNED_TAB,
             'bookmark': BASE_SCORES.BOOKMARK,
             'history': BASE_SCORES.HISTORY,
+            'archived': BASE_SCORES.ARCHIVED,
+            'recently-closed': BASE_SCORES.RECENTLY_CLOSED,
             'top-site': result.metadata?.fuzzyMatch ? 
                 BASE_SCORES.FUZZY_MATCH_START : BASE_SCORES.TOP_SITE,
             'autocomplete-suggestion': BASE_SCORES.AUTOCOMPLETE_SUGGESTION,
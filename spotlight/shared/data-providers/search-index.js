@@ -0,0 +1,275 @@
+/**
+ * Search Index - In-memory copy of tabs, bookmarks and recent history for Spotlight
+ *
+ * Purpose: Lets the background data provider answer each keystroke from memory instead of Chrome API round trips
+ * Key Functions: Initial build, incremental updates from tabs/bookmarks/history events, candidate lookups
+ * Architecture: One instance owned by BackgroundDataProvider; built when the service worker wakes, then kept current
+ *
+ * Critical Notes:
+ * - Event listeners are registered in the constructor, i.e. synchronously at worker start, as MV3 requires
+ * - Events arriving while a build runs are queued and replayed on the new snapshot, so none are lost
+ * - History covers HISTORY_WINDOW_DAYS, newest first; lookups scan precomputed lowercase text and only hand the
+ *   fuzzy matcher a bounded candidate set, which keeps tens of thousands of entries within a few milliseconds
+ * - Bookmark nodes keep their parentId, so BarCat's space folders (pinned tabs) are resolved from the index too
+ * - A failed build is retried on the next lookup
+ */
+
+import { FuzzyMatcher } from '../fuzzy-matcher.js';
+import { Logger } from '../../../logger.js';
+
+const BARCAT_FOLDER_TITLE = 'BarCat';
+const ROOT_BOOKMARK_ID = '0';
+const HISTORY_WINDOW_DAYS = 90;
+const MAX_HISTORY_ENTRIES = 50000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SearchIndex {
+    constructor() {
+        this.tabs = new Map();          // tabId -> tab
+        this.bookmarks = new Map();     // id -> { id, parentId, title, url?, searchText? }
+        this.history = new Map();       // url -> history item with searchText
+        this.historyByRecency = null;   // Newest first; rebuilt lazily after changes
+        this.pendingEvents = null;      // Updates received during a build, replayed afterwards
+        this.ready = null;
+
+        this.listen();
+        this.build();
+    }
+
+    // Resolves once a snapshot is in place, rebuilding if the last attempt failed
+    async whenReady() {
+        if (!this.ready) this.build();
+        await this.ready;
+    }
+
+    build() {
+        this.pendingEvents = [];
+        this.ready = this.load()
+            .then(({ tabs, bookmarks, history }) => {
+                this.tabs = tabs;
+                this.bookmarks = bookmarks;
+                this.history = history;
+                this.historyByRecency = null;
+
+                const queued = this.pendingEvents;
+                this.pendingEvents = null;
+                queued.forEach(update => update());
+                Logger.log(`[SearchIndex] Built: ${tabs.size} tabs, ${bookmarks.size} bookmark nodes, ${history.size} history entries`);
+            })
+            .catch(error => {
+                Logger.error('[SearchIndex] Build failed:', error);
+                this.pendingEvents = null;
+                this.ready = null;
+            });
+        return this.ready;
+    }
+
+    async load() {
+        const [tabList, tree, historyItems] = await Promise.all([
+            chrome.tabs.query({}),
+            chrome.bookmarks.getTree(),
+            chrome.history.search({
+                text: '',
+                startTime: Date.now() - HISTORY_WINDOW_DAYS * DAY_MS,
+                maxResults: MAX_HISTORY_ENTRIES
+            })
+        ]);
+
+        const tabs = new Map(tabList.map(tab => [tab.id, tab]));
+
+        const bookmarks = new Map();
+        const collect = (nodes) => {
+            for (const node of nodes) {
+                bookmarks.set(node.id, SearchIndex.toBookmarkEntry(node));
+                if (node.children) collect(node.children);
+            }
+        };
+        collect(tree);
+
+        const history = new Map(historyItems.map(item => [item.url, SearchIndex.toHistoryEntry(item)]));
+        return { tabs, bookmarks, history };
+    }
+
+    // Apply an update now, or after the running build so the snapshot does not overwrite it
+    update(apply) {
+        if (this.pendingEvents) {
+            this.pendingEvents.push(apply);
+        } else {
+            apply();
+        }
+    }
+
+    listen() {
+        chrome.tabs.onCreated.addListener(tab => this.update(() => this.tabs.set(tab.id, tab)));
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => this.update(() => {
+            this.tabs.set(tabId, tab);
+            // History titles arrive after the visit; the tab is the first to know
+            const entry = changeInfo.title && this.history.get(tab.url);
+            if (entry) Object.assign(entry, SearchIndex.toHistoryEntry({ ...entry, title: changeInfo.title }));
+        }));
+        chrome.tabs.onActivated.addListener(({ tabId, windowId }) => this.update(() => {
+            for (const tab of this.tabs.values()) {
+                if (tab.windowId === windowId) tab.active = tab.id === tabId;
+            }
+        }));
+        chrome.tabs.onRemoved.addListener(tabId => this.update(() => this.tabs.delete(tabId)));
+        chrome.tabs.onAttached.addListener((tabId, attachInfo) => this.update(() => {
+            const tab = this.tabs.get(tabId);
+            if (tab) tab.windowId = attachInfo.newWindowId;
+        }));
+        chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+            this.update(() => this.tabs.delete(removedTabId));
+            chrome.tabs.get(addedTabId)
+                .then(tab => this.update(() => this.tabs.set(tab.id, tab)))
+                .catch(error => Logger.warn('[SearchIndex] Replaced tab not found:', error));
+        });
+
+        chrome.bookmarks.onCreated.addListener((id, node) => this.update(() => {
+            this.bookmarks.set(id, SearchIndex.toBookmarkEntry(node));
+        }));
+        chrome.bookmarks.onChanged.addListener((id, changeInfo) => this.update(() => {
+            const node = this.bookmarks.get(id);
+            if (node) this.bookmarks.set(id, SearchIndex.toBookmarkEntry({ ...node, ...changeInfo }));
+        }));
+        chrome.bookmarks.onMoved.addListener((id, moveInfo) => this.update(() => {
+            const node = this.bookmarks.get(id);
+            if (node) node.parentId = moveInfo.parentId;
+        }));
+        chrome.bookmarks.onRemoved.addListener((id, removeInfo) => this.update(() => {
+            const forget = (node) => {
+                this.bookmarks.delete(node.id);
+                (node.children || []).forEach(forget);
+            };
+            forget(removeInfo.node || { id });
+        }));
+        // Imports fire one event per node; a single rebuild afterwards is cheaper
+        chrome.bookmarks.onImportEnded.addListener(() => this.build());
+
+        chrome.history.onVisited.addListener(item => this.update(() => {
+            const previous = this.history.get(item.url);
+            this.history.set(item.url, SearchIndex.toHistoryEntry({ ...item, title: item.title || previous?.title || '' }));
+            this.historyByRecency = null;
+        }));
+        chrome.history.onVisitRemoved.addListener(removed => this.update(() => {
+            if (removed.allHistory) {
+                this.history.clear();
+            } else {
+                (removed.urls || []).forEach(url => this.history.delete(url));
+            }
+            this.historyByRecency = null;
+        }));
+    }
+
+    // --- Lookups ---
+
+    getTabs() {
+        return [...this.tabs.values()];
+    }
+
+    // Bookmarks with a URL, outside BarCat's folder (its pinned tabs come from getSpaceFolderBookmarks)
+    getBookmarks() {
+        const barCatFolderId = this.findBarCatFolderId();
+        return [...this.bookmarks.values()].filter(node =>
+            node.url && !(barCatFolderId && this.isInFolder(node, barCatFolderId)));
+    }
+
+    // Space folders under BarCat's folder, each with every bookmark below it: [{ folder, bookmarks }]
+    getSpaceFolderBookmarks() {
+        const barCatFolderId = this.findBarCatFolderId();
+        if (!barCatFolderId) return [];
+
+        const folders = [...this.bookmarks.values()].filter(node => !node.url && node.parentId === barCatFolderId);
+        return folders.map(folder => ({
+            folder,
+            bookmarks: [...this.bookmarks.values()].filter(node => node.url && this.isInFolder(node, folder.id))
+        }));
+    }
+
+    // History entries worth fuzzy matching against the query: the most visited entries containing it (newest
+    // first on ties), plus a bounded number of subsequence matches, plus the most recent entries for typo matching
+    getHistoryCandidates(query, { substringLimit = 500, fuzzyLimit = 300, typoLimit = 500 } = {}) {
+        const needle = query.trim().toLowerCase();
+        const compact = needle.replace(/\s+/g, '');
+        const substringMatches = [];
+        const candidates = [];
+        let fuzzyBudget = fuzzyLimit;
+        let typoBudget = typoLimit;
+
+        for (const entry of this.getHistoryByRecency()) {
+            if (entry.searchText.includes(needle)) {
+                substringMatches.push(entry);
+            } else if (fuzzyBudget > 0 && FuzzyMatcher.isSubsequence(compact, entry.searchText)) {
+                fuzzyBudget--;
+                candidates.push(entry);
+            } else if (typoBudget > 0) {
+                typoBudget--;
+                candidates.push(entry);
+            }
+        }
+
+        // A short query can be contained in most of the history; keep fuzzy scoring bounded
+        if (substringMatches.length > substringLimit) {
+            substringMatches.sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0));
+            substringMatches.length = substringLimit;
+        }
+        return [...substringMatches, ...candidates];
+    }
+
+    // History entries whose title or URL contains the query, for visit counts in frecency ranking
+    getHistoryContaining(query) {
+        const needle = query.trim().toLowerCase();
+        return this.getHistoryByRecency().filter(entry => entry.searchText.includes(needle));
+    }
+
+    getHistoryByRecency() {
+        if (!this.historyByRecency) {
+            this.historyByRecency = [...this.history.values()]
+                .sort((a, b) => (b.lastVisitTime || 0) - (a.lastVisitTime || 0));
+        }
+        return this.historyByRecency;
+    }
+
+    // BarCat's folder sits directly inside one of the top-level folders (Bookmarks Bar, Other Bookmarks, ...)
+    findBarCatFolderId() {
+        for (const node of this.bookmarks.values()) {
+            if (node.url || node.title !== BARCAT_FOLDER_TITLE) continue;
+            const parent = this.bookmarks.get(node.parentId);
+            if (parent && parent.parentId === ROOT_BOOKMARK_ID) return node.id;
+        }
+        return null;
+    }
+
+    isInFolder(node, folderId) {
+        let parentId = node.parentId;
+        while (parentId && parentId !== ROOT_BOOKMARK_ID) {
+            if (parentId === folderId) return true;
+            parentId = this.bookmarks.get(parentId)?.parentId;
+        }
+        return false;
+    }
+
+    static toBookmarkEntry(node) {
+        const entry = { id: node.id, parentId: node.parentId, title: node.title || '' };
+        if (node.url) {
+            entry.url = node.url;
+            entry.searchText = SearchIndex.toSearchText(entry.title, node.url);
+        }
+        return entry;
+    }
+
+    static toHistoryEntry(item) {
+        return {
+            id: item.id,
+            url: item.url,
+            title: item.title || '',
+            visitCount: item.visitCount,
+            typedCount: item.typedCount,
+            lastVisitTime: item.lastVisitTime,
+            searchText: SearchIndex.toSearchText(item.title, item.url)
+        };
+    }
+
+    static toSearchText(title, url) {
+        return `${(title || '').toLowerCase()}\n${FuzzyMatcher.stripProtocol(url).toLowerCase()}`;
+    }
+}
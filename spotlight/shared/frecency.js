@@ -0,0 +1,130 @@
+/**
+ * Spotlight Frecency - Ranking boost learned from what the user actually picks
+ *
+ * Purpose: Lets the tab or site chosen every day outrank one that merely matches the query as well
+ * Key Functions: Recording Spotlight selections, decaying them over time, combining them with history visits into a boost
+ * Architecture: Static helpers over chrome.storage.local; the background data provider records picks and applies boosts
+ *
+ * Critical Notes:
+ * - Each pick is stored per URL with a decayed score, plus the query it was picked after ("gi" → github.com);
+ *   a stored query sharing a prefix with the current one earns the larger QUERY_WEIGHT
+ * - Scores decay exponentially (FRECENCY.HALF_LIFE_DAYS), so a habit that stops fades out without a cleanup job
+ * - History visit counts and recency add a smaller, separately capped boost for sites never picked in Spotlight
+ * - URLs are keyed with the same normalization as result deduplication, so the boost follows the deduplicated result
+ * - The options page clears everything with clear()
+ */
+
+import { ResultType } from './search-types.js';
+import { FRECENCY } from './scoring-constants.js';
+
+const FRECENCY_STORAGE_KEY = 'spotlightFrecency';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Results that open a page; commands and plain searches are not learned
+const LEARNABLE_TYPES = new Set([
+    ResultType.OPEN_TAB,
+    ResultType.PINNED_TAB,
+    ResultType.BOOKMARK,
+    ResultType.HISTORY,
+    ResultType.TOP_SITE,
+    ResultType.URL_SUGGESTION,
+    ResultType.AUTOCOMPLETE_SUGGESTION
+]);
+
+export class SpotlightFrecency {
+    // { [urlKey]: { url, score, lastUsed, queries: { [query]: { score, lastUsed } } } }
+    static async getSelections() {
+        const result = await chrome.storage.local.get(FRECENCY_STORAGE_KEY);
+        return result[FRECENCY_STORAGE_KEY] || {};
+    }
+
+    static async clear() {
+        await chrome.storage.local.remove(FRECENCY_STORAGE_KEY);
+    }
+
+    static async recordSelection(query, result, now = Date.now()) {
+        if (!LEARNABLE_TYPES.has(result?.type) || !result.url) return;
+
+        const selections = await SpotlightFrecency.getSelections();
+        const key = SpotlightFrecency.urlKey(result.url);
+        const entry = selections[key] || { url: result.url, score: 0, lastUsed: now, queries: {} };
+
+        entry.url = result.url;
+        entry.score = SpotlightFrecency.decay(entry.score, entry.lastUsed, now) + 1;
+        entry.lastUsed = now;
+
+        const queryKey = SpotlightFrecency.queryKey(query);
+        if (queryKey) {
+            const pick = entry.queries[queryKey] || { score: 0, lastUsed: now };
+            entry.queries[queryKey] = {
+                score: SpotlightFrecency.decay(pick.score, pick.lastUsed, now) + 1,
+                lastUsed: now
+            };
+            entry.queries = SpotlightFrecency.keepStrongest(entry.queries, FRECENCY.MAX_QUERIES_PER_ENTRY, now);
+        }
+
+        selections[key] = entry;
+        await chrome.storage.local.set({
+            [FRECENCY_STORAGE_KEY]: SpotlightFrecency.keepStrongest(selections, FRECENCY.MAX_ENTRIES, now)
+        });
+    }
+
+    // Boost for one result; visits maps urlKey → { visitCount, lastVisitTime } from browser history
+    static getBoost(result, query, selections = {}, visits = {}, now = Date.now()) {
+        if (!result.url) return 0;
+        const key = SpotlightFrecency.urlKey(result.url);
+        let selectionBoost = 0;
+
+        const entry = selections[key];
+        if (entry) {
+            selectionBoost += SpotlightFrecency.decay(entry.score, entry.lastUsed, now) * FRECENCY.SELECTION_WEIGHT;
+
+            const queryKey = SpotlightFrecency.queryKey(query);
+            for (const [pickedAfter, pick] of Object.entries(entry.queries || {})) {
+                if (!queryKey || !(pickedAfter.startsWith(queryKey) || queryKey.startsWith(pickedAfter))) continue;
+                selectionBoost += SpotlightFrecency.decay(pick.score, pick.lastUsed, now) * FRECENCY.QUERY_WEIGHT;
+            }
+        }
+
+        const visit = visits[key] || (result.metadata?.visitCount !== undefined ? result.metadata : null);
+        return Math.min(selectionBoost, FRECENCY.MAX_SELECTION_BOOST) + SpotlightFrecency.getHistoryBoost(visit, now);
+    }
+
+    static getHistoryBoost(visit, now = Date.now()) {
+        if (!visit?.visitCount) return 0;
+        const ageDays = (now - (visit.lastVisitTime || 0)) / DAY_MS;
+        const bucket = FRECENCY.VISIT_RECENCY.find(({ days }) => ageDays <= days);
+        const recency = bucket ? bucket.weight : FRECENCY.OLD_VISIT_WEIGHT;
+        const boost = Math.log2(1 + visit.visitCount) * FRECENCY.VISIT_WEIGHT * recency;
+        return Math.min(boost, FRECENCY.MAX_HISTORY_BOOST);
+    }
+
+    static decay(score, lastUsed, now = Date.now()) {
+        const ageDays = Math.max(0, now - lastUsed) / DAY_MS;
+        return score * Math.pow(0.5, ageDays / FRECENCY.HALF_LIFE_DAYS);
+    }
+
+    // Keeps the `limit` records with the highest decayed score
+    static keepStrongest(records, limit, now = Date.now()) {
+        const keys = Object.keys(records);
+        if (keys.length <= limit) return records;
+
+        const strength = key => SpotlightFrecency.decay(records[key].score, records[key].lastUsed, now);
+        return Object.fromEntries(keys
+            .sort((a, b) => strength(b) - strength(a))
+            .slice(0, limit)
+            .map(key => [key, records[key]]));
+    }
+
+    // Same normalization as BaseDataProvider.normalizeUrlForDeduplication
+    static urlKey(url) {
+        return url.toLowerCase()
+            .replace(/\/+$/, '')
+            .replace(/^https?:\/\//, '')
+            .replace(/^www\./, '');
+    }
+
+    static queryKey(query) {
+        return (query || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, FRECENCY.MAX_QUERY_LENGTH);
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Fuzzy Matcher - Typo-tolerant matching of a Spotlight query against titles and URLs
+ *
+ * Purpose: Finds "gdoc" in "Google Docs" and "githbu" in "GitHub", not only exact substrings
+ * Key Functions: Substring, subsequence and edit-distance matching, match quality score, matched character ranges
+ * Architecture: Static helpers with no Chrome dependencies; data providers filter with them, the UI highlights the ranges
+ *
+ * Critical Notes:
+ * - Scores are 0-1 and tiered so that substring > subsequence > typo: a fuzzy hit never outranks a plain one
+ * - Subsequence matches are aligned by dynamic programming, rewarding word starts ("gdoc" → G-oogle D-ocs),
+ *   consecutive characters and penalizing gaps, so the highlighted characters are the ones a person would pick
+ * - Typo tolerance compares the query with the start of each word: one edit for 4-7 characters, two for longer
+ * - Ranges are [start, end) pairs into the original text; spaces in the query are ignored for subsequences
+ */
+
+const MAX_TEXT_LENGTH = 200; // Longer titles and URLs are matched on their start only
+
+// Score tiers
+const SUBSTRING_AT_START = 1;
+const SUBSTRING_AT_WORD = 0.95;
+const SUBSTRING_INSIDE = 0.85;
+const SUBSEQUENCE_MIN = 0.4;
+const SUBSEQUENCE_MAX = 0.8;
+const TYPO_BASE = 0.35;
+const TYPO_PENALTY = 0.05;
+const URL_WEIGHT = 0.9; // A title match reads better than the same match in the URL
+
+// Subsequence alignment
+const CHAR_SCORE = 1;
+const WORD_START_BONUS = 2;
+const CONSECUTIVE_BONUS = 1.5;
+const GAP_PENALTY = 0.1;
+
+export class FuzzyMatcher {
+    // { score, ranges } for query in text, or null when it does not match
+    static match(query, text) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle || !text) return null;
+        const source = text.slice(0, MAX_TEXT_LENGTH);
+        const haystack = source.toLowerCase();
+
+        const index = haystack.indexOf(needle);
+        if (index !== -1) {
+            const score = index === 0 ? SUBSTRING_AT_START
+                : FuzzyMatcher.isWordStart(source, index) ? SUBSTRING_AT_WORD
+                : SUBSTRING_INSIDE;
+            return { score, ranges: [[index, index + needle.length]] };
+        }
+
+        return FuzzyMatcher.matchSubsequence(needle.replace(/\s+/g, ''), source, haystack)
+            || FuzzyMatcher.matchTypo(needle, haystack);
+    }
+
+    // Best match over a title and a URL: { score, titleRanges }, or null; titleRanges is empty for URL-only matches
+    static matchItem(query, title, url) {
+        const titleMatch = FuzzyMatcher.match(query, title);
+        const urlMatch = FuzzyMatcher.match(query, FuzzyMatcher.stripProtocol(url));
+        if (!titleMatch && !urlMatch) return null;
+
+        const urlScore = urlMatch ? urlMatch.score * URL_WEIGHT : 0;
+        return {
+            score: Math.max(titleMatch?.score || 0, urlScore),
+            titleRanges: titleMatch?.ranges || []
+        };
+    }
+
+    static matchSubsequence(needle, source, haystack) {
+        const m = needle.length;
+        const n = haystack.length;
+        if (!m || m > n || !FuzzyMatcher.isSubsequence(needle, haystack)) return null;
+
+        // best[i][j]: best alignment score with needle[i] matched at haystack[j]; from[i][j]: where needle[i - 1] matched
+        const best = Array.from({ length: m }, () => new Float64Array(n).fill(-Infinity));
+        const from = Array.from({ length: m }, () => new Int32Array(n).fill(-1));
+
+        for (let j = 0; j < n; j++) {
+            if (haystack[j] === needle[0]) {
+                best[0][j] = FuzzyMatcher.charScore(source, j);
+            }
+        }
+
+        for (let i = 1; i < m; i++) {
+            // Running max of best[i - 1][k] + GAP_PENALTY * k over k < j - 1, so each gap costs GAP_PENALTY per skipped char
+            let gapBest = -Infinity;
+            let gapFrom = -1;
+            for (let j = 1; j < n; j++) {
+                if (j >= 2) {
+                    const candidate = best[i - 1][j - 2] + GAP_PENALTY * (j - 2);
+                    if (candidate > gapBest) {
+                        gapBest = candidate;
+                        gapFrom = j - 2;
+                    }
+                }
+                if (haystack[j] !== needle[i]) continue;
+
+                const adjacent = best[i - 1][j - 1] + CONSECUTIVE_BONUS;
+                const gapped = gapBest - GAP_PENALTY * (j - 1);
+                if (adjacent === -Infinity && gapped === -Infinity) continue;
+
+                const charScore = FuzzyMatcher.charScore(source, j);
+                if (adjacent >= gapped) {
+                    best[i][j] = adjacent + charScore;
+                    from[i][j] = j - 1;
+                } else {
+                    best[i][j] = gapped + charScore;
+                    from[i][j] = gapFrom;
+                }
+            }
+        }
+
+        let end = -1;
+        for (let j = 0; j < n; j++) {
+            if (end === -1 || best[m - 1][j] > best[m - 1][end]) end = j;
+        }
+        if (end === -1 || best[m - 1][end] === -Infinity) return null;
+
+        const positions = [];
+        for (let i = m - 1, j = end; i >= 0; j = from[i][j], i--) {
+            positions.unshift(j);
+        }
+
+        const maxScore = m * (CHAR_SCORE + WORD_START_BONUS) + (m - 1) * CONSECUTIVE_BONUS;
+        const quality = Math.max(0, Math.min(1, best[m - 1][end] / maxScore));
+        return {
+            score: SUBSEQUENCE_MIN + (SUBSEQUENCE_MAX - SUBSEQUENCE_MIN) * quality,
+            ranges: FuzzyMatcher.toRanges(positions)
+        };
+    }
+
+    // Query within a few edits of the start of a word ("githbu" → "github")
+    static matchTypo(needle, haystack) {
+        if (needle.length < 4 || /\s/.test(needle)) return null;
+        const allowed = needle.length >= 8 ? 2 : 1;
+        let bestMatch = null;
+
+        for (const word of haystack.matchAll(/[a-z0-9]+/g)) {
+            for (const length of [needle.length, needle.length - 1, needle.length + 1]) {
+                if (length > word[0].length) continue;
+                const distance = FuzzyMatcher.editDistance(needle, word[0].slice(0, length));
+                if (distance > allowed || (bestMatch && distance >= bestMatch.distance)) continue;
+                bestMatch = { distance, ranges: [[word.index, word.index + length]] };
+            }
+        }
+
+        if (!bestMatch) return null;
+        return { score: TYPO_BASE - TYPO_PENALTY * bestMatch.distance, ranges: bestMatch.ranges };
+    }
+
+    // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+    static editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    static isSubsequence(needle, haystack) {
+        let position = 0;
+        for (const char of needle) {
+            position = haystack.indexOf(char, position);
+            if (position === -1) return false;
+            position++;
+        }
+        return true;
+    }
+
+    static charScore(source, index) {
+        return CHAR_SCORE + (FuzzyMatcher.isWordStart(source, index) ? WORD_START_BONUS : 0);
+    }
+
+    // Start of the text, after a separator, or a camelCase hump
+    static isWordStart(source, index) {
+        if (index === 0) return true;
+        const previous = source[index - 1];
+        const current = source[index];
+        if (!/[a-z0-9]/i.test(previous)) return true;
+        return /[a-z]/.test(previous) && /[A-Z]/.test(current);
+    }
+
+    static toRanges(positions) {
+        const ranges = [];
+        for (const position of positions) {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === position) {
+                last[1] = position + 1;
+            } else {
+                ranges.push([position, position + 1]);
+            }
+        }
+        return ranges;
+    }
+
+    static stripProtocol(url) {
+        return (url || '').replace(/^[a-z][a-z0-9+.-]*:\/\/(www\.)?/i, '');
+    }
+}
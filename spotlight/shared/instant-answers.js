@@ -0,0 +1,387 @@
+/**
+ * Instant Answers - Calculator, unit, number base and time zone answers computed while typing
+ *
+ * Purpose: Answers quick questions ("12*7+3", "5 mi in km", "255 to hex", "3pm PST in Berlin") without opening a tab
+ * Key Functions: answer(query) → { title, subtitle, value } or null; value is what Enter copies
+ * Architecture: Static helpers with no extension dependencies, called by SpotlightUtils.generateInstantSuggestion
+ *
+ * Critical Notes:
+ * - Arithmetic goes through a small recursive-descent parser; nothing is ever eval'd
+ * - A bare number or word is not a question: an expression needs an operator or a function
+ * - Conversions are tried before arithmetic, so "5 in to cm" is a length and not 5 times something
+ * - Time zone abbreviations are fixed offsets; place names resolve through the browser's IANA zone list
+ */
+
+const CONVERSION_SEPARATOR = '\\s+(?:in|to|as|into)\\s+';
+
+// Units per category, as [factor to the category's base unit, ...names]; the first name is the display symbol
+const UNIT_TABLE = {
+    length: [
+        [1, 'm', 'meter', 'meters', 'metre', 'metres'],
+        [1000, 'km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+        [0.01, 'cm', 'centimeter', 'centimeters'],
+        [0.001, 'mm', 'millimeter', 'millimeters'],
+        [1609.344, 'mi', 'mile', 'miles'],
+        [0.9144, 'yd', 'yard', 'yards'],
+        [0.3048, 'ft', 'foot', 'feet'],
+        [0.0254, 'in', 'inch', 'inches'],
+        [1852, 'nmi', 'nautical-mile', 'nautical-miles']
+    ],
+    mass: [
+        [1, 'g', 'gram', 'grams'],
+        [1000, 'kg', 'kilogram', 'kilograms', 'kilo', 'kilos'],
+        [0.001, 'mg', 'milligram', 'milligrams'],
+        [1e6, 't', 'tonne', 'tonnes'],
+        [453.59237, 'lb', 'lbs', 'pound', 'pounds'],
+        [28.349523125, 'oz', 'ounce', 'ounces'],
+        [6350.29318, 'st', 'stone', 'stones']
+    ],
+    volume: [
+        [1, 'l', 'liter', 'liters', 'litre', 'litres'],
+        [0.001, 'ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+        [3.785411784, 'gal', 'gallon', 'gallons'],
+        [0.946352946, 'qt', 'quart', 'quarts'],
+        [0.473176473, 'pt', 'pint', 'pints'],
+        [0.2365882365, 'cup', 'cups'],
+        [0.0295735295625, 'floz', 'fl-oz']
+    ],
+    data: [
+        [1, 'B', 'byte', 'bytes'],
+        [1e3, 'KB', 'kilobyte', 'kilobytes'],
+        [1e6, 'MB', 'megabyte', 'megabytes'],
+        [1e9, 'GB', 'gigabyte', 'gigabytes'],
+        [1e12, 'TB', 'terabyte', 'terabytes'],
+        [1024, 'KiB'],
+        [1024 ** 2, 'MiB'],
+        [1024 ** 3, 'GiB'],
+        [1024 ** 4, 'TiB']
+    ],
+    time: [
+        [1, 's', 'sec', 'secs', 'second', 'seconds'],
+        [60, 'min', 'mins', 'minute', 'minutes'],
+        [3600, 'h', 'hr', 'hrs', 'hour', 'hours'],
+        [86400, 'd', 'day', 'days'],
+        [604800, 'wk', 'week', 'weeks']
+    ],
+    speed: [
+        [1, 'm/s'],
+        [1 / 3.6, 'km/h', 'kph', 'kmh'],
+        [0.44704, 'mph'],
+        [1852 / 3600, 'kn', 'knot', 'knots']
+    ]
+};
+
+// Temperatures convert through Celsius
+const TEMPERATURES = {
+    c: { symbol: '°C', toCelsius: v => v, fromCelsius: v => v },
+    f: { symbol: '°F', toCelsius: v => (v - 32) * 5 / 9, fromCelsius: v => v * 9 / 5 + 32 },
+    k: { symbol: 'K', toCelsius: v => v - 273.15, fromCelsius: v => v + 273.15 }
+};
+const TEMPERATURE_NAMES = {
+    c: 'c', celsius: 'c', centigrade: 'c',
+    f: 'f', fahrenheit: 'f',
+    k: 'k', kelvin: 'k'
+};
+
+const BASES = {
+    hex: 16, hexadecimal: 16,
+    bin: 2, binary: 2,
+    oct: 8, octal: 8,
+    dec: 10, decimal: 10
+};
+const BASE_PREFIXES = { 16: '0x', 2: '0b', 8: '0o', 10: '' };
+
+// Abbreviations as fixed UTC offsets in minutes (ambiguous ones take their most common meaning)
+const ZONE_ABBREVIATIONS = {
+    utc: 0, gmt: 0, z: 0,
+    pst: -480, pdt: -420, mst: -420, mdt: -360, cst: -360, cdt: -300, est: -300, edt: -240,
+    akst: -540, akdt: -480, hst: -600,
+    wet: 0, west: 60, bst: 60, cet: 60, cest: 120, eet: 120, eest: 180, msk: 180,
+    ist: 330, sgt: 480, hkt: 480, jst: 540, kst: 540,
+    awst: 480, acst: 570, acdt: 630, aest: 600, aedt: 660, nzst: 720, nzdt: 780
+};
+
+// Places that are not the city part of an IANA zone name
+const PLACE_ZONES = {
+    'san francisco': 'America/Los_Angeles', sf: 'America/Los_Angeles', seattle: 'America/Los_Angeles',
+    la: 'America/Los_Angeles', 'los angeles': 'America/Los_Angeles',
+    nyc: 'America/New_York', boston: 'America/New_York', washington: 'America/New_York', miami: 'America/New_York',
+    austin: 'America/Chicago', dallas: 'America/Chicago', houston: 'America/Chicago',
+    munich: 'Europe/Berlin', frankfurt: 'Europe/Berlin', hamburg: 'Europe/Berlin',
+    beijing: 'Asia/Shanghai', delhi: 'Asia/Kolkata', 'new delhi': 'Asia/Kolkata', mumbai: 'Asia/Kolkata',
+    bangalore: 'Asia/Kolkata', bengaluru: 'Asia/Kolkata', india: 'Asia/Kolkata', japan: 'Asia/Tokyo'
+};
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    ln: Math.log, log: Math.log10, exp: Math.exp, sin: Math.sin, cos: Math.cos, tan: Math.tan
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+let unitsByName = null;
+
+export class InstantAnswers {
+    // The answer to a query, or null when it isn't a question these helpers can answer
+    static answer(query, now = Date.now()) {
+        const text = query.trim();
+        if (!text || text.length > 100) return null;
+
+        try {
+            return InstantAnswers.convertBase(text)
+                || InstantAnswers.convertUnit(text)
+                || InstantAnswers.convertTime(text, now)
+                || InstantAnswers.calculate(text);
+        } catch {
+            return null;
+        }
+    }
+
+    // --- Arithmetic ---
+
+    static calculate(text) {
+        const tokens = InstantAnswers.tokenize(text);
+        if (!tokens) return null;
+
+        const parser = { tokens, index: 0, computed: false };
+        const value = InstantAnswers.parseExpression(parser);
+        if (parser.index !== tokens.length || !parser.computed || !Number.isFinite(value)) return null;
+
+        const result = InstantAnswers.formatNumber(value);
+        return { title: `= ${result}`, subtitle: text, value: result };
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(0x[0-9a-f]+|0b[01]+|0o[0-7]+)|(\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z]+)|(\*\*|[-+*/%^()×÷]))/iy;
+        let match;
+        while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+            if (match[1]) tokens.push({ type: 'number', value: Number(match[1].toLowerCase()) });
+            else if (match[2]) tokens.push({ type: 'number', value: Number(match[2].replace(/_/g, '')) });
+            else if (match[3]) tokens.push({ type: 'name', value: match[3].toLowerCase() });
+            else tokens.push({ type: 'op', value: { '**': '^', '×': '*', '÷': '/' }[match[4]] || match[4] });
+        }
+        // Anything the pattern could not read (quotes, letters mixed with symbols, ...) is not arithmetic
+        return pattern.lastIndex >= text.trimEnd().length && tokens.length > 0 ? tokens : null;
+    }
+
+    static parseExpression(parser) {
+        let value = InstantAnswers.parseTerm(parser);
+        while (InstantAnswers.peekOp(parser, '+', '-')) {
+            const op = parser.tokens[parser.index++].value;
+            const right = InstantAnswers.parseTerm(parser);
+            value = op === '+' ? value + right : value - right;
+            parser.computed = true;
+        }
+        return value;
+    }
+
+    static parseTerm(parser) {
+        let value = InstantAnswers.parseUnary(parser);
+        while (InstantAnswers.peekOp(parser, '*', '/', '%')) {
+            const op = parser.tokens[parser.index++].value;
+            const right = InstantAnswers.parseUnary(parser);
+            value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+            parser.computed = true;
+        }
+        return value;
+    }
+
+    static parseUnary(parser) {
+        if (InstantAnswers.peekOp(parser, '-', '+')) {
+            const op = parser.tokens[parser.index++].value;
+            const value = InstantAnswers.parseUnary(parser);
+            return op === '-' ? -value : value;
+        }
+        return InstantAnswers.parsePower(parser);
+    }
+
+    // Right-associative, and binding tighter than unary minus on its left: -2^2 = -4
+    static parsePower(parser) {
+        const base = InstantAnswers.parsePrimary(parser);
+        if (!InstantAnswers.peekOp(parser, '^')) return base;
+        parser.index++;
+        parser.computed = true;
+        return base ** InstantAnswers.parseUnary(parser);
+    }
+
+    static parsePrimary(parser) {
+        const token = parser.tokens[parser.index++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') return token.value;
+
+        if (token.type === 'name') {
+            if (Object.hasOwn(FUNCTIONS, token.value) && InstantAnswers.peekOp(parser, '(')) {
+                const argument = InstantAnswers.parsePrimary(parser);
+                parser.computed = true;
+                return FUNCTIONS[token.value](argument);
+            }
+            if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+            throw new Error(`Unknown name: ${token.value}`);
+        }
+
+        if (token.value === '(') {
+            const value = InstantAnswers.parseExpression(parser);
+            if (!InstantAnswers.peekOp(parser, ')')) throw new Error('Missing )');
+            parser.index++;
+            return value;
+        }
+        throw new Error(`Unexpected ${token.value}`);
+    }
+
+    static peekOp(parser, ...ops) {
+        const token = parser.tokens[parser.index];
+        return token?.type === 'op' && ops.includes(token.value);
+    }
+
+    // --- Number bases ---
+
+    static convertBase(text) {
+        const match = new RegExp(`^(0x[0-9a-f]+|0b[01]+|0o[0-7]+|\\d+)${CONVERSION_SEPARATOR}([a-z]+)$`, 'i').exec(text);
+        const radix = match && BASES[match[2].toLowerCase()];
+        if (!radix) return null;
+
+        const number = BigInt(match[1].toLowerCase());
+        const digits = number.toString(radix);
+        const result = `${BASE_PREFIXES[radix]}${radix === 16 ? digits.toUpperCase() : digits}`;
+        return { title: result, subtitle: `${match[1]} in ${match[2].toLowerCase()}`, value: result };
+    }
+
+    // --- Units ---
+
+    static convertUnit(text) {
+        const match = new RegExp(`^(-?\\d+(?:\\.\\d+)?|-?\\.\\d+)\\s*(°?\\s*[a-z][a-z/-]*)${CONVERSION_SEPARATOR}(°?\\s*[a-z][a-z/-]*)$`, 'i').exec(text);
+        if (!match) return null;
+        const amount = Number(match[1]);
+        const from = match[2].replace(/[°\s]/g, '');
+        const to = match[3].replace(/[°\s]/g, '');
+
+        const fromTemperature = TEMPERATURES[TEMPERATURE_NAMES[from.toLowerCase()]];
+        const toTemperature = TEMPERATURES[TEMPERATURE_NAMES[to.toLowerCase()]];
+        if (fromTemperature && toTemperature) {
+            const result = InstantAnswers.formatNumber(toTemperature.fromCelsius(fromTemperature.toCelsius(amount)));
+            return {
+                title: `${result} ${toTemperature.symbol}`,
+                subtitle: `${InstantAnswers.formatNumber(amount)} ${fromTemperature.symbol}`,
+                value: result
+            };
+        }
+
+        const fromUnit = InstantAnswers.findUnit(from);
+        const toUnit = InstantAnswers.findUnit(to);
+        if (!fromUnit || !toUnit || fromUnit.category !== toUnit.category) return null;
+
+        const result = InstantAnswers.formatNumber(amount * fromUnit.factor / toUnit.factor);
+        return {
+            title: `${result} ${toUnit.symbol}`,
+            subtitle: `${InstantAnswers.formatNumber(amount)} ${fromUnit.symbol}`,
+            value: result
+        };
+    }
+
+    // Exact case first, so "Mb"-style symbols stay distinct where the table has them; then case-insensitive
+    static findUnit(name) {
+        if (!unitsByName) {
+            unitsByName = new Map();
+            for (const [category, units] of Object.entries(UNIT_TABLE)) {
+                for (const [factor, ...names] of units) {
+                    const unit = { category, factor, symbol: names[0] };
+                    names.forEach(unitName => unitsByName.set(unitName.toLowerCase(), unit));
+                }
+            }
+        }
+        return unitsByName.get(name.toLowerCase()) || null;
+    }
+
+    // --- Time zones ---
+
+    // "3pm PST in Berlin", "15:30 utc to tokyo", "9am in london" (from local time), "time in sydney"
+    static convertTime(text, now) {
+        const match = new RegExp(
+            `^(?:(now|time)|(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?)(?:\\s+([a-z][a-z_/ ]*?))?${CONVERSION_SEPARATOR}([a-z][a-z_/ ]*)$`, 'i'
+        ).exec(text);
+        if (!match) return null;
+        const [, nowWord, hourText, minuteText, meridiem, fromName, toName] = match;
+
+        // A bare number needs a clock or a zone to be a time ("5 in 10" is not one)
+        if (!nowWord && !minuteText && !meridiem && !fromName) return null;
+
+        const fromZone = fromName ? InstantAnswers.resolveZone(fromName) : InstantAnswers.localZone();
+        const toZone = InstantAnswers.resolveZone(toName);
+        if (!fromZone || !toZone) return null;
+
+        let instant = now;
+        if (!nowWord) {
+            let hour = Number(hourText);
+            const minute = Number(minuteText || 0);
+            if (meridiem ? hour < 1 || hour > 12 : hour > 23) return null;
+            if (minute > 59) return null;
+            if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+
+            // That wall time today in the source zone; the offset is looked up again in case it changes that day
+            const today = new Date(now + InstantAnswers.getOffset(fromZone, now) * 60000);
+            const wallTime = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour, minute);
+            instant = wallTime - InstantAnswers.getOffset(fromZone, wallTime - InstantAnswers.getOffset(fromZone, now) * 60000) * 60000;
+        }
+
+        const fromWall = new Date(instant + InstantAnswers.getOffset(fromZone, instant) * 60000);
+        const toWall = new Date(instant + InstantAnswers.getOffset(toZone, instant) * 60000);
+        const result = InstantAnswers.formatClock(toWall);
+        const dayShift = Math.round((Date.UTC(toWall.getUTCFullYear(), toWall.getUTCMonth(), toWall.getUTCDate())
+            - Date.UTC(fromWall.getUTCFullYear(), fromWall.getUTCMonth(), fromWall.getUTCDate())) / 86400000);
+        const day = dayShift > 0 ? ' (next day)' : dayShift < 0 ? ' (previous day)' : '';
+
+        return {
+            title: `${result} in ${toZone.label}${day}`,
+            subtitle: `${nowWord ? 'Now, ' : ''}${InstantAnswers.formatClock(fromWall)} ${fromZone.label}`,
+            value: result
+        };
+    }
+
+    // { label, offset } for abbreviations, { label, timeZone } for places; null when unknown
+    static resolveZone(name) {
+        const key = name.trim().toLowerCase().replace(/_/g, ' ');
+        if (Object.hasOwn(ZONE_ABBREVIATIONS, key)) {
+            return { label: key.toUpperCase(), offset: ZONE_ABBREVIATIONS[key] };
+        }
+        if (key === 'local' || key === 'here') return InstantAnswers.localZone();
+
+        const label = key.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+        if (Object.hasOwn(PLACE_ZONES, key)) return { label, timeZone: PLACE_ZONES[key] };
+
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const timeZone = zones.find(zone => zone.toLowerCase().replace(/_/g, ' ') === key)
+            || zones.find(zone => zone.split('/').pop().toLowerCase().replace(/_/g, ' ') === key);
+        return timeZone ? { label: timeZone.split('/').pop().replace(/_/g, ' '), timeZone } : null;
+    }
+
+    static localZone() {
+        return { label: 'local time', timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+    }
+
+    // Minutes ahead of UTC at the given instant
+    static getOffset(zone, instant) {
+        if (zone.offset !== undefined) return zone.offset;
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: zone.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }).formatToParts(new Date(instant)).map(part => [part.type, Number(part.value)]));
+        const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+        return Math.round((wallTime - Math.floor(instant / 60000) * 60000) / 60000);
+    }
+
+    // --- Formatting ---
+
+    // 12 significant digits hide floating point noise (0.1 + 0.2 = 0.3)
+    static formatNumber(value) {
+        return String(Number(value.toPrecision(12)));
+    }
+
+    // h:mm AM/PM of a Date holding a wall time in its UTC fields
+    static formatClock(wall) {
+        const hour = wall.getUTCHours();
+        const minute = String(wall.getUTCMinutes()).padStart(2, '0');
+        return `${hour % 12 || 12}:${minute} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+}
@@ -1,165 +1,201 @@
 // message-client.js - Shared message passing abstraction for spotlight components
-// Consolidates chrome.runtime.sendMessage patterns from overlay.js and popup.js
+// Consolidates chrome.runtime.sendMessage patterns from overlay.js and popup.js.
+// Payloads are checked against the typed protocol in message-router.js; failures come back as
+// error envelopes, so every method here resolves with a fallback instead of throwing.
 
+import { MessageRouter, MessageType, MessageContext } from '../../message-router.js';
+import { SPOTLIGHT_SUGGESTIONS_PORT, SuggestionStreamMessage } from './search-types.js';
 import { Logger } from '../../logger.js';
 
 export class SpotlightMessageClient {
     // Get suggestions from background script
     static async getSuggestions(query, mode) {
-        try {
-            const message = {
-                action: 'getSpotlightSuggestions',
-                query: query.trim(),
-                mode: mode
-            };
-
-            const response = await chrome.runtime.sendMessage(message);
-
-            if (response && response.success) {
-                return response.results;
-            } else {
-                Logger.error('[SpotlightMessageClient] Get suggestions failed:', response?.error);
-                return [];
-            }
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Get suggestions error:', error);
-            return [];
+        const response = await MessageRouter.send(MessageType.GET_SPOTLIGHT_SUGGESTIONS, {
+            query: query.trim(),
+            mode: mode
+        });
+
+        if (response.success) {
+            return response.results;
         }
+        Logger.error('[SpotlightMessageClient] Get suggestions failed:', response.error);
+        return [];
     }
 
-    // Handle result action via message passing
-    static async handleResult(result, mode) {
-        try {
-            const message = {
-                action: 'spotlightHandleResult',
-                result: result,
-                mode: mode,
-                tabId: window.arcifyCurrentTabId || null  // Include tab ID for optimization
-            };
-
-            const response = await chrome.runtime.sendMessage(message);
-
-            if (!response || response.success === false) {
-                Logger.error('[SpotlightMessageClient] Result action failed:', response?.error || 'No response');
-                return false;
+    // Stream suggestions from background: query() supersedes any query still running, and
+    // onResults(results, { first, done }) only hears about the latest one. The port reconnects if the
+    // service worker was stopped, re-sending the query that was still waiting for results.
+    static createSuggestionStream(onResults) {
+        let port = null;
+        let requestId = 0;
+        let pending = null; // { query, mode } of the unfinished query
+        let received = false;
+
+        const connect = () => {
+            port = chrome.runtime.connect({ name: SPOTLIGHT_SUGGESTIONS_PORT });
+            port.onMessage.addListener(message => {
+                if (message.type !== SuggestionStreamMessage.RESULTS || message.requestId !== requestId) return;
+                const first = !received;
+                received = true;
+                if (message.done) pending = null;
+                onResults(message.results || [], { first, done: message.done });
+            });
+            port.onDisconnect.addListener(() => {
+                port = null;
+                if (pending) send();
+            });
+        };
+
+        const send = () => {
+            try {
+                if (!port) connect();
+                port.postMessage({ type: SuggestionStreamMessage.QUERY, requestId, ...pending });
+            } catch (error) {
+                // Extension context invalidated (extension reloaded under an open overlay)
+                Logger.error('[SpotlightMessageClient] Suggestion stream failed:', error);
+                port = null;
+                pending = null;
+                onResults([], { first: !received, done: true });
             }
-            return true;
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error handling result action:', error);
+        };
+
+        return {
+            query(query, mode) {
+                requestId++;
+                received = false;
+                pending = { query: query.trim(), mode };
+                send();
+            },
+            // Drop results of the running query, e.g. once the input was cleared
+            cancel() {
+                requestId++;
+                pending = null;
+            },
+            close() {
+                requestId++;
+                pending = null;
+                port?.disconnect();
+                port = null;
+            }
+        };
+    }
+
+    // Handle result action via message passing; query is what was typed, for frecency ranking
+    static async handleResult(result, mode, query = '') {
+        const response = await MessageRouter.send(MessageType.SPOTLIGHT_HANDLE_RESULT, {
+            result: result,
+            mode: mode,
+            tabId: window.arcifyCurrentTabId || null,  // Include tab ID for optimization
+            query: query.trim()
+        });
+
+        if (!response.success) {
+            Logger.error('[SpotlightMessageClient] Result action failed:', response.error);
             return false;
         }
+        return true;
+    }
+
+    // Every secondary action of a result, including space actions, for the action menu
+    static async getResultActions(result, mode) {
+        const response = await MessageRouter.send(MessageType.GET_SPOTLIGHT_RESULT_ACTIONS, {
+            result: result,
+            mode: mode
+        });
+
+        if (response.success) {
+            return response.actions;
+        }
+        Logger.error('[SpotlightMessageClient] Get result actions failed:', response.error);
+        return [];
     }
 
+    // Run a secondary action (see result-actions.js) in the background
+    static async runResultAction(result, action, mode, query = '') {
+        const response = await MessageRouter.send(MessageType.SPOTLIGHT_RESULT_ACTION, {
+            result: result,
+            action: action,
+            mode: mode,
+            tabId: window.arcifyCurrentTabId || null,
+            query: query.trim()
+        });
+
+        if (!response.success) {
+            Logger.error('[SpotlightMessageClient] Result action failed:', response.error);
+            return false;
+        }
+        return true;
+    }
 
     // Get active space color from background
     static async getActiveSpaceColor() {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                action: 'getActiveSpaceColor'
-            });
+        const response = await MessageRouter.send(MessageType.GET_ACTIVE_SPACE_COLOR);
 
-            if (response && response.success && response.color) {
-                return response.color;
-            } else {
-                Logger.error('[SpotlightMessageClient] Failed to get active space color:', response?.error);
-                return 'purple'; // Default fallback
-            }
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error getting active space color:', error);
-            return 'purple'; // Default fallback
+        if (response.success && response.color) {
+            return response.color;
         }
+        Logger.error('[SpotlightMessageClient] Failed to get active space color:', response.error);
+        return 'purple'; // Default fallback
     }
 
     // Notify background that spotlight opened
     static notifyOpened() {
-        try {
-            chrome.runtime.sendMessage({ action: 'spotlightOpened' });
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error notifying spotlight opened:', error);
-        }
+        MessageRouter.send(MessageType.SPOTLIGHT_OPENED);
     }
 
     // Notify background that spotlight closed
     static notifyClosed() {
-        try {
-            chrome.runtime.sendMessage({ action: 'spotlightClosed' });
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error notifying spotlight closed:', error);
-        }
+        MessageRouter.send(MessageType.SPOTLIGHT_CLOSED);
     }
 
     // Switch to tab (new-tab mode)
     static async switchToTab(tabId, windowId) {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                action: 'switchToTab',
-                tabId: tabId,
-                windowId: windowId
-            });
-            return response?.success === true;
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error switching to tab:', error);
-            return false;
-        }
+        const response = await MessageRouter.send(MessageType.SWITCH_TO_TAB, {
+            tabId: tabId,
+            windowId: windowId
+        });
+        return response.success === true;
     }
 
     // Navigate current tab
     static async navigateCurrentTab(url) {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                action: 'navigateCurrentTab',
-                url: url
-            });
-            return response?.success === true;
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error navigating current tab:', error);
-            return false;
-        }
+        const response = await MessageRouter.send(MessageType.NAVIGATE_CURRENT_TAB, { url: url });
+        return response.success === true;
     }
 
 
     // Open new tab
     static async openNewTab(url) {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                action: 'openNewTab',
-                url: url
-            });
-            return response?.success === true;
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error opening new tab:', error);
-            return false;
-        }
+        const response = await MessageRouter.send(MessageType.OPEN_NEW_TAB, { url: url });
+        return response.success === true;
     }
 
     // Perform search
     static async performSearch(query, mode) {
-        try {
-            const response = await chrome.runtime.sendMessage({
-                action: 'performSearch',
-                query: query,
-                mode: mode
-            });
-            return response?.success === true;
-        } catch (error) {
-            Logger.error('[SpotlightMessageClient] Error performing search:', error);
-            return false;
-        }
+        const response = await MessageRouter.send(MessageType.PERFORM_SEARCH, {
+            query: query,
+            mode: mode
+        });
+        return response.success === true;
+    }
+
+    // Listen for the background's activation request (dormant content script)
+    static setupActivationListener(onActivateCallback) {
+        const router = new MessageRouter(MessageContext.SPOTLIGHT);
+        router.on(MessageType.ACTIVATE_SPOTLIGHT, (message) => {
+            onActivateCallback(message);
+        });
+        return router.listen();
     }
 
     // Setup message listener for global close commands
     static setupGlobalCloseListener(onCloseCallback) {
-        const messageListener = (message) => {
-            if (message.action === 'closeSpotlight') {
-                onCloseCallback();
-            }
-        };
-
-        chrome.runtime.onMessage.addListener(messageListener);
+        const router = new MessageRouter(MessageContext.SPOTLIGHT);
+        router.on(MessageType.CLOSE_SPOTLIGHT, () => {
+            onCloseCallback();
+        });
 
         // Return cleanup function
-        return () => {
-            chrome.runtime.onMessage.removeListener(messageListener);
-        };
+        return router.listen();
     }
-}
\ No newline at end of file
+}
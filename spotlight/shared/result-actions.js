@@ -0,0 +1,147 @@
+/**
+ * Result Actions - Secondary actions on a Spotlight result besides the one Enter runs
+ *
+ * Purpose: Close a tab, open it the other way, move it to a space, pin it, copy its URL, forget a history entry
+ * Key Functions: Actions available per result type, keyboard shortcuts and their hints, the alternate open mode
+ * Architecture: Static helpers shared by the UIs (hints, shortcuts, action menu) and the background (running them)
+ *
+ * Critical Notes:
+ * - Actions travel as plain data ({ id, label, spaceId? }), like commands, so they survive messaging
+ * - Shortcuts: Shift+Enter opens the other way, Cmd/Ctrl+Enter copies the URL, Shift+Delete closes the tab or
+ *   removes the history entry; → at the end of the input opens the menu of every action
+ * - Space actions need the focused window's spaces, so only the menu (built in the background) lists them
+ * - keepOpen actions (close, remove) leave Spotlight open and drop the result from the list
+ * - Copying happens in the UI, which has the user gesture the clipboard needs
+ */
+
+import { ResultType, SpotlightTabMode } from './search-types.js';
+
+export const ResultActionId = {
+    OPEN_ALTERNATE: 'open-alternate',   // The other mode than Enter: new tab from current-tab mode and vice versa
+    CLOSE_TAB: 'close-tab',
+    COPY_URL: 'copy-url',
+    OPEN_IN_SPACE: 'open-in-space',
+    PIN_IN_ACTIVE_SPACE: 'pin-in-active-space',
+    REMOVE_FROM_HISTORY: 'remove-from-history'
+};
+
+// Results that open something, so they can open the other way
+const ALTERNATE_OPEN_TYPES = new Set([
+    ResultType.URL_SUGGESTION,
+    ResultType.SEARCH_QUERY,
+    ResultType.AUTOCOMPLETE_SUGGESTION,
+    ResultType.OPEN_TAB,
+    ResultType.PINNED_TAB,
+    ResultType.BOOKMARK,
+    ResultType.HISTORY,
+    ResultType.TOP_SITE
+]);
+
+// Results whose page can be placed in a space; pinned tabs already belong to one
+const SPACE_TYPES = new Set([
+    ResultType.URL_SUGGESTION,
+    ResultType.AUTOCOMPLETE_SUGGESTION,
+    ResultType.OPEN_TAB,
+    ResultType.BOOKMARK,
+    ResultType.HISTORY,
+    ResultType.TOP_SITE
+]);
+
+export class SpotlightResultActions {
+    // Actions for a result, in menu order; context is { tab, spaces, activeSpaceId } of the focused window,
+    // without which the space actions are left out
+    static getActions(result, mode, context = null) {
+        if (!result) return [];
+        const actions = [];
+        const isTab = result.type === ResultType.OPEN_TAB;
+
+        if (ALTERNATE_OPEN_TYPES.has(result.type)) {
+            actions.push({ id: ResultActionId.OPEN_ALTERNATE, label: SpotlightResultActions.getAlternateOpenLabel(result, mode) });
+        }
+
+        if (isTab || (result.type === ResultType.PINNED_TAB && result.metadata?.tabId)) {
+            actions.push({ id: ResultActionId.CLOSE_TAB, label: 'Close tab', keepOpen: true });
+        }
+
+        if (result.url) {
+            actions.push({ id: ResultActionId.COPY_URL, label: 'Copy URL' });
+        }
+
+        if (result.url && SPACE_TYPES.has(result.type) && context?.spaces?.length) {
+            const activeSpace = context.spaces.find(space => space.id === context.activeSpaceId);
+            if (activeSpace) {
+                actions.push({
+                    id: ResultActionId.PIN_IN_ACTIVE_SPACE,
+                    label: `Pin in ${activeSpace.name}`,
+                    spaceId: activeSpace.id
+                });
+            }
+            for (const space of context.spaces) {
+                if (isTab && space.id === result.metadata?.groupId) continue;
+                actions.push({
+                    id: ResultActionId.OPEN_IN_SPACE,
+                    label: `${isTab ? 'Move to' : 'Open in'} ${space.name}`,
+                    spaceId: space.id
+                });
+            }
+        }
+
+        if (result.type === ResultType.HISTORY) {
+            actions.push({ id: ResultActionId.REMOVE_FROM_HISTORY, label: 'Remove from history', keepOpen: true });
+        }
+
+        return actions.map(action => ({ ...action, hint: SpotlightResultActions.getShortcutHint(action.id) }));
+    }
+
+    static getAlternateOpenLabel(result, mode) {
+        if (mode === SpotlightTabMode.NEW_TAB) {
+            return 'Open in this tab';
+        }
+        return result.type === ResultType.OPEN_TAB ? 'Switch to tab' : 'Open in new tab';
+    }
+
+    static getAlternateMode(mode) {
+        return mode === SpotlightTabMode.NEW_TAB ? SpotlightTabMode.CURRENT_TAB : SpotlightTabMode.NEW_TAB;
+    }
+
+    // The action a keydown triggers on the selected result, or null
+    static getShortcutAction(result, mode, event) {
+        const actionIds = SpotlightResultActions.getShortcutActionIds(event);
+        if (actionIds.length === 0) return null;
+        return SpotlightResultActions.getActions(result, mode).find(action => actionIds.includes(action.id)) || null;
+    }
+
+    static getShortcutActionIds(event) {
+        const modKey = SpotlightResultActions.isMac() ? event.metaKey : event.ctrlKey;
+        if (event.key === 'Enter' && event.shiftKey && !modKey) return [ResultActionId.OPEN_ALTERNATE];
+        if (event.key === 'Enter' && modKey && !event.shiftKey) return [ResultActionId.COPY_URL];
+        // Close and remove never apply to the same result, so they share Chrome's "delete suggestion" key
+        if (event.key === 'Delete' && event.shiftKey) return [ResultActionId.CLOSE_TAB, ResultActionId.REMOVE_FROM_HISTORY];
+        return [];
+    }
+
+    static getShortcutHint(actionId) {
+        switch (actionId) {
+            case ResultActionId.OPEN_ALTERNATE: return '⇧↵';
+            case ResultActionId.COPY_URL: return SpotlightResultActions.isMac() ? '⌘↵' : 'Ctrl+↵';
+            case ResultActionId.CLOSE_TAB:
+            case ResultActionId.REMOVE_FROM_HISTORY: return '⇧Del';
+            default: return '';
+        }
+    }
+
+    // Hint line for the selected row: the shortcut actions, then the menu
+    static getHints(result, mode) {
+        const actions = SpotlightResultActions.getActions(result, mode);
+        if (actions.length === 0) return '';
+        const hints = actions
+            .filter(action => action.hint)
+            .map(action => `${action.hint} ${action.label}`);
+        return [...hints, '→ More'].join(' · ');
+    }
+
+    static isMac() {
+        const platform = globalThis.navigator?.userAgentData?.platform || globalThis.navigator?.platform || '';
+        return /mac/i.test(platform);
+    }
+}
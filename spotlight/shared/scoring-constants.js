@@ -10,6 +10,7 @@
  * - Instant suggestions always get the highest priority (1000)
  * - User content (bookmarks, history) prioritized over external suggestions
  * - Fuzzy matches positioned strategically between history and top sites
+ * - Frecency boosts are capped so a learned favourite can climb a tier or two, never above instant suggestions
  */
 
 // Base scores for each result type (higher = appears first)
@@ -17,6 +18,7 @@ export const BASE_SCORES = {
     // Instant suggestions (always first)
     INSTANT_SEARCH_QUERY: 1000,
     INSTANT_URL_SUGGESTION: 1000,
+    INSTANT_ANSWER: 1000,
 
     // Regular search results hierarchy
     SEARCH_QUERY: 100,
@@ -24,6 +26,8 @@ export const BASE_SCORES = {
     OPEN_TAB: 90,
     PINNED_TAB: 85,  // Pinned tabs ranked between open tabs and bookmarks
     BOOKMARK: 80,
+    RECENTLY_CLOSED: 74, // Above history: restoring brings back the tab's own history and space
+    ARCHIVED: 72,    // Closed by BarCat; like recently closed tabs, restored into their space
     HISTORY: 70,
     TOP_SITE: 60,
 
@@ -42,7 +46,41 @@ export const SCORE_BONUSES = {
     EXACT_TITLE_MATCH: 20,      // Title exactly matches query
     TITLE_STARTS_WITH: 15,      // Title starts with query
     TITLE_CONTAINS: 10,         // Title contains query
-    URL_CONTAINS: 5             // URL contains query
+    URL_CONTAINS: 5,            // URL contains query
+    FUZZY_MATCH: 10,            // Scaled by match quality (0-1) when title and URL only match fuzzily
+    CURRENT_SPACE: 8            // Open or pinned tab in the focused window's active space
+};
+
+// Command mode scores: ">" queries list only commands, so these rank commands among themselves
+export const COMMAND_SCORES = {
+    NAMED: 100,                 // "create space Work": the command's keyword followed by a name
+    TITLE_STARTS_WITH: 90,
+    WORD_STARTS_WITH: 80,       // A later word of the title starts with the query ("work" → "Move tab to Work")
+    CONTAINS: 70,
+    SUBSEQUENCE: 60,            // Query characters appear in order; loses a point per skipped character
+    SUBSEQUENCE_MIN: 40,
+    LISTED: 50                  // Bare ">" lists every command in catalog order
+};
+
+// Frecency boost added on top of the relevance score, learned from Spotlight picks and browser history
+export const FRECENCY = {
+    HALF_LIFE_DAYS: 14,         // A pick counts half as much after two weeks
+    SELECTION_WEIGHT: 4,        // Per (decayed) pick of the URL, whatever was typed
+    QUERY_WEIGHT: 8,            // Per (decayed) pick after a query sharing a prefix with this one
+    MAX_SELECTION_BOOST: 30,
+    VISIT_WEIGHT: 2,            // Multiplied by log2(1 + visit count)
+    MAX_HISTORY_BOOST: 10,
+    // Recency weights for the last visit, as in Firefox's frecency buckets; older visits get OLD_VISIT_WEIGHT
+    VISIT_RECENCY: [
+        { days: 4, weight: 1 },
+        { days: 14, weight: 0.7 },
+        { days: 31, weight: 0.5 },
+        { days: 90, weight: 0.3 }
+    ],
+    OLD_VISIT_WEIGHT: 0.1,
+    MAX_ENTRIES: 500,           // Learned URLs kept, lowest decayed score dropped first
+    MAX_QUERIES_PER_ENTRY: 20,
+    MAX_QUERY_LENGTH: 40
 };
 
 // Autocomplete score calculation (decreasing by position)
@@ -8,11 +8,15 @@
  * Critical Notes:
  * - Uses dependency injection to work in both background (direct API) and content script (message) contexts
  * - Implements 30-second caching and 150ms debouncing for performance
- * - Handles result actions (navigation, tab switching) with tab ID optimization
+ * - Streams partial result sets over a port to the overlay and new tab page, aborting superseded queries
+ * - Handles result actions (navigation, tab switching, BarCat commands) with tab ID optimization, plus the
+ *   secondary actions of result-actions.js; the cache is dropped after those, since they change what matches
  * - Single SearchEngine instance per context, shared across overlay/popup implementations
  */
 
-import { ResultType, SpotlightTabMode } from './search-types.js';
+import { ResultType, SpotlightTabMode, SuggestionStreamMessage } from './search-types.js';
+import { SpotlightResultActions, ResultActionId } from './result-actions.js';
+import { MessageRouter, MessageType } from '../../message-router.js';
 import { Logger } from '../../logger.js';
 
 // Search Engine with caching
@@ -78,6 +82,65 @@ export class SearchEngine {
         }
     }
 
+    // Streaming suggestions: onResults(results, done) gets partial sets as sources answer, then the final set.
+    // No debouncing here; the UIs debounce typing and abort the signal when a newer query supersedes this one.
+    async streamSpotlightSuggestions(query, mode, onResults, signal) {
+        const trimmedQuery = query.trim();
+        const cacheKey = `${trimmedQuery}:${mode}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached && Date.now() - cached.timestamp < this.CACHE_TTL) {
+            onResults(cached.results, true);
+            return;
+        }
+
+        const results = await this.dataProvider.getSpotlightSuggestions(trimmedQuery, mode, {
+            signal,
+            onPartial: partial => onResults(partial, false)
+        });
+        if (signal.aborted) return;
+
+        if (trimmedQuery) {
+            this.cache.set(cacheKey, {
+                results,
+                timestamp: Date.now()
+            });
+        }
+        onResults(results, true);
+    }
+
+    // Serve one Spotlight UI's suggestion port; each query aborts the previous one from that port
+    handleSuggestionPort(port) {
+        let controller = null;
+
+        port.onMessage.addListener(message => {
+            if (message.type !== SuggestionStreamMessage.QUERY) {
+                Logger.warn('[SearchEngine] Unknown suggestion stream message:', message);
+                return;
+            }
+
+            controller?.abort();
+            const current = new AbortController();
+            controller = current;
+
+            const post = (results, done) => {
+                if (current.signal.aborted) return;
+                try {
+                    port.postMessage({ type: SuggestionStreamMessage.RESULTS, requestId: message.requestId, results, done });
+                } catch (error) {
+                    // The UI closed mid-query
+                    current.abort();
+                }
+            };
+
+            this.streamSpotlightSuggestions(message.query, message.mode, post, current.signal).catch(error => {
+                Logger.error('[SearchEngine] Suggestion stream error:', error);
+                post([], true);
+            });
+        });
+
+        port.onDisconnect.addListener(() => controller?.abort());
+    }
+
     // Internal suggestions implementation
     async getSuggestionsImpl(query, mode) {
         const trimmedQuery = query.trim();
@@ -89,7 +152,8 @@ export class SearchEngine {
 
 
     // Handle result action
-    async handleResultAction(result, mode, currentTabId = null) {
+    // query is the text the result was picked after; the background learns from it for frecency ranking
+    async handleResultAction(result, mode, currentTabId = null, query = '') {
         try {
             switch (result.type) {
                 case ResultType.OPEN_TAB:
@@ -99,17 +163,13 @@ export class SearchEngine {
                         }
 
                         if (this.isBackgroundContext) {
-                            await chrome.tabs.update(result.metadata.tabId, { active: true });
-                            if (result.metadata.windowId) {
-                                await chrome.windows.update(result.metadata.windowId, { focused: true });
-                            }
+                            await this.dataProvider.switchToTab(result);
                         } else {
-                            const response = await chrome.runtime.sendMessage({
-                                action: 'switchToTab',
+                            const response = await MessageRouter.send(MessageType.SWITCH_TO_TAB, {
                                 tabId: result.metadata.tabId,
                                 windowId: result.metadata.windowId
                             });
-                            if (!response?.success) {
+                            if (!response.success) {
                                 throw new Error('Failed to switch tab');
                             }
                         }
@@ -132,11 +192,8 @@ export class SearchEngine {
                                 }
                             }
                         } else {
-                            const response = await chrome.runtime.sendMessage({
-                                action: 'navigateCurrentTab',
-                                url: result.url
-                            });
-                            if (!response?.success) {
+                            const response = await MessageRouter.send(MessageType.NAVIGATE_CURRENT_TAB, { url: result.url });
+                            if (!response.success) {
                                 throw new Error('Failed to navigate current tab');
                             }
                         }
@@ -150,7 +207,6 @@ export class SearchEngine {
                     }
 
                     const pinnedTabMessage = {
-                        action: 'activatePinnedTab',
                         spaceId: result.metadata.spaceId,
                         spaceName: result.metadata.spaceName,
                         bookmarkUrl: result.url,
@@ -161,13 +217,13 @@ export class SearchEngine {
                     // Send message to sidebar to handle pinned tab activation
                     if (this.isBackgroundContext) {
                         // Send message to sidebar via runtime messaging
-                        chrome.runtime.sendMessage(pinnedTabMessage);
+                        MessageRouter.send(MessageType.ACTIVATE_PINNED_TAB, pinnedTabMessage);
                         Logger.log('[SearchEngine] Message sent from background context');
                     } else {
                         // From content script, send message to background which will forward to sidebar
-                        const response = await chrome.runtime.sendMessage(pinnedTabMessage);
+                        const response = await MessageRouter.send(MessageType.ACTIVATE_PINNED_TAB, pinnedTabMessage);
                         Logger.log('[SearchEngine] Message sent from content script, response:', response);
-                        if (!response?.success) {
+                        if (!response.success) {
                             throw new Error('Failed to activate pinned tab');
                         }
                     }
@@ -178,6 +234,12 @@ export class SearchEngine {
                 case ResultType.BOOKMARK:
                 case ResultType.HISTORY:
                 case ResultType.TOP_SITE:
+                    // Suggestions from a custom suggest URL or from history have no results page of their own
+                    if (result.type === ResultType.AUTOCOMPLETE_SUGGESTION && !result.url && result.metadata?.query) {
+                        await this.performSearch(result.metadata.query, mode);
+                        break;
+                    }
+
                     if (!result.url) {
                         throw new Error(`${result.type} result missing URL`);
                     }
@@ -186,11 +248,8 @@ export class SearchEngine {
                         if (this.isBackgroundContext) {
                             await chrome.tabs.create({ url: result.url });
                         } else {
-                            const response = await chrome.runtime.sendMessage({
-                                action: 'openNewTab',
-                                url: result.url
-                            });
-                            if (!response?.success) {
+                            const response = await MessageRouter.send(MessageType.OPEN_NEW_TAB, { url: result.url });
+                            if (!response.success) {
                                 throw new Error('Failed to open new tab');
                             }
                         }
@@ -209,11 +268,8 @@ export class SearchEngine {
                                 }
                             }
                         } else {
-                            const response = await chrome.runtime.sendMessage({
-                                action: 'navigateCurrentTab',
-                                url: result.url
-                            });
-                            if (!response?.success) {
+                            const response = await MessageRouter.send(MessageType.NAVIGATE_CURRENT_TAB, { url: result.url });
+                            if (!response.success) {
                                 throw new Error('Failed to navigate current tab');
                             }
                         }
@@ -225,20 +281,43 @@ export class SearchEngine {
                         throw new Error('SEARCH_QUERY result missing query in metadata');
                     }
 
+                    await this.performSearch(result.metadata.query, mode);
+                    break;
+
+                case ResultType.ARCHIVED:
+                    // Archived tabs live in extension storage, which only the background restores from
+                    if (!this.isBackgroundContext) {
+                        throw new Error('ARCHIVED results can only be restored from the background');
+                    }
+
+                    await this.dataProvider.restoreArchivedTab({ url: result.url, spaceId: result.metadata?.spaceId });
+                    break;
+
+                case ResultType.RECENTLY_CLOSED:
+                    // Sessions can only be restored through the background's sessions API
+                    if (!this.isBackgroundContext) {
+                        throw new Error('RECENTLY_CLOSED results can only be restored from the background');
+                    }
+
+                    await this.dataProvider.restoreRecentlyClosedTab({
+                        sessionId: result.metadata?.sessionId,
+                        groupId: result.metadata?.groupId
+                    });
+                    break;
+
+                case ResultType.COMMAND:
+                    if (!result.metadata?.command) {
+                        throw new Error('COMMAND result missing command in metadata');
+                    }
+
                     if (this.isBackgroundContext) {
-                        const disposition = mode === SpotlightTabMode.NEW_TAB ? 'NEW_TAB' : 'CURRENT_TAB';
-                        await chrome.search.query({
-                            text: result.metadata.query,
-                            disposition: disposition
-                        });
+                        await this.dataProvider.runCommand(result.metadata.command);
                     } else {
-                        const response = await chrome.runtime.sendMessage({
-                            action: 'performSearch',
-                            query: result.metadata.query,
-                            mode: mode
+                        const response = await MessageRouter.send(MessageType.RUN_SPOTLIGHT_COMMAND, {
+                            command: result.metadata.command
                         });
-                        if (!response?.success) {
-                            throw new Error('Failed to perform search');
+                        if (!response.success) {
+                            throw new Error('Failed to run command');
                         }
                     }
                     break;
@@ -246,9 +325,62 @@ export class SearchEngine {
                 default:
                     throw new Error(`Unknown result type: ${result.type}`);
             }
+
+            if (this.isBackgroundContext && query) {
+                try {
+                    await this.dataProvider.recordSelection(query, result);
+                } catch (error) {
+                    Logger.error('[SearchEngine] Error recording selection:', error);
+                }
+            }
         } catch (error) {
             Logger.error('[SearchEngine] Error handling result action:', error);
             throw error; // Re-throw to propagate to background script
         }
     }
+
+    // Every secondary action of a result, including the focused window's spaces, for the action menu
+    async getResultActions(result, mode) {
+        let context = null;
+        try {
+            context = await this.dataProvider.getCommandContextData();
+        } catch (error) {
+            Logger.error('[SearchEngine] Error getting spaces for result actions:', error);
+        }
+        return SpotlightResultActions.getActions(result, mode, context);
+    }
+
+    // Secondary action on a result (see result-actions.js); opening the other way goes through handleResultAction
+    async handleSecondaryAction(result, action, mode, currentTabId = null, query = '') {
+        try {
+            if (action.id === ResultActionId.OPEN_ALTERNATE) {
+                await this.handleResultAction(result, SpotlightResultActions.getAlternateMode(mode), currentTabId, query);
+            } else {
+                await this.dataProvider.runResultAction(result, action);
+            }
+            this.cache.clear();
+        } catch (error) {
+            Logger.error('[SearchEngine] Error handling secondary action:', error);
+            throw error; // Re-throw to propagate to background script
+        }
+    }
+
+    // Search with the user's default search engine
+    async performSearch(query, mode) {
+        if (this.isBackgroundContext) {
+            const disposition = mode === SpotlightTabMode.NEW_TAB ? 'NEW_TAB' : 'CURRENT_TAB';
+            await chrome.search.query({
+                text: query,
+                disposition: disposition
+            });
+        } else {
+            const response = await MessageRouter.send(MessageType.PERFORM_SEARCH, {
+                query: query,
+                mode: mode
+            });
+            if (!response.success) {
+                throw new Error('Failed to perform search');
+            }
+        }
+    }
 }
\ No newline at end of file
@@ -9,7 +9,9 @@
  * - Central definition of all search result types (URL, search, tabs, bookmarks, etc.)
  * - SearchResult class handles URL normalization and domain extraction automatically
  * - Used by all data providers for consistent result structure
- * - Supports metadata for result-specific data (tab IDs, queries, etc.)
+ * - Supports metadata for result-specific data (tab IDs, queries, commands, etc.)
+ * - Search scopes name the prefixes ("t:", "s:work") that narrow a query to one source
+ * - Also names the suggestion stream port and its messages, shared by the background and both UIs
  */
 
 // Result type constants
@@ -21,7 +23,32 @@ export const ResultType = {
     PINNED_TAB: 'pinned-tab',
     BOOKMARK: 'bookmark',
     HISTORY: 'history',
-    TOP_SITE: 'top-site'
+    TOP_SITE: 'top-site',
+    ARCHIVED: 'archived',  // Tab archived by BarCat, restored on choice
+    RECENTLY_CLOSED: 'recently-closed',  // Tab from chrome.sessions, restored on choice
+    INSTANT_ANSWER: 'instant-answer',  // Calculator or conversion result, copied on choice
+    COMMAND: 'command'  // BarCat action from command mode (">" queries)
+};
+
+// Sources a query can be narrowed to with a prefix ("t:gmail", "s:work jira")
+export const SearchScope = {
+    TABS: 'tabs',
+    PINNED: 'pinned',
+    BOOKMARKS: 'bookmarks',
+    HISTORY: 'history',
+    ARCHIVED: 'archived',
+    RECENTLY_CLOSED: 'recently-closed',
+    SPACE: 'space'  // Open and pinned tabs of the spaces whose name starts with the word after "s:"
+};
+
+export const SEARCH_SCOPE_PREFIXES = {
+    t: SearchScope.TABS,
+    p: SearchScope.PINNED,
+    b: SearchScope.BOOKMARKS,
+    h: SearchScope.HISTORY,
+    a: SearchScope.ARCHIVED,
+    c: SearchScope.RECENTLY_CLOSED,
+    s: SearchScope.SPACE
 };
 
 // Spotlight tab mode constants
@@ -30,6 +57,14 @@ export const SpotlightTabMode = {
     NEW_TAB: 'new-tab'
 };
 
+// Port the Spotlight UIs stream suggestions over; each query supersedes the one before it on the same port
+export const SPOTLIGHT_SUGGESTIONS_PORT = 'spotlight-suggestions';
+
+export const SuggestionStreamMessage = {
+    QUERY: 'query',     // UI -> background { requestId, query, mode }
+    RESULTS: 'results'  // background -> UI { requestId, results, done } partial sets until done
+};
+
 // Search Result class
 export class SearchResult {
     constructor({
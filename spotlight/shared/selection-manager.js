@@ -1,6 +1,8 @@
 // selection-manager.js - Shared selection management for spotlight components
 // Consolidates identical SelectionManager implementations from overlay.js and popup.js
 
+import { SpotlightUtils } from './ui-utilities.js';
+
 export class SelectionManager {
     constructor(container) {
         this.container = container;
@@ -8,9 +10,13 @@ export class SelectionManager {
         this.results = [];
     }
 
-    updateResults(newResults) {
+    // preserveSelection keeps the selected result selected wherever it moved to (streamed updates)
+    updateResults(newResults, preserveSelection = false) {
+        const previous = preserveSelection ? this.getSelectedResult() : null;
         this.results = newResults;
-        this.selectedIndex = 0;
+        this.selectedIndex = previous
+            ? Math.max(0, newResults.findIndex(result => SpotlightUtils.areResultsDuplicate(result, previous)))
+            : 0;
         this.updateVisualSelection();
     }
 
@@ -57,7 +63,8 @@ export class SelectionManager {
 
     // Enhanced keyboard navigation (can be extended with more features)
     handleKeyDown(event, skipContainerCheck = false) {
-        if (!skipContainerCheck && !this.container.contains(document.activeElement)) {
+        // The container's root node, so focus inside the overlay's shadow root counts too
+        if (!skipContainerCheck && !this.container.contains(this.container.getRootNode().activeElement)) {
             return false; // Not handling this event
         }
 
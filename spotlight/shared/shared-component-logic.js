@@ -10,9 +10,23 @@
  * - Uses dependency injection pattern to avoid tight coupling to specific implementations
  * - Memory optimized using the SearchResult object pool for temporary objects
  * - Compatible with both ES6 modules (popup) and bundled IIFE (overlay)
+ * - Secondary actions: the selected row shows their shortcut hints, → opens a menu of all of them
+ * - Scope prefixes ("t:", "s:work") are parsed here for both the UIs (chips) and the data provider (routing)
  */
 
 import { SpotlightUtils } from './ui-utilities.js';
+import { SearchScope, SEARCH_SCOPE_PREFIXES } from './search-types.js';
+import { SpotlightResultActions } from './result-actions.js';
+import { SearchKeywords } from '../../search-keywords.js';
+
+const SCOPE_LABELS = {
+    [SearchScope.TABS]: 'Tabs',
+    [SearchScope.PINNED]: 'Pinned',
+    [SearchScope.BOOKMARKS]: 'Bookmarks',
+    [SearchScope.HISTORY]: 'History',
+    [SearchScope.ARCHIVED]: 'Archived',
+    [SearchScope.RECENTLY_CLOSED]: 'Recently closed'
+};
 
 export class SharedSpotlightLogic {
 
@@ -41,6 +55,25 @@ export class SharedSpotlightLogic {
         return combined;
     }
 
+    /**
+     * Merge a streamed partial result set into what is on screen without moving the selection: results down to
+     * and including the selected one keep their places, everything else follows in the new ranking
+     * @param {Array} shownResults - Async results currently displayed
+     * @param {Array} incomingResults - Latest ranked set for the same query
+     * @param {Object} selectedResult - Currently selected result (may be null or the instant suggestion)
+     * @returns {Array} Merged results
+     */
+    static mergeStreamedResults(shownResults, incomingResults, selectedResult) {
+        const selectedIndex = shownResults.findIndex(result => SpotlightUtils.areResultsDuplicate(result, selectedResult));
+        if (selectedIndex === -1) {
+            return incomingResults;
+        }
+
+        const kept = shownResults.slice(0, selectedIndex + 1);
+        const rest = incomingResults.filter(result => !kept.some(shown => SpotlightUtils.areResultsDuplicate(shown, result)));
+        return [...kept, ...rest].slice(0, Math.max(incomingResults.length, kept.length));
+    }
+
     /**
      * Generate HTML for results list
      * @param {Array} results - Array of search results to render
@@ -49,7 +82,7 @@ export class SharedSpotlightLogic {
      */
     static generateResultsHTML(results, mode) {
         if (!results || results.length === 0) {
-            return '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history</div>';
+            return '<div class="arcify-spotlight-empty">Start typing to search tabs, bookmarks, and history, or &gt; for commands</div>';
         }
 
         return results.map((result, index) => {
@@ -64,8 +97,9 @@ export class SharedSpotlightLogic {
                          alt="favicon"
                          data-fallback-icon="true">
                     <div class="arcify-spotlight-result-content">
-                        <div class="arcify-spotlight-result-title">${SpotlightUtils.escapeHtml(formatted.title)}</div>
-                        <div class="arcify-spotlight-result-url">${SpotlightUtils.escapeHtml(formatted.subtitle)}${SpotlightUtils.formatDebugInfo(result)}</div>
+                        <div class="arcify-spotlight-result-title">${SpotlightUtils.highlightMatches(formatted.title, formatted.titleRanges)}</div>
+                        <div class="arcify-spotlight-result-url">${SharedSpotlightLogic.generateSpaceBadgeHTML(formatted.space)}${SpotlightUtils.escapeHtml(formatted.subtitle)}${SpotlightUtils.formatDebugInfo(result)}</div>
+                        <div class="arcify-spotlight-result-hints">${SpotlightUtils.escapeHtml(SpotlightResultActions.getHints(result, mode))}</div>
                     </div>
                     <div class="arcify-spotlight-result-action">${SpotlightUtils.escapeHtml(formatted.action)}</div>
                 </button>
@@ -73,6 +107,16 @@ export class SharedSpotlightLogic {
         }).join('');
     }
 
+    /**
+     * Generate the space name and color dot shown before a tab result's domain
+     * @param {Object|null} space - { name, color } from SpotlightUtils.formatResult
+     * @returns {string} HTML string, empty for results outside a space
+     */
+    static generateSpaceBadgeHTML(space) {
+        if (!space) return '';
+        return `<span class="arcify-spotlight-result-space"><span class="arcify-spotlight-space-dot" data-color="${SpotlightUtils.escapeHtml(space.color)}"></span>${SpotlightUtils.escapeHtml(space.name)}</span>`;
+    }
+
     /**
      * Update results display with incremental DOM updates
      * @param {HTMLElement} resultsContainer - The results container element
@@ -152,6 +196,252 @@ export class SharedSpotlightLogic {
     }
 
 
+    /**
+     * Tab-to-scope for search keywords, like the Chrome omnibox: Tab on "gh" (or "gh react") shows a
+     * "Search GitHub" chip and sends what is typed next to that site; Backspace at the start leaves the scope
+     * @param {HTMLInputElement} input - Spotlight input
+     * @param {HTMLElement} chip - Element showing the scoped site, hidden while unscoped
+     * @param {Function} getKeywords - Returns the current search keyword entries
+     * @param {Function} onScopeChange - Called with the scoped entry (or null) after the input was updated
+     * @returns {Function} Keydown handler; register it before the navigation handler
+     */
+    static createKeywordScopeHandler(input, chip, getKeywords, onScopeChange) {
+        let scopedKeyword = null;
+
+        const setScope = (entry, text) => {
+            scopedKeyword = entry;
+            chip.textContent = entry ? `Search ${entry.name}` : '';
+            chip.hidden = !entry;
+            input.value = text;
+            input.setSelectionRange(text.length, text.length);
+            onScopeChange(entry);
+        };
+
+        return (e) => {
+            if (e.key === 'Tab' && !e.shiftKey && !scopedKeyword) {
+                const keywords = getKeywords();
+                const match = SearchKeywords.parseQuery(input.value, keywords);
+                const entry = match?.entry || SearchKeywords.findKeyword(input.value, keywords);
+                if (!entry) return; // Not a keyword: Tab keeps its usual meaning
+
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                setScope(entry, match?.terms || '');
+            } else if (e.key === 'Backspace' && scopedKeyword && input.selectionStart === 0 && input.selectionEnd === 0) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                const keyword = scopedKeyword.keyword;
+                setScope(null, input.value ? `${keyword} ${input.value}` : keyword);
+            }
+        };
+    }
+
+    /**
+     * Generate HTML for the action menu of one result
+     * @param {Object} result - Result the actions apply to
+     * @param {Array} actions - Actions from SpotlightResultActions.getActions
+     * @returns {string} HTML string for the menu
+     */
+    static generateActionMenuHTML(result, actions) {
+        const header = `<div class="arcify-spotlight-action-header">← ${SpotlightUtils.escapeHtml(result.title)}</div>`;
+        return header + actions.map((action, index) => `
+                <button class="arcify-spotlight-result-item arcify-spotlight-action-item ${index === 0 ? 'selected' : ''}"
+                        data-action-index="${index}">
+                    <div class="arcify-spotlight-result-content">
+                        <div class="arcify-spotlight-result-title">${SpotlightUtils.escapeHtml(action.label)}</div>
+                    </div>
+                    <div class="arcify-spotlight-result-action">${SpotlightUtils.escapeHtml(action.hint || '')}</div>
+                </button>
+            `).join('');
+    }
+
+    /**
+     * Secondary actions on the selected result: their shortcuts run one directly; → with the caret at the end of
+     * the input opens a menu of every action, navigated like the results (← or Escape goes back, typing closes it)
+     * @param {Object} options
+     * @param {HTMLInputElement} options.input - Spotlight input
+     * @param {HTMLElement} options.resultsContainer - Results container, which the menu temporarily replaces
+     * @param {Object} options.selectionManager - SelectionManager of the results
+     * @param {Function} options.getMode - Returns the Spotlight mode
+     * @param {Function} options.loadActions - Resolves to every action of a result, space actions included
+     * @param {Function} options.onAction - Runs (result, action)
+     * @param {Function} options.onMenuClose - Redraws the results, keeping the selection
+     * @returns {Object} { handleKeyDown, isMenuOpen, closeMenu }; register handleKeyDown before the navigation handler
+     */
+    static createResultActionHandler({ input, resultsContainer, selectionManager, getMode, loadActions, onAction, onMenuClose }) {
+        let menu = null; // { result, actions, savedResults, savedIndex } while open
+        let menuRequest = 0;
+
+        const closeMenu = () => {
+            if (!menu) return;
+            selectionManager.results = menu.savedResults;
+            selectionManager.selectedIndex = menu.savedIndex;
+            menu = null;
+            onMenuClose();
+        };
+
+        const runAction = (action) => {
+            const { result } = menu;
+            closeMenu();
+            onAction(result, action);
+        };
+
+        const openMenu = async (result) => {
+            const request = ++menuRequest;
+            const actions = await loadActions(result);
+            if (request !== menuRequest || menu || !actions.length) return;
+
+            menu = {
+                result,
+                actions,
+                savedResults: selectionManager.results,
+                savedIndex: selectionManager.selectedIndex
+            };
+            resultsContainer.innerHTML = SharedSpotlightLogic.generateActionMenuHTML(result, actions);
+            selectionManager.updateResults(actions);
+        };
+
+        // Capture phase, so menu clicks never reach the result click handler
+        resultsContainer.addEventListener('click', (e) => {
+            const item = e.target.closest('.arcify-spotlight-action-item');
+            if (!item || !menu) return;
+            e.stopPropagation();
+            const action = menu.actions[parseInt(item.dataset.actionIndex)];
+            if (action) runAction(action);
+        }, true);
+
+        const handleKeyDown = (e) => {
+            if (menu) {
+                switch (e.key) {
+                    case 'Enter': {
+                        e.preventDefault();
+                        e.stopImmediatePropagation();
+                        const action = selectionManager.getSelectedResult();
+                        if (action) runAction(action);
+                        return;
+                    }
+                    case 'ArrowLeft':
+                    case 'Escape':
+                        e.preventDefault();
+                        e.stopImmediatePropagation();
+                        closeMenu();
+                        return;
+                    case 'ArrowUp':
+                    case 'ArrowDown':
+                    case 'Home':
+                    case 'End':
+                    case 'Shift':
+                    case 'Control':
+                    case 'Meta':
+                    case 'Alt':
+                        return; // Navigation moves through the actions
+                    default:
+                        closeMenu(); // Anything else edits the query again
+                        return;
+                }
+            }
+
+            const result = selectionManager.getSelectedResult();
+            if (!result) return;
+
+            const atEnd = input.selectionStart === input.value.length && input.selectionEnd === input.value.length;
+            if (e.key === 'ArrowRight' && atEnd && !e.shiftKey) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                openMenu(result);
+                return;
+            }
+
+            const action = SpotlightResultActions.getShortcutAction(result, getMode(), e);
+            if (action) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                onAction(result, action);
+            }
+        };
+
+        return {
+            handleKeyDown,
+            isMenuOpen: () => menu !== null,
+            closeMenu
+        };
+    }
+
+    /**
+     * Parse a scope prefix that narrows the query to one source: "t:" tabs, "p:" pinned, "b:" bookmarks,
+     * "h:" history, "a:" archived, "s:name" one space ("s:work jira")
+     * @param {string} query - Query as typed
+     * @returns {Object|null} { scope, prefix, spaceName, terms }, or null when the query has no scope prefix
+     */
+    static parseScopedQuery(query) {
+        const match = /^([a-z]):(\S*)\s*(.*)$/i.exec((query || '').trim());
+        const scope = match && SEARCH_SCOPE_PREFIXES[match[1].toLowerCase()];
+        if (!scope) return null;
+
+        const letter = match[1].toLowerCase();
+        if (scope === SearchScope.SPACE) {
+            if (!match[2]) return null;
+            return { scope, prefix: `${letter}:${match[2]}`, spaceName: match[2], terms: match[3] };
+        }
+        return { scope, prefix: `${letter}:`, spaceName: null, terms: `${match[2]} ${match[3]}`.trim() };
+    }
+
+    /**
+     * Chip label for a parsed scope
+     * @param {Object} scoped - Result of parseScopedQuery
+     * @returns {string} Label such as "Tabs" or "Space: work"
+     */
+    static getScopeLabel(scoped) {
+        return scoped.scope === SearchScope.SPACE ? `Space: ${scoped.spaceName}` : SCOPE_LABELS[scoped.scope];
+    }
+
+    /**
+     * Scope prefixes as a filter chip: typing "t:" (or "s:work " - a space name ends at the space) moves the
+     * prefix out of the input into a chip; clicking the chip, or Backspace at the start, removes the filter
+     * @param {HTMLInputElement} input - Spotlight input
+     * @param {HTMLElement} chip - Button showing the scope, hidden while unscoped
+     * @param {Function} onScopeChange - Called with the parsed scope (or null) after the input was updated
+     * @returns {Object} { handleInput, handleKeyDown }; register both before the other input and keydown handlers
+     */
+    static createSourceScopeHandler(input, chip, onScopeChange) {
+        let scoped = null;
+
+        const setScope = (parsed, text) => {
+            scoped = parsed;
+            chip.innerHTML = parsed
+                ? `${SpotlightUtils.escapeHtml(SharedSpotlightLogic.getScopeLabel(parsed))}<span class="arcify-spotlight-scope-chip-remove" aria-hidden="true">×</span>`
+                : '';
+            chip.title = parsed ? `Remove filter (${parsed.prefix})` : '';
+            chip.hidden = !parsed;
+            input.value = text;
+            input.setSelectionRange(text.length, text.length);
+            onScopeChange(parsed);
+        };
+
+        chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            setScope(null, input.value);
+            input.focus();
+        });
+
+        return {
+            handleInput: (e) => {
+                if (scoped) return;
+                const parsed = SharedSpotlightLogic.parseScopedQuery(input.value);
+                if (!parsed || (parsed.scope === SearchScope.SPACE && !/^\s*s:\S+\s/i.test(input.value))) return;
+
+                e.stopImmediatePropagation();
+                setScope(parsed, parsed.terms);
+            },
+            handleKeyDown: (e) => {
+                if (e.key !== 'Backspace' || !scoped || input.selectionStart !== 0 || input.selectionEnd !== 0) return;
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                setScope(null, input.value);
+            }
+        };
+    }
+
     /**
      * Handle input events with debouncing
      * @param {Function} onInstantUpdate - Handler for instant suggestions (no debounce)
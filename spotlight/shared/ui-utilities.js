@@ -2,22 +2,38 @@
  * UI Utilities - Shared spotlight UI functions and formatting
  * 
  * Purpose: Provides consistent UI utilities, result formatting, and display helpers for spotlight components
- * Key Functions: URL detection/normalization, instant suggestions, result formatting, favicon handling, accent colors
+ * Key Functions: URL detection/normalization, instant suggestions (including search keywords and instant answers), result formatting,
+ *                favicon handling, accent colors
  * Architecture: Static utility class with pure functions for UI operations
  * 
  * Critical Notes:
  * - Consolidates duplicate code from overlay.js, popup.js, and data providers
  * - Handles complex URL detection including chrome:// protocols and localhost
- * - Provides dynamic accent color CSS generation matching active space colors
+ * - Provides dynamic accent color CSS generation matching active space colors, and the space color dots on tab results
  * - Central location for all spotlight display logic and formatting
  */
 
 import { ResultType, SpotlightTabMode } from './search-types.js';
+import { SpotlightCommands } from './commands.js';
+import { SearchKeywords } from '../../search-keywords.js';
 import { websiteNameExtractor } from './website-name-extractor.js';
+import { InstantAnswers } from './instant-answers.js';
 import { BASE_SCORES } from './scoring-constants.js';
 import { Utils } from '../../utils.js';
 import { Logger } from '../../logger.js';
 
+// Default RGB values for each color name (matching --chrome-*-color variables in styles.css)
+const SPACE_COLOR_RGB = {
+    grey: '204, 204, 204',
+    blue: '139, 179, 243',
+    red: '255, 158, 151',
+    yellow: '255, 226, 159',
+    green: '139, 218, 153',
+    pink: '251, 170, 215',
+    purple: '214, 166, 255',
+    cyan: '165, 226, 234'
+};
+
 export class SpotlightUtils {
     // Helper to properly prefix URLs with protocol
     static normalizeURL(url) {
@@ -68,12 +84,37 @@ export class SpotlightUtils {
     }
 
     // Generate instant suggestion based on current input (consolidated from overlay.js and popup.js)
-    static generateInstantSuggestion(query) {
+    // keywords: search keyword entries; scopedKeyword: the entry Spotlight is scoped to with Tab, if any
+    static generateInstantSuggestion(query, keywords = [], scopedKeyword = null) {
         const trimmedQuery = query.trim();
 
-        if (!trimmedQuery) {
+        if (scopedKeyword) {
+            return trimmedQuery ? SpotlightUtils.generateKeywordSuggestion(scopedKeyword, trimmedQuery) : null;
+        }
+        // Command mode lists commands only; a search or URL suggestion would always outrank them
+        if (!trimmedQuery || SpotlightCommands.isCommandQuery(trimmedQuery)) {
             return null;
         }
+
+        const keywordMatch = SearchKeywords.parseQuery(trimmedQuery, keywords);
+        if (keywordMatch) {
+            return SpotlightUtils.generateKeywordSuggestion(keywordMatch.entry, keywordMatch.terms);
+        }
+
+        // Math and conversions are answered in place; Enter copies the value
+        const answer = InstantAnswers.answer(trimmedQuery);
+        if (answer) {
+            return {
+                type: ResultType.INSTANT_ANSWER,
+                title: answer.title,
+                url: '',
+                score: BASE_SCORES.INSTANT_ANSWER,
+                metadata: { value: answer.value, description: answer.subtitle },
+                domain: '',
+                favicon: null
+            };
+        }
+
         if (SpotlightUtils.isURL(trimmedQuery)) {
             // Create URL suggestion
             const url = SpotlightUtils.normalizeURL(trimmedQuery);
@@ -101,13 +142,60 @@ export class SpotlightUtils {
         }
     }
 
-    // Escape HTML utility (consolidated from overlay.js and popup.js)
+    // "Search GitHub for …": a URL suggestion straight to the keyword's site search
+    static generateKeywordSuggestion(entry, terms) {
+        return {
+            type: ResultType.URL_SUGGESTION,
+            title: `Search ${entry.name} for "${terms}"`,
+            url: SearchKeywords.buildSearchUrl(entry, terms),
+            score: BASE_SCORES.INSTANT_URL_SUGGESTION,
+            metadata: { keyword: entry.keyword, query: terms },
+            domain: '',
+            favicon: null
+        };
+    }
+
+        // Escape HTML utility (consolidated from overlay.js and popup.js)
     static escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    // Escape text for HTML, wrapping the [start, end) ranges matched by the fuzzy matcher in <mark>
+    static highlightMatches(text, ranges = []) {
+        if (!ranges.length) return SpotlightUtils.escapeHtml(text);
+
+        let html = '';
+        let position = 0;
+        for (const [start, end] of ranges) {
+            if (start < position || end > text.length) continue;
+            html += SpotlightUtils.escapeHtml(text.slice(position, start));
+            html += `<mark class="arcify-spotlight-match">${SpotlightUtils.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        }
+        return html + SpotlightUtils.escapeHtml(text.slice(position));
+    }
+
+    // Copy text from the UI (needs the keypress or click as user gesture); pages that block the clipboard API
+    // (insecure origins, permissions policy) fall back to a selected textarea, placed in container so it
+    // stays focusable next to a modal dialog (the rest of the page is inert then)
+    static async copyText(text, container = document.body) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            Logger.warn('[SpotlightUtils] Clipboard API failed, using fallback copy:', error);
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            container.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            textarea.remove();
+        }
+    }
+
     // Extract website name from URL for better display
     static extractWebsiteName(url) {
         try {
@@ -154,6 +242,14 @@ export class SpotlightUtils {
             return `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"></circle><path d="m21 21-4.35-4.35"></path></svg>')}`;
         }
 
+        if (result.type === ResultType.INSTANT_ANSWER) {
+            return `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><rect x="4" y="2" width="16" height="20" rx="2"></rect><line x1="8" y1="6" x2="16" y2="6"></line><path d="M8 11h.01M12 11h.01M16 11h.01M8 15h.01M12 15h.01M16 15h.01M8 18h.01M12 18h.01M16 18h.01"></path></svg>')}`;
+        }
+
+        if (result.type === ResultType.COMMAND) {
+            return `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 17 10 11 4 5"></polyline><line x1="12" y1="19" x2="20" y2="19"></line></svg>')}`;
+        }
+
         if (result.url) {
             try {
                 return Utils.getFaviconUrl(result.url, "64");
@@ -185,21 +281,27 @@ export class SpotlightUtils {
             },
             [ResultType.OPEN_TAB]: {
                 title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
                 subtitle: result.domain,
+                space: this.getResultSpace(result),
                 action: mode === SpotlightTabMode.NEW_TAB ? 'Switch to Tab' : '↵'
             },
             [ResultType.PINNED_TAB]: {
                 title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
                 subtitle: result.domain,
+                space: this.getResultSpace(result),
                 action: result.metadata?.isActive ? 'Switch to Tab' : 'Open Pinned Tab'
             },
             [ResultType.BOOKMARK]: {
                 title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
                 subtitle: result.domain,
                 action: '↵'
             },
             [ResultType.HISTORY]: {
                 title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
                 subtitle: result.domain,
                 action: '↵'
             },
@@ -207,6 +309,30 @@ export class SpotlightUtils {
                 title: result.title,
                 subtitle: result.domain,
                 action: '↵'
+            },
+            [ResultType.ARCHIVED]: {
+                title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
+                subtitle: result.domain,
+                space: this.getResultSpace(result),
+                action: 'Restore'
+            },
+            [ResultType.RECENTLY_CLOSED]: {
+                title: result.title,
+                titleRanges: result.metadata?.titleMatchRanges || [],
+                subtitle: result.domain,
+                space: this.getResultSpace(result),
+                action: 'Reopen'
+            },
+            [ResultType.COMMAND]: {
+                title: result.title,
+                subtitle: result.metadata?.description || '',
+                action: result.metadata?.completion ? 'Name…' : '↵'
+            },
+            [ResultType.INSTANT_ANSWER]: {
+                title: result.title,
+                subtitle: result.metadata?.description || '',
+                action: 'Copy'
             }
         };
 
@@ -219,6 +345,12 @@ export class SpotlightUtils {
         };
     }
 
+    // Space a tab result belongs (or belonged) to ({ name, color }), or null for tabs outside BarCat's spaces
+    static getResultSpace(result) {
+        if (!result.metadata?.spaceName) return null;
+        return { name: result.metadata.spaceName, color: result.metadata.spaceColor || 'grey' };
+    }
+
     // Helper function to convert hex color to RGB string
     static hexToRgb(hex) {
         const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -228,33 +360,8 @@ export class SpotlightUtils {
 
     // Generate accent color CSS based on active space color (from overlay.js)
     static async getAccentColorCSS(spaceColor) {
-        // Default RGB values for each color name (matching --chrome-*-color variables in styles.css)
-        const defaultColorMap = {
-            grey: '204, 204, 204',
-            blue: '139, 179, 243',
-            red: '255, 158, 151',
-            yellow: '255, 226, 159',
-            green: '139, 218, 153',
-            pink: '251, 170, 215',
-            purple: '214, 166, 255',
-            cyan: '165, 226, 234'
-        };
-
-        let rgb = defaultColorMap[spaceColor] || defaultColorMap.purple;
-
-        // Try to get overridden color from settings
-        try {
-            const settings = await chrome.storage.sync.get(['colorOverrides']);
-            if (settings.colorOverrides && settings.colorOverrides[spaceColor]) {
-                const hexColor = settings.colorOverrides[spaceColor];
-                const rgbValue = this.hexToRgb(hexColor);
-                if (rgbValue) {
-                    rgb = rgbValue;
-                }
-            }
-        } catch (error) {
-            Logger.error('Error getting color overrides:', error);
-        }
+        const colorOverrides = await this.getColorOverrides();
+        const rgb = this.getSpaceColorRGB(spaceColor, colorOverrides) || SPACE_COLOR_RGB.purple;
 
         return `
             :root {
@@ -266,6 +373,32 @@ export class SpotlightUtils {
         `;
     }
 
+    // Colors of the space dots on tab results (see formatResult), one rule per color name
+    static async getSpaceColorCSS() {
+        const colorOverrides = await this.getColorOverrides();
+        return Object.keys(SPACE_COLOR_RGB).map(color => `
+            .arcify-spotlight-space-dot[data-color="${color}"] {
+                background: rgb(${this.getSpaceColorRGB(color, colorOverrides)});
+            }
+        `).join('');
+    }
+
+    // RGB string of a space color name, honoring the user's color overrides; null for unknown names
+    static getSpaceColorRGB(spaceColor, colorOverrides = {}) {
+        const override = colorOverrides[spaceColor] && this.hexToRgb(colorOverrides[spaceColor]);
+        return override || SPACE_COLOR_RGB[spaceColor] || null;
+    }
+
+    static async getColorOverrides() {
+        try {
+            const settings = await chrome.storage.sync.get(['colorOverrides']);
+            return settings.colorOverrides || {};
+        } catch (error) {
+            Logger.error('Error getting color overrides:', error);
+            return {};
+        }
+    }
+
     // Check if two results are duplicates based on URL (for deduplication)
     static areResultsDuplicate(result1, result2) {
         if (!result1 || !result2) return false;
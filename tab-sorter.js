@@ -0,0 +1,105 @@
+/**
+ * TabSorter - One-shot orderings and domain clusters for a space's temporary tabs
+ *
+ * Purpose: Computes the new order of temporary tabs for the sort commands and the clusters of the "group by domain" view
+ * Key Functions: Sort by domain, title, last activity or opener; domain of a URL; clustering by domain
+ * Architecture: Pure helpers over Chrome tab objects, shared by the sidebar and the background space store
+ *
+ * Critical Notes:
+ * - Sorts work in display order (top to bottom in the sidebar) and return Chrome order (left to right, like
+ *   space.temporaryTabs), so "most recent first" stays at the top whether or not the tab order is inverted
+ * - Sorts are stable: tabs that compare equal keep their current relative order
+ * - Last activity comes from the background's tabLastActivity timestamps, falling back to Chrome's lastAccessed
+ */
+
+export const TabSortKey = {
+    DOMAIN: 'domain',
+    TITLE: 'title',
+    LAST_ACTIVE: 'last-active',
+    OPENER: 'opener'
+};
+
+export const TAB_SORT_LABELS = {
+    [TabSortKey.DOMAIN]: 'Domain',
+    [TabSortKey.TITLE]: 'Title',
+    [TabSortKey.LAST_ACTIVE]: 'Last Active',
+    [TabSortKey.OPENER]: 'Opener'
+};
+
+const TabSorter = {
+    // Hostname without "www.", or '' for URLs without one
+    getDomain: function (url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    },
+
+    // tabs: Chrome tab objects in Chrome order; lastActivity: { [tabId]: timestamp }. Returns tab ids in Chrome order.
+    sortTemporaryTabIds: function (tabs, sortKey, { lastActivity = {}, invertTabOrder = false } = {}) {
+        const displayOrder = invertTabOrder ? [...tabs].reverse() : [...tabs];
+        const sorted = this.sortForDisplay(displayOrder, sortKey, lastActivity);
+        const ids = sorted.map(tab => tab.id);
+        return invertTabOrder ? ids.reverse() : ids;
+    },
+
+    sortForDisplay: function (tabs, sortKey, lastActivity = {}) {
+        const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+        switch (sortKey) {
+            case TabSortKey.DOMAIN:
+                return [...tabs].sort((a, b) => collator.compare(this.getDomain(a.url), this.getDomain(b.url)));
+            case TabSortKey.TITLE:
+                return [...tabs].sort((a, b) => collator.compare(a.title || a.url || '', b.title || b.url || ''));
+            case TabSortKey.LAST_ACTIVE: {
+                const activity = tab => lastActivity[tab.id] || tab.lastAccessed || 0;
+                return [...tabs].sort((a, b) => activity(b) - activity(a));
+            }
+            case TabSortKey.OPENER:
+                return this.sortByOpener(tabs);
+            default:
+                return tabs;
+        }
+    },
+
+    // Tabs opened from another tab follow it (depth first); tabs without an opener among them keep their order
+    sortByOpener: function (tabs) {
+        const ids = new Set(tabs.map(tab => tab.id));
+        const children = new Map();
+        const roots = [];
+        for (const tab of tabs) {
+            if (tab.openerTabId && tab.openerTabId !== tab.id && ids.has(tab.openerTabId)) {
+                if (!children.has(tab.openerTabId)) children.set(tab.openerTabId, []);
+                children.get(tab.openerTabId).push(tab);
+            } else {
+                roots.push(tab);
+            }
+        }
+
+        const out = [];
+        const visited = new Set();
+        const visit = (tab) => {
+            if (visited.has(tab.id)) return;
+            visited.add(tab.id);
+            out.push(tab);
+            (children.get(tab.id) || []).forEach(visit);
+        };
+        roots.forEach(visit);
+        // Opener cycles have no root; keep those tabs in their current order
+        tabs.forEach(visit);
+        return out;
+    },
+
+    // [{ domain, items }] in order of each domain's first item; getUrl reads an item's URL
+    clusterByDomain: function (items, getUrl) {
+        const clusters = new Map();
+        for (const item of items) {
+            const domain = this.getDomain(getUrl(item));
+            if (!clusters.has(domain)) clusters.set(domain, []);
+            clusters.get(domain).push(item);
+        }
+        return Array.from(clusters, ([domain, clusterItems]) => ({ domain, items: clusterItems }));
+    }
+};
+
+export { TabSorter };
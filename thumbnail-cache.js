@@ -0,0 +1,146 @@
+/**
+ * ThumbnailCache - Page thumbnails for the sidebar's hover cards, kept in IndexedDB
+ *
+ * Purpose: Keeps a small screenshot of each page as it looked when last visible, for open and archived tab hover cards
+ * Key Functions: Capturing the visible tab, downscaling, lookup by page, size-limited eviction
+ * Architecture: Static object over one IndexedDB object store; background.js captures, the sidebar reads
+ *
+ * Critical Notes:
+ * - Thumbnails are keyed by page (Utils.getPageUrlKey: query kept, hash dropped), not by tab id, so an archived
+ *   or reopened tab finds the screenshot taken while it was open
+ * - captureVisibleTab only sees the active tab of a window and Chrome rate limits it (2 calls per second);
+ *   a page is captured at most once per MIN_CAPTURE_INTERVAL_MS and failures (chrome:// pages, minimized
+ *   windows) are ignored
+ * - Thumbnails are scaled down to THUMBNAIL_WIDTH and stored as JPEG blobs; the store keeps at most
+ *   MAX_THUMBNAILS entries and MAX_TOTAL_BYTES, dropping the oldest captures first
+ */
+
+import { Utils } from './utils.js';
+import { Logger } from './logger.js';
+
+const THUMBNAIL_DB_NAME = 'barcat-thumbnails';
+const THUMBNAIL_DB_VERSION = 1;
+const THUMBNAIL_STORE = 'thumbnails';
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_QUALITY = 0.6;
+const MAX_THUMBNAILS = 300;
+const MAX_TOTAL_BYTES = 20 * 1024 * 1024;
+const MIN_CAPTURE_INTERVAL_MS = 30 * 1000;
+
+let dbPromise = null;
+const lastCaptureByKey = new Map(); // key -> timestamp, in memory only
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const ThumbnailCache = {
+    // Only web and file pages get thumbnails; other pages can't be captured
+    getKey: function (url) {
+        if (!/^(https?|file):/i.test(url || '')) return null;
+        return Utils.getPageUrlKey(url);
+    },
+
+    openDb: function () {
+        if (!dbPromise) {
+            const request = indexedDB.open(THUMBNAIL_DB_NAME, THUMBNAIL_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(THUMBNAIL_STORE, { keyPath: 'key' });
+                store.createIndex('capturedAt', 'capturedAt');
+            };
+            dbPromise = requestToPromise(request).catch(error => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    },
+
+    // { key, url, blob, size, capturedAt } for the page, or null
+    get: async function (url) {
+        const key = this.getKey(url);
+        if (!key) return null;
+        try {
+            const db = await this.openDb();
+            const record = await requestToPromise(db.transaction(THUMBNAIL_STORE).objectStore(THUMBNAIL_STORE).get(key));
+            return record || null;
+        } catch (error) {
+            Logger.warn('[Thumbnails] Failed to read thumbnail:', error);
+            return null;
+        }
+    },
+
+    put: async function (url, blob) {
+        const key = this.getKey(url);
+        if (!key) return;
+        const db = await this.openDb();
+        const tx = db.transaction(THUMBNAIL_STORE, 'readwrite');
+        tx.objectStore(THUMBNAIL_STORE).put({ key, url, blob, size: blob.size, capturedAt: Date.now() });
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        await this.prune();
+    },
+
+    // Walk captures newest first and delete everything past the count and size limits
+    prune: async function () {
+        const db = await this.openDb();
+        const tx = db.transaction(THUMBNAIL_STORE, 'readwrite');
+        const request = tx.objectStore(THUMBNAIL_STORE).index('capturedAt').openCursor(null, 'prev');
+        let count = 0;
+        let totalBytes = 0;
+        let removed = 0;
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            count++;
+            totalBytes += cursor.value.size || 0;
+            if (count > MAX_THUMBNAILS || totalBytes > MAX_TOTAL_BYTES) {
+                cursor.delete();
+                removed++;
+            }
+            cursor.continue();
+        };
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        if (removed > 0) {
+            Logger.log(`[Thumbnails] Evicted ${removed} thumbnails`);
+        }
+    },
+
+    // Screenshot the window's visible tab, if it is still this tab showing this page
+    captureTab: async function (tab) {
+        const key = this.getKey(tab.url);
+        if (!key || tab.incognito) return;
+        const lastCapture = lastCaptureByKey.get(key) || 0;
+        if (Date.now() - lastCapture < MIN_CAPTURE_INTERVAL_MS) return;
+
+        try {
+            const [visibleTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+            if (visibleTab?.id !== tab.id || visibleTab.url !== tab.url || visibleTab.status !== 'complete') return;
+
+            lastCaptureByKey.set(key, Date.now());
+            const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+            await this.put(tab.url, await this.downscale(dataUrl));
+        } catch (error) {
+            Logger.log('[Thumbnails] Could not capture tab:', tab.id, error?.message);
+        }
+    },
+
+    downscale: async function (dataUrl) {
+        const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+        const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+        const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return canvas.convertToBlob({ type: 'image/jpeg', quality: THUMBNAIL_QUALITY });
+    }
+};
+
+export { ThumbnailCache };
@@ -13,10 +13,13 @@
  */
 
 import { BookmarkUtils } from './bookmark-utils.js';
+import { LocalStorage } from './localstorage.js';
+import { MessageRouter, MessageType } from './message-router.js';
 import { Logger } from './logger.js';
 
 const MAX_ARCHIVED_TABS = 100;
 const ARCHIVED_TABS_KEY = 'archivedTabs';
+const TAB_ACTIVITY_STORAGE_KEY = 'tabLastActivity'; // Written by background.js when tabs are activated
 
 const Utils = {
 
@@ -80,11 +83,17 @@ const Utils = {
             defaultSpaceName: 'Home',
             autoArchiveEnabled: false, // Default: disabled
             autoArchiveIdleMinutes: 360, // Default: 30 minutes
+            memorySaverEnabled: false, // Default: disabled (discards tabs out of sight, see memory-saver.js)
+            memorySaverInactiveSpaceMinutes: 30, // Default: tabs in other spaces sleep after 30 minutes
+            memorySaverIdleMinutes: 120, // Default: idle tabs in the active space sleep after 2 hours
             enableSpotlight: true, // Default: enabled (controls both spotlight and custom new tab)
             invertTabOrder: true, // Default: enabled (New tabs/High index on top)
             colorOverrides: null, // Default: no color overrides
             debugLoggingEnabled: false, // Default: disabled (controls debug logging)
             showAllOpenTabsInCollapsedFolders: false, // Default: Arc behavior (only show active tab in collapsed folder)
+            groupTemporaryTabsByDomain: false, // Default: plain list (sidebar view option, see tab-sorter.js)
+            autocompleteSource: 'google', // Default: Google suggest ('duckduckgo', 'bing', 'custom' or 'off' for history only)
+            autocompleteCustomUrl: '', // OpenSearch suggest URL with %s, used when autocompleteSource is 'custom'
             // ... other settings ...
         };
         const result = await chrome.storage.sync.get(defaultSettings);
@@ -187,7 +196,7 @@ const Utils = {
         Logger.log(`Attempting to update bookmark for pinned tab ${tab.id} in space ${activeSpace.name} to title: ${newTitle}`);
 
         try {
-            const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(activeSpace.name);
+            const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(activeSpace);
             if (!spaceFolder) {
                 Logger.error(`Bookmark folder for space ${activeSpace.name} not found.`);
                 return;
@@ -272,16 +281,18 @@ const Utils = {
         Logger.log(`Archived tab: ${tabData.name} from space ${tabData.spaceId}`);
     },
 
-    // Function to archive a tab (likely called from context menu)
-    archiveTab: async function (tabId) {
+    // Function to archive a tab (context menu, Spotlight command). Space ids are group ids, so the
+    // tab's own group is the space when none is given.
+    archiveTab: async function (tabId, spaceId = null) {
         try {
             const tab = await chrome.tabs.get(tabId);
-            if (!tab || !activeSpaceId) return;
+            const archiveSpaceId = spaceId ?? (tab?.groupId > 0 ? tab.groupId : null);
+            if (!tab || !archiveSpaceId) return;
 
             const tabData = {
                 url: tab.url,
                 name: tab.title,
-                spaceId: activeSpaceId // Archive within the current space
+                spaceId: archiveSpaceId
             };
 
             await this.addArchivedTab(tabData);
@@ -293,6 +304,69 @@ const Utils = {
         }
     },
 
+    // Archive several tabs of a space at once (sidebar multi-selection), closing them in a single removal
+    archiveTabs: async function (tabIds, spaceId) {
+        try {
+            const tabs = (await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)))).filter(Boolean);
+            for (const tab of tabs) {
+                await this.addArchivedTab({ url: tab.url, name: tab.title, spaceId: spaceId ?? tab.groupId });
+            }
+            await chrome.tabs.remove(tabs.map(tab => tab.id));
+        } catch (error) {
+            Logger.error(`Error archiving tabs ${tabIds.join(', ')}:`, error);
+        }
+    },
+
+    // Copy a tab's URL to the clipboard from the background: injected into the page, or through the sidebar
+    // for pages scripts cannot run in
+    copyTabUrl: async function (tab) {
+        Logger.log(`[URLCopy] Copying URL via script injection: ${tab.url}`);
+
+        // PRIMARY: Script injection approach (universal, no permission popups)
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: (url) => {
+                    // This function runs in webpage context but avoids permission issues
+                    // by being injected from extension context
+                    navigator.clipboard.writeText(url).then(() => {
+                        Logger.log(`[URLCopy] Script injection succeeded: ${url}`);
+                    }).catch(err => {
+                        Logger.error("[URLCopy] Script injection clipboard failed:", err);
+                        // Fallback to older method if clipboard API fails
+                        const textarea = document.createElement('textarea');
+                        textarea.value = url;
+                        document.body.appendChild(textarea);
+                        textarea.select();
+                        document.execCommand('copy');
+                        document.body.removeChild(textarea);
+                        Logger.log(`[URLCopy] Fallback copy succeeded: ${url}`);
+                    });
+                },
+                args: [tab.url]
+            });
+
+            Logger.log(`[URLCopy] Script injection completed for: ${tab.url}`);
+
+            // Notify sidebar of successful URL copy
+            MessageRouter.send(MessageType.URL_COPY_SUCCESS);
+            Logger.log("[URLCopy] Success message sent to sidebar");
+
+            return;
+
+        } catch (injectionError) {
+            Logger.log("[URLCopy] Script injection failed, trying sidebar fallback:", injectionError);
+        }
+
+        // FALLBACK: Sidebar approach (works when sidebar is focused)
+        const sidebarResponse = await MessageRouter.send(MessageType.COPY_CURRENT_URL, { url: tab.url });
+        if (sidebarResponse.success) {
+            Logger.log(`[URLCopy] Sidebar fallback succeeded: ${tab.url}`);
+        } else {
+            Logger.error("[URLCopy] Both script injection and sidebar failed:", sidebarResponse.error);
+        }
+    },
+
     // Remove a tab from the archive (e.g., after restoration)
     removeArchivedTab: async function (url, spaceId) {
         if (!url || !spaceId) return;
@@ -369,6 +443,91 @@ const Utils = {
         await chrome.storage.sync.set({ invertTabOrder: enabled });
     },
 
+    getGroupTemporaryTabsByDomain: async function () {
+        const settings = await this.getSettings();
+        return settings.groupTemporaryTabsByDomain;
+    },
+
+    setGroupTemporaryTabsByDomain: async function (enabled) {
+        await chrome.storage.sync.set({ groupTemporaryTabsByDomain: enabled });
+    },
+
+    // URL key for "the same page": unlike getPinnedUrlKey the query is kept (?v=, ?q=, ?id= name different pages);
+    // only the hash and utm_* tracking params are dropped.
+    getPageUrlKey: function (url) {
+        if (!url) return '';
+        try {
+            const u = new URL(url);
+            for (const param of [...u.searchParams.keys()]) {
+                if (param.toLowerCase().startsWith('utm_')) u.searchParams.delete(param);
+            }
+            return `${u.origin}${u.pathname}${u.search}`;
+        } catch {
+            // Fallback for non-standard URLs
+            return String(url).split('#')[0];
+        }
+    },
+
+    // Last activation time per tab ({ [tabId]: timestamp })
+    getTabLastActivity: async function () {
+        const result = await chrome.storage.local.get(TAB_ACTIVITY_STORAGE_KEY);
+        return result[TAB_ACTIVITY_STORAGE_KEY] || {};
+    },
+
+    // --- Duplicate tabs ---
+    // Page key from getPageUrlKey, so copies match across spaces but two videos or searches on one site do not.
+    // Only web pages count: every new tab page would otherwise be a duplicate.
+    getDuplicateUrlKey: function (url) {
+        if (!/^https?:/i.test(url || '')) return null;
+        return this.getPageUrlKey(url);
+    },
+
+    // Copies of the same page among the tabs matching query (all windows by default), one array per page
+    findDuplicateTabs: async function (query = {}) {
+        const tabs = await chrome.tabs.query(query);
+        const byKey = new Map();
+        for (const tab of tabs) {
+            const key = this.getDuplicateUrlKey(tab.url);
+            if (!key) continue;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(tab);
+        }
+        return Array.from(byKey.values()).filter(copies => copies.length > 1);
+    },
+
+    // Close every copy but the most recently active one of each duplicated page; query { groupId } limits it to
+    // one space. Favorites (Chrome-pinned tabs) are left open, and a space whose tabs would all close keeps its
+    // most recent one so Chrome does not remove the group. Resolves with the number of tabs closed.
+    closeDuplicateTabs: async function (query = {}) {
+        const lastActivity = await this.getTabLastActivity();
+        const activity = tab => lastActivity[tab.id] || tab.lastAccessed || 0;
+        const byRecency = (a, b) => activity(b) - activity(a);
+
+        const closing = new Set();
+        const groupIds = new Set();
+        for (const copies of await this.findDuplicateTabs(query)) {
+            copies.sort(byRecency).slice(1)
+                .filter(tab => !tab.pinned)
+                .forEach(tab => {
+                    closing.add(tab.id);
+                    if (tab.groupId > 0) groupIds.add(tab.groupId);
+                });
+        }
+
+        for (const groupId of groupIds) {
+            const groupTabs = await chrome.tabs.query({ groupId });
+            if (groupTabs.every(tab => closing.has(tab.id))) {
+                closing.delete(groupTabs.sort(byRecency)[0].id);
+            }
+        }
+
+        if (closing.size > 0) {
+            await chrome.tabs.remove([...closing]);
+        }
+        Logger.log(`[Duplicates] Closed ${closing.size} duplicate tabs`, query);
+        return closing.size;
+    },
+
     // Search and remove bookmark by URL from a folder structure recursively
     searchAndRemoveBookmark: async function (folderId, tabUrl, options = {}) {
         const {
@@ -452,8 +611,7 @@ const Utils = {
     },
     findActiveSpaceAndTab: async function () {
         Logger.log("[TabNavigation] finding space");
-        const spacesResult = await chrome.storage.local.get('spaces');
-        const spaces = spacesResult.spaces || [];
+        const spaces = await LocalStorage.getAllSpaces();
         Logger.log("[TabNavigation] Loaded spaces from storage:", spaces);
         const foundTabs = await chrome.tabs.query({ active: true, currentWindow: true });
         if (foundTabs.length === 0) {
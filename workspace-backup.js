@@ -0,0 +1,470 @@
+/**
+ * Workspace Backup - Export and restore the whole BarCat workspace as one JSON file
+ *
+ * Purpose: Moves a workspace to a fresh profile or machine, or keeps a restorable snapshot of it
+ * Key Functions: Export to a schema-versioned document, validation, merge/replace import with a skipped report
+ * Architecture: Static utility object; export and validate are read-only (export never creates the BarCat
+ *   folder), importWorkspace does all writes
+ *
+ * Critical Notes:
+ * - Tab ids and group ids do not survive a restart, so tab-keyed state is exported keyed by URL and
+ *   re-attached on import to whichever open tabs currently have that URL
+ * - Space folders are created through LocalStorage.getOrCreateSpaceFolder with the exported uuid so the
+ *   restored spaces keep their identity; spaces are matched by uuid first, then by name
+ * - Routing rules reference spaces by uuid, so restoring spaces with their exported uuid keeps rules valid
+ * - Archived tabs point at a space by uuid/name in the file and at the live group (if any) once imported
+ * - Replace empties matching spaces before restoring and removes the others, except spaces open as a
+ *   tab group which are kept and reported
+ * - parse only accepts SCHEMA_VERSION; when the document shape changes, bump it and convert the older
+ *   versions there before validating
+ * - Each import step runs on its own: a step that throws is reported in skipped and the later steps still run
+ * - Imported URLs go through BookmarkUtils.isImportableUrl (web and chrome:// pages only), like the Arc importer
+ */
+
+import { LocalStorage } from './localstorage.js';
+import { BookmarkUtils } from './bookmark-utils.js';
+import { Utils } from './utils.js';
+import { RoutingRules } from './routing-rules.js';
+import { MessageRouter, MessageType } from './message-router.js';
+import { Logger } from './logger.js';
+
+const FORMAT = 'barcat-workspace';
+const SCHEMA_VERSION = 1;
+const MAX_ARCHIVED_TABS = 100; // Same cap Utils.addArchivedTab applies
+
+const WorkspaceBackup = {
+    SCHEMA_VERSION,
+
+    // Build the export document from the live profile
+    exportWorkspace: async function () {
+        const settings = await Utils.getSettings();
+        const liveSpaces = await LocalStorage.getAllSpaces();
+        const identities = await LocalStorage.getSpaceIdentities();
+        // Look up only, like the Arc import preview: a profile without a BarCat folder exports no spaces
+        const barCatFolder = await BookmarkUtils.findBarCatFolder();
+        const children = barCatFolder ? await chrome.bookmarks.getChildren(barCatFolder.id) : [];
+
+        const spaces = [];
+        for (const folder of children.filter(f => !f.url && f.title !== '_Favorites')) {
+            const identity = Object.values(identities).find(i => i.folderId === folder.id);
+            const liveSpace = liveSpaces.find(s => s.bookmarkFolderId === folder.id);
+            const [subTree] = await chrome.bookmarks.getSubTree(folder.id);
+            spaces.push({
+                uuid: identity?.uuid || liveSpace?.uuid || null,
+                name: folder.title,
+                color: liveSpace?.color || identity?.color || null,
+                pinned: this._toNodes(subTree.children || [])
+            });
+        }
+
+        const favoritesFolder = children.find(f => !f.url && f.title === '_Favorites');
+        const favorites = (favoritesFolder ? await chrome.bookmarks.getChildren(favoritesFolder.id) : [])
+            .filter(bookmark => bookmark.url)
+            .map(bookmark => ({ title: bookmark.title, url: bookmark.url }));
+
+        // Re-key tab state by URL; entries for tabs that no longer exist are dropped
+        const tabs = await chrome.tabs.query({});
+        const tabsById = new Map(tabs.map(tab => [String(tab.id), tab]));
+
+        const overrides = await Utils.getTabNameOverrides();
+        const tabNameOverrides = Object.entries(overrides)
+            .filter(([tabId, override]) => tabsById.has(tabId) && override?.name)
+            .map(([tabId, override]) => ({
+                url: tabsById.get(tabId).url,
+                name: override.name,
+                originalDomain: override.originalDomain || null
+            }));
+
+        const states = await Utils.getPinnedTabStates();
+        const pinnedTabStates = Object.entries(states)
+            .filter(([tabId, state]) => tabsById.has(tabId) && state?.pinnedUrl)
+            .map(([tabId, state]) => ({ url: tabsById.get(tabId).url, pinnedUrl: state.pinnedUrl }));
+
+        const archivedTabs = (await Utils.getArchivedTabs()).map(archived => {
+            const space = liveSpaces.find(s => s.id === archived.spaceId);
+            return {
+                url: archived.url,
+                name: archived.name,
+                archivedAt: archived.archivedAt,
+                spaceUuid: space?.uuid || null,
+                spaceName: space?.name || null
+            };
+        });
+
+        return {
+            format: FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            settings,
+            spaces,
+            favorites,
+            tabNameOverrides,
+            pinnedTabStates,
+            archivedTabs,
+            routingRules: await RoutingRules.getRules()
+        };
+    },
+
+    // Parse a backup file and check its version and shape.
+    // Throws with a readable message when the file cannot be imported at all.
+    parse: function (rawText) {
+        let doc;
+        try {
+            doc = JSON.parse(rawText);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!doc || typeof doc !== 'object' || doc.format !== FORMAT) {
+            throw new Error('Not a BarCat workspace backup');
+        }
+        if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 1) {
+            throw new Error('Backup has no valid schema version');
+        }
+        if (doc.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`Backup was made by a newer BarCat (schema ${doc.schemaVersion}); update the extension first`);
+        }
+        if (doc.schemaVersion !== SCHEMA_VERSION) {
+            throw new Error(`Backup schema ${doc.schemaVersion} is not supported`);
+        }
+
+        const errors = this.validate(doc);
+        if (errors.length > 0) {
+            throw new Error(`Backup is malformed: ${errors.join('; ')}`);
+        }
+        return doc;
+    },
+
+    // Structural checks only; individual bad entries are skipped (and reported) during import.
+    // Routing rule field types are checked here too, so a file that would break rule matching is refused up front.
+    validate: function (doc) {
+        const errors = [];
+        if (doc.settings !== undefined && (typeof doc.settings !== 'object' || Array.isArray(doc.settings))) {
+            errors.push('settings must be an object');
+        }
+        ['spaces', 'favorites', 'tabNameOverrides', 'pinnedTabStates', 'archivedTabs', 'routingRules'].forEach(key => {
+            if (doc[key] !== undefined && !Array.isArray(doc[key])) {
+                errors.push(`${key} must be a list`);
+            }
+        });
+        if (Array.isArray(doc.routingRules)) {
+            doc.routingRules.forEach((rule, index) => {
+                if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                    errors.push(`routingRules[${index}] must be an object`);
+                } else if (typeof rule.pattern !== 'string' || typeof (rule.spaceName ?? '') !== 'string'
+                    || (rule.spaceUuid != null && typeof rule.spaceUuid !== 'string')) {
+                    errors.push(`routingRules[${index}] pattern, spaceName and spaceUuid must be text`);
+                }
+            });
+        }
+        return errors;
+    },
+
+    // Counts shown before the user confirms an import
+    summarize: function (doc) {
+        const counts = (doc.spaces || []).reduce((totals, space) => {
+            const nested = BookmarkUtils.countBookmarkNodes(Array.isArray(space?.pinned) ? space.pinned : []);
+            totals.tabs += nested.tabs;
+            totals.folders += nested.folders;
+            return totals;
+        }, { tabs: 0, folders: 0 });
+
+        return {
+            exportedAt: doc.exportedAt || null,
+            spaces: (doc.spaces || []).length,
+            tabs: counts.tabs,
+            folders: counts.folders,
+            favorites: (doc.favorites || []).length,
+            archivedTabs: (doc.archivedTabs || []).length,
+            routingRules: (doc.routingRules || []).length,
+            settings: Object.keys(doc.settings || {}).length
+        };
+    },
+
+    // Restore a parsed document. mode is 'merge' (keep what exists, add what is missing)
+    // or 'replace' (the backup becomes the workspace). Returns counts plus a list of skipped entries.
+    importWorkspace: async function (doc, { mode = 'merge' } = {}) {
+        const replace = mode === 'replace';
+        const result = {
+            spacesCreated: 0, spacesMerged: 0, tabsCreated: 0, foldersCreated: 0,
+            favoritesAdded: 0, settingsApplied: 0, tabStatesRestored: 0, archivedTabsRestored: 0, routingRulesAdded: 0,
+            skipped: []
+        };
+
+        const liveSpaces = await LocalStorage.getAllSpaces();
+        const importedSpaces = await this._runStep('Spaces', result,
+            () => this._importSpaces(doc.spaces || [], liveSpaces, replace, result)) || [];
+        await this._runStep('Favorites', result, () => this._importFavorites(doc.favorites || [], replace, result));
+        await this._runStep('Settings', result, () => this._importSettings(doc.settings || {}, result));
+        await this._runStep('Tab names and pinned tab states', result,
+            () => this._importTabState(doc.tabNameOverrides || [], doc.pinnedTabStates || [], replace, result));
+        await this._runStep('Archived tabs', result,
+            () => this._importArchivedTabs(doc.archivedTabs || [], importedSpaces, liveSpaces, replace, result));
+        await this._runStep('Routing rules', result, () => this._importRoutingRules(doc.routingRules || [], replace, result));
+
+        Logger.log('[WorkspaceBackup] Import finished:', { mode, ...result, skipped: result.skipped.length });
+        return result;
+    },
+
+    // Run one import step; if it throws, report it in skipped so the remaining steps still run and the
+    // caller still gets the result. Resolves with the step's value, or undefined when it failed.
+    _runStep: async function (label, result, step) {
+        try {
+            return await step();
+        } catch (error) {
+            Logger.error(`[WorkspaceBackup] ${label} import failed:`, error);
+            result.skipped.push(`${label}: import failed (${error?.message || error})`);
+            return undefined;
+        }
+    },
+
+    // Returns the spaces from the file resolved to { uuid, name, groupId } for archived tab re-mapping
+    _importSpaces: async function (spaces, liveSpaces, replace, result) {
+        const barCatFolder = await LocalStorage.getOrCreateBarCatFolder();
+        const spaceFolders = (await chrome.bookmarks.getChildren(barCatFolder.id))
+            .filter(f => !f.url && f.title !== '_Favorites');
+        const identities = await LocalStorage.getSpaceIdentities();
+        const resolved = [];
+        const usedFolderIds = new Set();
+
+        for (const space of spaces) {
+            const name = typeof space?.name === 'string' ? space.name.trim() : '';
+            if (!name || name === '_Favorites') {
+                result.skipped.push(`Space with invalid name "${space?.name ?? ''}"`);
+                continue;
+            }
+
+            try {
+                const target = this._findTargetSpace(space, liveSpaces, spaceFolders, identities);
+                const isNew = !target;
+                const spaceRef = target || { name, uuid: typeof space.uuid === 'string' ? space.uuid : null };
+
+                const spaceFolder = await LocalStorage.getOrCreateSpaceFolder(spaceRef);
+                usedFolderIds.add(spaceFolder.id);
+                if (isNew) {
+                    spaceFolders.push(spaceFolder);
+                    result.spacesCreated++;
+                } else {
+                    result.spacesMerged++;
+                    if (replace) {
+                        await this._emptyFolder(spaceFolder.id);
+                    }
+                }
+
+                if (space.color && (isNew || replace)) {
+                    await LocalStorage.updateSpaceIdentity(spaceRef.uuid, { color: space.color });
+                }
+
+                const imported = await BookmarkUtils.importBookmarkNodes(Array.isArray(space.pinned) ? space.pinned : [], spaceFolder.id);
+                result.tabsCreated += imported.tabsCreated;
+                result.foldersCreated += imported.foldersCreated;
+                result.skipped.push(...imported.skipped);
+
+                const liveSpace = liveSpaces.find(s => s.bookmarkFolderId === spaceFolder.id);
+                resolved.push({ uuid: spaceRef.uuid, name, groupId: liveSpace?.id ?? null });
+            } catch (error) {
+                Logger.error('[WorkspaceBackup] Error importing space:', name, error);
+                result.skipped.push(`Space "${name}": ${error.message}`);
+            }
+        }
+
+        if (replace) {
+            for (const folder of spaceFolders.filter(f => !usedFolderIds.has(f.id))) {
+                if (liveSpaces.some(s => s.bookmarkFolderId === folder.id)) {
+                    result.skipped.push(`Space "${folder.title}" is open and was kept`);
+                    continue;
+                }
+                await chrome.bookmarks.removeTree(folder.id);
+                const identity = Object.values(identities).find(i => i.folderId === folder.id);
+                if (identity) {
+                    await LocalStorage.removeSpaceIdentity(identity.uuid);
+                }
+            }
+        }
+
+        return resolved;
+    },
+
+    _importFavorites: async function (favorites, replace, result) {
+        if (replace) {
+            const favoritesFolder = await LocalStorage.getOrCreateFavoritesFolder();
+            await this._emptyFolder(favoritesFolder.id);
+        }
+
+        const existingFavorites = await LocalStorage.getFavoriteBookmarks();
+        const existingUrls = new Set(existingFavorites.map(b => b.url));
+        for (const favorite of favorites) {
+            if (!BookmarkUtils.isImportableUrl(favorite?.url)) {
+                result.skipped.push(`Favorite with invalid URL "${favorite?.url ?? ''}"`);
+                continue;
+            }
+            if (existingUrls.has(favorite.url)) {
+                result.skipped.push(`Favorite "${favorite.url}" already exists`);
+                continue;
+            }
+            const bookmark = await LocalStorage.addFavoriteBookmark(favorite.url, favorite.title || favorite.url);
+            if (bookmark) {
+                existingUrls.add(favorite.url);
+                result.favoritesAdded++;
+            } else {
+                result.skipped.push(`Favorite "${favorite.url}" could not be created`);
+            }
+        }
+    },
+
+    // Only known settings with the expected type are applied; in merge mode they still win over
+    // the current values because settings have no meaningful per-key merge
+    _importSettings: async function (settings, result) {
+        const current = await Utils.getSettings();
+        const changes = {};
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (!(key in current)) {
+                result.skipped.push(`Unknown setting "${key}"`);
+                continue;
+            }
+            const expected = current[key];
+            const nullableObject = key === 'colorOverrides' && (value === null || (typeof value === 'object' && !Array.isArray(value)));
+            if (!nullableObject && (value === null || typeof value !== typeof expected)) {
+                result.skipped.push(`Setting "${key}" has the wrong type`);
+                continue;
+            }
+            changes[key] = value;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            await chrome.storage.sync.set(changes);
+            result.settingsApplied = Object.keys(changes).length;
+            // Same notification the options page sends after saving, so alarms pick up archive settings
+            MessageRouter.send(MessageType.UPDATE_AUTO_ARCHIVE_SETTINGS);
+        }
+    },
+
+    // Attach URL-keyed tab state to the tabs that are open right now
+    _importTabState: async function (overrides, states, replace, result) {
+        const tabs = await chrome.tabs.query({});
+        const findTab = (url) => tabs.find(tab => tab.url === url);
+
+        const tabNameOverrides = replace ? {} : await Utils.getTabNameOverrides();
+        for (const entry of overrides) {
+            const tab = typeof entry?.name === 'string' && entry.name ? findTab(entry.url) : null;
+            if (!tab) {
+                result.skipped.push(`Tab name "${entry?.name ?? ''}" (no open tab for ${entry?.url ?? 'unknown URL'})`);
+                continue;
+            }
+            tabNameOverrides[tab.id] = { name: entry.name, originalDomain: entry.originalDomain || null };
+            result.tabStatesRestored++;
+        }
+        await Utils.saveTabNameOverrides(tabNameOverrides);
+
+        const pinnedTabStates = replace ? {} : await Utils.getPinnedTabStates();
+        for (const entry of states) {
+            const tab = BookmarkUtils.isImportableUrl(entry?.pinnedUrl) ? findTab(entry.url) : null;
+            if (!tab) {
+                result.skipped.push(`Pinned tab state for ${entry?.url ?? 'unknown URL'} (no open tab)`);
+                continue;
+            }
+            const [bookmark] = await chrome.bookmarks.search({ url: entry.pinnedUrl }).catch(() => []);
+            pinnedTabStates[tab.id] = { pinnedUrl: entry.pinnedUrl, bookmarkId: bookmark?.id || null };
+            result.tabStatesRestored++;
+        }
+        await Utils.savePinnedTabStates(pinnedTabStates);
+    },
+
+    // Archived tabs are re-pointed at the live group of their space; tabs of closed spaces restore ungrouped
+    _importArchivedTabs: async function (archivedTabs, importedSpaces, liveSpaces, replace, result) {
+        const merged = replace ? [] : await Utils.getArchivedTabs();
+        const knownUrls = new Set(merged.map(t => t.url));
+
+        for (const entry of archivedTabs) {
+            if (!BookmarkUtils.isImportableUrl(entry?.url)) {
+                result.skipped.push(`Archived tab with invalid URL "${entry?.url ?? ''}"`);
+                continue;
+            }
+            if (knownUrls.has(entry.url)) {
+                result.skipped.push(`Archived tab "${entry.url}" already exists`);
+                continue;
+            }
+
+            const space = importedSpaces.find(s => entry.spaceUuid && s.uuid === entry.spaceUuid)
+                || importedSpaces.find(s => entry.spaceName && s.name === entry.spaceName)
+                || liveSpaces.find(s => entry.spaceName && s.name === entry.spaceName);
+            const groupId = space ? (space.groupId ?? space.id ?? null) : null;
+
+            merged.push({
+                url: entry.url,
+                name: entry.name || entry.url,
+                spaceId: groupId ?? chrome.tabGroups.TAB_GROUP_ID_NONE,
+                archivedAt: Number.isFinite(entry.archivedAt) ? entry.archivedAt : Date.now()
+            });
+            knownUrls.add(entry.url);
+            result.archivedTabsRestored++;
+        }
+
+        merged.sort((a, b) => b.archivedAt - a.archivedAt);
+        if (merged.length > MAX_ARCHIVED_TABS) {
+            const dropped = merged.splice(MAX_ARCHIVED_TABS);
+            result.archivedTabsRestored = Math.max(0, result.archivedTabsRestored - dropped.length);
+            result.skipped.push(`${dropped.length} oldest archived tab(s) over the limit of ${MAX_ARCHIVED_TABS}`);
+        }
+        await Utils.saveArchivedTabs(merged);
+    },
+
+    // Rules keep their target uuid, which the restored spaces share; merge adds rules not already present
+    _importRoutingRules: async function (rules, replace, result) {
+        const merged = replace ? [] : await RoutingRules.getRules();
+        const knownIds = new Set(merged.map(rule => rule.id));
+
+        for (const entry of rules) {
+            const rule = entry && typeof entry === 'object' ? RoutingRules.createRule(entry) : null;
+            const problem = rule ? RoutingRules.validateRule(rule) : 'not an object';
+            if (problem) {
+                result.skipped.push(`Routing rule "${entry?.pattern ?? ''}": ${problem}`);
+                continue;
+            }
+            if (knownIds.has(rule.id)) {
+                result.skipped.push(`Routing rule "${rule.pattern}" already exists`);
+                continue;
+            }
+            merged.push(rule);
+            knownIds.add(rule.id);
+            result.routingRulesAdded++;
+        }
+        await RoutingRules.saveRules(merged);
+    },
+
+    // Prefer the durable uuid (restoring on the same profile), fall back to the space name
+    _findTargetSpace: function (space, liveSpaces, spaceFolders, identities) {
+        const identity = space.uuid ? identities[space.uuid] : null;
+        if (identity && spaceFolders.some(f => f.id === identity.folderId)) {
+            return liveSpaces.find(s => s.bookmarkFolderId === identity.folderId)
+                || { name: space.name, uuid: identity.uuid, bookmarkFolderId: identity.folderId };
+        }
+
+        const liveSpace = liveSpaces.find(s => s.name === space.name && s.bookmarkFolderId);
+        if (liveSpace) return liveSpace;
+
+        const folder = spaceFolders.find(f => f.title === space.name);
+        return folder ? { name: space.name, bookmarkFolderId: folder.id } : null;
+    },
+
+    _emptyFolder: async function (folderId) {
+        const children = await chrome.bookmarks.getChildren(folderId);
+        for (const child of children) {
+            if (child.url) {
+                await chrome.bookmarks.remove(child.id);
+            } else {
+                await chrome.bookmarks.removeTree(child.id);
+            }
+        }
+    },
+
+    _toNodes: function (bookmarkNodes) {
+        return bookmarkNodes.map(node => node.url
+            ? { title: node.title, url: node.url }
+            : { title: node.title, children: this._toNodes(node.children || []) });
+    }
+};
+
+export { WorkspaceBackup };